@@ -0,0 +1,18 @@
+// /api/handoff.mjs - Vercel Serverless Function (ES Module)
+//
+// 配置传输逻辑位于 lib/handoff-core.mjs。
+// 传输码保存在 Vercel KV 中（与 /api/sync 使用同一个数据库），未连接时返回 501。
+
+import { createProxyConfig } from '../lib/proxy-core.mjs';
+import { createNodeHandoffHandler } from '../lib/proxy-node.mjs';
+import { createHandoffConfig, createVercelKvHandoffStore } from '../lib/handoff-core.mjs';
+
+const { KV_REST_API_URL, KV_REST_API_TOKEN } = process.env;
+
+export default createNodeHandoffHandler({
+    config: createProxyConfig(process.env),
+    handoffStore: KV_REST_API_URL && KV_REST_API_TOKEN
+        ? createVercelKvHandoffStore({ url: KV_REST_API_URL, token: KV_REST_API_TOKEN })
+        : null,
+    handoffConfig: createHandoffConfig(process.env)
+});
@@ -0,0 +1,13 @@
+// /api/login.mjs - Vercel Serverless Function (ES Module)
+//
+// 登录逻辑位于 lib/auth-core.mjs：校验密码并签发 HttpOnly 会话 Cookie。
+
+import { createProxyConfig, createMemoryCache } from '../lib/proxy-core.mjs';
+import { createNodeLoginHandler } from '../lib/proxy-node.mjs';
+
+export default createNodeLoginHandler({
+    config: createProxyConfig(process.env),
+    // 失败计数只在单个函数实例内有效
+    loginGuardStore: createMemoryCache({ maxEntries: 10000 }),
+    getClientAddress: req => req.headers['x-vercel-forwarded-for'] || req.headers['x-real-ip'] || req.socket?.remoteAddress || ''
+});
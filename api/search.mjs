@@ -0,0 +1,14 @@
+// /api/search.mjs - Vercel Serverless Function (ES Module)
+//
+// 聚合搜索逻辑位于 lib/search-core.mjs，结果以流的形式逐个源返回。
+// 文本缓存为单个函数实例内的内存缓存，与 /api/proxy 的实例互不共享。
+
+import { createProxyConfig, createMemoryCache } from '../lib/proxy-core.mjs';
+import { createNodeSearchHandler } from '../lib/proxy-node.mjs';
+import { createSearchConfig } from '../lib/search-core.mjs';
+
+export default createNodeSearchHandler({
+    config: createProxyConfig(process.env),
+    cache: createMemoryCache(),
+    searchConfig: createSearchConfig(process.env)
+});
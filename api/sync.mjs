@@ -0,0 +1,19 @@
+// /api/sync.mjs - Vercel Serverless Function (ES Module)
+//
+// 多设备同步逻辑位于 lib/sync-core.mjs。
+// 同步数据保存在 Vercel KV 中：在项目中连接 KV 数据库后，Vercel 会注入 KV_REST_API_URL 与 KV_REST_API_TOKEN；
+// 未连接时返回 501，浏览器只在本地保存。
+
+import { createProxyConfig } from '../lib/proxy-core.mjs';
+import { createNodeSyncHandler } from '../lib/proxy-node.mjs';
+import { createSyncConfig, createSyncStore, createVercelKvSyncBackend } from '../lib/sync-core.mjs';
+
+const { KV_REST_API_URL, KV_REST_API_TOKEN } = process.env;
+
+export default createNodeSyncHandler({
+    config: createProxyConfig(process.env),
+    syncStore: KV_REST_API_URL && KV_REST_API_TOKEN
+        ? createSyncStore(createVercelKvSyncBackend({ url: KV_REST_API_URL, token: KV_REST_API_TOKEN }))
+        : null,
+    syncConfig: createSyncConfig(process.env)
+});
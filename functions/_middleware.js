@@ -1,4 +1,4 @@
-import { sha256 } from '../js/sha256.js';
+import { createRuntimeConfig, injectPageEnv } from '../lib/runtime-config.mjs';
 
 export async function onRequest(context) {
   const { request, env, next } = context;
@@ -8,14 +8,13 @@ export async function onRequest(context) {
   if (contentType.includes("text/html")) {
     let html = await response.text();
     
-    // 处理普通密码
-    const password = env.PASSWORD || "";
-    let passwordHash = "";
-    if (password) {
-      passwordHash = await sha256(password);
+    // 只告诉页面是否设置了密码，密码校验由 /api/login 在服务端完成；
+    // 运行时配置来自 RUNTIME_CONFIG 等环境变量，不合法的字段被忽略
+    const runtime = createRuntimeConfig(env);
+    if (runtime.errors.length > 0) {
+      console.warn('运行时配置中有字段被忽略:', runtime.errors);
     }
-    html = html.replace('window.__ENV__.PASSWORD = "{{PASSWORD}}";', 
-      `window.__ENV__.PASSWORD = "${passwordHash}";`);
+    html = injectPageEnv(html, { passwordProtected: Boolean(env.PASSWORD), runtimeConfig: runtime.config });
     
     return new Response(html, {
       headers: response.headers,
@@ -0,0 +1,18 @@
+// functions/api/handoff.js - Cloudflare Pages Function
+//
+// 配置传输逻辑位于 lib/handoff-core.mjs。
+// 传输码与代理共用 TESLATV_PROXY_KV（键前缀 handoff:），写入很少，不计入代理缓存的写入预算。
+
+import { createProxyConfig } from '../../lib/proxy-core.mjs';
+import { createHandoffConfig, handleHandoffRequest } from '../../lib/handoff-core.mjs';
+import { createKvUserBackend, createUserStore } from '../../lib/user-store.mjs';
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    return handleHandoffRequest(request, {
+        config: createProxyConfig(env),
+        handoffStore: env.TESLATV_PROXY_KV || null,
+        handoffConfig: createHandoffConfig(env),
+        userStore: env.TESLATV_USERS_KV ? createUserStore(createKvUserBackend(env.TESLATV_USERS_KV)) : null
+    });
+}
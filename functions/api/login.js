@@ -0,0 +1,21 @@
+// functions/api/login.js - Cloudflare Pages Function
+//
+// 登录逻辑位于 lib/auth-core.mjs：校验密码并签发 HttpOnly 会话 Cookie。
+// LOGIN_SESSION_TTL（可选）- 登录有效期（秒），默认 90 天
+// 多用户账户保存在 KV 命名空间绑定 TESLATV_USERS_KV（可选）中，见 functions/api/users.js
+// 登录失败计数与代理限流共用 KV 命名空间 TESLATV_RATE_LIMIT_KV（可选），未绑定时使用 Cache API，只在单个数据中心内计数
+
+import { createProxyConfig } from '../../lib/proxy-core.mjs';
+import { handleLoginRequest } from '../../lib/auth-core.mjs';
+import { createCacheApiStore } from '../../lib/rate-limit.mjs';
+import { createKvUserBackend, createUserStore } from '../../lib/user-store.mjs';
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    return handleLoginRequest(request, {
+        config: createProxyConfig(env),
+        userStore: env.TESLATV_USERS_KV ? createUserStore(createKvUserBackend(env.TESLATV_USERS_KV)) : null,
+        loginGuardStore: env.TESLATV_RATE_LIMIT_KV || (globalThis.caches?.default ? createCacheApiStore(caches.default) : null),
+        clientAddress: request.headers.get('CF-Connecting-IP')
+    });
+}
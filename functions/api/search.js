@@ -0,0 +1,21 @@
+// functions/api/search.js - Cloudflare Pages Function
+//
+// 聚合搜索逻辑位于 lib/search-core.mjs。环境变量与 KV 绑定同 functions/proxy/[[path]].js，
+// 源 API 的响应与代理共用 TESLATV_PROXY_KV 缓存及其写入预算。
+
+import { createProxyConfig } from '../../lib/proxy-core.mjs';
+import { getThrottledStore } from '../../lib/proxy-cache.mjs';
+import { createSearchConfig, handleSearchRequest } from '../../lib/search-core.mjs';
+import { createKvUserBackend, createUserStore } from '../../lib/user-store.mjs';
+
+export async function onRequest(context) {
+    const { request, env, waitUntil } = context;
+    const config = createProxyConfig(env);
+    return handleSearchRequest(request, {
+        config,
+        cache: env.TESLATV_PROXY_KV ? getThrottledStore(env.TESLATV_PROXY_KV, { writesPerDay: config.kvWritesPerDay }) : null,
+        searchConfig: createSearchConfig(env),
+        userStore: env.TESLATV_USERS_KV ? createUserStore(createKvUserBackend(env.TESLATV_USERS_KV)) : null,
+        waitUntil
+    });
+}
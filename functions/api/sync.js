@@ -0,0 +1,18 @@
+// functions/api/sync.js - Cloudflare Pages Function
+//
+// 多设备同步逻辑位于 lib/sync-core.mjs。
+// 同步数据保存在 KV 命名空间绑定 TESLATV_SYNC_KV 中，未绑定时返回 501，浏览器只在本地保存。
+
+import { createProxyConfig } from '../../lib/proxy-core.mjs';
+import { createKvSyncBackend, createSyncConfig, createSyncStore, handleSyncRequest } from '../../lib/sync-core.mjs';
+import { createKvUserBackend, createUserStore } from '../../lib/user-store.mjs';
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    return handleSyncRequest(request, {
+        config: createProxyConfig(env),
+        syncStore: env.TESLATV_SYNC_KV ? createSyncStore(createKvSyncBackend(env.TESLATV_SYNC_KV)) : null,
+        syncConfig: createSyncConfig(env),
+        userStore: env.TESLATV_USERS_KV ? createUserStore(createKvUserBackend(env.TESLATV_USERS_KV)) : null
+    });
+}
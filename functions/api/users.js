@@ -0,0 +1,16 @@
+// functions/api/users.js - Cloudflare Pages Function
+//
+// 账户管理逻辑位于 lib/auth-core.mjs（仅 admin 可用）。
+// 账户保存在 KV 命名空间绑定 TESLATV_USERS_KV 中，未绑定时只能使用共享的 PASSWORD 登录。
+
+import { createProxyConfig } from '../../lib/proxy-core.mjs';
+import { handleUsersRequest } from '../../lib/auth-core.mjs';
+import { createKvUserBackend, createUserStore } from '../../lib/user-store.mjs';
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    return handleUsersRequest(request, {
+        config: createProxyConfig(env),
+        userStore: env.TESLATV_USERS_KV ? createUserStore(createKvUserBackend(env.TESLATV_USERS_KV)) : null
+    });
+}
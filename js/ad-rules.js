@@ -0,0 +1,204 @@
+/**
+ * 广告过滤规则：用户自己编辑的规则与订阅的规则列表
+ * 规则的格式、校验与匹配在 lib/ad-filter.mjs 中，与代理共用；页面以模块脚本加载后挂到 window。
+ * 自己的规则以 JSON 数组保存在 localStorage 的 adFilterRules；订阅保存地址与最近一次获取到的规则，
+ * 播放页面每天最多自动更新一次。规则列表经由 /proxy/ 获取，不受跨域限制。
+ */
+
+const AD_FILTER_RULES_KEY = 'adFilterRules';
+const AD_FILTER_SUBSCRIPTIONS_KEY = 'adFilterSubscriptions';
+// 订阅的自动更新间隔（毫秒）
+const AD_FILTER_SUBSCRIPTION_TTL = 24 * 60 * 60 * 1000;
+
+function readAdFilterList(key) {
+    try {
+        const list = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function getAdFilterSubscriptions() {
+    return readAdFilterList(AD_FILTER_SUBSCRIPTIONS_KEY).filter(item => item && typeof item.url === 'string');
+}
+
+function saveAdFilterSubscriptions(subscriptions) {
+    localStorage.setItem(AD_FILTER_SUBSCRIPTIONS_KEY, JSON.stringify(subscriptions));
+}
+
+/**
+ * 当前生效的全部规则（自己的规则在前），已经过校验
+ */
+function getActiveAdFilterRules() {
+    if (typeof normalizeAdFilterRules !== 'function') return [];
+    const own = normalizeAdFilterRules(readAdFilterList(AD_FILTER_RULES_KEY)).rules;
+    const subscribed = getAdFilterSubscriptions()
+        .flatMap(subscription => normalizeAdFilterRules(subscription.rules || [], subscription.url).rules);
+    return [...own, ...subscribed];
+}
+
+// 校验后的规则带有编译好的正则，保存前去掉
+function toStoredAdFilterRules(rules) {
+    return rules.map(({ pattern, ...rule }) => rule);
+}
+
+async function fetchAdFilterRuleList(url) {
+    const proxiedUrl = window.ProxyAuth && window.ProxyAuth.addAuthToProxyUrl ?
+        await window.ProxyAuth.addAuthToProxyUrl(PROXY_URL + encodeURIComponent(url)) :
+        PROXY_URL + encodeURIComponent(url);
+    const response = await fetch(proxiedUrl);
+    if (!response.ok) throw new Error(`获取失败（HTTP ${response.status}）`);
+    const list = parseAdFilterRuleList(await response.text(), url);
+    if (list.rules.length === 0) throw new Error(list.errors[0] || '列表中没有规则');
+    return list;
+}
+
+/**
+ * 更新订阅的规则列表
+ * @param {{force?: boolean}} [options] - force 为 true 时忽略更新间隔
+ * @returns {Promise<number>} 更新失败的订阅数
+ */
+async function updateAdFilterSubscriptions({ force = false } = {}) {
+    const subscriptions = getAdFilterSubscriptions();
+    let failed = 0;
+    for (const subscription of subscriptions) {
+        if (!force && subscription.updatedAt && Date.now() - subscription.updatedAt < AD_FILTER_SUBSCRIPTION_TTL) continue;
+        try {
+            const list = await fetchAdFilterRuleList(subscription.url);
+            subscription.name = list.name || subscription.name || '';
+            subscription.rules = toStoredAdFilterRules(list.rules);
+            subscription.error = '';
+            subscription.updatedAt = Date.now();
+        } catch (error) {
+            // 获取失败时继续使用上次的规则，下次打开播放页面时重试
+            subscription.error = error.message;
+            failed++;
+        }
+    }
+    saveAdFilterSubscriptions(subscriptions);
+    renderAdFilterSettings();
+    return failed;
+}
+
+// --- 设置面板 ---
+
+function setAdFilterRulesStatus(text, isError = false) {
+    const status = document.getElementById('adFilterRulesStatus');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('text-red-400', isError);
+    status.classList.toggle('text-gray-500', !isError);
+}
+
+function saveAdFilterRules() {
+    const input = document.getElementById('adFilterRulesInput');
+    const text = input.value.trim();
+    let list;
+    try {
+        list = text ? JSON.parse(text) : [];
+    } catch (e) {
+        setAdFilterRulesStatus('规则不是合法的 JSON', true);
+        return;
+    }
+    const { rules, errors } = normalizeAdFilterRules(list);
+    if (errors.length > 0) {
+        setAdFilterRulesStatus(errors.join('；'), true);
+        return;
+    }
+    localStorage.setItem(AD_FILTER_RULES_KEY, JSON.stringify(toStoredAdFilterRules(rules)));
+    if (window.DataSync) window.DataSync.schedulePush();
+    setAdFilterRulesStatus(`已保存 ${rules.length} 条规则`);
+    showToast('广告过滤规则已保存', 'success');
+}
+
+async function addAdFilterSubscription() {
+    const input = document.getElementById('adFilterSubscriptionUrl');
+    const url = input.value.trim();
+    if (!/^https?:\/\//i.test(url)) {
+        showToast('请输入以 http:// 或 https:// 开头的规则列表地址', 'warning');
+        return;
+    }
+    const subscriptions = getAdFilterSubscriptions();
+    if (subscriptions.some(subscription => subscription.url === url)) {
+        showToast('已经订阅过该列表', 'info');
+        return;
+    }
+
+    showLoading('正在获取规则列表...');
+    try {
+        const list = await fetchAdFilterRuleList(url);
+        subscriptions.push({ url, name: list.name, rules: toStoredAdFilterRules(list.rules), updatedAt: Date.now(), error: '' });
+        saveAdFilterSubscriptions(subscriptions);
+        input.value = '';
+        renderAdFilterSettings();
+        showToast(`已订阅，共 ${list.rules.length} 条规则`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function removeAdFilterSubscription(url) {
+    saveAdFilterSubscriptions(getAdFilterSubscriptions().filter(subscription => subscription.url !== url));
+    renderAdFilterSettings();
+}
+
+async function refreshAdFilterSubscriptions() {
+    showLoading('正在更新订阅...');
+    try {
+        const failed = await updateAdFilterSubscriptions({ force: true });
+        showToast(failed > 0 ? `${failed} 个订阅更新失败，继续使用之前的规则` : '订阅已更新', failed > 0 ? 'warning' : 'success');
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderAdFilterSettings() {
+    const list = document.getElementById('adFilterSubscriptionList');
+    if (!list) return;
+
+    const subscriptions = getAdFilterSubscriptions();
+    list.innerHTML = '';
+    if (subscriptions.length === 0) {
+        list.innerHTML = '<p class="text-gray-500">未订阅规则列表</p>';
+        return;
+    }
+    subscriptions.forEach((subscription) => {
+        const row = document.createElement('div');
+        row.className = 'flex items-start justify-between gap-2 p-1 bg-[#191919] rounded';
+
+        const info = document.createElement('div');
+        info.className = 'min-w-0';
+        const name = document.createElement('div');
+        name.className = 'text-gray-300 break-all';
+        name.textContent = subscription.name ? `${subscription.name}（${(subscription.rules || []).length} 条）` : subscription.url;
+        info.appendChild(name);
+        const detail = document.createElement('div');
+        detail.className = subscription.error ? 'text-red-400 break-all' : 'text-gray-500 break-all';
+        detail.textContent = subscription.error ? `更新失败：${subscription.error}` : subscription.url;
+        info.appendChild(detail);
+        row.appendChild(info);
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'text-red-500 hover:text-red-400 flex-shrink-0';
+        removeButton.textContent = '删除';
+        removeButton.addEventListener('click', () => removeAdFilterSubscription(subscription.url));
+        row.appendChild(removeButton);
+
+        list.appendChild(row);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('adFilterRulesInput');
+    if (input) {
+        const rules = readAdFilterList(AD_FILTER_RULES_KEY);
+        input.value = rules.length > 0 ? JSON.stringify(rules, null, 2) : '';
+        renderAdFilterSettings();
+    } else {
+        // 播放页面：后台更新到期的订阅，不影响本次播放
+        updateAdFilterSubscriptions().catch(error => console.warn('更新广告过滤规则失败:', error));
+    }
+});
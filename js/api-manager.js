@@ -194,9 +194,12 @@ class APIManager {
             // 测试API响应速度
             const startTime = Date.now();
             const testUrl = `${api.url}?ac=videolist&wd=测试`;
+            const proxiedUrl = await window.ProxyAuth?.addAuthToProxyUrl ? 
+                await window.ProxyAuth.addAuthToProxyUrl(PROXY_URL + encodeURIComponent(testUrl)) :
+                PROXY_URL + encodeURIComponent(testUrl);
             
             const response = await this.fetchWithTimeout(
-                PROXY_URL + encodeURIComponent(testUrl),
+                proxiedUrl,
                 this.testTimeout
             );
             
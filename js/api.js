@@ -578,9 +578,14 @@ async function handleMultipleCustomSearch(searchQuery, customApiUrls) {
     const originalFetch = window.fetch;
     
     window.fetch = async function(input, init) {
-        const requestUrl = typeof input === 'string' ? new URL(input, window.location.origin) : input.url;
-        
-        if (requestUrl.pathname.startsWith('/api/')) {
+        const requestUrl = new URL(typeof input === 'string' ? input : input.url, window.location.origin);
+        const method = (init && init.method) || (typeof input === 'string' ? 'GET' : input.method);
+        // POST /api/search 是服务端的流式聚合搜索（lib/search-core.mjs），/api/login、/api/users 是服务端登录与账户管理（lib/auth-core.mjs），
+        // /api/sync 是多设备同步（lib/sync-core.mjs），/api/handoff 是二维码传输配置（lib/handoff-core.mjs），这些需要真正发给服务器
+        const isServerEndpoint = (requestUrl.pathname === '/api/search' && method.toUpperCase() === 'POST') ||
+            ['/api/login', '/api/users', '/api/sync', '/api/handoff'].includes(requestUrl.pathname);
+        
+        if (requestUrl.pathname.startsWith('/api/') && !isServerEndpoint) {
             if (window.isPasswordProtected && window.isPasswordVerified) {
                 if (window.isPasswordProtected() && !window.isPasswordVerified()) {
                     return;
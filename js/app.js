@@ -1,5 +1,5 @@
 // 全局变量
-let selectedAPIs = JSON.parse(localStorage.getItem('selectedAPIs') || '["tyyszy","dyttzy", "bfzy", "ruyi"]'); // 默认选中资源
+let selectedAPIs = JSON.parse(localStorage.getItem('selectedAPIs') || JSON.stringify(DEFAULT_SELECTED_APIS)); // 默认选中资源
 let customAPIs = JSON.parse(localStorage.getItem('customAPIs') || '[]'); // 存储自定义API列表
 
 // 添加当前播放的集数索引
@@ -11,6 +11,43 @@ let currentVideoTitle = '';
 // 全局变量用于倒序状态
 let episodesReversed = false;
 
+// 按当前账户的角色调整设置面板：只有管理员可以修改数据源和账户，儿童账户强制开启内容过滤
+function applyRolePermissions() {
+    const user = window.getCurrentUser ? window.getCurrentUser() : null;
+    const role = user ? user.role : 'admin';
+    const isAdmin = role === 'admin';
+
+    ['apiSourcesSection', 'customApiSection', 'importConfigBtn', 'webdavRestoreBtn'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.classList.toggle('hidden', !isAdmin);
+    });
+
+    const userAdminSection = document.getElementById('userAdminSection');
+    if (userAdminSection) {
+        userAdminSection.classList.toggle('hidden', !isAdmin || !user);
+        if (isAdmin && user && window.loadUserAccounts) window.loadUserAccounts();
+    }
+
+    const currentUserLabel = document.getElementById('currentUserLabel');
+    if (currentUserLabel) {
+        currentUserLabel.textContent = user && user.username !== 'default' ? `（${user.username}）` : '';
+    }
+
+    const yellowFilterToggle = document.getElementById('yellowFilterToggle');
+    if (role === 'kid') {
+        localStorage.setItem('yellowFilterEnabled', 'true');
+        const adultdiv = document.getElementById('adultdiv');
+        if (adultdiv) adultdiv.style.display = 'none';
+    }
+    if (yellowFilterToggle) {
+        yellowFilterToggle.disabled = role === 'kid';
+        if (role === 'kid') yellowFilterToggle.checked = true;
+    }
+}
+
+document.addEventListener('passwordVerified', applyRolePermissions);
+document.addEventListener('loginStateSynced', applyRolePermissions);
+
 // 页面初始化
 document.addEventListener('DOMContentLoaded', function () {
     // 初始化API复选框
@@ -28,15 +65,15 @@ document.addEventListener('DOMContentLoaded', function () {
     // 设置默认API选择（如果是第一次加载）
     if (!localStorage.getItem('hasInitializedDefaults')) {
         // 默认选中资源
-        selectedAPIs = ["tyyszy", "bfzy", "dyttzy", "ruyi"];
+        selectedAPIs = [...DEFAULT_SELECTED_APIS];
         localStorage.setItem('selectedAPIs', JSON.stringify(selectedAPIs));
 
         // 默认选中过滤开关
         localStorage.setItem('yellowFilterEnabled', 'true');
         localStorage.setItem(PLAYER_CONFIG.adFilteringStorage, 'true');
 
-        // 默认启用豆瓣功能
-        localStorage.setItem('doubanEnabled', 'true');
+        // 默认启用豆瓣功能（运行时配置可关闭）
+        localStorage.setItem('doubanEnabled', String(DOUBAN_CONFIG.enabled));
 
         // 标记已初始化默认值
         localStorage.setItem('hasInitializedDefaults', 'true');
@@ -47,6 +84,9 @@ document.addEventListener('DOMContentLoaded', function () {
     if (yellowFilterToggle) {
         yellowFilterToggle.checked = localStorage.getItem('yellowFilterEnabled') === 'true';
     }
+
+    // 按角色隐藏管理功能（登录状态同步后会再次调用）
+    applyRolePermissions();
     
     // 设置搜索优化开关初始状态
     const searchOptimizeToggle = document.getElementById('searchOptimizeToggle');
@@ -755,218 +795,237 @@ async function search() {
         // 保存搜索历史
         saveSearchHistory(query);
 
-        // 从所有选中的API源搜索
+        // 优先使用服务端聚合搜索，每个源返回后立即渲染
         let allResults = [];
-        const searchPromises = selectedAPIs.map(apiId => 
-            searchByAPIAndKeyWord(apiId, query)
-        );
-
-        // 等待所有搜索请求完成
-        const resultsArray = await Promise.all(searchPromises);
-
-        // 合并所有结果
-        resultsArray.forEach(results => {
-            if (Array.isArray(results) && results.length > 0) {
-                allResults = allResults.concat(results);
-            }
-        });
+        const appendResults = (results) => {
+            if (!Array.isArray(results) || results.length === 0) return;
+            allResults = allResults.concat(results);
+            renderSearchResults(query, allResults);
+            hideLoading();
+        };
+
+        const streamed = await streamSearchResults(selectedAPIs, query, appendResults);
+        if (!streamed) {
+            // 服务端聚合搜索不可用（如纯静态部署），由浏览器逐个源通过代理搜索
+            await Promise.all(selectedAPIs.map(apiId =>
+                searchByAPIAndKeyWord(apiId, query).then(appendResults)
+            ));
+        }
 
-        // 根据用户设置决定是否使用搜索优化器
-        const searchOptimizeEnabled = localStorage.getItem('searchOptimizeEnabled') !== 'false'; // 默认启用
-        if (searchOptimizeEnabled && window.searchOptimizer) {
-            allResults = window.searchOptimizer.optimizeResults(allResults, query);
+        renderSearchResults(query, allResults);
+    } catch (error) {
+        console.error('搜索错误:', error);
+        if (error.name === 'AbortError') {
+            showToast('搜索请求超时，请检查网络连接', 'error');
         } else {
-            // 降级处理：使用原有的简单排序
-            allResults.sort((a, b) => {
-                // 首先按照视频名称排序
-                const nameCompare = (a.vod_name || '').localeCompare(b.vod_name || '');
-                if (nameCompare !== 0) return nameCompare;
-                
-                // 如果名称相同，则按照来源排序
-                return (a.source_name || '').localeCompare(b.source_name || '');
-            });
+            showToast('搜索请求失败，请稍后重试', 'error');
         }
+    } finally {
+        hideLoading();
+    }
+}
 
-        // 更新搜索结果计数
-        const searchResultsCount = document.getElementById('searchResultsCount');
-        if (searchResultsCount) {
-            searchResultsCount.textContent = allResults.length;
-        }
+// 渲染搜索结果；结果分批到达时会以累计的全部结果重复调用
+function renderSearchResults(query, allResults) {
+    // 根据用户设置决定是否使用搜索优化器
+    const searchOptimizeEnabled = localStorage.getItem('searchOptimizeEnabled') !== 'false'; // 默认启用
+    if (searchOptimizeEnabled && window.searchOptimizer) {
+        allResults = window.searchOptimizer.optimizeResults(allResults, query);
+    } else {
+        // 降级处理：使用原有的简单排序
+        allResults.sort((a, b) => {
+            // 首先按照视频名称排序
+            const nameCompare = (a.vod_name || '').localeCompare(b.vod_name || '');
+            if (nameCompare !== 0) return nameCompare;
+            
+            // 如果名称相同，则按照来源排序
+            return (a.source_name || '').localeCompare(b.source_name || '');
+        });
+    }
 
-        // 显示结果区域，调整搜索区域
-        document.getElementById('searchArea').classList.remove('flex-1');
-        document.getElementById('searchArea').classList.add('mb-8');
-        document.getElementById('resultsArea').classList.remove('hidden');
+    // 更新搜索结果计数
+    const searchResultsCount = document.getElementById('searchResultsCount');
+    if (searchResultsCount) {
+        searchResultsCount.textContent = allResults.length;
+    }
 
-        // 隐藏豆瓣推荐区域（如果存在）
-        const doubanArea = document.getElementById('doubanArea');
-        if (doubanArea) {
-            doubanArea.classList.add('hidden');
-        }
+    // 显示结果区域，调整搜索区域
+    document.getElementById('searchArea').classList.remove('flex-1');
+    document.getElementById('searchArea').classList.add('mb-8');
+    document.getElementById('resultsArea').classList.remove('hidden');
 
-        const resultsDiv = document.getElementById('results');
-
-        // 如果没有结果
-        if (!allResults || allResults.length === 0) {
-            resultsDiv.innerHTML = `
-                <div class="col-span-full text-center py-16">
-                    <svg class="mx-auto h-12 w-12 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" 
-                              d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                    </svg>
-                    <h3 class="mt-2 text-lg font-medium text-gray-400">没有找到匹配的结果</h3>
-                    <p class="mt-1 text-sm text-gray-500">请尝试其他关键词或更换数据源</p>
-                </div>
-            `;
-            hideLoading();
-            return;
-        }
+    // 隐藏豆瓣推荐区域（如果存在）
+    const doubanArea = document.getElementById('doubanArea');
+    if (doubanArea) {
+        doubanArea.classList.add('hidden');
+    }
 
-        // 有搜索结果时，才更新URL
-        try {
-            // 使用URI编码确保特殊字符能够正确显示
-            const encodedQuery = encodeURIComponent(query);
-            // 使用HTML5 History API更新URL，不刷新页面
+    const resultsDiv = document.getElementById('results');
+
+    // 如果没有结果
+    if (allResults.length === 0) {
+        resultsDiv.innerHTML = `
+            <div class="col-span-full text-center py-16">
+                <svg class="mx-auto h-12 w-12 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" 
+                          d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                <h3 class="mt-2 text-lg font-medium text-gray-400">没有找到匹配的结果</h3>
+                <p class="mt-1 text-sm text-gray-500">请尝试其他关键词或更换数据源</p>
+            </div>
+        `;
+        return;
+    }
+
+    // 有搜索结果时，才更新URL（结果分批到达时只更新一次）
+    try {
+        // 使用URI编码确保特殊字符能够正确显示
+        const searchPath = `/s=${encodeURIComponent(query)}`;
+        // 使用HTML5 History API更新URL，不刷新页面
+        if (window.location.pathname !== searchPath) {
             window.history.pushState(
                 { search: query },
                 `搜索: ${query} - TeslaTV`,
-                `/s=${encodedQuery}`
+                searchPath
             );
-            // 更新页面标题
-            document.title = `搜索: ${query} - TeslaTV`;
-        } catch (e) {
-            console.error('更新浏览器历史失败:', e);
-            // 如果更新URL失败，继续执行搜索
         }
+        // 更新页面标题
+        document.title = `搜索: ${query} - TeslaTV`;
+    } catch (e) {
+        console.error('更新浏览器历史失败:', e);
+        // 如果更新URL失败，继续执行搜索
+    }
 
-        // 处理搜索结果过滤：如果启用了黄色内容过滤，则过滤掉分类含有敏感内容的项目
-        const yellowFilterEnabled = localStorage.getItem('yellowFilterEnabled') === 'true';
-        if (yellowFilterEnabled) {
-            const banned = ['伦理片', '福利', '里番动漫', '门事件', '萝莉少女', '制服诱惑', '国产传媒', 'cosplay', '黑丝诱惑', '无码', '日本无码', '有码', '日本有码', 'SWAG', '网红主播', '色情片', '同性片', '福利视频', '福利片'];
-            allResults = allResults.filter(item => {
-                const typeName = item.type_name || '';
-                return !banned.some(keyword => typeName.includes(keyword));
-            });
-        }
+    // 处理搜索结果过滤：如果启用了黄色内容过滤，则过滤掉分类含有敏感内容的项目
+    const yellowFilterEnabled = localStorage.getItem('yellowFilterEnabled') === 'true';
+    if (yellowFilterEnabled) {
+        const banned = ['伦理片', '福利', '里番动漫', '门事件', '萝莉少女', '制服诱惑', '国产传媒', 'cosplay', '黑丝诱惑', '无码', '日本无码', '有码', '日本有码', 'SWAG', '网红主播', '色情片', '同性片', '福利视频', '福利片'];
+        allResults = allResults.filter(item => {
+            const typeName = item.type_name || '';
+            return !banned.some(keyword => typeName.includes(keyword));
+        });
+    }
 
-        // 检查是否显示搜索评分
-        const showSearchScoreEnabled = localStorage.getItem('showSearchScoreEnabled') === 'true';
-        
-        // 添加XSS保护，使用textContent和属性转义
-        const safeResults = allResults.map(item => {
-            const safeId = item.vod_id ? item.vod_id.toString().replace(/[^\w-]/g, '') : '';
-            const safeName = (item.vod_name || '').toString()
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;')
-                .replace(/"/g, '&quot;');
-            const sourceInfo = item.source_name ?
-                `<span class="bg-[#222] text-xs px-1.5 py-0.5 rounded-full">${item.source_name}</span>` : '';
-            const sourceCode = item.source_code || '';
-
-            // 添加API URL属性，用于详情获取
-            const apiUrlAttr = item.api_url ?
-                `data-api-url="${item.api_url.replace(/"/g, '&quot;')}"` : '';
-
-            // 修改为水平卡片布局，图片在左侧，文本在右侧，并优化样式
-            const hasCover = item.vod_pic && item.vod_pic.startsWith('http');
-
-            return `
-                <div class="card-hover bg-[#111] rounded-lg overflow-hidden cursor-pointer transition-all hover:scale-[1.02] h-full shadow-sm hover:shadow-md" 
-                     onclick="showDetails('${safeId}','${safeName}','${sourceCode}')" ${apiUrlAttr}>
-                    <div class="flex h-full">
-                        ${hasCover ? `
-                        <div class="relative flex-shrink-0 search-card-img-container">
-                            <img src="${item.vod_pic}" alt="${safeName}" 
-                                 class="h-full w-full object-cover transition-transform hover:scale-110" 
-                                 onerror="this.onerror=null; this.src='https://via.placeholder.com/300x450?text=无封面'; this.classList.add('object-contain');" 
-                                 loading="lazy">
-                            <div class="absolute inset-0 bg-gradient-to-r from-black/30 to-transparent"></div>
-                        </div>` : ''}
-                        
-                        <div class="p-2 flex flex-col flex-grow">
-                            <div class="flex-grow">
-                                <h3 class="font-semibold mb-2 break-words line-clamp-2 ${hasCover ? '' : 'text-center'}" title="${safeName}">${safeName}</h3>
-                                
-                                <div class="flex flex-wrap ${hasCover ? '' : 'justify-center'} gap-1 mb-2">
-                                    ${(item.type_name || '').toString().replace(/</g, '&lt;') ?
-                    `<span class="text-xs py-0.5 px-1.5 rounded bg-opacity-20 bg-blue-500 text-blue-300">
-                                          ${(item.type_name || '').toString().replace(/</g, '&lt;')}
-                                      </span>` : ''}
-                                    ${(item.vod_year || '') ?
-                    `<span class="text-xs py-0.5 px-1.5 rounded bg-opacity-20 bg-purple-500 text-purple-300">
-                                          ${item.vod_year}
-                                      </span>` : ''}
-                                </div>
-                                <p class="text-gray-400 line-clamp-2 overflow-hidden ${hasCover ? '' : 'text-center'} mb-2">
-                                    ${(item.vod_remarks || '暂无介绍').toString().replace(/</g, '&lt;')}
-                                </p>
-                                
-                                ${(showSearchScoreEnabled && item.relevanceScore) ? `
-                                <div class="mb-2">
-                                    <div class="flex items-center gap-2 text-xs">
-                                        <span class="text-green-400">匹配度: ${item.relevanceScore}分</span>
-                                        ${item.matchDetails ? `
-                                            ${item.matchDetails.titleMatch ? '<span class="bg-green-500/20 text-green-300 px-1 rounded">标题</span>' : ''}
-                                            ${item.matchDetails.actorMatch ? '<span class="bg-blue-500/20 text-blue-300 px-1 rounded">演员</span>' : ''}
-                                            ${item.matchDetails.directorMatch ? '<span class="bg-purple-500/20 text-purple-300 px-1 rounded">导演</span>' : ''}
-                                            ${item.matchDetails.yearMatch ? '<span class="bg-yellow-500/20 text-yellow-300 px-1 rounded">年份</span>' : ''}
-                                            ${item.matchDetails.typeMatch ? '<span class="bg-pink-500/20 text-pink-300 px-1 rounded">类型</span>' : ''}
-                                        ` : ''}
-                                    </div>
-                                </div>
-                                ` : ''}
+    // 儿童账户按服务端下发的内容规则过滤（服务端聚合搜索也会过滤，这里覆盖浏览器直连的情况）
+    const currentUser = window.getCurrentUser ? window.getCurrentUser() : null;
+    if (currentUser && currentUser.role === 'kid' && currentUser.contentRules) {
+        const { blockedTypes = [], blockedKeywords = [] } = currentUser.contentRules;
+        allResults = allResults.filter(item => {
+            const typeName = item.type_name || '';
+            const name = item.vod_name || '';
+            return !blockedTypes.some(type => typeName.includes(type)) &&
+                !blockedKeywords.some(keyword => name.includes(keyword) || typeName.includes(keyword));
+        });
+    }
+
+    // 检查是否显示搜索评分
+    const showSearchScoreEnabled = localStorage.getItem('showSearchScoreEnabled') === 'true';
+    
+    // 添加XSS保护，使用textContent和属性转义
+    const safeResults = allResults.map(item => {
+        const safeId = item.vod_id ? item.vod_id.toString().replace(/[^\w-]/g, '') : '';
+        const safeName = (item.vod_name || '').toString()
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const sourceInfo = item.source_name ?
+            `<span class="bg-[#222] text-xs px-1.5 py-0.5 rounded-full">${item.source_name}</span>` : '';
+        const sourceCode = item.source_code || '';
+
+        // 添加API URL属性，用于详情获取
+        const apiUrlAttr = item.api_url ?
+            `data-api-url="${item.api_url.replace(/"/g, '&quot;')}"` : '';
+
+        // 修改为水平卡片布局，图片在左侧，文本在右侧，并优化样式
+        const hasCover = item.vod_pic && item.vod_pic.startsWith('http');
+
+        return `
+            <div class="card-hover bg-[#111] rounded-lg overflow-hidden cursor-pointer transition-all hover:scale-[1.02] h-full shadow-sm hover:shadow-md" 
+                 onclick="showDetails('${safeId}','${safeName}','${sourceCode}')" ${apiUrlAttr}>
+                <div class="flex h-full">
+                    ${hasCover ? `
+                    <div class="relative flex-shrink-0 search-card-img-container">
+                        <img src="${item.vod_pic}" alt="${safeName}" 
+                             class="h-full w-full object-cover transition-transform hover:scale-110" 
+                             onerror="this.onerror=null; this.src='https://via.placeholder.com/300x450?text=无封面'; this.classList.add('object-contain');" 
+                             loading="lazy">
+                        <div class="absolute inset-0 bg-gradient-to-r from-black/30 to-transparent"></div>
+                    </div>` : ''}
+                    
+                    <div class="p-2 flex flex-col flex-grow">
+                        <div class="flex-grow">
+                            <h3 class="font-semibold mb-2 break-words line-clamp-2 ${hasCover ? '' : 'text-center'}" title="${safeName}">${safeName}</h3>
+                            
+                            <div class="flex flex-wrap ${hasCover ? '' : 'justify-center'} gap-1 mb-2">
+                                ${(item.type_name || '').toString().replace(/</g, '&lt;') ?
+                `<span class="text-xs py-0.5 px-1.5 rounded bg-opacity-20 bg-blue-500 text-blue-300">
+                                      ${(item.type_name || '').toString().replace(/</g, '&lt;')}
+                                  </span>` : ''}
+                                ${(item.vod_year || '') ?
+                `<span class="text-xs py-0.5 px-1.5 rounded bg-opacity-20 bg-purple-500 text-purple-300">
+                                      ${item.vod_year}
+                                  </span>` : ''}
                             </div>
+                            <p class="text-gray-400 line-clamp-2 overflow-hidden ${hasCover ? '' : 'text-center'} mb-2">
+                                ${(item.vod_remarks || '暂无介绍').toString().replace(/</g, '&lt;')}
+                            </p>
                             
-                            <div class="flex justify-between items-center mt-1 pt-1 border-t border-gray-800">
-                                ${sourceInfo ? `<div>${sourceInfo}</div>` : '<div></div>'}
-                                <!-- 接口名称过长会被挤变形
-                                <div>
-                                    <span class="text-gray-500 flex items-center hover:text-blue-400 transition-colors">
-                                        <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
-                                        </svg>
-                                        播放
-                                    </span>
+                            ${(showSearchScoreEnabled && item.relevanceScore) ? `
+                            <div class="mb-2">
+                                <div class="flex items-center gap-2 text-xs">
+                                    <span class="text-green-400">匹配度: ${item.relevanceScore}分</span>
+                                    ${item.matchDetails ? `
+                                        ${item.matchDetails.titleMatch ? '<span class="bg-green-500/20 text-green-300 px-1 rounded">标题</span>' : ''}
+                                        ${item.matchDetails.actorMatch ? '<span class="bg-blue-500/20 text-blue-300 px-1 rounded">演员</span>' : ''}
+                                        ${item.matchDetails.directorMatch ? '<span class="bg-purple-500/20 text-purple-300 px-1 rounded">导演</span>' : ''}
+                                        ${item.matchDetails.yearMatch ? '<span class="bg-yellow-500/20 text-yellow-300 px-1 rounded">年份</span>' : ''}
+                                        ${item.matchDetails.typeMatch ? '<span class="bg-pink-500/20 text-pink-300 px-1 rounded">类型</span>' : ''}
+                                    ` : ''}
                                 </div>
-                                -->
                             </div>
+                            ` : ''}
+                        </div>
+                        
+                        <div class="flex justify-between items-center mt-1 pt-1 border-t border-gray-800">
+                            ${sourceInfo ? `<div>${sourceInfo}</div>` : '<div></div>'}
+                            <!-- 接口名称过长会被挤变形
+                            <div>
+                                <span class="text-gray-500 flex items-center hover:text-blue-400 transition-colors">
+                                    <svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
+                                    </svg>
+                                    播放
+                                </span>
+                            </div>
+                            -->
                         </div>
                     </div>
                 </div>
+            </div>
+        `;
+    }).join('');
+
+    resultsDiv.innerHTML = safeResults;
+    
+    // 显示搜索建议（如果启用了搜索优化器和搜索优化功能）
+    if (searchOptimizeEnabled && window.searchOptimizer && allResults.length > 0) {
+        const suggestions = window.searchOptimizer.getSearchSuggestions(query, allResults);
+        if (suggestions.length > 0) {
+            const suggestionsHtml = `
+                <div class="mt-6 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+                    <h4 class="text-blue-300 font-medium mb-2 flex items-center">
+                        <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                        </svg>
+                        搜索建议
+                    </h4>
+                    <ul class="text-sm text-blue-200 space-y-1">
+                        ${suggestions.map(suggestion => `<li>• ${suggestion}</li>`).join('')}
+                    </ul>
+                </div>
             `;
-        }).join('');
-
-        resultsDiv.innerHTML = safeResults;
-        
-        // 显示搜索建议（如果启用了搜索优化器和搜索优化功能）
-        if (searchOptimizeEnabled && window.searchOptimizer && allResults.length > 0) {
-            const suggestions = window.searchOptimizer.getSearchSuggestions(query, allResults);
-            if (suggestions.length > 0) {
-                const suggestionsHtml = `
-                    <div class="mt-6 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg">
-                        <h4 class="text-blue-300 font-medium mb-2 flex items-center">
-                            <svg class="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-                            </svg>
-                            搜索建议
-                        </h4>
-                        <ul class="text-sm text-blue-200 space-y-1">
-                            ${suggestions.map(suggestion => `<li>• ${suggestion}</li>`).join('')}
-                        </ul>
-                    </div>
-                `;
-                resultsDiv.innerHTML += suggestionsHtml;
-            }
+            resultsDiv.innerHTML += suggestionsHtml;
         }
-    } catch (error) {
-        console.error('搜索错误:', error);
-        if (error.name === 'AbortError') {
-            showToast('搜索请求超时，请检查网络连接', 'error');
-        } else {
-            showToast('搜索请求失败，请稍后重试', 'error');
-        }
-    } finally {
-        hideLoading();
     }
 }
 
@@ -1361,37 +1420,7 @@ async function importConfigFromUrl() {
         showLoading('正在从URL导入配置...');
 
         try {
-            // 获取配置文件 - 直接请求URL
-            const response = await fetch(url, {
-                mode: 'cors',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-            if (!response.ok) throw '获取配置文件失败';
-
-            // 验证响应内容类型
-            const contentType = response.headers.get('content-type');
-            if (!contentType || !contentType.includes('application/json')) {
-                throw '响应不是有效的JSON格式';
-            }
-
-            const config = await response.json();
-            if (config.name !== 'TeslaTV-Settings') throw '配置文件格式不正确';
-
-            // 验证哈希
-            const dataHash = await sha256(JSON.stringify(config.data));
-            if (dataHash !== config.hash) throw '配置文件哈希值不匹配';
-
-            // 导入配置
-            for (let item in config.data) {
-                localStorage.setItem(item, config.data[item]);
-            }
-
-            showToast('配置文件导入成功，3 秒后自动刷新本页面。', 'success');
-            setTimeout(() => {
-                window.location.reload();
-            }, 3000);
+            await loadConfigFromUrl(url);
         } catch (error) {
             const message = typeof error === 'string' ? error : '导入配置失败';
             showToast(`从URL导入配置出错 (${message})`, 'error');
@@ -1409,6 +1438,31 @@ async function importConfigFromUrl() {
     });
 }
 
+// 读取URL上的配置文件并进入选择性导入（从URL导入与传输码共用），失败时抛出错误信息字符串
+async function loadConfigFromUrl(url) {
+    // 获取配置文件 - 直接请求URL
+    const response = await fetch(url, {
+        mode: 'cors',
+        headers: {
+            'Accept': 'application/json'
+        }
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw typeof data.error === 'string' ? data.error : '获取配置文件失败';
+    }
+
+    // 验证响应内容类型
+    const contentType = response.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+        throw '响应不是有效的JSON格式';
+    }
+
+    const config = await response.json();
+    hideLoading();
+    await startConfigImport(config);
+}
+
 // 配置文件导入功能
 async function importConfig() {
     showImportBox(async (file) => {
@@ -1429,21 +1483,9 @@ async function importConfig() {
 
             // 解析并验证配置
             const config = JSON.parse(content);
-            if (config.name !== 'TeslaTV-Settings') throw '配置文件格式不正确';
-
-            // 验证哈希
-            const dataHash = await sha256(JSON.stringify(config.data));
-            if (dataHash !== config.hash) throw '配置文件哈希值不匹配';
-
-            // 导入配置
-            for (let item in config.data) {
-                localStorage.setItem(item, config.data[item]);
-            }
-
-            showToast('配置文件导入成功，3 秒后自动刷新本页面。', 'success');
-            setTimeout(() => {
-                window.location.reload();
-            }, 3000);
+            const importBox = document.getElementById('showImportBoxModal');
+            if (importBox) document.body.removeChild(importBox);
+            await startConfigImport(config);
         } catch (error) {
             const message = typeof error === 'string' ? error : '配置文件格式错误';
             showToast(`配置文件读取出错 (${message})`, 'error');
@@ -1452,48 +1494,8 @@ async function importConfig() {
 }
 
 // 配置文件导出功能
-async function exportConfig() {
-    // 存储配置数据
-    const config = {};
-    const items = {};
-
-    const settingsToExport = [
-        'selectedAPIs',
-        'customAPIs',
-        'yellowFilterEnabled',
-        'adFilteringEnabled',
-        'doubanEnabled',
-        'hasInitializedDefaults'
-    ];
-
-    // 导出设置项
-    settingsToExport.forEach(key => {
-        const value = localStorage.getItem(key);
-        if (value !== null) {
-            items[key] = value;
-        }
-    });
-
-    // 导出历史记录
-    const viewingHistory = localStorage.getItem('viewingHistory');
-    if (viewingHistory) {
-        items['viewingHistory'] = viewingHistory;
-    }
-
-    const searchHistory = localStorage.getItem(SEARCH_HISTORY_KEY);
-    if (searchHistory) {
-        items[SEARCH_HISTORY_KEY] = searchHistory;
-    }
-
-    const times = Date.now().toString();
-    config['name'] = 'TeslaTV-Settings';  // 配置文件名，用于校验
-    config['time'] = times;               // 配置文件生成时间
-    config['cfgVer'] = '1.0.0';           // 配置文件版本
-    config['data'] = items;               // 配置文件数据
-    config['hash'] = await sha256(JSON.stringify(config['data']));  // 计算数据的哈希值，用于校验
-
-    // 将配置数据保存为 JSON 文件
-    saveStringAsFile(JSON.stringify(config), 'TeslaTV-Settings_' + times + '.json');
+function exportConfig() {
+    showConfigExportDialog();
 }
 
 // 将字符串保存为文件
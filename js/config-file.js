@@ -0,0 +1,471 @@
+/**
+ * 配置文件（TeslaTV-Settings）的生成、校验、加密与导入
+ * 导出文件、从URL导入与 WebDAV 备份共用同一格式：
+ *   { name, time, cfgVer, data, hash }，data 为 localStorage 原始值，hash 为 data 的 SHA-256。
+ * 设置口令后导出为加密文件：data 以 AES-GCM 加密（密钥由口令经 PBKDF2 派生）后放在 ciphertext 中，
+ * hash 改为对 ciphertext 计算。旧版本的文件导入前按 CONFIG_MIGRATIONS 逐级升级到当前版本。
+ */
+
+const CONFIG_FILE_NAME = 'TeslaTV-Settings';
+const CONFIG_FILE_VERSION = '2.0.0';
+const CONFIG_KDF_ITERATIONS = 250000;
+// 导入时允许的最大迭代次数：迭代次数取自文件本身，过大的值会让页面长时间卡在解密上
+const CONFIG_KDF_MAX_ITERATIONS = 2000000;
+const CONFIG_MAX_VIEWING_HISTORY = 50;
+
+// 可以选择性导入的分类及其包含的 localStorage 项
+const CONFIG_CATEGORIES = {
+    settings: {
+        label: '设置',
+        keys: ['yellowFilterEnabled', 'adFilteringEnabled', 'adFilterRules', 'adFilterSubscriptions', 'trackLanguagePreferences', 'doubanEnabled', 'hasInitializedDefaults']
+    },
+    sources: {
+        label: '数据源',
+        keys: ['selectedAPIs', 'customAPIs']
+    },
+    viewingHistory: {
+        label: '观看历史',
+        keys: ['viewingHistory']
+    },
+    searchHistory: {
+        label: '搜索历史',
+        keys: [SEARCH_HISTORY_KEY]
+    }
+};
+
+// 按来源版本升级配置数据，每一步返回 { cfgVer, data }
+const CONFIG_MIGRATIONS = {
+    // 1.0.0：搜索历史可能是旧的字符串数组，观看历史条目可能缺少 showIdentifier
+    '1.0.0': (data) => {
+        const migrated = { ...data };
+        if (migrated[SEARCH_HISTORY_KEY] !== undefined) {
+            const list = parseConfigList(migrated[SEARCH_HISTORY_KEY])
+                .map(item => typeof item === 'string' ? { text: item, timestamp: 0 } : item)
+                .filter(item => item && item.text);
+            migrated[SEARCH_HISTORY_KEY] = JSON.stringify(list);
+        }
+        if (migrated.viewingHistory !== undefined) {
+            const list = parseConfigList(migrated.viewingHistory)
+                .filter(item => item && typeof item === 'object')
+                .map(item => item.showIdentifier ? item : { ...item, showIdentifier: getHistoryShowIdentifier(item) });
+            migrated.viewingHistory = JSON.stringify(list);
+        }
+        return { cfgVer: '2.0.0', data: migrated };
+    }
+};
+
+function parseConfigList(value) {
+    try {
+        const list = JSON.parse(value || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// 与 addToViewingHistory 生成 showIdentifier 的规则一致
+function getHistoryShowIdentifier(item) {
+    if (item.showIdentifier) return item.showIdentifier;
+    if (item.sourceName && item.vod_id) return `${item.sourceName}_${item.vod_id}`;
+    return (Array.isArray(item.episodes) && item.episodes.length > 0 ? item.episodes[0] : item.directVideoUrl) || item.title || '';
+}
+
+function isEncryptedConfig(config) {
+    return Boolean(config && config.encryption && typeof config.ciphertext === 'string');
+}
+
+// 生成配置文件内容（导出文件、WebDAV 备份与二维码传输共用），keys 默认为全部分类
+async function buildConfigPayload(keys = Object.values(CONFIG_CATEGORIES).flatMap(category => category.keys)) {
+    const items = {};
+    keys.forEach(key => {
+        const value = localStorage.getItem(key);
+        if (value !== null) {
+            items[key] = value;
+        }
+    });
+
+    return {
+        name: CONFIG_FILE_NAME,                 // 配置文件名，用于校验
+        time: Date.now().toString(),            // 配置文件生成时间
+        cfgVer: CONFIG_FILE_VERSION,            // 配置文件版本
+        data: items,                            // 配置文件数据
+        hash: await sha256(JSON.stringify(items))  // 数据的哈希值，用于校验
+    };
+}
+
+// 校验配置文件（导入文件、从URL导入与 WebDAV 恢复共用），不合法时抛出错误信息字符串
+async function verifyConfigPayload(config) {
+    if (!config || config.name !== CONFIG_FILE_NAME) throw '配置文件格式不正确';
+
+    // 验证哈希（加密文件校验密文）
+    const hashed = isEncryptedConfig(config) ? config.ciphertext : JSON.stringify(config.data);
+    const dataHash = await sha256(hashed);
+    if (dataHash !== config.hash) throw '配置文件哈希值不匹配';
+}
+
+/**
+ * 把配置数据升级到当前版本，返回新的配置对象（不修改传入的对象）
+ */
+function migrateConfigPayload(config) {
+    let cfgVer = config.cfgVer || '1.0.0';
+    let data = config.data || {};
+    while (cfgVer !== CONFIG_FILE_VERSION) {
+        const migrate = CONFIG_MIGRATIONS[cfgVer];
+        if (!migrate) throw `不支持的配置文件版本 ${cfgVer}`;
+        ({ cfgVer, data } = migrate(data));
+    }
+    return { ...config, cfgVer, data };
+}
+
+// 导入配置数据（只覆盖配置文件中包含的项），WebDAV 恢复使用
+function applyConfigPayload(config) {
+    const { data } = migrateConfigPayload(config);
+    for (let item in data) {
+        localStorage.setItem(item, data[item]);
+    }
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function requireWebCrypto() {
+    if (!(window.crypto && crypto.subtle)) throw '当前浏览器不支持加密（需要 HTTPS 访问）';
+}
+
+async function deriveConfigKey(passphrase, salt, iterations, usage) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        [usage]
+    );
+}
+
+/**
+ * 用口令加密配置文件，返回不含明文 data 的加密配置
+ */
+async function encryptConfigPayload(config, passphrase) {
+    requireWebCrypto();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveConfigKey(passphrase, salt, CONFIG_KDF_ITERATIONS, 'encrypt');
+    const plaintext = new TextEncoder().encode(JSON.stringify(config.data));
+    const ciphertext = bytesToBase64(new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext)));
+
+    return {
+        name: config.name,
+        time: config.time,
+        cfgVer: config.cfgVer,
+        encryption: {
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2-SHA256',
+            iterations: CONFIG_KDF_ITERATIONS,
+            salt: bytesToBase64(salt),
+            iv: bytesToBase64(iv)
+        },
+        ciphertext,
+        hash: await sha256(ciphertext)
+    };
+}
+
+/**
+ * 解密配置文件，返回带明文 data 的配置；口令错误时抛出错误信息字符串
+ */
+async function decryptConfigPayload(config, passphrase) {
+    requireWebCrypto();
+    const { algorithm, kdf, iterations, salt, iv } = config.encryption;
+    if (algorithm !== 'AES-GCM' || kdf !== 'PBKDF2-SHA256') throw '不支持的加密方式';
+    if (!Number.isSafeInteger(iterations) || iterations < 1 || iterations > CONFIG_KDF_MAX_ITERATIONS) throw '不支持的加密参数';
+
+    let data;
+    try {
+        const key = await deriveConfigKey(passphrase, base64ToBytes(salt), iterations, 'decrypt');
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(config.ciphertext));
+        data = JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (e) {
+        throw '口令错误或文件已损坏';
+    }
+
+    const { encryption, ciphertext, ...rest } = config;
+    return { ...rest, data, hash: await sha256(JSON.stringify(data)) };
+}
+
+// 合并数据源：自定义API按 URL 去重，已选列表中的 custom_N 按合并后的下标重新编号
+function mergeSourceData(localData, fileData) {
+    const localApis = parseConfigList(localData.customAPIs);
+    const fileApis = parseConfigList(fileData.customAPIs);
+    const indexMap = {};
+    fileApis.forEach((api, index) => {
+        let localIndex = localApis.findIndex(item => item && api && item.url === api.url);
+        if (localIndex === -1) {
+            localApis.push(api);
+            localIndex = localApis.length - 1;
+        }
+        indexMap[index] = localIndex;
+    });
+
+    const selected = parseConfigList(localData.selectedAPIs);
+    parseConfigList(fileData.selectedAPIs).forEach(id => {
+        let mapped = id;
+        if (typeof id === 'string' && id.startsWith('custom_')) {
+            const localIndex = indexMap[parseInt(id.replace('custom_', ''))];
+            if (localIndex === undefined) return;
+            mapped = 'custom_' + localIndex;
+        }
+        if (!selected.includes(mapped)) selected.push(mapped);
+    });
+
+    return { selectedAPIs: JSON.stringify(selected), customAPIs: JSON.stringify(localApis) };
+}
+
+// 按 keyOf 去重合并两个列表，同一条目保留 timestamp 较新的一份，按时间倒序
+function mergeTimestampedLists(localList, fileList, keyOf, limit) {
+    const merged = new Map();
+    [...localList, ...fileList].forEach(item => {
+        if (!item || typeof item !== 'object') return;
+        const key = keyOf(item);
+        const existing = merged.get(key);
+        if (!existing || (item.timestamp || 0) > (existing.timestamp || 0)) {
+            merged.set(key, item);
+        }
+    });
+    return Array.from(merged.values())
+        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+        .slice(0, limit);
+}
+
+/**
+ * 计算某个分类导入后的 localStorage 值
+ * merge：与本机数据合并（设置项只覆盖文件中包含的项）；replace：整个分类替换为文件内容，文件中没有的项被删除
+ * @returns {Object<string, string|null>} 值为 null 表示删除该项
+ */
+function resolveConfigCategory(category, mode, localData, fileData) {
+    const keys = CONFIG_CATEGORIES[category].keys;
+    const result = {};
+
+    if (mode === 'replace') {
+        keys.forEach(key => {
+            result[key] = fileData[key] === undefined ? null : fileData[key];
+        });
+        return result;
+    }
+
+    if (category === 'sources') {
+        return mergeSourceData(localData, fileData);
+    }
+    if (category === 'viewingHistory') {
+        const list = mergeTimestampedLists(parseConfigList(localData.viewingHistory), parseConfigList(fileData.viewingHistory),
+            getHistoryShowIdentifier, CONFIG_MAX_VIEWING_HISTORY);
+        return { viewingHistory: JSON.stringify(list) };
+    }
+    if (category === 'searchHistory') {
+        const toEntries = (value) => parseConfigList(value).map(item => typeof item === 'string' ? { text: item, timestamp: 0 } : item);
+        const list = mergeTimestampedLists(toEntries(localData[SEARCH_HISTORY_KEY]), toEntries(fileData[SEARCH_HISTORY_KEY]),
+            item => item.text, MAX_HISTORY_ITEMS);
+        return { [SEARCH_HISTORY_KEY]: JSON.stringify(list) };
+    }
+
+    keys.forEach(key => {
+        if (fileData[key] !== undefined) result[key] = fileData[key];
+    });
+    return result;
+}
+
+/**
+ * 按所选分类与方式导入配置
+ * @param {Object} config - 已解密并升级到当前版本的配置
+ * @param {Object<string, 'merge'|'replace'>} selection - 要导入的分类
+ */
+function applyConfigSelection(config, selection) {
+    const localData = {};
+    Object.values(CONFIG_CATEGORIES).forEach(category => {
+        category.keys.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) localData[key] = value;
+        });
+    });
+
+    Object.entries(selection).forEach(([category, mode]) => {
+        const values = resolveConfigCategory(category, mode, localData, config.data);
+        Object.entries(values).forEach(([key, value]) => {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
+            }
+        });
+    });
+}
+
+function describeConfigCategory(category, data) {
+    const keys = CONFIG_CATEGORIES[category].keys.filter(key => data[key] !== undefined);
+    if (keys.length === 0) return null;
+    if (category === 'settings') return `${keys.length} 项`;
+    const listKey = category === 'sources' ? 'customAPIs' : keys[0];
+    const count = parseConfigList(data[listKey]).length;
+    return category === 'sources' ? `${count} 个自定义API` : `${count} 条`;
+}
+
+function createConfigModal(id, html) {
+    let modal = document.getElementById(id);
+    if (modal) {
+        document.body.removeChild(modal);
+    }
+    modal = document.createElement('div');
+    modal.id = id;
+    modal.className = 'fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-40';
+    modal.innerHTML = `<div class="bg-[#191919] rounded-lg p-6 max-w-md w-full max-h-[90vh] overflow-y-auto relative">${html}</div>`;
+    document.body.appendChild(modal);
+
+    const close = () => {
+        if (modal.parentNode) document.body.removeChild(modal);
+    };
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    return { modal, close };
+}
+
+/**
+ * 导出配置：可选填写口令加密
+ */
+function showConfigExportDialog() {
+    const { close } = createConfigModal('configExportModal', `
+        <h3 class="text-xl font-bold mb-4">导出配置</h3>
+        <input type="password" id="configExportPassphrase" placeholder="加密口令（留空则不加密）" autocomplete="new-password"
+               class="w-full px-3 py-2 mb-2 bg-[#222] border border-[#333] rounded-lg text-white focus:outline-none focus:ring-1 focus:ring-blue-500">
+        <input type="password" id="configExportPassphraseConfirm" placeholder="再次输入口令" autocomplete="new-password"
+               class="w-full px-3 py-2 mb-2 bg-[#222] border border-[#333] rounded-lg text-white focus:outline-none focus:ring-1 focus:ring-blue-500">
+        <p class="text-xs text-gray-500 mb-4">加密后导入时需要输入同一口令，口令遗失将无法恢复。</p>
+        <div class="flex justify-end space-x-2">
+            <button id="confirmConfigExport" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded">导出</button>
+            <button id="cancelConfigExport" class="bg-[#444] hover:bg-[#555] text-white px-4 py-2 rounded">取消</button>
+        </div>`);
+
+    document.getElementById('cancelConfigExport').addEventListener('click', close);
+    document.getElementById('confirmConfigExport').addEventListener('click', async () => {
+        const passphrase = document.getElementById('configExportPassphrase').value;
+        if (passphrase !== document.getElementById('configExportPassphraseConfirm').value) {
+            showToast('两次输入的口令不一致', 'warning');
+            return;
+        }
+        try {
+            let config = await buildConfigPayload();
+            if (passphrase) {
+                config = await encryptConfigPayload(config, passphrase);
+            }
+            // 将配置数据保存为 JSON 文件
+            saveStringAsFile(JSON.stringify(config), CONFIG_FILE_NAME + '_' + config.time + '.json');
+            close();
+        } catch (error) {
+            const message = typeof error === 'string' ? error : '导出失败';
+            showToast(`导出配置出错 (${message})`, 'error');
+        }
+    });
+}
+
+// 加密文件导入前输入口令，返回解密后的配置；取消时返回 null
+function promptConfigPassphrase(config) {
+    return new Promise((resolve) => {
+        const { close } = createConfigModal('configPassphraseModal', `
+            <h3 class="text-xl font-bold mb-4">输入口令</h3>
+            <p class="text-xs text-gray-400 mb-2">该配置文件已加密，请输入导出时设置的口令。</p>
+            <input type="password" id="configImportPassphrase" autocomplete="off"
+                   class="w-full px-3 py-2 mb-4 bg-[#222] border border-[#333] rounded-lg text-white focus:outline-none focus:ring-1 focus:ring-blue-500">
+            <div class="flex justify-end space-x-2">
+                <button id="confirmConfigPassphrase" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded">解密</button>
+                <button id="cancelConfigPassphrase" class="bg-[#444] hover:bg-[#555] text-white px-4 py-2 rounded">取消</button>
+            </div>`);
+
+        document.getElementById('cancelConfigPassphrase').addEventListener('click', () => {
+            close();
+            resolve(null);
+        });
+        document.getElementById('confirmConfigPassphrase').addEventListener('click', async () => {
+            try {
+                const decrypted = await decryptConfigPayload(config, document.getElementById('configImportPassphrase').value);
+                close();
+                resolve(decrypted);
+            } catch (error) {
+                showToast(typeof error === 'string' ? error : '解密失败', 'error');
+            }
+        });
+    });
+}
+
+/**
+ * 导入配置（导入文件与从URL导入共用）：校验、解密、升级版本后显示选择性导入对话框
+ */
+async function startConfigImport(config) {
+    await verifyConfigPayload(config);
+    if (isEncryptedConfig(config)) {
+        config = await promptConfigPassphrase(config);
+        if (!config) return;
+    }
+    config = migrateConfigPayload(config);
+
+    const rows = Object.keys(CONFIG_CATEGORIES)
+        .map(category => ({ category, summary: describeConfigCategory(category, config.data) }))
+        .filter(row => row.summary !== null);
+    if (rows.length === 0) throw '配置文件中没有可导入的内容';
+
+    const { close } = createConfigModal('configImportModal', `
+        <h3 class="text-xl font-bold mb-2">选择导入内容</h3>
+        <p class="text-xs text-gray-400 mb-4">合并：保留本机数据并加入文件中的内容，历史记录按节目去重；替换：用文件内容覆盖本机该分类。</p>
+        <ul id="configImportCategories" class="text-sm space-y-2 mb-4"></ul>
+        <div class="flex justify-end space-x-2">
+            <button id="confirmConfigImport" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded">导入</button>
+            <button id="cancelConfigImport" class="bg-[#444] hover:bg-[#555] text-white px-4 py-2 rounded">取消</button>
+        </div>`);
+
+    const list = document.getElementById('configImportCategories');
+    rows.forEach(({ category, summary }) => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center justify-between p-2 bg-[#222] rounded';
+        item.innerHTML = `
+            <label class="flex items-center space-x-2">
+                <input type="checkbox" data-category="${category}" checked class="form-checkbox h-4 w-4 text-blue-600 bg-[#222] border border-[#333]">
+                <span class="text-white"></span>
+                <span class="text-xs text-gray-400"></span>
+            </label>
+            <select data-mode="${category}" class="bg-[#111] border border-[#333] text-white px-2 py-1 rounded text-xs">
+                <option value="merge">合并</option>
+                <option value="replace">替换</option>
+            </select>`;
+        const labels = item.querySelectorAll('label span');
+        labels[0].textContent = CONFIG_CATEGORIES[category].label;
+        labels[1].textContent = summary;
+        list.appendChild(item);
+    });
+
+    document.getElementById('cancelConfigImport').addEventListener('click', close);
+    document.getElementById('confirmConfigImport').addEventListener('click', () => {
+        const selection = {};
+        list.querySelectorAll('input[data-category]:checked').forEach(input => {
+            const category = input.dataset.category;
+            selection[category] = list.querySelector(`select[data-mode="${category}"]`).value;
+        });
+        if (Object.keys(selection).length === 0) {
+            showToast('请至少选择一项', 'warning');
+            return;
+        }
+
+        applyConfigSelection(config, selection);
+        close();
+        showToast('配置文件导入成功，3 秒后自动刷新本页面。', 'success');
+        setTimeout(() => {
+            window.location.reload();
+        }, 3000);
+    });
+}
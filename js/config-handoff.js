@@ -0,0 +1,209 @@
+/**
+ * 二维码传输配置
+ * 在车机触摸屏上输入 API 地址很不方便，这里把数据源、自定义API与过滤开关打包成精简的配置文件（可选口令加密）：
+ * - 服务端支持 /api/handoff 时，配置暂存在服务端，二维码与链接只包含 8 位传输码，车机输入传输码或打开链接即可导入；
+ * - 不支持时（Netlify 或未配置存储），配置直接编码在链接的 #config= 片段中，只能扫码导入，且不会发送到服务端。
+ * 二维码由本地的 libs/qrcode.min.js 生成，不依赖外部服务。导入沿用“从URL导入”的选择性导入流程。
+ */
+
+const HANDOFF_CONFIG_KEYS = ['selectedAPIs', 'customAPIs', 'yellowFilterEnabled', 'adFilteringEnabled'];
+// 直接编码在链接中的配置长度上限，超过后二维码过于密集，车机屏幕上难以识别
+const HANDOFF_INLINE_MAX_LENGTH = 1800;
+
+function encodeHandoffBundle(config) {
+    return bytesToBase64(new TextEncoder().encode(JSON.stringify(config)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeHandoffBundle(text) {
+    const bytes = base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function formatHandoffCode(code) {
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+/**
+ * 把配置暂存到服务端，返回 { code, expiresAt }；当前部署不支持时返回 null
+ */
+async function createConfigHandoff(config) {
+    let response;
+    try {
+        response = await fetch('/api/handoff', {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(config)
+        });
+    } catch (error) {
+        return null;
+    }
+    // 未设置密码的部署无法登录，同样退回到把配置编码在链接中
+    if (response.status === 401 || response.status === 404 || response.status === 501) return null;
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw data.error || `HTTP ${response.status}`;
+    return data;
+}
+
+function renderHandoffQrCode(container, text) {
+    const qr = qrcode(0, 'M');
+    qr.addData(text);
+    qr.make();
+    container.innerHTML = qr.createSvgTag({ cellSize: 4, margin: 4, scalable: true });
+}
+
+/**
+ * 显示传输配置的二维码与传输码
+ */
+function showConfigHandoffDialog() {
+    let modal = document.getElementById('configHandoffModal');
+    if (modal) {
+        document.body.removeChild(modal);
+    }
+    modal = document.createElement('div');
+    modal.id = 'configHandoffModal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-40';
+    modal.innerHTML = `
+        <div class="bg-[#191919] rounded-lg p-6 max-w-md w-full max-h-[90vh] overflow-y-auto relative">
+            <button id="closeHandoffModal" class="absolute top-4 right-4 text-gray-400 hover:text-white text-xl">&times;</button>
+            <h3 class="text-xl font-bold mb-2">二维码传输配置</h3>
+            <p class="text-xs text-gray-400 mb-4">传输已选数据源、自定义API与过滤开关，不包含观看历史。</p>
+            <div id="handoffForm">
+                <input type="password" id="handoffPassphrase" placeholder="加密口令（可选）" autocomplete="new-password"
+                       class="w-full px-3 py-2 mb-4 bg-[#222] border border-[#333] rounded-lg text-white focus:outline-none focus:ring-1 focus:ring-blue-500">
+                <div class="flex justify-end">
+                    <button id="createHandoff" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded">生成二维码</button>
+                </div>
+            </div>
+            <div id="handoffResult" class="hidden text-center">
+                <div id="handoffQrCode" class="mx-auto mb-4 w-56 h-56 bg-white rounded"></div>
+                <div id="handoffCode" class="text-3xl font-mono tracking-widest text-white mb-2"></div>
+                <p id="handoffHint" class="text-xs text-gray-400 break-all"></p>
+            </div>
+        </div>`;
+    document.body.appendChild(modal);
+
+    const close = () => {
+        if (modal.parentNode) document.body.removeChild(modal);
+    };
+    document.getElementById('closeHandoffModal').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    document.getElementById('createHandoff').addEventListener('click', async () => {
+        const passphrase = document.getElementById('handoffPassphrase').value;
+        showLoading('正在生成二维码...');
+        try {
+            let config = await buildConfigPayload(HANDOFF_CONFIG_KEYS);
+            if (passphrase) {
+                config = await encryptConfigPayload(config, passphrase);
+            }
+
+            const handoff = await createConfigHandoff(config);
+            let link;
+            let hint;
+            if (handoff) {
+                link = `${window.location.origin}/?handoff=${handoff.code}`;
+                document.getElementById('handoffCode').textContent = formatHandoffCode(handoff.code);
+                const minutes = Math.max(1, Math.round((handoff.expiresAt - Date.now()) / 60000));
+                hint = `${minutes} 分钟内有效。车机在「导入配置」中输入传输码，或用手机扫描二维码。`;
+            } else {
+                link = `${window.location.origin}/#config=${encodeHandoffBundle(config)}`;
+                if (link.length > HANDOFF_INLINE_MAX_LENGTH) throw '配置过大，无法生成二维码，请使用导出配置';
+                hint = '当前部署不支持传输码，请用手机扫描二维码导入。';
+            }
+
+            renderHandoffQrCode(document.getElementById('handoffQrCode'), link);
+            document.getElementById('handoffHint').textContent = passphrase ? `${hint}导入时需要输入口令。` : hint;
+            document.getElementById('handoffForm').classList.add('hidden');
+            document.getElementById('handoffResult').classList.remove('hidden');
+        } catch (error) {
+            const message = typeof error === 'string' ? error : error.message;
+            showToast(`生成二维码失败：${message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    });
+}
+
+function canImportConfig() {
+    const user = window.getCurrentUser ? window.getCurrentUser() : null;
+    if (user && user.role !== 'admin') {
+        showToast('只有管理员可以导入配置', 'warning');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 凭传输码从服务端读取配置并导入
+ */
+async function importConfigFromHandoffCode(input) {
+    const code = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+    if (!/^[A-Z2-9]{8}$/.test(code)) {
+        showToast('请输入 8 位传输码', 'warning');
+        return;
+    }
+    if (!canImportConfig()) return;
+
+    showLoading('正在读取传输的配置...');
+    try {
+        await loadConfigFromUrl(`/api/handoff?code=${code}`);
+    } catch (error) {
+        const message = typeof error === 'string' ? error : '导入配置失败';
+        showToast(`传输码导入出错 (${message})`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * 在导入配置窗口中输入传输码
+ */
+function promptHandoffCode() {
+    const code = prompt('请输入手机上显示的 8 位传输码');
+    if (code !== null) {
+        const importBox = document.getElementById('showImportBoxModal');
+        if (importBox) document.body.removeChild(importBox);
+        importConfigFromHandoffCode(code);
+    }
+}
+
+// 处理扫码或链接打开的 ?handoff= 与 #config=，登录后再导入
+function handleIncomingHandoff() {
+    const url = new URL(window.location.href);
+    const code = url.searchParams.get('handoff');
+    const inline = url.hash.startsWith('#config=') ? url.hash.slice('#config='.length) : null;
+    if (!code && !inline) return;
+
+    url.searchParams.delete('handoff');
+    if (inline) url.hash = '';
+    window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+    const run = async () => {
+        if (code) {
+            await importConfigFromHandoffCode(code);
+            return;
+        }
+        if (!canImportConfig()) return;
+        try {
+            await startConfigImport(decodeHandoffBundle(inline));
+        } catch (error) {
+            const message = typeof error === 'string' ? error : '配置数据无效';
+            showToast(`二维码导入出错 (${message})`, 'error');
+        }
+    };
+
+    if (!window.isPasswordVerified || window.isPasswordVerified()) {
+        run();
+    } else {
+        document.addEventListener('passwordVerified', run, { once: true });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', handleIncomingHandoff);
+
+window.showConfigHandoffDialog = showConfigHandoffDialog;
+window.promptHandoffCode = promptHandoffCode;
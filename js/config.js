@@ -1,4 +1,7 @@
 // 全局常量配置
+// 运行时配置：服务端按环境变量或配置文件注入（见 lib/runtime-config.mjs 与 README），未注入时为空对象
+const RUNTIME_CONFIG = (window.__ENV__ && typeof window.__ENV__.RUNTIME_CONFIG === 'object' && window.__ENV__.RUNTIME_CONFIG) || {};
+
 const PROXY_URL = '/proxy/';    // 适用于 Cloudflare, Netlify (带重写), Vercel (带重写)
 // const HOPLAYER_URL = 'https://hoplayer.com/index.html';
 const SEARCH_HISTORY_KEY = 'videoSearchHistory';
@@ -6,9 +9,9 @@ const MAX_HISTORY_ITEMS = 5;
 
 // 密码保护配置
 // 注意：PASSWORD 环境变量是必需的，所有部署都必须设置密码以确保安全
+// 登录有效期由服务端的 LOGIN_SESSION_TTL 决定（默认90天），这里只记录登录状态供页面判断
 const PASSWORD_CONFIG = {
-    localStorageKey: 'passwordVerified',  // 存储验证状态的键名
-    verificationTTL: 90 * 24 * 60 * 60 * 1000  // 验证有效期（90天，约3个月）
+    localStorageKey: 'passwordVerified'  // 存储登录状态的键名
 };
 
 // 网站信息配置
@@ -17,7 +20,8 @@ const SITE_CONFIG = {
     url: 'https://teslatv.is-an.org',
     description: '免费在线视频搜索与观看平台',
     logo: 'image/logo.svg',
-    version: '1.0.3'
+    version: '1.0.3',
+    ...RUNTIME_CONFIG.site
 };
 
 // API站点配置
@@ -178,6 +182,14 @@ function extendAPISites(newSites) {
     Object.assign(API_SITES, newSites);
 }
 
+// 合并运行时配置：先移除停用的内置源，再加入或覆盖配置的源
+(RUNTIME_CONFIG.disabledApiSites || []).forEach(code => delete API_SITES[code]);
+extendAPISites(RUNTIME_CONFIG.apiSites || {});
+
+// 新用户默认选中的源
+const DEFAULT_SELECTED_APIS = (RUNTIME_CONFIG.defaultSelectedApis || ['tyyszy', 'bfzy', 'dyttzy', 'ruyi'])
+    .filter(code => API_SITES[code]);
+
 // 暴露到全局
 window.API_SITES = API_SITES;
 window.extendAPISites = extendAPISites;
@@ -231,6 +243,7 @@ const PLAYER_CONFIG = {
     autoPlayNext: true,  // 默认启用自动连播功能
     adFilteringEnabled: true, // 默认开启分片广告过滤
     adFilteringStorage: 'adFilteringEnabled', // 存储广告过滤设置的键名
+    qualityStorage: 'playerQuality', // 存储画质选择的键名（只保存在本设备）
     // 跳过片头片尾配置
     skipIntroEnabled: false,  // 默认关闭跳过片头
     skipOutroEnabled: false,  // 默认关闭跳过片尾
@@ -299,4 +312,12 @@ const CUSTOM_API_CONFIG = {
 };
 
 // 隐藏内置黄色采集站API的变量
-const HIDE_BUILTIN_ADULT_APIS = false;
+const HIDE_BUILTIN_ADULT_APIS = RUNTIME_CONFIG.hideBuiltinAdultApis === true;
+
+// 豆瓣推荐配置：新用户是否默认启用，以及默认的电影、电视剧标签（null 表示使用 douban.js 中的内置标签）
+const DOUBAN_CONFIG = {
+    enabled: true,
+    movieTags: null,
+    tvTags: null,
+    ...RUNTIME_CONFIG.douban
+};
@@ -2,14 +2,10 @@
 
 /**
  * 检查是否设置了密码保护
- * 通过读取页面上嵌入的环境变量来检查
+ * 服务端只在页面中注入"是否设置了密码"，不再注入密码哈希
  */
 function isPasswordProtected() {
-    // 只检查普通密码
-    const pwd = window.__ENV__ && window.__ENV__.PASSWORD;
-    
-    // 检查普通密码是否有效
-    return typeof pwd === 'string' && pwd.length === 64 && !/^0+$/.test(pwd);
+    return Boolean(window.__ENV__) && window.__ENV__.PASSWORD_PROTECTED === true;
 }
 
 /**
@@ -40,32 +36,85 @@ function ensurePasswordProtection() {
 window.isPasswordProtected = isPasswordProtected;
 window.isPasswordRequired = isPasswordRequired;
 
+// 服务端是否启用了多用户账户，启用后密码弹窗显示用户名输入框
+let accountsEnabled = false;
+
+/**
+ * 记录登录状态（过期时间、用户名与角色，真正的凭据是服务端签发的 HttpOnly Cookie）
+ * 角色只用于决定页面显示哪些设置，权限仍由服务端校验
+ */
+function saveLoginState({ expiresAt, username = null, role = null, contentRules = null, sessionEpoch = null }) {
+    localStorage.setItem(PASSWORD_CONFIG.localStorageKey, JSON.stringify({
+        verified: true,
+        expiresAt: expiresAt * 1000,
+        username,
+        role,
+        contentRules,
+        sessionEpoch
+    }));
+}
+
+/**
+ * 获取当前登录的账户：{ username, role, contentRules, sessionEpoch }，未登录时返回 null
+ * 角色为 admin / viewer / kid，旧版本的登录记录没有角色，按 admin 处理；
+ * sessionEpoch 为账户的会话版本（修改角色或密码后递增），旧版本的登录记录没有时为 null
+ */
+function getCurrentUser() {
+    if (!isPasswordVerified()) return null;
+    try {
+        const { username, role, contentRules, sessionEpoch } = JSON.parse(localStorage.getItem(PASSWORD_CONFIG.localStorageKey) || '{}');
+        return {
+            username: username || 'default',
+            role: role || 'admin',
+            contentRules: contentRules || null,
+            sessionEpoch: typeof sessionEpoch === 'number' ? sessionEpoch : null
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+function clearLoginState() {
+    localStorage.removeItem(PASSWORD_CONFIG.localStorageKey);
+    if (window.ProxyAuth) {
+        window.ProxyAuth.clearAuthCache();
+    }
+}
+
 /**
- * 验证用户输入的密码是否正确（异步，使用SHA-256哈希）
+ * 向服务端提交密码登录（异步），成功后服务端设置会话 Cookie
+ * @returns {Promise<{success: boolean, error?: string, retryAfter?: number, remainingAttempts?: number}>}
+ *          连续失败过多被锁定时 retryAfter 为需要等待的秒数
  */
-async function verifyPassword(password) {
+async function verifyPassword(password, username = '') {
     try {
-        const correctHash = window.__ENV__?.PASSWORD;
-        if (!correctHash) return false;
-
-        const inputHash = await sha256(password);
-        const isValid = inputHash === correctHash;
-
-        if (isValid) {
-            localStorage.setItem(PASSWORD_CONFIG.localStorageKey, JSON.stringify({
-                verified: true,
-                timestamp: Date.now(),
-                passwordHash: correctHash
-            }));
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            return {
+                success: false,
+                error: data.error,
+                retryAfter: response.status === 429 ? (data.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || 60) : undefined,
+                remainingAttempts: data.remainingAttempts
+            };
         }
-        return isValid;
+
+        // 旧的代理会话属于上一次登录，重新领取
+        clearLoginState();
+        saveLoginState(data);
+        return { success: true };
     } catch (error) {
         console.error('验证密码时出错:', error);
-        return false;
+        return { success: false, error: '无法连接服务器，请稍后重试' };
     }
 }
 
-// 验证状态检查
+// 验证状态检查（同步，依据本地记录的登录过期时间；页面加载时会与服务端同步一次）
 function isPasswordVerified() {
     try {
         if (!isPasswordProtected()) return true;
@@ -73,23 +122,60 @@ function isPasswordVerified() {
         const stored = localStorage.getItem(PASSWORD_CONFIG.localStorageKey);
         if (!stored) return false;
 
-        const { timestamp, passwordHash } = JSON.parse(stored);
-        const currentHash = window.__ENV__?.PASSWORD;
-
-        return timestamp && passwordHash === currentHash &&
-            Date.now() - timestamp < PASSWORD_CONFIG.verificationTTL;
+        const { verified, expiresAt } = JSON.parse(stored);
+        return verified === true && typeof expiresAt === 'number' && Date.now() < expiresAt;
     } catch (error) {
         console.error('检查密码验证状态时出错:', error);
         return false;
     }
 }
 
+/**
+ * 向服务端查询登录状态，以服务端的会话 Cookie 为准更新本地记录
+ * Cookie 过期、被清除或服务端更换密码后，本地记录随之失效
+ */
+async function syncLoginState() {
+    try {
+        const response = await fetch('/api/login', { credentials: 'same-origin', cache: 'no-store' });
+        if (!response.ok) return;
+        const data = await response.json();
+        accountsEnabled = data.accountsEnabled === true;
+        updateUsernameField();
+        if (data.authenticated) {
+            saveLoginState(data);
+        } else if (localStorage.getItem(PASSWORD_CONFIG.localStorageKey)) {
+            clearLoginState();
+        }
+        // 角色可能已被管理员修改，通知页面刷新可用的设置
+        document.dispatchEvent(new CustomEvent('loginStateSynced'));
+    } catch (error) {
+        // 网络异常时保留本地记录，后续请求仍由服务端校验
+        console.warn('同步登录状态失败:', error);
+    }
+}
+
+/**
+ * 退出登录：清除服务端 Cookie 与本地记录，并重新显示密码弹窗
+ */
+async function logoutUser() {
+    try {
+        await fetch('/api/login', { method: 'DELETE', credentials: 'same-origin' });
+    } catch (error) {
+        console.warn('退出登录请求失败:', error);
+    }
+    clearLoginState();
+    document.dispatchEvent(new CustomEvent('loginStateSynced'));
+    showPasswordModal();
+}
+
 // 更新全局导出
 window.isPasswordProtected = isPasswordProtected;
 window.isPasswordRequired = isPasswordRequired;
 window.isPasswordVerified = isPasswordVerified;
 window.verifyPassword = verifyPassword;
 window.ensurePasswordProtection = ensurePasswordProtection;
+window.getCurrentUser = getCurrentUser;
+window.logoutUser = logoutUser;
 
 // SHA-256实现，可用Web Crypto API
 async function sha256(message) {
@@ -159,6 +245,17 @@ function showPasswordModal() {
     }
 }
 
+/**
+ * 启用多用户账户时显示用户名输入框，否则隐藏（只用共享密码登录）
+ */
+function updateUsernameField() {
+    const usernameInput = document.getElementById('username');
+    if (!usernameInput) return;
+    usernameInput.classList.toggle('hidden', !accountsEnabled);
+    usernameInput.tabIndex = accountsEnabled ? 0 : -1;
+    usernameInput.setAttribute('aria-hidden', String(!accountsEnabled));
+}
+
 /**
  * 隐藏密码验证弹窗
  */
@@ -185,13 +282,41 @@ function hidePasswordModal() {
 /**
  * 显示密码错误信息
  */
-function showPasswordError() {
+function showPasswordError(message = '密码错误，请重试') {
     const errorElement = document.getElementById('passwordError');
     if (errorElement) {
+        errorElement.textContent = message;
         errorElement.classList.remove('hidden');
     }
 }
 
+let passwordLockTimer = null;
+
+/**
+ * 登录被锁定时禁用提交按钮，并倒计时显示剩余等待时间
+ */
+function lockPasswordForm(seconds) {
+    const submitBtn = document.getElementById('passwordSubmitBtn');
+    const unlockAt = Date.now() + seconds * 1000;
+    const update = () => {
+        const remaining = Math.ceil((unlockAt - Date.now()) / 1000);
+        if (remaining <= 0) {
+            clearInterval(passwordLockTimer);
+            passwordLockTimer = null;
+            if (submitBtn) submitBtn.disabled = false;
+            hidePasswordError();
+            return;
+        }
+        const wait = remaining >= 60 ? `${Math.floor(remaining / 60)} 分 ${remaining % 60} 秒` : `${remaining} 秒`;
+        showPasswordError(`尝试次数过多，已暂时锁定，请在 ${wait}后重试`);
+    };
+
+    clearInterval(passwordLockTimer);
+    if (submitBtn) submitBtn.disabled = true;
+    update();
+    passwordLockTimer = setInterval(update, 1000);
+}
+
 /**
  * 隐藏密码错误信息
  */
@@ -207,14 +332,25 @@ function hidePasswordError() {
  */
 async function handlePasswordSubmit() {
     const passwordInput = document.getElementById('passwordInput');
+    const usernameInput = document.getElementById('username');
     const password = passwordInput ? passwordInput.value.trim() : '';
-    if (await verifyPassword(password)) {
+    const username = accountsEnabled && usernameInput ? usernameInput.value.trim() : '';
+    if (passwordLockTimer) return;
+
+    const result = await verifyPassword(password, username);
+    if (result.success) {
         hidePasswordModal();
 
         // 触发密码验证成功事件
         document.dispatchEvent(new CustomEvent('passwordVerified'));
     } else {
-        showPasswordError();
+        if (result.retryAfter) {
+            lockPasswordForm(result.retryAfter);
+        } else if (typeof result.remainingAttempts === 'number') {
+            showPasswordError(`密码错误，还可以尝试 ${result.remainingAttempts} 次`);
+        } else {
+            showPasswordError(result.error);
+        }
         if (passwordInput) {
             passwordInput.value = '';
             passwordInput.focus();
@@ -225,17 +361,22 @@ async function handlePasswordSubmit() {
 /**
  * 初始化密码验证系统
  */
-function initPasswordProtection() {
+async function initPasswordProtection() {
     // 如果需要强制设置密码，显示警告弹窗
     if (isPasswordRequired()) {
         showPasswordModal();
         return;
     }
     
-    // 如果设置了密码但用户未验证，显示密码输入框
+    // 如果设置了密码但用户未验证，先显示密码输入框，不必等待服务端
     if (isPasswordProtected() && !isPasswordVerified()) {
         showPasswordModal();
-        return;
+    }
+
+    // 与服务端同步：确认会话仍然有效，并得知是否启用了多用户账户
+    await syncLoginState();
+    if (!isPasswordVerified()) {
+        showPasswordModal();
     }
 }
 
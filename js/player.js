@@ -176,6 +176,12 @@ function initializePageContent() {
         }
     }
 
+    // 观看派对的房间链接只包含来源、ID 与集数，先获取剧集列表再进入播放
+    if (!videoUrl && urlParams.has('party')) {
+        openPartyLink(urlParams);
+        return;
+    }
+
     // 保存当前视频URL
     currentVideoUrl = videoUrl || '';
 
@@ -567,6 +573,8 @@ function initPlayer(videoUrl) {
         art.destroy();
         art = null;
     }
+    resetAdFilterReports();
+    resetSubtitle();
 
     // 配置HLS.js选项
     const hlsConfig = {
@@ -711,10 +719,20 @@ function initPlayer(videoUrl) {
                 video.disableRemotePlayback = false;
 
                 hls.on(Hls.Events.MANIFEST_PARSED, function () {
+                    // 先切到记住的画质再开始播放，避免先按自动画质加载
+                    updateQualitySetting(hls);
                     video.play().catch(e => {
                     });
                 });
 
+                // 音轨随子列表的音频分组变化，字幕轨在主列表解析后给出
+                hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, function () {
+                    updateTrackSetting(hls, 'audio');
+                });
+                hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, function () {
+                    updateTrackSetting(hls, 'subtitle');
+                });
+
                 hls.on(Hls.Events.ERROR, function (event, data) {
                     // 增加错误计数
                     errorCount++;
@@ -875,6 +893,9 @@ function initPlayer(videoUrl) {
         // 设置进度条点击监听
         setupProgressBarPreciseClicks();
 
+        // 恢复本集上次选择的外挂字幕
+        restoreSubtitleForEpisode();
+
         // 视频加载成功后，在稍微延迟后将其添加到观看历史
         setTimeout(saveToHistory, 3000);
 
@@ -961,8 +982,15 @@ class CustomHlsJsLoader extends Hls.DefaultConfig.loader {
                 callbacks.onSuccess = function (response, stats, context) {
                     // 如果是m3u8文件，处理内容以移除广告分段
                     if (response.data && typeof response.data === 'string') {
-                        // 过滤掉广告段 - 实现更精确的广告过滤逻辑
-                        response.data = filterAdsFromM3U8(response.data, true);
+                        // 过滤掉广告段（lib/ad-filter.mjs）：启发式检测加上用户的过滤规则，并记录移除了什么、为什么
+                        const report = analyzeM3U8Ads(response.data, {
+                            strictMode: true,
+                            url: context.url,
+                            rules: getActiveAdFilterRules(),
+                            sourceCode: getCurrentAdFilterSource()
+                        });
+                        response.data = report.content;
+                        recordAdFilterReport(context.url, report);
                     }
                     return onSuccess(response, stats, context);
                 };
@@ -973,26 +1001,246 @@ class CustomHlsJsLoader extends Hls.DefaultConfig.loader {
     }
 }
 
-// 过滤可疑的广告内容
-function filterAdsFromM3U8(m3u8Content, strictMode = false) {
-    if (!m3u8Content) return '';
+// --- 画质选择 ---
+
+// 画质的显示名称：有分辨率时以高度表示，同一高度有多个码率时附上码率
+function getQualityLabel(level, levels) {
+    const bitrate = level.bitrate ? `${(level.bitrate / 1000000).toFixed(1)} Mbps` : '';
+    if (!level.height) return bitrate || '未知';
+    const sameHeight = levels.filter(item => item.height === level.height).length > 1;
+    return sameHeight && bitrate ? `${level.height}P ${bitrate}` : `${level.height}P`;
+}
 
-    // 按行分割M3U8内容
-    const lines = m3u8Content.split('\n');
-    const filteredLines = [];
+// 记住的画质对应的子列表序号：保存的是显示名称，找不到时选不超过它的最高画质，-1 表示自动
+function findPreferredQualityLevel(levels, preference) {
+    if (!preference || preference === 'auto') return -1;
+    const exact = levels.findIndex(level => getQualityLabel(level, levels) === preference);
+    if (exact !== -1) return exact;
+    const preferredHeight = parseInt(preference, 10);
+    if (!preferredHeight) return -1;
+    let best = -1;
+    levels.forEach((level, index) => {
+        if (!level.height || level.height > preferredHeight) return;
+        if (best === -1 || level.height > levels[best].height ||
+            (level.height === levels[best].height && level.bitrate > levels[best].bitrate)) {
+            best = index;
+        }
+    });
+    return best;
+}
 
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
+/**
+ * 按 hls.levels 生成设置菜单中的画质选项（自动 + 各分辨率/码率），并应用记住的选择。
+ * 只有一路码率时移除该选项。
+ */
+function updateQualitySetting(hls) {
+    if (!art || !art.setting) return;
+    const levels = hls.levels || [];
+    if (levels.length < 2) {
+        if (art.setting.find('quality')) art.setting.remove('quality');
+        return;
+    }
 
-        // 只过滤#EXT-X-DISCONTINUITY标识
-        if (!line.includes('#EXT-X-DISCONTINUITY')) {
-            filteredLines.push(line);
+    const preferred = findPreferredQualityLevel(levels, localStorage.getItem(PLAYER_CONFIG.qualityStorage));
+    if (preferred !== -1) hls.currentLevel = preferred;
+
+    // 菜单按画质从高到低排列，value 为 hls.levels 中的序号
+    const options = levels
+        .map((level, index) => ({ level, index }))
+        .sort((a, b) => (b.level.height || 0) - (a.level.height || 0) || (b.level.bitrate || 0) - (a.level.bitrate || 0))
+        .map(({ level, index }) => ({
+            html: getQualityLabel(level, levels),
+            value: index,
+            default: index === preferred
+        }));
+    const selector = [{ html: '自动', value: -1, default: preferred === -1 }, ...options];
+
+    art.setting.update({
+        name: 'quality',
+        html: '画质',
+        tooltip: selector.find(item => item.default).html,
+        selector,
+        onSelect(item) {
+            // nextLevel 在下一个分片切换，不清空已缓冲的内容
+            hls.nextLevel = item.value;
+            localStorage.setItem(PLAYER_CONFIG.qualityStorage, item.value === -1 ? 'auto' : item.html);
+            return item.html;
         }
+    });
+}
+
+// --- 音轨与内嵌字幕 ---
+
+// 全局的语言偏好：{ audio: {lang, name}, subtitle: {lang, name} | {off: true} }，随账户同步；
+// 每部剧的偏好记在观看历史条目的 trackLanguages 中，优先于全局偏好
+const TRACK_LANGUAGE_KEY = 'trackLanguagePreferences';
+
+const TRACK_SETTINGS = {
+    audio: { name: 'audioTrack', html: '音轨', tracks: 'audioTracks', current: 'audioTrack', fallback: '音轨' },
+    subtitle: { name: 'subtitleTrack', html: '内嵌字幕', tracks: 'subtitleTracks', current: 'subtitleTrack', fallback: '字幕' }
+};
+
+function getTrackLabel(track, index, fallback) {
+    if (track.name && track.lang && !track.name.includes(track.lang)) return `${track.name}（${track.lang}）`;
+    return track.name || track.lang || `${fallback} ${index + 1}`;
+}
+
+function readGlobalTrackLanguages() {
+    try {
+        return JSON.parse(localStorage.getItem(TRACK_LANGUAGE_KEY) || '{}') || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function getPreferredTrackLanguage(type) {
+    const entry = findCurrentHistoryEntry(readViewingHistory());
+    const showPreference = entry && entry.trackLanguages ? entry.trackLanguages[type] : null;
+    return showPreference || readGlobalTrackLanguages()[type] || null;
+}
+
+// 偏好对应的轨道序号：依次按语言代码、名称、主语言代码匹配；-1 表示关闭字幕，null 表示没有匹配的轨道
+function findPreferredTrack(tracks, preference) {
+    if (!preference) return null;
+    if (preference.off) return -1;
+    const lang = (preference.lang || '').toLowerCase();
+    const byLang = lang ? tracks.findIndex(track => (track.lang || '').toLowerCase() === lang) : -1;
+    if (byLang !== -1) return byLang;
+    const byName = preference.name ? tracks.findIndex(track => track.name === preference.name) : -1;
+    if (byName !== -1) return byName;
+    const primary = lang.split('-')[0];
+    const byPrimary = primary ? tracks.findIndex(track => (track.lang || '').toLowerCase().split('-')[0] === primary) : -1;
+    return byPrimary !== -1 ? byPrimary : null;
+}
+
+function saveTrackLanguage(type, preference) {
+    localStorage.setItem(TRACK_LANGUAGE_KEY, JSON.stringify({ ...readGlobalTrackLanguages(), [type]: preference }));
+    updateCurrentHistoryEntry((entry) => {
+        entry.trackLanguages = { ...(entry.trackLanguages || {}), [type]: preference };
+    });
+}
+
+/**
+ * 按 hls.audioTracks / hls.subtitleTracks 生成设置菜单中的音轨或内嵌字幕选项，并应用记住的语言。
+ * 音轨少于两条、没有字幕轨时移除该选项。
+ * @param {Hls} hls
+ * @param {'audio'|'subtitle'} type
+ */
+function updateTrackSetting(hls, type) {
+    if (!art || !art.setting) return;
+    const setting = TRACK_SETTINGS[type];
+    const tracks = hls[setting.tracks] || [];
+    if (tracks.length < (type === 'audio' ? 2 : 1)) {
+        if (art.setting.find(setting.name)) art.setting.remove(setting.name);
+        return;
+    }
+
+    const preferred = findPreferredTrack(tracks, getPreferredTrackLanguage(type));
+    if (preferred !== null && preferred !== hls[setting.current]) {
+        hls[setting.current] = preferred;
     }
+    if (type === 'subtitle') hls.subtitleDisplay = hls.subtitleTrack !== -1;
+
+    const current = hls[setting.current];
+    const selector = tracks.map((track, index) => ({
+        html: getTrackLabel(track, index, setting.fallback),
+        value: index,
+        default: index === current
+    }));
+    if (type === 'subtitle') selector.unshift({ html: '关闭', value: -1, default: current === -1 });
+
+    art.setting.update({
+        name: setting.name,
+        html: setting.html,
+        tooltip: (selector.find(item => item.default) || selector[0]).html,
+        selector,
+        onSelect(item) {
+            hls[setting.current] = item.value;
+            if (type === 'subtitle') hls.subtitleDisplay = item.value !== -1;
+            const track = tracks[item.value];
+            saveTrackLanguage(type, track ? { lang: track.lang || '', name: track.name || '' } : { off: true });
+            return item.html;
+        }
+    });
+}
+
+// 当前视频各播放列表的广告过滤结果（键为播放列表地址），切换视频时清空
+let adFilterReports = new Map();
+
+// 当前数据源代码，用于只对某个数据源生效的过滤规则
+function getCurrentAdFilterSource() {
+    return new URLSearchParams(window.location.search).get('source') || localStorage.getItem('currentSourceCode') || '';
+}
+
+function recordAdFilterReport(url, report) {
+    // 只有一段的列表没有可判断的内容
+    if (report.runs.length < 2) return;
+    // 直播每次刷新列表都会重新过滤，这里不打日志，详情见广告过滤面板
+    adFilterReports.set(url, report);
+    renderAdFilterPanel();
+}
+
+function resetAdFilterReports() {
+    adFilterReports = new Map();
+    renderAdFilterPanel();
+}
 
-    return filteredLines.join('\n');
+function toggleAdFilterPanel() {
+    const panel = document.getElementById('adFilterPanel');
+    if (panel) panel.classList.toggle('hidden');
 }
 
+// 广告过滤调试面板：列出每个播放列表的各段、得分和判定原因
+function renderAdFilterPanel() {
+    const button = document.getElementById('adFilterInfoButton');
+    const list = document.getElementById('adFilterReportList');
+    if (!button || !list) return;
+
+    const reports = [...adFilterReports.entries()];
+    const removedDuration = reports.reduce((sum, [, report]) => sum + report.removedDuration, 0);
+    button.classList.toggle('hidden', reports.length === 0);
+    document.getElementById('adFilterInfoText').textContent = removedDuration > 0 ? `已移除 ${Math.round(removedDuration)} 秒广告` : '未发现广告';
+    if (reports.length === 0) {
+        document.getElementById('adFilterPanel').classList.add('hidden');
+    }
+
+    list.innerHTML = '';
+    reports.forEach(([url, report]) => {
+        const section = document.createElement('div');
+        section.className = 'mb-3';
+
+        const title = document.createElement('div');
+        title.className = 'text-gray-400 break-all mb-1';
+        title.textContent = `${url}（共 ${report.runs.length} 段，${report.totalDuration.toFixed(1)} 秒）`;
+        section.appendChild(title);
+
+        report.runs.forEach((run) => {
+            const row = document.createElement('div');
+            row.className = `pl-2 border-l-2 mb-1 ${run.removedSegmentCount > 0 ? 'border-red-500' : 'border-[#333]'}`;
+            const label = run.isAd ? '已移除'
+                : run.removedSegmentCount > 0 ? `移除 ${run.removedSegmentCount} 个分片`
+                : run.isMain ? '正片基准' : '保留';
+            const summary = document.createElement('div');
+            summary.className = run.removedSegmentCount > 0 ? 'text-red-400' : 'text-white';
+            summary.textContent = `第 ${run.index + 1} 段 · ${label} · ${run.segmentCount} 个分片 · ${run.duration.toFixed(1)} 秒 · 得分 ${run.score}`;
+            row.appendChild(summary);
+            if (run.reasons.length > 0) {
+                const reasons = document.createElement('div');
+                reasons.className = 'text-gray-400';
+                reasons.textContent = run.reasons.join('；');
+                row.appendChild(reasons);
+            }
+            if (run.firstSegment) {
+                const segment = document.createElement('div');
+                segment.className = 'text-gray-500 break-all';
+                segment.textContent = run.firstSegment;
+                row.appendChild(segment);
+            }
+            section.appendChild(row);
+        });
+        list.appendChild(section);
+    });
+}
 
 // 显示错误
 function showError(message) {
@@ -1123,6 +1371,8 @@ function playEpisode(index) {
     currentUrl.searchParams.delete('position');
     window.history.replaceState({}, '', currentUrl.toString());
 
+    resetAdFilterReports();
+    resetSubtitle();
     if (isWebkit) {
         initPlayer(url);
     } else {
@@ -1361,10 +1611,45 @@ function saveToHistory() {
         if (history.length > 50) history.splice(50);
 
         localStorage.setItem('viewingHistory', JSON.stringify(history));
+        // 观看记录变化后交给 js/sync.js 推送
+        if (window.DataSync) window.DataSync.schedulePush();
+    } catch (e) {
+    }
+}
+
+function readViewingHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem('viewingHistory') || '[]');
+        return Array.isArray(history) ? history : [];
     } catch (e) {
+        return [];
     }
 }
 
+// 当前视频在观看历史中的条目（与 saveToHistory 相同，按标题与来源查找）
+function findCurrentHistoryEntry(history) {
+    const sourceName = new URLSearchParams(window.location.search).get('source') || '';
+    return history.find(item => item.title === currentVideoTitle && item.sourceName === sourceName);
+}
+
+/**
+ * 修改当前视频的观看历史条目并保存（用于记在条目上的字幕、音轨等选择）
+ * @param {function(object): void} update - 直接修改传入的条目
+ */
+function updateCurrentHistoryEntry(update) {
+    let history = readViewingHistory();
+    if (!findCurrentHistoryEntry(history)) {
+        // 刚开始播放时还没有历史记录，先建立
+        saveToHistory();
+        history = readViewingHistory();
+    }
+    const entry = findCurrentHistoryEntry(history);
+    if (!entry) return;
+    update(entry);
+    localStorage.setItem('viewingHistory', JSON.stringify(history));
+    if (window.DataSync) window.DataSync.schedulePush();
+}
+
 // 显示恢复位置提示
 function showPositionRestoreHint(position) {
     if (!position || position < 10) return;
@@ -1455,6 +1740,7 @@ function saveCurrentProgress() {
                         history[idx].duration = duration;
                         history[idx].timestamp = Date.now();
                         localStorage.setItem('viewingHistory', JSON.stringify(history));
+                        if (window.DataSync) window.DataSync.schedulePush();
                     }
                 }
             }
@@ -1,119 +1,146 @@
 /**
  * 代理请求鉴权模块
- * 为代理请求添加基于 PASSWORD 的鉴权机制
+ * 为代理请求添加基于 PASSWORD 的鉴权机制：
+ * 登录后（/api/login 签发的 HttpOnly Cookie）换取代理会话，之后每个代理链接只携带绑定目标 URL 与过期时间的 HMAC 签名
  */
 
-// 从全局配置获取密码哈希（如果存在）
-let cachedPasswordHash = null;
+// 代理会话（由服务端 /proxy/session 签发），用于给代理链接签名
+let cachedProxySession = null;
+const PROXY_SESSION_STORAGE_KEY = 'proxySession';
+// 会话剩余有效期不足该值时提前续期（秒）
+const PROXY_SESSION_RENEW_MARGIN = 60;
 
 /**
- * 获取当前会话的密码哈希
+ * 获取代理会话：凭登录 Cookie 换取会话令牌与签名密钥，会话有效期不超过登录有效期
+ * 会话绑定账户与账户的会话版本：换了账户时这里重新领取；角色、密码被修改后服务端连同登录 Cookie 一起拒绝，需要重新登录
  */
-async function getPasswordHash() {
-    if (cachedPasswordHash) {
-        return cachedPasswordHash;
+async function getProxySession() {
+    const now = Math.floor(Date.now() / 1000);
+    const user = window.getCurrentUser ? window.getCurrentUser() : null;
+    const isUsable = (session) => session && session.expiresAt - PROXY_SESSION_RENEW_MARGIN > now &&
+        (!user || (session.username === user.username && (user.sessionEpoch === null || session.epoch === user.sessionEpoch)));
+
+    if (isUsable(cachedProxySession)) {
+        return cachedProxySession;
     }
-    
-    // 1. 优先从已存储的代理鉴权哈希获取
-    const storedHash = localStorage.getItem('proxyAuthHash');
-    if (storedHash) {
-        cachedPasswordHash = storedHash;
-        return storedHash;
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROXY_SESSION_STORAGE_KEY) || 'null');
+        if (isUsable(stored)) {
+            cachedProxySession = stored;
+            return stored;
+        }
+    } catch (e) {
+        localStorage.removeItem(PROXY_SESSION_STORAGE_KEY);
     }
-    
-    // 2. 尝试从密码验证状态获取（password.js 验证后存储的哈希）
-    const passwordVerified = localStorage.getItem('passwordVerified');
-    const storedPasswordHash = localStorage.getItem('passwordHash');
-    if (passwordVerified === 'true' && storedPasswordHash) {
-        localStorage.setItem('proxyAuthHash', storedPasswordHash);
-        cachedPasswordHash = storedPasswordHash;
-        return storedPasswordHash;
+
+    // 尚未登录时服务端必然拒绝，不必发请求
+    if (window.isPasswordVerified && !window.isPasswordVerified()) {
+        return null;
     }
-    
-    // 3. 尝试从用户输入的密码生成哈希
-    const userPassword = localStorage.getItem('userPassword');
-    if (userPassword) {
-        try {
-            // 动态导入 sha256 函数
-            const { sha256 } = await import('./sha256.js');
-            const hash = await sha256(userPassword);
-            localStorage.setItem('proxyAuthHash', hash);
-            cachedPasswordHash = hash;
-            return hash;
-        } catch (error) {
-            console.error('生成密码哈希失败:', error);
-        }
+
+    const response = await fetch(PROXY_URL + 'session', {
+        method: 'POST',
+        credentials: 'same-origin'
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `建立代理会话失败: HTTP ${response.status}`);
     }
-    
-    // 4. 如果用户没有设置密码，尝试使用环境变量中的密码哈希
-    if (window.__ENV__ && window.__ENV__.PASSWORD) {
-        cachedPasswordHash = window.__ENV__.PASSWORD;
-        return window.__ENV__.PASSWORD;
+
+    cachedProxySession = {
+        token: data.token,
+        key: data.key,
+        expiresAt: data.expiresAt,
+        urlTtl: data.urlTtl,
+        username: data.username,
+        epoch: data.epoch
+    };
+    localStorage.setItem(PROXY_SESSION_STORAGE_KEY, JSON.stringify(cachedProxySession));
+    return cachedProxySession;
+}
+
+/**
+ * 计算 HMAC-SHA256（十六进制），优先使用 WebCrypto，非安全上下文下回退到 js-sha256
+ */
+async function hmacSha256Hex(key, message) {
+    if (window.crypto && window.crypto.subtle) {
+        const encoder = new TextEncoder();
+        const cryptoKey = await window.crypto.subtle.importKey(
+            'raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const signature = await window.crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message));
+        return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    if (window._jsSha256 && typeof window._jsSha256.hmac === 'function') {
+        return window._jsSha256.hmac(key, message);
     }
-    
-    return null;
+    throw new Error('当前环境不支持 HMAC 计算');
 }
 
 /**
- * 为代理请求URL添加鉴权参数
+ * 为代理请求URL添加签名参数
+ * 签名绑定目标 URL 与过期时间：s=会话令牌，e=过期时间（Unix 秒），sig=签名
  */
 async function addAuthToProxyUrl(url) {
     try {
-        const hash = await getPasswordHash();
-        if (!hash) {
-            console.warn('无法获取密码哈希，代理请求可能失败');
+        const session = await getProxySession();
+        if (!session) {
+            console.warn('无法获取代理会话，代理请求可能失败');
             return url;
         }
-        
-        // 添加时间戳防止重放攻击
-        const timestamp = Date.now();
-        
-        // 检查URL是否已包含查询参数
-        const separator = url.includes('?') ? '&' : '?';
-        
-        return `${url}${separator}auth=${encodeURIComponent(hash)}&t=${timestamp}`;
+
+        const match = url.match(/\/proxy\/([^?#]+)/);
+        if (!match) {
+            return url;
+        }
+        const targetUrl = decodeURIComponent(match[1]);
+        return await appendSignature(url, session, targetUrl);
     } catch (error) {
-        console.error('添加代理鉴权失败:', error);
+        console.error('添加代理签名失败:', error);
         return url;
     }
 }
 
 /**
- * 验证代理请求的鉴权
+ * 为服务端 API（如 /api/search）的请求URL添加签名参数，签名绑定 "api:<scope>" 而不是目标 URL
  */
-function validateProxyAuth(authHash, serverPasswordHash, timestamp) {
-    if (!authHash || !serverPasswordHash) {
-        return false;
-    }
-    
-    // 验证哈希是否匹配
-    if (authHash !== serverPasswordHash) {
-        return false;
-    }
-    
-    // 验证时间戳（10分钟有效期）
-    const now = Date.now();
-    const maxAge = 10 * 60 * 1000; // 10分钟
-    
-    if (timestamp && (now - parseInt(timestamp)) > maxAge) {
-        console.warn('代理请求时间戳过期');
-        return false;
+async function addAuthToApiUrl(url, scope) {
+    try {
+        const session = await getProxySession();
+        if (!session) {
+            return url;
+        }
+        return await appendSignature(url, session, `api:${scope}`);
+    } catch (error) {
+        console.error('添加接口签名失败:', error);
+        return url;
     }
-    
-    return true;
+}
+
+async function appendSignature(url, session, subject) {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresAt = Math.min(now + session.urlTtl, session.expiresAt);
+    const signature = await hmacSha256Hex(session.key, `${subject}\n${expiresAt}`);
+
+    // 检查URL是否已包含查询参数
+    const separator = url.includes('?') ? '&' : '?';
+
+    return `${url}${separator}s=${encodeURIComponent(session.token)}&e=${expiresAt}&sig=${signature}`;
 }
 
 /**
  * 清除缓存的鉴权信息
  */
 function clearAuthCache() {
-    cachedPasswordHash = null;
-    localStorage.removeItem('proxyAuthHash');
+    cachedProxySession = null;
+    localStorage.removeItem('proxyAuthHash'); // 旧版本保存的密码哈希
+    localStorage.removeItem(PROXY_SESSION_STORAGE_KEY);
 }
 
 // 监听密码变化，清除缓存
 window.addEventListener('storage', (e) => {
-    if (e.key === 'userPassword' || (window.PASSWORD_CONFIG && e.key === window.PASSWORD_CONFIG.localStorageKey)) {
+    if (window.PASSWORD_CONFIG && e.key === window.PASSWORD_CONFIG.localStorageKey) {
         clearAuthCache();
     }
 });
@@ -121,7 +148,7 @@ window.addEventListener('storage', (e) => {
 // 导出函数
 window.ProxyAuth = {
     addAuthToProxyUrl,
-    validateProxyAuth,
-    clearAuthCache,
-    getPasswordHash
+    addAuthToApiUrl,
+    getProxySession,
+    clearAuthCache
 };
@@ -0,0 +1,225 @@
+/**
+ * 手机遥控 - 播放器端
+ * 播放器通过 WebSocket（/api/remote，仅 Node/Docker 服务端）取得 6 位配对码与校验码，手机扫描二维码（或打开
+ * remote.html 输入两者）后即可控制播放、进度、音量和剧集，并把自己搜索到的节目加入播放队列。
+ * 配对只对同一账户有效，校验码每有一台手机加入就更换；播放器页面关闭或刷新后配对失效，需要重新配对。
+ */
+
+// 当前节目播放完最后一集后依次播放队列中的节目
+let remoteQueue = [];
+let remoteSocket = null;
+let remoteCode = null;
+let remoteKey = null;
+let remoteCount = 0;
+let remoteStateTimer = null;
+
+// 定期推送播放进度（毫秒）
+const REMOTE_STATE_INTERVAL = 2000;
+
+function getRemoteSocketUrl() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/api/remote?role=player`;
+}
+
+function buildRemoteState() {
+    const video = art && art.video;
+    return {
+        title: currentVideoTitle,
+        episodeIndex: currentEpisodeIndex,
+        episodeCount: currentEpisodes.length,
+        currentTime: video ? video.currentTime || 0 : 0,
+        duration: video && isFinite(video.duration) ? video.duration : 0,
+        paused: video ? video.paused : true,
+        volume: art ? art.volume : 1,
+        queue: remoteQueue.map(item => ({ title: item.title, episodeCount: item.episodes.length }))
+    };
+}
+
+function publishRemoteState() {
+    if (remoteSocket && remoteSocket.readyState === WebSocket.OPEN && remoteCount > 0) {
+        remoteSocket.send(JSON.stringify({ type: 'state', state: buildRemoteState() }));
+    }
+}
+
+/**
+ * 在当前页面切换到队列中的节目（不刷新页面，保持配对）
+ */
+function playQueuedTitle(queueIndex) {
+    const [item] = remoteQueue.splice(queueIndex, 1);
+    if (!item) return;
+
+    saveCurrentProgress();
+    currentVideoTitle = item.title;
+    currentEpisodes = item.episodes;
+    localStorage.setItem('currentVideoTitle', item.title);
+    localStorage.setItem('currentEpisodes', JSON.stringify(item.episodes));
+    localStorage.setItem('currentSourceCode', item.sourceCode);
+
+    // 历史记录与资源信息从地址栏参数读取来源和 ID
+    const url = new URL(window.location.href);
+    url.searchParams.set('title', item.title);
+    url.searchParams.set('source', item.sourceCode);
+    url.searchParams.set('id', item.vodId);
+    url.searchParams.delete('episodes');
+    window.history.replaceState({}, '', url.toString());
+
+    document.title = item.title + ' - TeslaTV播放器';
+    document.getElementById('videoTitle').textContent = item.title;
+    renderResourceInfoBar();
+    playEpisode(0);
+    publishRemoteState();
+}
+
+function handleRemoteCommand({ command, value }) {
+    if (!art) return;
+    switch (command) {
+        case 'play':
+            art.play();
+            break;
+        case 'pause':
+            art.pause();
+            break;
+        case 'toggle':
+            art.toggle();
+            break;
+        case 'seek':
+            art.currentTime = value;
+            break;
+        case 'seekBy':
+            art.currentTime = Math.max(0, art.currentTime + value);
+            break;
+        case 'volume':
+            art.volume = value;
+            break;
+        case 'episode':
+            playEpisode(value);
+            break;
+        case 'enqueue':
+            remoteQueue.push(value);
+            showToast(`已加入播放队列：${value.title}`, 'success');
+            break;
+        case 'playQueued':
+            playQueuedTitle(value);
+            break;
+        default:
+            return;
+    }
+    publishRemoteState();
+}
+
+function updateRemoteDialog() {
+    const status = document.getElementById('remotePairStatus');
+    if (status) {
+        status.textContent = remoteCount > 0 ? `已连接 ${remoteCount} 个遥控器` : '等待手机连接...';
+    }
+}
+
+function renderRemoteQrCode(code, key) {
+    const container = document.getElementById('remotePairQrCode');
+    if (!container) return;
+    const qr = qrcode(0, 'M');
+    qr.addData(`${window.location.origin}/remote.html?code=${code}&key=${key}`);
+    qr.make();
+    container.innerHTML = qr.createSvgTag({ cellSize: 4, margin: 4, scalable: true });
+    document.getElementById('remotePairCode').textContent = code;
+    document.getElementById('remotePairKey').textContent = `校验码 ${key}`;
+}
+
+function connectRemote() {
+    if (remoteSocket) return;
+    let opened = false;
+    remoteSocket = new WebSocket(getRemoteSocketUrl());
+
+    remoteSocket.addEventListener('open', () => {
+        opened = true;
+    });
+    remoteSocket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (e) {
+            return;
+        }
+        if (message.type === 'paired') {
+            remoteCode = message.code;
+            remoteKey = message.key;
+            renderRemoteQrCode(remoteCode, remoteKey);
+        } else if (message.type === 'remotes') {
+            remoteCount = message.count;
+            updateRemoteDialog();
+            publishRemoteState();
+        } else if (message.type === 'command') {
+            handleRemoteCommand(message);
+        }
+    });
+    remoteSocket.addEventListener('close', () => {
+        remoteSocket = null;
+        remoteCode = null;
+        remoteKey = null;
+        remoteCount = 0;
+        clearInterval(remoteStateTimer);
+        remoteStateTimer = null;
+        closeRemoteDialog();
+        showToast(opened ? '手机遥控已断开' : '当前部署不支持手机遥控，或登录已过期', opened ? 'info' : 'error');
+    });
+
+    remoteStateTimer = setInterval(publishRemoteState, REMOTE_STATE_INTERVAL);
+}
+
+function closeRemoteDialog() {
+    const modal = document.getElementById('remotePairModal');
+    if (modal) document.body.removeChild(modal);
+}
+
+/**
+ * 显示配对码与二维码，首次打开时建立连接
+ */
+function showRemotePairDialog() {
+    closeRemoteDialog();
+    const modal = document.createElement('div');
+    modal.id = 'remotePairModal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-[10000]';
+    modal.innerHTML = `
+        <div class="bg-[#191919] rounded-lg p-6 max-w-sm w-11/12 text-center relative">
+            <button id="closeRemotePair" class="absolute top-4 right-4 text-gray-400 hover:text-white text-xl">&times;</button>
+            <h3 class="text-xl font-bold mb-2">手机遥控</h3>
+            <p class="text-xs text-gray-400 mb-4">用手机扫描二维码，或打开 remote.html 输入配对码与校验码（需要登录同一账户）</p>
+            <div id="remotePairQrCode" class="mx-auto mb-4 w-56 h-56 bg-white rounded"></div>
+            <div id="remotePairCode" class="text-3xl font-mono tracking-widest text-white mb-1">······</div>
+            <div id="remotePairKey" class="text-sm font-mono tracking-widest text-gray-300 mb-2"></div>
+            <p id="remotePairStatus" class="text-xs text-gray-400 mb-4"></p>
+            <button id="disconnectRemote" class="bg-[#333] hover:bg-[#444] text-white px-4 py-2 rounded text-sm">结束遥控</button>
+        </div>`;
+    document.body.appendChild(modal);
+
+    document.getElementById('closeRemotePair').addEventListener('click', closeRemoteDialog);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeRemoteDialog();
+    });
+    document.getElementById('disconnectRemote').addEventListener('click', () => {
+        if (remoteSocket) remoteSocket.close();
+        closeRemoteDialog();
+    });
+
+    if (remoteCode) renderRemoteQrCode(remoteCode, remoteKey);
+    updateRemoteDialog();
+    connectRemote();
+}
+
+// 媒体事件不冒泡，在捕获阶段监听，播放器重建后同样有效
+['play', 'pause', 'seeked', 'volumechange', 'loadedmetadata'].forEach(type => {
+    document.addEventListener(type, publishRemoteState, true);
+});
+
+// 当前节目的最后一集播放完毕后接着播放队列
+document.addEventListener('ended', () => {
+    if (remoteQueue.length > 0 && currentEpisodeIndex >= currentEpisodes.length - 1) {
+        setTimeout(() => playQueuedTitle(0), 1000);
+    }
+}, true);
+
+window.addEventListener('beforeunload', () => {
+    if (remoteSocket) remoteSocket.close();
+});
+
+window.showRemotePairDialog = showRemotePairDialog;
@@ -0,0 +1,324 @@
+/**
+ * 手机遥控 - 遥控器端（remote.html）
+ * 凭播放器显示的配对码与校验码（扫码时在链接中）连接 /api/remote，控制播放、进度、音量与剧集，
+ * 并用本机的数据源设置搜索节目，把剧集列表加入播放器的队列。
+ */
+
+const selectedAPIs = JSON.parse(localStorage.getItem('selectedAPIs') || '[]');
+const customAPIs = JSON.parse(localStorage.getItem('customAPIs') || '[]');
+
+// 与播放器约定的关闭码，见 lib/remote-core.mjs
+const REMOTE_CLOSE_MESSAGES = {
+    4000: '播放器已关闭',
+    4003: '校验码错误或账户与播放器不同',
+    4004: '配对码无效或播放器已关闭',
+    4009: '连接的遥控器过多',
+    4029: '尝试次数过多，请稍后再试'
+};
+const REMOTE_SEEK_STEP = 10;
+
+let remoteSocket = null;
+let remoteState = null;
+// 拖动进度条时暂停用播放器推送的进度刷新滑块
+let remoteSeeking = false;
+
+// 获取自定义API信息
+function getCustomApiInfo(customApiIndex) {
+    const index = parseInt(customApiIndex);
+    if (isNaN(index) || index < 0 || index >= customAPIs.length) {
+        return null;
+    }
+    return customAPIs[index];
+}
+
+function formatRemoteTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const pad = value => String(value).padStart(2, '0');
+    const hours = Math.floor(total / 3600);
+    const text = `${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+    return hours > 0 ? `${hours}:${text}` : text;
+}
+
+function sendRemoteCommand(command, value = null) {
+    if (remoteSocket && remoteSocket.readyState === WebSocket.OPEN) {
+        remoteSocket.send(JSON.stringify({ type: 'command', command, value }));
+    }
+}
+
+function renderRemoteState() {
+    const state = remoteState || {};
+    document.getElementById('remoteTitle').textContent = state.title || '未在播放';
+    document.getElementById('remoteEpisodeInfo').textContent = state.episodeCount > 1
+        ? `第 ${state.episodeIndex + 1} 集 / 共 ${state.episodeCount} 集`
+        : '-';
+    document.getElementById('remoteToggle').textContent = state.paused === false ? '暂停' : '播放';
+
+    const seek = document.getElementById('remoteSeek');
+    seek.max = Math.floor(state.duration || 0);
+    if (!remoteSeeking) {
+        seek.value = Math.floor(state.currentTime || 0);
+        document.getElementById('remoteCurrentTime').textContent = formatRemoteTime(state.currentTime);
+    }
+    document.getElementById('remoteDuration').textContent = formatRemoteTime(state.duration);
+    if (typeof state.volume === 'number') {
+        document.getElementById('remoteVolume').value = state.volume;
+    }
+
+    const select = document.getElementById('remoteEpisodeSelect');
+    const count = state.episodeCount || 0;
+    if (select.options.length !== count) {
+        select.innerHTML = '';
+        for (let i = 0; i < count; i++) {
+            select.add(new Option(`第 ${i + 1} 集`, i));
+        }
+    }
+    select.classList.toggle('hidden', count <= 1);
+    if (count > 0) select.value = state.episodeIndex;
+
+    const queue = document.getElementById('remoteQueue');
+    queue.innerHTML = '';
+    (state.queue || []).forEach((item, index) => {
+        const li = document.createElement('li');
+        li.className = 'flex justify-between items-center gap-2';
+        const title = document.createElement('span');
+        title.className = 'truncate';
+        title.textContent = `${item.title}（${item.episodeCount} 集）`;
+        const play = document.createElement('button');
+        play.className = 'px-2 py-1 bg-[#222] hover:bg-[#333] border border-[#333] rounded flex-shrink-0';
+        play.textContent = '立即播放';
+        play.addEventListener('click', () => sendRemoteCommand('playQueued', index));
+        li.append(title, play);
+        queue.appendChild(li);
+    });
+    if (queue.children.length === 0) {
+        queue.innerHTML = '<li class="text-gray-500">队列为空，当前节目播放完毕后会依次播放队列中的节目</li>';
+    }
+}
+
+function showRemoteControls(connected) {
+    document.getElementById('remotePairSection').classList.toggle('hidden', connected);
+    document.getElementById('remoteControls').classList.toggle('hidden', !connected);
+}
+
+function connectRemote(code, key) {
+    if (remoteSocket) remoteSocket.close();
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/api/remote?role=remote&code=${encodeURIComponent(code)}&key=${encodeURIComponent(key)}`);
+    remoteSocket = socket;
+    let joined = false;
+
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (e) {
+            return;
+        }
+        if (message.type === 'joined' || message.type === 'state') {
+            joined = true;
+            remoteState = message.state;
+            showRemoteControls(true);
+            renderRemoteState();
+        }
+    });
+    socket.addEventListener('close', (event) => {
+        if (remoteSocket !== socket) return;
+        remoteSocket = null;
+        showRemoteControls(false);
+        // 服务端的关闭原因更具体（如锁定剩余的秒数），没有时按关闭码提示
+        const message = (event.code >= 4000 && event.reason) || REMOTE_CLOSE_MESSAGES[event.code]
+            || (joined ? '遥控连接已断开' : '无法连接播放器，手机遥控需要 Node/Docker 部署并已登录');
+        showToast(message, event.code === 4000 ? 'info' : 'error');
+    });
+}
+
+// 按本机的过滤设置与儿童账户规则过滤搜索结果，与首页搜索一致
+function filterRemoteResults(results) {
+    if (localStorage.getItem('yellowFilterEnabled') === 'true') {
+        const banned = ['伦理片', '福利', '里番动漫', '门事件', '萝莉少女', '制服诱惑', '国产传媒', 'cosplay', '黑丝诱惑', '无码', '日本无码', '有码', '日本有码', 'SWAG', '网红主播', '色情片', '同性片', '福利视频', '福利片'];
+        results = results.filter(item => !banned.some(keyword => (item.type_name || '').includes(keyword)));
+    }
+    const currentUser = window.getCurrentUser ? window.getCurrentUser() : null;
+    if (currentUser && currentUser.role === 'kid' && currentUser.contentRules) {
+        const { blockedTypes = [], blockedKeywords = [] } = currentUser.contentRules;
+        results = results.filter(item => {
+            const typeName = item.type_name || '';
+            const name = item.vod_name || '';
+            return !blockedTypes.some(type => typeName.includes(type)) &&
+                !blockedKeywords.some(keyword => name.includes(keyword) || typeName.includes(keyword));
+        });
+    }
+    return results;
+}
+
+function renderRemoteSearchResults(results) {
+    const list = document.getElementById('remoteSearchResults');
+    list.innerHTML = '';
+    filterRemoteResults(results).forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'flex justify-between items-center gap-2';
+        const title = document.createElement('span');
+        title.className = 'truncate';
+        title.textContent = `${item.vod_name || '未知视频'}${item.source_name ? ` · ${item.source_name}` : ''}`;
+        const add = document.createElement('button');
+        add.className = 'px-2 py-1 bg-[#222] hover:bg-[#333] border border-[#333] rounded flex-shrink-0';
+        add.textContent = '加入队列';
+        add.addEventListener('click', () => enqueueRemoteTitle(item));
+        li.append(title, add);
+        list.appendChild(li);
+    });
+    if (list.children.length === 0) {
+        list.innerHTML = '<li class="text-gray-500">没有找到匹配的结果</li>';
+    }
+}
+
+async function searchRemote(query) {
+    if (selectedAPIs.length === 0) {
+        showToast('请先在首页选择数据源', 'warning');
+        return;
+    }
+    showLoading('正在搜索...');
+    try {
+        let allResults = [];
+        const appendResults = (results) => {
+            if (!Array.isArray(results) || results.length === 0) return;
+            allResults = allResults.concat(results);
+            renderRemoteSearchResults(allResults);
+            hideLoading();
+        };
+        const streamed = await streamSearchResults(selectedAPIs, query, appendResults);
+        if (!streamed) {
+            await Promise.all(selectedAPIs.map(apiId =>
+                searchByAPIAndKeyWord(apiId, query).then(appendResults)
+            ));
+        }
+        renderRemoteSearchResults(allResults);
+    } catch (error) {
+        console.error('遥控搜索失败:', error);
+        showToast('搜索请求失败，请稍后重试', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * 获取节目的剧集列表并加入播放器队列
+ */
+async function enqueueRemoteTitle(item) {
+    const sourceCode = item.source_code;
+    let apiParams;
+    if (sourceCode.startsWith('custom_')) {
+        const customApi = getCustomApiInfo(sourceCode.replace('custom_', ''));
+        if (!customApi) {
+            showToast('自定义API配置无效', 'error');
+            return;
+        }
+        apiParams = '&customApi=' + encodeURIComponent(customApi.url) + '&source=custom';
+        if (customApi.detail) {
+            apiParams += '&customDetail=' + encodeURIComponent(customApi.detail);
+        }
+    } else {
+        apiParams = '&source=' + sourceCode;
+    }
+
+    showLoading('正在获取剧集...');
+    try {
+        const response = await fetch(`/api/detail?id=${encodeURIComponent(item.vod_id)}${apiParams}`);
+        const data = await response.json();
+        if (!data.episodes || data.episodes.length === 0) {
+            showToast('未找到播放资源', 'error');
+            return;
+        }
+        sendRemoteCommand('enqueue', {
+            title: item.vod_name || '未知视频',
+            sourceCode,
+            vodId: item.vod_id,
+            episodes: data.episodes
+        });
+        showToast('已加入播放队列', 'success');
+    } catch (error) {
+        console.error('获取剧集失败:', error);
+        showToast('获取剧集失败，请稍后重试', 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function initRemotePage() {
+    const codeInput = document.getElementById('remoteCodeInput');
+    const keyInput = document.getElementById('remoteKeyInput');
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('code');
+    const key = params.get('key') || '';
+    if (code) codeInput.value = code;
+    keyInput.value = key;
+
+    document.getElementById('remotePairForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const value = codeInput.value.replace(/\D/g, '');
+        const keyValue = keyInput.value.replace(/[^0-9a-z]/gi, '').toUpperCase();
+        if (value.length !== 6 || keyValue.length !== 6) {
+            showToast('请输入 6 位配对码与 6 位校验码', 'warning');
+            return;
+        }
+        connectRemote(value, keyValue);
+    });
+    document.getElementById('remoteDisconnect').addEventListener('click', () => {
+        if (remoteSocket) remoteSocket.close();
+    });
+
+    document.querySelectorAll('[data-remote-command]').forEach(button => {
+        button.addEventListener('click', () => {
+            const state = remoteState || {};
+            switch (button.dataset.remoteCommand) {
+                case 'toggle':
+                    sendRemoteCommand('toggle');
+                    break;
+                case 'seekBack':
+                    sendRemoteCommand('seekBy', -REMOTE_SEEK_STEP);
+                    break;
+                case 'seekForward':
+                    sendRemoteCommand('seekBy', REMOTE_SEEK_STEP);
+                    break;
+                case 'episodePrev':
+                    if (state.episodeIndex > 0) sendRemoteCommand('episode', state.episodeIndex - 1);
+                    break;
+                case 'episodeNext':
+                    if (state.episodeIndex < state.episodeCount - 1) sendRemoteCommand('episode', state.episodeIndex + 1);
+                    break;
+            }
+        });
+    });
+
+    const seek = document.getElementById('remoteSeek');
+    seek.addEventListener('input', () => {
+        remoteSeeking = true;
+        document.getElementById('remoteCurrentTime').textContent = formatRemoteTime(Number(seek.value));
+    });
+    seek.addEventListener('change', () => {
+        remoteSeeking = false;
+        sendRemoteCommand('seek', Number(seek.value));
+    });
+    document.getElementById('remoteVolume').addEventListener('change', (e) => {
+        sendRemoteCommand('volume', Number(e.target.value));
+    });
+    document.getElementById('remoteEpisodeSelect').addEventListener('change', (e) => {
+        sendRemoteCommand('episode', Number(e.target.value));
+    });
+    document.getElementById('remoteSearchForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const query = document.getElementById('remoteSearchInput').value.trim();
+        if (query) searchRemote(query);
+    });
+
+    // 扫码打开时登录后自动连接
+    if (code && key) {
+        if (!window.isPasswordVerified || window.isPasswordVerified()) {
+            connectRemote(code, key);
+        } else {
+            document.addEventListener('passwordVerified', () => connectRemote(code, key), { once: true });
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initRemotePage);
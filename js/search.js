@@ -124,4 +124,66 @@ async function searchByAPIAndKeyWord(apiId, query) {
         console.warn(`API ${apiId} 搜索失败:`, error);
         return [];
     }
-}
\ No newline at end of file
+}
+/**
+ * 通过服务端聚合搜索（POST /api/search）一次请求所有选中的源，每个源完成后回调 onResults
+ * 服务端接口不可用（如纯静态部署）时返回 false，由调用方回退到 searchByAPIAndKeyWord
+ */
+async function streamSearchResults(apiIds, query, onResults) {
+    const sources = apiIds.map(apiId => {
+        if (apiId.startsWith('custom_')) {
+            const customApi = getCustomApiInfo(apiId.replace('custom_', ''));
+            return customApi ? { code: apiId, name: customApi.name, api: customApi.url, custom: true } : null;
+        }
+        return API_SITES[apiId] ? { code: apiId, name: API_SITES[apiId].name, api: API_SITES[apiId].api } : null;
+    }).filter(Boolean);
+    if (sources.length === 0) return true;
+
+    let response;
+    try {
+        const searchUrl = window.ProxyAuth?.addAuthToApiUrl ?
+            await window.ProxyAuth.addAuthToApiUrl('/api/search', 'search') :
+            '/api/search';
+        response = await fetch(searchUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/x-ndjson' },
+            body: JSON.stringify({ query, sources, maxPages: API_CONFIG.search.maxPages })
+        });
+    } catch (error) {
+        console.warn('服务端聚合搜索不可用:', error);
+        return false;
+    }
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.ok || !response.body || !contentType.includes('application/x-ndjson')) {
+        return false;
+    }
+
+    // 按行解析 NDJSON，每行是一个源的结果、错误或结束事件
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const handleLine = (line) => {
+        if (!line.trim()) return;
+        try {
+            const event = JSON.parse(line);
+            if (event.type === 'source') {
+                onResults(event.results);
+            } else if (event.type === 'error') {
+                console.warn(`API ${event.source} 搜索失败:`, event.error);
+            }
+        } catch (error) {
+            console.warn('解析聚合搜索结果失败:', error);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+    return true;
+}
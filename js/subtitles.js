@@ -0,0 +1,236 @@
+/**
+ * 外挂字幕：加载本地文件或网址上的 SRT/ASS/VTT 字幕
+ * 编码识别、格式转换与时间偏移在 lib/subtitle.mjs 中，页面以模块脚本加载后挂到 window；
+ * 网址经由 /proxy/ 获取，不受跨域限制。字幕的选择与偏移按集记在观看历史条目的 subtitles 中
+ * （本地文件只记文件名，下次需要重新选择）；字号、颜色与背景是本设备的显示设置。
+ */
+
+const SUBTITLE_STYLE_KEY = 'subtitleStyle';
+const SUBTITLE_SIZES = { small: '18px', medium: '24px', large: '32px', xlarge: '40px' };
+const SUBTITLE_COLORS = { white: '#ffffff', yellow: '#ffe14d' };
+// 时间偏移的上限（秒）
+const SUBTITLE_OFFSET_LIMIT = 600;
+
+// 当前字幕：{ name, url, cues, encoding, format, offset }，url 为空表示本地文件
+let currentSubtitle = null;
+// 上次为本集选择的本地字幕：{ name, offset }，重新选择同名文件时沿用偏移
+let rememberedLocalSubtitle = null;
+// 切换剧集后递增，丢弃之前还未完成的加载
+let subtitleLoadId = 0;
+
+function getSubtitleStyle() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(SUBTITLE_STYLE_KEY) || '{}') || {};
+    } catch (e) {
+    }
+    return {
+        size: SUBTITLE_SIZES[stored.size] ? stored.size : 'medium',
+        color: SUBTITLE_COLORS[stored.color] ? stored.color : 'white',
+        background: stored.background === true
+    };
+}
+
+function applySubtitleStyle() {
+    if (!art || !art.subtitle) return;
+    const style = getSubtitleStyle();
+    art.subtitle.style({ fontSize: SUBTITLE_SIZES[style.size], color: SUBTITLE_COLORS[style.color] });
+    art.template.$subtitle.classList.toggle('subtitle-boxed', style.background);
+}
+
+function saveSubtitleStyle() {
+    localStorage.setItem(SUBTITLE_STYLE_KEY, JSON.stringify({
+        size: document.getElementById('subtitleSizeSelect').value,
+        color: document.getElementById('subtitleColorSelect').value,
+        background: document.getElementById('subtitleBackgroundToggle').checked
+    }));
+    applySubtitleStyle();
+}
+
+// 按当前偏移生成 WebVTT 交给 ArtPlayer（它会读取后另建一份，这里的临时地址随即释放）
+async function applyCurrentSubtitle({ notify = false } = {}) {
+    if (!art || !currentSubtitle) return;
+    const vttUrl = URL.createObjectURL(new Blob([buildWebVtt(currentSubtitle.cues, currentSubtitle.offset)], { type: 'text/vtt' }));
+    try {
+        await art.subtitle.switch(vttUrl, { type: 'vtt', ...(notify ? { name: currentSubtitle.name } : {}) });
+    } finally {
+        URL.revokeObjectURL(vttUrl);
+    }
+    art.subtitle.show = true;
+    applySubtitleStyle();
+}
+
+async function fetchSubtitle(url) {
+    const proxiedUrl = window.ProxyAuth && window.ProxyAuth.addAuthToProxyUrl ?
+        await window.ProxyAuth.addAuthToProxyUrl(PROXY_URL + encodeURIComponent(url)) :
+        PROXY_URL + encodeURIComponent(url);
+    const response = await fetch(proxiedUrl);
+    if (!response.ok) throw new Error(`获取字幕失败（HTTP ${response.status}）`);
+    return response.arrayBuffer();
+}
+
+// 网址中的文件名，用作字幕名称
+function getSubtitleNameFromUrl(url) {
+    try {
+        const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+        return fileName || url;
+    } catch (e) {
+        return url;
+    }
+}
+
+async function showSubtitle(subtitle, loadId) {
+    if (loadId !== subtitleLoadId) return;
+    currentSubtitle = subtitle;
+    await applyCurrentSubtitle({ notify: true });
+    renderSubtitlePanel();
+}
+
+async function loadSubtitleFile(file) {
+    const loadId = subtitleLoadId;
+    try {
+        const parsed = loadSubtitle(await file.arrayBuffer(), file.name);
+        const offset = rememberedLocalSubtitle && rememberedLocalSubtitle.name === file.name ? rememberedLocalSubtitle.offset : 0;
+        await showSubtitle({ name: file.name, url: '', ...parsed, offset }, loadId);
+        rememberSubtitleChoice();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * 加载网址上的字幕
+ * @param {string} url
+ * @param {{offset?: number, silent?: boolean}} [options] - silent 为 true 时（恢复上次的选择）失败不提示
+ */
+async function loadSubtitleUrl(url, { offset = 0, silent = false } = {}) {
+    const loadId = subtitleLoadId;
+    if (!silent) showLoading('正在加载字幕...');
+    try {
+        const parsed = loadSubtitle(await fetchSubtitle(url), url);
+        await showSubtitle({ name: getSubtitleNameFromUrl(url), url, ...parsed, offset }, loadId);
+        if (!silent) rememberSubtitleChoice();
+    } catch (error) {
+        if (silent) {
+            console.warn('恢复字幕失败:', error);
+        } else {
+            showToast(error.message, 'error');
+        }
+    } finally {
+        if (!silent) hideLoading();
+    }
+}
+
+function loadSubtitleFromInput() {
+    const input = document.getElementById('subtitleUrlInput');
+    const url = input.value.trim();
+    if (!/^https?:\/\//i.test(url)) {
+        showToast('请输入以 http:// 或 https:// 开头的字幕地址', 'warning');
+        return;
+    }
+    loadSubtitleUrl(url);
+}
+
+function adjustSubtitleOffset(delta) {
+    if (!currentSubtitle) {
+        showToast('请先加载字幕', 'info');
+        return;
+    }
+    const offset = Math.round((currentSubtitle.offset + delta) * 10) / 10;
+    currentSubtitle.offset = Math.max(-SUBTITLE_OFFSET_LIMIT, Math.min(SUBTITLE_OFFSET_LIMIT, offset));
+    applyCurrentSubtitle();
+    renderSubtitlePanel();
+    rememberSubtitleChoice();
+}
+
+function resetSubtitleOffset() {
+    if (!currentSubtitle) return;
+    adjustSubtitleOffset(-currentSubtitle.offset);
+}
+
+function closeSubtitle() {
+    if (art && art.subtitle) art.subtitle.show = false;
+    currentSubtitle = null;
+    rememberedLocalSubtitle = null;
+    renderSubtitlePanel();
+    rememberSubtitleChoice();
+}
+
+// --- 按集记住选择 ---
+
+function rememberSubtitleChoice() {
+    updateCurrentHistoryEntry((entry) => {
+        const subtitles = entry.subtitles && typeof entry.subtitles === 'object' ? entry.subtitles : {};
+        if (currentSubtitle) {
+            subtitles[currentEpisodeIndex] = { name: currentSubtitle.name, url: currentSubtitle.url, offset: currentSubtitle.offset };
+        } else {
+            delete subtitles[currentEpisodeIndex];
+        }
+        entry.subtitles = subtitles;
+    });
+}
+
+// 切换剧集或重建播放器时清除当前字幕
+function resetSubtitle() {
+    subtitleLoadId++;
+    if (art && art.subtitle) art.subtitle.show = false;
+    currentSubtitle = null;
+    rememberedLocalSubtitle = null;
+    renderSubtitlePanel();
+}
+
+// 恢复本集上次选择的字幕：网址直接加载，本地文件提示重新选择
+function restoreSubtitleForEpisode() {
+    if (currentSubtitle || rememberedLocalSubtitle) return;
+    const entry = findCurrentHistoryEntry(readViewingHistory());
+    const choice = entry && entry.subtitles ? entry.subtitles[currentEpisodeIndex] : null;
+    if (!choice || !choice.name) return;
+
+    const offset = Number(choice.offset) || 0;
+    if (choice.url) {
+        loadSubtitleUrl(choice.url, { offset, silent: true });
+    } else {
+        rememberedLocalSubtitle = { name: choice.name, offset };
+        renderSubtitlePanel();
+    }
+}
+
+// --- 面板 ---
+
+function toggleSubtitlePanel() {
+    const panel = document.getElementById('subtitlePanel');
+    if (panel) panel.classList.toggle('hidden');
+}
+
+function renderSubtitlePanel() {
+    const status = document.getElementById('subtitleStatus');
+    if (!status) return;
+    const buttonText = document.getElementById('subtitleButtonText');
+    const offset = currentSubtitle ? currentSubtitle.offset : 0;
+
+    if (currentSubtitle) {
+        status.textContent = `${currentSubtitle.name}（${currentSubtitle.cues.length} 条，${currentSubtitle.format.toUpperCase()}，${currentSubtitle.encoding.toUpperCase()}）`;
+    } else if (rememberedLocalSubtitle) {
+        status.textContent = `本集上次使用本地字幕「${rememberedLocalSubtitle.name}」，请重新选择该文件`;
+    } else {
+        status.textContent = '未加载字幕';
+    }
+    document.getElementById('subtitleOffsetValue').textContent = `${offset > 0 ? '+' : ''}${offset.toFixed(1)}s`;
+    buttonText.textContent = currentSubtitle ? '字幕：开' : '字幕';
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const fileInput = document.getElementById('subtitleFileInput');
+    if (!fileInput) return;
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) loadSubtitleFile(fileInput.files[0]);
+        // 允许再次选择同一个文件
+        fileInput.value = '';
+    });
+
+    const style = getSubtitleStyle();
+    document.getElementById('subtitleSizeSelect').value = style.size;
+    document.getElementById('subtitleColorSelect').value = style.color;
+    document.getElementById('subtitleBackgroundToggle').checked = style.background;
+    renderSubtitlePanel();
+});
@@ -0,0 +1,379 @@
+/**
+ * 多设备同步模块
+ * 观看历史、收藏与设置按登录账户保存在服务端（/api/sync），各设备按条目“最后写入者获胜”合并：
+ * 本地变更与上次同步时的快照（只保存指纹）比较得出，推送后以服务端返回的完整数据更新本地，
+ * 期间本地又发生变化的条目保留本地版本，留待下一次推送。
+ */
+
+const SYNC_STATE_STORAGE_KEY = 'syncState';
+// 参与同步的设置项（localStorage 原始值）
+const SYNC_SETTINGS_KEYS = [
+    'selectedAPIs',
+    'customAPIs',
+    'yellowFilterEnabled',
+    'adFilteringEnabled',
+    'adFilterRules',
+    'trackLanguagePreferences',
+    'doubanEnabled',
+    'searchOptimizeEnabled',
+    'showSearchScoreEnabled',
+    'skipIntroEnabled',
+    'skipOutroEnabled',
+    'introSkipTime',
+    'outroSkipTime',
+    'autoplayEnabled',
+    'episodesReversed',
+    'userMovieTags',
+    'userTvTags'
+];
+const SYNC_MAX_HISTORY_ITEMS = 50;
+// 本地写入后等待该时长再推送，合并连续的写入（毫秒）
+const SYNC_PUSH_DELAY = 2000;
+// 页面可见时定期拉取其他设备的变更（毫秒）
+const SYNC_PULL_INTERVAL = 60000;
+// keepalive 请求体的浏览器上限
+const SYNC_KEEPALIVE_MAX_BYTES = 60000;
+
+let syncPushTimer = null;
+let syncRunning = null;
+let syncPending = false;
+// 服务端未提供同步接口（404/501）或未登录（401）时暂停，重新登录后恢复
+let syncUnavailable = false;
+
+// 历史记录与收藏的条目标识，与 addToViewingHistory 判断同一部剧的字段一致
+function getSyncItemId(item) {
+    return [item.title || '', item.sourceName || '', item.showIdentifier || ''].join('|');
+}
+
+function readJsonArray(key) {
+    try {
+        const list = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// 读取本地数据，统一为 { [id]: value } 的形式
+function readLocalCollection(collection) {
+    const entries = {};
+    if (collection === 'settings') {
+        SYNC_SETTINGS_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) entries[key] = value;
+        });
+        return entries;
+    }
+    const storageKey = collection === 'history' ? 'viewingHistory' : 'favorites';
+    readJsonArray(storageKey).forEach(item => {
+        if (item && typeof item === 'object') entries[getSyncItemId(item)] = item;
+    });
+    return entries;
+}
+
+function writeLocalCollection(collection, entries) {
+    if (collection === 'settings') {
+        SYNC_SETTINGS_KEYS.forEach(key => {
+            if (entries[key] === undefined) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, entries[key]);
+            }
+        });
+        return;
+    }
+    const storageKey = collection === 'history' ? 'viewingHistory' : 'favorites';
+    let list = Object.values(entries).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    if (collection === 'history') list = list.slice(0, SYNC_MAX_HISTORY_ITEMS);
+    if (list.length === 0) {
+        localStorage.removeItem(storageKey);
+    } else {
+        localStorage.setItem(storageKey, JSON.stringify(list));
+    }
+}
+
+// 条目指纹（字符串哈希），用于判断本地是否有尚未推送的变更
+function syncFingerprint(value) {
+    if (value === undefined || value === null) return undefined;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${text.length}:${(hash >>> 0).toString(36)}`;
+}
+
+function emptySyncShadow() {
+    return { history: {}, favorites: {}, settings: {} };
+}
+
+function loadSyncState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(SYNC_STATE_STORAGE_KEY) || 'null');
+        if (state && state.shadow) return state;
+    } catch (e) {
+        localStorage.removeItem(SYNC_STATE_STORAGE_KEY);
+    }
+    return null;
+}
+
+function saveSyncState(state) {
+    localStorage.setItem(SYNC_STATE_STORAGE_KEY, JSON.stringify(state));
+}
+
+/**
+ * 取得当前账户的同步状态。
+ * 本设备首次同步时（initial）先拉取服务端数据，再推送服务端没有的本地数据；
+ * 换了账户登录时，把本地数据视为已同步（属于上一个账户），由服务端数据替换
+ */
+function getSyncStateFor(username) {
+    const state = loadSyncState();
+    if (state && state.username === username) return state;
+
+    const shadow = emptySyncShadow();
+    if (state) {
+        Object.keys(shadow).forEach(collection => {
+            const local = readLocalCollection(collection);
+            Object.keys(local).forEach(id => {
+                shadow[collection][id] = syncFingerprint(local[id]);
+            });
+        });
+    }
+    return { username, etag: null, shadow, initial: !state };
+}
+
+/**
+ * 首次同步：服务端已有的条目以服务端为准（新设备初始化时写入的默认设置不应覆盖其他设备的设置），
+ * 只有观看时间比服务端更新的历史记录保留本地版本
+ */
+function adoptRemoteOnFirstSync(data, state) {
+    Object.keys(state.shadow).forEach(collection => {
+        const remote = (data && data[collection]) || {};
+        const local = readLocalCollection(collection);
+        Object.keys(remote).forEach(id => {
+            if (local[id] === undefined) return;
+            const localIsNewer = collection === 'history' && (local[id].timestamp || 0) > remote[id].updatedAt;
+            if (!localIsNewer) state.shadow[collection][id] = syncFingerprint(local[id]);
+        });
+    });
+}
+
+// 同步接口不可用（未部署、未配置存储或未登录）时返回 true
+function isSyncUnavailableResponse(response) {
+    return response.status === 401 || response.status === 404 || response.status === 501;
+}
+
+// 比较本地数据与快照，得到需要推送的变更；sent 记录推送的指纹，推送成功后写入快照
+function collectSyncChanges(shadow) {
+    const changes = {};
+    const sent = {};
+    let count = 0;
+    const now = Date.now();
+
+    Object.keys(shadow).forEach(collection => {
+        const local = readLocalCollection(collection);
+        const ids = new Set([...Object.keys(local), ...Object.keys(shadow[collection])]);
+        ids.forEach(id => {
+            const fingerprint = syncFingerprint(local[id]);
+            if (fingerprint === shadow[collection][id]) return;
+            changes[collection] = changes[collection] || {};
+            sent[collection] = sent[collection] || {};
+            // 历史记录以条目自带的观看时间为准，离线设备稍后推送的旧进度不会覆盖其他设备更新的进度
+            const updatedAt = local[id] === undefined
+                ? now
+                : (collection === 'history' && local[id].timestamp) || now;
+            changes[collection][id] = { value: local[id] === undefined ? null : local[id], updatedAt };
+            sent[collection][id] = fingerprint;
+            count++;
+        });
+    });
+    return { changes, sent, count };
+}
+
+// 用服务端的完整数据更新本地，本地有未推送变更的条目保持不变
+function applyRemoteSyncData(data, state) {
+    const changedCollections = [];
+    let hasLocalChanges = false;
+
+    Object.keys(state.shadow).forEach(collection => {
+        const shadow = state.shadow[collection];
+        const remote = (data && data[collection]) || {};
+        const local = readLocalCollection(collection);
+        const ids = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(shadow)]);
+        let changed = false;
+
+        ids.forEach(id => {
+            const localFingerprint = syncFingerprint(local[id]);
+            if (localFingerprint !== shadow[id]) {
+                hasLocalChanges = true;
+                return;
+            }
+            const remoteValue = remote[id] && remote[id].value !== null ? remote[id].value : undefined;
+            const remoteFingerprint = syncFingerprint(remoteValue);
+            if (remoteFingerprint !== localFingerprint) {
+                if (remoteValue === undefined) {
+                    delete local[id];
+                } else {
+                    local[id] = remoteValue;
+                }
+                changed = true;
+            }
+            if (remoteFingerprint === undefined) {
+                delete shadow[id];
+            } else {
+                shadow[id] = remoteFingerprint;
+            }
+        });
+
+        if (changed) {
+            writeLocalCollection(collection, local);
+            changedCollections.push(collection);
+        }
+    });
+
+    return { changedCollections, hasLocalChanges };
+}
+
+async function runSync() {
+    const user = window.getCurrentUser ? window.getCurrentUser() : null;
+    if (!user || syncUnavailable) return;
+
+    const state = getSyncStateFor(user.username);
+    const changedCollections = new Set();
+    let hasLocalChanges = false;
+    const applyResponse = async (response) => {
+        const result = await response.json();
+        const applied = applyRemoteSyncData(result.data, state);
+        applied.changedCollections.forEach(collection => changedCollections.add(collection));
+        hasLocalChanges = applied.hasLocalChanges;
+        state.etag = response.headers.get('ETag');
+        state.lastSyncAt = Date.now();
+        return result;
+    };
+
+    if (state.initial) {
+        const response = await fetch('/api/sync', { credentials: 'same-origin', cache: 'no-store' });
+        if (isSyncUnavailableResponse(response)) {
+            syncUnavailable = true;
+            return;
+        }
+        if (!response.ok) throw new Error(`同步失败：HTTP ${response.status}`);
+        const result = await response.clone().json();
+        adoptRemoteOnFirstSync(result.data, state);
+        await applyResponse(response);
+        delete state.initial;
+    }
+
+    const { changes, sent, count } = collectSyncChanges(state.shadow);
+    const response = count > 0
+        ? await fetch('/api/sync', {
+            method: 'PUT',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes })
+        })
+        : await fetch('/api/sync', {
+            credentials: 'same-origin',
+            cache: 'no-store',
+            headers: state.etag ? { 'If-None-Match': state.etag } : {}
+        });
+
+    if (isSyncUnavailableResponse(response)) {
+        syncUnavailable = true;
+    } else if (response.ok) {
+        Object.keys(sent).forEach(collection => {
+            Object.keys(sent[collection]).forEach(id => {
+                if (sent[collection][id] === undefined) {
+                    delete state.shadow[collection][id];
+                } else {
+                    state.shadow[collection][id] = sent[collection][id];
+                }
+            });
+        });
+        await applyResponse(response);
+    } else if (response.status !== 304) {
+        throw new Error(`同步失败：HTTP ${response.status}`);
+    }
+    saveSyncState(state);
+
+    if (changedCollections.size > 0) {
+        if (changedCollections.has('history') && typeof loadViewingHistory === 'function') {
+            loadViewingHistory();
+        }
+        document.dispatchEvent(new CustomEvent('syncApplied', { detail: { collections: [...changedCollections] } }));
+    }
+    if (hasLocalChanges) schedulePush();
+}
+
+/**
+ * 立即同步一次（推送本地变更并拉取其他设备的变更），同一时间只运行一个同步
+ */
+async function syncNow() {
+    if (syncRunning) {
+        syncPending = true;
+        return syncRunning;
+    }
+    syncRunning = runSync()
+        .catch(error => console.warn('同步观看记录失败:', error))
+        .finally(() => {
+            syncRunning = null;
+            if (syncPending) {
+                syncPending = false;
+                syncNow();
+            }
+        });
+    return syncRunning;
+}
+
+/**
+ * 本地数据变化后调用，稍后推送
+ */
+function schedulePush() {
+    clearTimeout(syncPushTimer);
+    syncPushTimer = setTimeout(syncNow, SYNC_PUSH_DELAY);
+}
+
+// 页面隐藏或关闭前把尚未推送的变更发出去，不等待结果（下次同步会重复推送，服务端按时间戳去重）
+function flushPendingChanges() {
+    if (!syncPushTimer || syncUnavailable) return;
+    clearTimeout(syncPushTimer);
+    syncPushTimer = null;
+
+    const user = window.getCurrentUser ? window.getCurrentUser() : null;
+    if (!user) return;
+    const { changes, count } = collectSyncChanges(getSyncStateFor(user.username).shadow);
+    const body = JSON.stringify({ changes });
+    if (count === 0 || body.length > SYNC_KEEPALIVE_MAX_BYTES) return;
+    fetch('/api/sync', {
+        method: 'PUT',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+    }).catch(() => {});
+}
+
+function resumeSync() {
+    syncUnavailable = false;
+    syncNow();
+}
+
+document.addEventListener('passwordVerified', resumeSync);
+document.addEventListener('loginStateSynced', resumeSync);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        flushPendingChanges();
+    } else {
+        syncNow();
+    }
+});
+window.addEventListener('pagehide', flushPendingChanges);
+setInterval(() => {
+    if (document.visibilityState === 'visible') syncNow();
+}, SYNC_PULL_INTERVAL);
+
+window.DataSync = {
+    syncNow,
+    schedulePush,
+    getSyncItemId
+};
@@ -491,6 +491,7 @@ function deleteHistoryItem(encodedUrl) {
 
         // 保存回localStorage
         localStorage.setItem('viewingHistory', JSON.stringify(newHistory));
+        if (window.DataSync) window.DataSync.schedulePush();
 
         // 重新加载历史记录显示
         loadViewingHistory();
@@ -579,6 +580,7 @@ async function playFromHistory(url, title, episodeIndex, playbackPosition = 0) {
                         if (idx !== -1) {
                             history[idx] = { ...history[idx], ...historyItem }; // Merge, ensuring other properties are kept
                             localStorage.setItem('viewingHistory', JSON.stringify(history));
+                            if (window.DataSync) window.DataSync.schedulePush();
                             // console.log("观看历史中的剧集列表已更新。");
                         }
                     }
@@ -760,6 +762,8 @@ function addToViewingHistory(videoInfo) {
 
         // 保存到本地存储
         localStorage.setItem('viewingHistory', JSON.stringify(history));
+        // 稍后推送到服务端，同步到同一账户的其他设备
+        if (window.DataSync) window.DataSync.schedulePush();
     } catch (e) {
         // console.error('保存观看历史失败:', e);
     }
@@ -769,6 +773,7 @@ function addToViewingHistory(videoInfo) {
 function clearViewingHistory() {
     try {
         localStorage.removeItem('viewingHistory');
+        if (window.DataSync) window.DataSync.schedulePush();
         loadViewingHistory(); // 重新加载空的历史记录
         showToast('观看历史已清空', 'success');
     } catch (e) {
@@ -807,6 +812,17 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 });
 
+// 运行时配置了站点名称时，替换页面标题与 logo 中的默认名称
+document.addEventListener('DOMContentLoaded', function() {
+    const siteName = RUNTIME_CONFIG.site && RUNTIME_CONFIG.site.name;
+    if (!siteName) return;
+
+    document.title = document.title.replace('TeslaTV', siteName);
+    document.querySelectorAll('h1.gradient-text, span.gradient-text').forEach(el => {
+        if (el.textContent.trim() === 'TeslaTV') el.textContent = siteName;
+    });
+});
+
 // 清除本地存储缓存并刷新页面
 function clearLocalStorage() {
     // 确保模态框在页面上只有一个实例
@@ -930,6 +946,7 @@ function showImportBox(fun) {
                             <div class="flex w-28 h-9 px-2 flex-col bg-pink-600 rounded-full shadow text-white text-xs font-semibold leading-4 items-center justify-center cursor-pointer focus:outline-none">选择文件</div>
                         </label>
                         <button onclick="importConfigFromUrl()" class="flex w-28 h-9 px-2 flex-col bg-blue-600 rounded-full shadow text-white text-xs font-semibold leading-4 items-center justify-center cursor-pointer focus:outline-none">从URL导入</button>
+                        <button onclick="promptHandoffCode()" class="flex w-28 h-9 px-2 flex-col bg-[#333] rounded-full shadow text-white text-xs font-semibold leading-4 items-center justify-center cursor-pointer focus:outline-none">输入传输码</button>
                     </div>
                     </div>
                 </div>
@@ -0,0 +1,112 @@
+// 账户管理（仅管理员可见），通过服务端 /api/users 增删改账户
+
+function setUserAdminMessage(message) {
+    const element = document.getElementById('userAdminMessage');
+    if (element) element.textContent = message || '';
+}
+
+async function requestUsers(method = 'GET', body = null, query = '') {
+    const response = await fetch(`/api/users${query}`, {
+        method,
+        credentials: 'same-origin',
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `请求失败（${response.status}）`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+function renderUserAccounts(users) {
+    const list = document.getElementById('userList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (users.length === 0) {
+        list.innerHTML = '<p class="text-xs text-gray-500">还没有账户，可在下方添加</p>';
+        return;
+    }
+    const roleNames = { admin: '管理员', viewer: '观看者', kid: '儿童' };
+    users.forEach(user => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center justify-between p-1 mb-1 bg-[#222] rounded';
+
+        const label = document.createElement('span');
+        label.className = 'text-white truncate cursor-pointer';
+        label.textContent = `${user.username}（${roleNames[user.role] || user.role}）`;
+        label.title = '点击编辑';
+        label.onclick = () => fillUserForm(user);
+
+        const remove = document.createElement('button');
+        remove.className = 'text-red-500 hover:text-red-400 text-xs px-1';
+        remove.textContent = '删除';
+        remove.onclick = () => deleteUserAccount(user.username);
+
+        row.appendChild(label);
+        row.appendChild(remove);
+        list.appendChild(row);
+    });
+}
+
+function fillUserForm(user) {
+    document.getElementById('userFormName').value = user.username;
+    document.getElementById('userFormPassword').value = '';
+    document.getElementById('userFormRole').value = user.role;
+    document.getElementById('userFormBlockedKeywords').value = user.contentRules ? user.contentRules.blockedKeywords.join(', ') : '';
+}
+
+async function loadUserAccounts() {
+    try {
+        const { users } = await requestUsers();
+        renderUserAccounts(users);
+        setUserAdminMessage('');
+    } catch (error) {
+        renderUserAccounts([]);
+        setUserAdminMessage(error.status === 501
+            ? '当前部署没有配置账户存储，只能使用共享密码（PASSWORD）'
+            : error.message);
+    }
+}
+
+async function saveUserAccount() {
+    const role = document.getElementById('userFormRole').value;
+    const payload = {
+        username: document.getElementById('userFormName').value.trim(),
+        role
+    };
+    const password = document.getElementById('userFormPassword').value;
+    if (password) payload.password = password;
+    if (role === 'kid') {
+        payload.contentRules = {
+            blockedKeywords: document.getElementById('userFormBlockedKeywords').value
+                .split(/[,，]/).map(keyword => keyword.trim()).filter(Boolean)
+        };
+    }
+
+    try {
+        await requestUsers('POST', payload);
+        document.getElementById('userFormPassword').value = '';
+        showToast(`账户 ${payload.username.toLowerCase()} 已保存`, 'success');
+        await loadUserAccounts();
+    } catch (error) {
+        setUserAdminMessage(error.message);
+    }
+}
+
+async function deleteUserAccount(username) {
+    if (!confirm(`确定要删除账户 ${username} 吗？该账户的登录会立即失效。`)) return;
+    try {
+        await requestUsers('DELETE', null, `?username=${encodeURIComponent(username)}`);
+        showToast(`账户 ${username} 已删除`, 'success');
+        await loadUserAccounts();
+    } catch (error) {
+        setUserAdminMessage(error.message);
+    }
+}
+
+window.loadUserAccounts = loadUserAccounts;
+window.saveUserAccount = saveUserAccount;
+window.deleteUserAccount = deleteUserAccount;
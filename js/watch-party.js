@@ -0,0 +1,386 @@
+/**
+ * 观看派对 - 多人在不同地点同步观看同一集
+ * 主持人在播放页创建房间（/api/party，仅 Node/Docker 服务端），把房间链接发给其他人；
+ * 链接只包含房间号、来源、视频 ID 与集数，打开后先获取剧集列表再进入播放。自定义源的 API 地址
+ * 只有主持人创建房间时选择分享才放进链接，服务端同样只转发给同一账户的成员（见 lib/party-core.mjs）。
+ * 成员跟随主持人的播放、暂停、跳转与切换剧集；进度偏差较小时微调倍速追赶，偏差较大时直接跳转。
+ */
+
+// 主持人定期同步进度（毫秒），成员据此修正漂移
+const PARTY_SYNC_INTERVAL = 3000;
+// 成员检查漂移的间隔（毫秒）
+const PARTY_DRIFT_CHECK_INTERVAL = 1000;
+// 偏差超过该秒数直接跳转
+const PARTY_SEEK_THRESHOLD = 2;
+// 偏差超过该秒数时微调倍速追赶，回到 PARTY_DRIFT_TOLERANCE 以内后恢复
+const PARTY_NUDGE_THRESHOLD = 0.4;
+const PARTY_DRIFT_TOLERANCE = 0.1;
+const PARTY_NUDGE_RATE = 0.05;
+// 房间号的格式（与 lib/party-core.mjs 的 ROOM_ALPHABET、ROOM_LENGTH 一致），来自链接的值先校验再使用
+const PARTY_ROOM_PATTERN = /^[A-HJ-NP-Z2-9]{8}$/;
+
+let partySocket = null;
+let partyRole = null;
+let partyRoom = null;
+let partyMemberCount = 0;
+// 主持人是否把自定义源地址分享给其他账户
+let partyShareCustomApi = false;
+let partyTimer = null;
+// 成员最近收到的同步状态及收到的时间
+let partyLastSync = null;
+let partyLastSyncAt = 0;
+let partyNudging = false;
+
+function getPartySocketUrl(query) {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/api/party?${query}`;
+}
+
+function getPartyMedia() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const sourceCode = urlParams.get('source') || localStorage.getItem('currentSourceCode') || '';
+    const media = {
+        title: currentVideoTitle,
+        sourceCode,
+        vodId: urlParams.get('id') || '',
+        episodeIndex: currentEpisodeIndex
+    };
+    // 自定义源在各设备上的编号不同，带上 API 地址
+    if (sourceCode.startsWith('custom_')) {
+        const customApi = customAPIs[parseInt(sourceCode.replace('custom_', ''), 10)];
+        if (customApi) {
+            media.customApi = customApi.url;
+            if (customApi.detail) media.customDetail = customApi.detail;
+        }
+    }
+    return media;
+}
+
+function buildPartyLink() {
+    const media = getPartyMedia();
+    const params = new URLSearchParams({
+        party: partyRoom,
+        source: media.sourceCode,
+        id: media.vodId,
+        index: media.episodeIndex,
+        title: media.title
+    });
+    if (partyShareCustomApi && media.customApi) params.set('customApi', media.customApi);
+    if (partyShareCustomApi && media.customDetail) params.set('customDetail', media.customDetail);
+    return `${window.location.origin}/player.html?${params}`;
+}
+
+function publishPartySync() {
+    if (partyRole !== 'host' || !partySocket || partySocket.readyState !== WebSocket.OPEN || !art || !art.video) return;
+    const media = getPartyMedia();
+    if (!media.sourceCode || !media.vodId) return;
+    partySocket.send(JSON.stringify({
+        type: 'sync',
+        media,
+        playback: {
+            paused: art.video.paused,
+            currentTime: art.video.currentTime || 0,
+            playbackRate: art.video.playbackRate || 1
+        }
+    }));
+}
+
+// 按收到同步后经过的时间推算主持人当前的进度
+function getPartyExpectedTime() {
+    const { playback } = partyLastSync;
+    if (playback.paused) return playback.currentTime;
+    return playback.currentTime + (Date.now() - partyLastSyncAt) / 1000 * playback.playbackRate;
+}
+
+function correctPartyDrift() {
+    if (partyRole !== 'member' || !partyLastSync || !art || !art.video) return;
+    const video = art.video;
+    const { playback } = partyLastSync;
+    if (video.readyState < 1) return;
+
+    const drift = getPartyExpectedTime() - video.currentTime;
+    if (Math.abs(drift) > PARTY_SEEK_THRESHOLD) {
+        video.currentTime = getPartyExpectedTime();
+        partyNudging = false;
+        video.playbackRate = playback.playbackRate;
+    } else if (!playback.paused && Math.abs(drift) > PARTY_NUDGE_THRESHOLD) {
+        partyNudging = true;
+        video.playbackRate = playback.playbackRate * (1 + Math.sign(drift) * PARTY_NUDGE_RATE);
+    } else if (partyNudging && Math.abs(drift) <= PARTY_DRIFT_TOLERANCE) {
+        partyNudging = false;
+        video.playbackRate = playback.playbackRate;
+    } else if (!partyNudging && video.playbackRate !== playback.playbackRate) {
+        video.playbackRate = playback.playbackRate;
+    }
+}
+
+function applyPartySync(state, receivedAt = Date.now()) {
+    if (!state) return;
+    const { media, playback } = state;
+    partyLastSync = state;
+    partyLastSyncAt = receivedAt;
+    // 播放器尚未就绪时，加载完成（loadedmetadata）后再同步
+    if (!art || !art.video) return;
+
+    const urlParams = new URLSearchParams(window.location.search);
+    if (media.vodId !== urlParams.get('id')) {
+        showToast('主持人已切换到其他节目，请重新打开房间链接', 'warning');
+        return;
+    }
+    if (media.episodeIndex !== currentEpisodeIndex && media.episodeIndex < currentEpisodes.length) {
+        // 切换剧集后等加载完成再同步进度
+        playEpisode(media.episodeIndex);
+        return;
+    }
+
+    if (playback.paused && !art.video.paused) {
+        art.pause();
+    } else if (!playback.paused && art.video.paused) {
+        Promise.resolve(art.play()).catch(() => {
+            showToast('浏览器阻止了自动播放，请点击播放按钮开始同步', 'warning');
+        });
+    }
+    correctPartyDrift();
+}
+
+function resetParty() {
+    clearInterval(partyTimer);
+    partyTimer = null;
+    partySocket = null;
+    partyRole = null;
+    partyRoom = null;
+    partyMemberCount = 0;
+    partyShareCustomApi = false;
+    partyLastSync = null;
+    if (partyNudging && art && art.video) art.video.playbackRate = 1;
+    partyNudging = false;
+}
+
+function connectParty(role, room = null, { shareCustomApi = false } = {}) {
+    if (partySocket) partySocket.close();
+    const hostQuery = shareCustomApi ? 'role=host&shareCustomApi=1' : 'role=host';
+    const socket = new WebSocket(getPartySocketUrl(role === 'host' ? hostQuery : `role=member&room=${encodeURIComponent(room)}`));
+    partySocket = socket;
+    partyRole = role;
+    partyRoom = room;
+    partyShareCustomApi = role === 'host' && shareCustomApi;
+    let opened = false;
+
+    socket.addEventListener('open', () => {
+        opened = true;
+    });
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (e) {
+            return;
+        }
+        if (message.type === 'room') {
+            partyRoom = message.room;
+            updatePartyDialog();
+            publishPartySync();
+        } else if (message.type === 'members') {
+            partyMemberCount = message.count;
+            updatePartyDialog();
+            publishPartySync();
+        } else if (message.type === 'joined') {
+            showToast(`已加入 ${message.host} 的观看房间`, 'success');
+            applyPartySync(message.state);
+        } else if (message.type === 'sync') {
+            applyPartySync(message);
+        }
+    });
+    socket.addEventListener('close', (event) => {
+        if (partySocket !== socket) return;
+        const wasHost = partyRole === 'host';
+        resetParty();
+        updatePartyDialog();
+        const messages = {
+            4000: '主持人已结束观看',
+            4004: '房间不存在或已结束',
+            4009: '房间人数已满',
+            4029: '尝试次数过多，请稍后再试'
+        };
+        // 服务端的关闭原因更具体（如锁定剩余的秒数），没有时按关闭码提示
+        const message = (event.code >= 4000 && event.reason) || messages[event.code]
+            || (opened ? (wasHost ? '观看房间已结束' : '已离开观看房间') : '当前部署不支持观看派对，或登录已过期');
+        showToast(message, opened && !messages[event.code] ? 'info' : 'error');
+        if (wasHost) return;
+        // 离开房间后去掉地址栏中的房间号，刷新页面时不再自动加入
+        const url = new URL(window.location.href);
+        url.searchParams.delete('party');
+        window.history.replaceState({}, '', url.toString());
+    });
+
+    partyTimer = setInterval(role === 'host' ? publishPartySync : correctPartyDrift,
+        role === 'host' ? PARTY_SYNC_INTERVAL : PARTY_DRIFT_CHECK_INTERVAL);
+}
+
+function updatePartyDialog() {
+    const body = document.getElementById('partyModalBody');
+    if (!body) return;
+
+    if (partyRole === 'host' && partyRoom) {
+        const link = buildPartyLink();
+        body.innerHTML = `
+            <div id="partyQrCode" class="mx-auto mb-4 w-56 h-56 bg-white rounded"></div>
+            <div class="text-3xl font-mono tracking-widest text-white mb-2">${partyRoom}</div>
+            <p class="text-xs text-gray-400 mb-2">${partyMemberCount > 0 ? `已有 ${partyMemberCount} 人加入` : '等待其他人加入...'}</p>
+            <input id="partyLink" type="text" readonly class="w-full px-3 py-2 mb-4 bg-[#222] border border-[#333] rounded-lg text-xs text-gray-300">
+            <div class="flex justify-center gap-2">
+                <button id="copyPartyLink" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded text-sm">复制链接</button>
+                <button id="leaveParty" class="bg-[#333] hover:bg-[#444] text-white px-4 py-2 rounded text-sm">结束房间</button>
+            </div>`;
+        document.getElementById('partyLink').value = link;
+        const qr = qrcode(0, 'M');
+        qr.addData(link);
+        qr.make();
+        document.getElementById('partyQrCode').innerHTML = qr.createSvgTag({ cellSize: 4, margin: 4, scalable: true });
+        document.getElementById('copyPartyLink').addEventListener('click', () => {
+            navigator.clipboard.writeText(link)
+                .then(() => showToast('房间链接已复制', 'success'))
+                .catch(() => document.getElementById('partyLink').select());
+        });
+    } else if (partyRole === 'member') {
+        body.innerHTML = `
+            <p class="text-sm text-gray-300 mb-4">正在跟随房间 <span id="partyRoomCode" class="font-mono"></span> 的主持人播放</p>
+            <button id="leaveParty" class="bg-[#333] hover:bg-[#444] text-white px-4 py-2 rounded text-sm">离开房间</button>`;
+        document.getElementById('partyRoomCode').textContent = partyRoom;
+    } else if (partyRole === 'host') {
+        body.innerHTML = '<p class="text-sm text-gray-400">正在创建房间...</p>';
+        return;
+    } else {
+        const isCustomSource = Boolean(getPartyMedia().customApi);
+        body.innerHTML = `
+            <p class="text-sm text-gray-300 mb-4">创建房间后把链接发给朋友，大家会跟随你的播放、暂停、跳转与切换剧集。</p>
+            ${isCustomSource ? `
+            <label class="flex items-start gap-2 text-left text-xs text-gray-400 mb-4">
+                <input id="partyShareCustomApi" type="checkbox" class="mt-0.5">
+                <span>分享自定义源地址：其他账户的成员需要它才能打开当前节目，地址会出现在房间链接中</span>
+            </label>` : ''}
+            <button id="createParty" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded text-sm">创建房间</button>`;
+        document.getElementById('createParty').addEventListener('click', () => {
+            const shareToggle = document.getElementById('partyShareCustomApi');
+            connectParty('host', null, { shareCustomApi: Boolean(shareToggle && shareToggle.checked) });
+            updatePartyDialog();
+        });
+        return;
+    }
+
+    document.getElementById('leaveParty').addEventListener('click', () => {
+        if (partySocket) partySocket.close();
+    });
+}
+
+/**
+ * 显示观看派对窗口：创建房间、分享链接或离开房间
+ */
+function showPartyDialog() {
+    let modal = document.getElementById('partyModal');
+    if (modal) document.body.removeChild(modal);
+    modal = document.createElement('div');
+    modal.id = 'partyModal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-[10000]';
+    modal.innerHTML = `
+        <div class="bg-[#191919] rounded-lg p-6 max-w-sm w-11/12 text-center relative">
+            <button id="closePartyModal" class="absolute top-4 right-4 text-gray-400 hover:text-white text-xl">&times;</button>
+            <h3 class="text-xl font-bold mb-4">一起看</h3>
+            <div id="partyModalBody"></div>
+        </div>`;
+    document.body.appendChild(modal);
+
+    const close = () => {
+        if (modal.parentNode) document.body.removeChild(modal);
+    };
+    document.getElementById('closePartyModal').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    updatePartyDialog();
+}
+
+/**
+ * 打开只有来源与 ID 的房间链接：获取剧集列表后带上播放地址重新进入播放页
+ */
+async function openPartyLink(urlParams) {
+    const sourceCode = urlParams.get('source') || '';
+    const vodId = urlParams.get('id');
+    const index = parseInt(urlParams.get('index') || '0', 10);
+    let apiParams;
+    if (sourceCode.startsWith('custom_')) {
+        // 主持人未分享地址时，同一账户的成员按同步过来的自定义源编号使用自己的设置
+        const localApi = urlParams.get('customApi') ? null : customAPIs[parseInt(sourceCode.replace('custom_', ''), 10)];
+        const customApi = urlParams.get('customApi') || (localApi && localApi.url);
+        const customDetail = urlParams.get('customApi') ? urlParams.get('customDetail') : (localApi && localApi.detail);
+        if (!customApi) {
+            showError('主持人使用的是自定义源且没有分享源地址，无法打开该房间');
+            return;
+        }
+        apiParams = '&customApi=' + encodeURIComponent(customApi) + '&source=custom';
+        if (customDetail) {
+            apiParams += '&customDetail=' + encodeURIComponent(customDetail);
+        }
+    } else {
+        apiParams = '&source=' + encodeURIComponent(sourceCode);
+    }
+
+    try {
+        const response = await fetch(`/api/detail?id=${encodeURIComponent(vodId || '')}${apiParams}`);
+        const data = await response.json();
+        if (!data.episodes || data.episodes.length === 0) {
+            showError('未找到房间正在播放的资源');
+            return;
+        }
+        const episodeIndex = Math.min(Math.max(index, 0), data.episodes.length - 1);
+        localStorage.setItem('currentVideoTitle', urlParams.get('title') || '未知视频');
+        localStorage.setItem('currentEpisodes', JSON.stringify(data.episodes));
+        localStorage.setItem('currentSourceCode', sourceCode);
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('url', data.episodes[episodeIndex]);
+        url.searchParams.set('index', episodeIndex);
+        window.location.replace(url.toString());
+    } catch (error) {
+        console.error('打开房间链接失败:', error);
+        showError('获取房间正在播放的资源失败');
+    }
+}
+
+// 通过房间链接进入播放页后自动加入
+function joinPartyFromUrl() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const room = (urlParams.get('party') || '').toUpperCase();
+    if (!room || !urlParams.get('url') || partySocket) return;
+    if (!PARTY_ROOM_PATTERN.test(room)) {
+        showToast('房间链接无效', 'error');
+        return;
+    }
+    connectParty('member', room);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!window.isPasswordVerified || window.isPasswordVerified()) joinPartyFromUrl();
+});
+document.addEventListener('passwordVerified', joinPartyFromUrl);
+
+// 主持人的媒体事件立即同步；成员切换剧集加载完成后按最近的同步状态追赶
+['play', 'pause', 'seeked', 'ratechange'].forEach(type => {
+    document.addEventListener(type, () => {
+        if (partyRole === 'host') publishPartySync();
+    }, true);
+});
+document.addEventListener('loadedmetadata', () => {
+    if (partyRole === 'host') {
+        publishPartySync();
+    } else if (partyRole === 'member' && partyLastSync) {
+        applyPartySync(partyLastSync, partyLastSyncAt);
+    }
+}, true);
+
+window.addEventListener('beforeunload', () => {
+    if (partySocket) partySocket.close();
+});
+
+window.showPartyDialog = showPartyDialog;
+window.openPartyLink = openPartyLink;
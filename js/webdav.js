@@ -0,0 +1,399 @@
+/**
+ * WebDAV 备份与恢复
+ * 把与“导出配置”相同的 TeslaTV-Settings 配置文件上传到用户自己的 WebDAV 目录，支持定时备份，
+ * 恢复前预览与本机配置的差异。浏览器直接访问 WebDAV 服务，服务端需要允许本站跨域（CORS）。
+ *
+ * 冲突判断基于配置文件的 time 与 hash：本机记录上一次备份或恢复时的 { time, hash }，
+ * 上传前若云端文件的 hash 与记录不同且更新，说明其他设备已经覆盖过备份，需要确认后才能覆盖。
+ */
+
+const WEBDAV_CONFIG_KEY = 'webdavConfig';
+const WEBDAV_STATE_KEY = 'webdavSyncState';
+const WEBDAV_FILE_NAME = 'TeslaTV-Settings.json';
+const WEBDAV_SCHEDULES = {
+    off: 0,
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+// 定时备份的检查间隔（毫秒）
+const WEBDAV_CHECK_INTERVAL = 10 * 60 * 1000;
+
+// 恢复预览中显示的配置项名称
+const WEBDAV_ITEM_LABELS = {
+    selectedAPIs: '已选数据源',
+    customAPIs: '自定义API',
+    yellowFilterEnabled: '黄色内容过滤',
+    adFilteringEnabled: '分片广告过滤',
+    adFilterRules: '广告过滤规则',
+    adFilterSubscriptions: '广告过滤规则订阅',
+    trackLanguagePreferences: '音轨与字幕语言',
+    doubanEnabled: '豆瓣热门推荐',
+    hasInitializedDefaults: '默认设置标记',
+    viewingHistory: '观看历史',
+    videoSearchHistory: '搜索历史'
+};
+
+let webdavBackupRunning = false;
+
+function getWebDavConfig() {
+    try {
+        const config = JSON.parse(localStorage.getItem(WEBDAV_CONFIG_KEY) || 'null');
+        if (config && config.url) return config;
+    } catch (e) {
+        localStorage.removeItem(WEBDAV_CONFIG_KEY);
+    }
+    return null;
+}
+
+function getWebDavState() {
+    try {
+        return JSON.parse(localStorage.getItem(WEBDAV_STATE_KEY) || '{}') || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveWebDavState(state) {
+    localStorage.setItem(WEBDAV_STATE_KEY, JSON.stringify({ ...getWebDavState(), ...state }));
+}
+
+// 备份文件所在目录与文件的 URL（配置中的 URL 视为目录）
+function getWebDavUrls(config) {
+    const dirUrl = config.url.endsWith('/') ? config.url : config.url + '/';
+    return { dirUrl, fileUrl: dirUrl + WEBDAV_FILE_NAME };
+}
+
+async function webdavRequest(config, method, url, body = null, headers = {}) {
+    const requestHeaders = { ...headers };
+    if (config.username || config.password) {
+        // btoa 只接受 Latin-1，先转为 UTF-8 字节
+        const credentials = unescape(encodeURIComponent(`${config.username || ''}:${config.password || ''}`));
+        requestHeaders['Authorization'] = 'Basic ' + btoa(credentials);
+    }
+    try {
+        return await fetch(url, { method, headers: requestHeaders, body, cache: 'no-store', credentials: 'omit' });
+    } catch (error) {
+        // 浏览器不会暴露跨域失败的具体原因
+        throw 'WebDAV 请求失败，请检查地址以及服务端是否允许跨域访问';
+    }
+}
+
+function describeWebDavStatus(status) {
+    if (status === 401 || status === 403) return '用户名或应用密码错误';
+    if (status === 404) return '目录不存在';
+    if (status === 507) return 'WebDAV 空间不足';
+    return `HTTP ${status}`;
+}
+
+/**
+ * 读取云端的配置文件，不存在时返回 null
+ */
+async function fetchWebDavBackup(config) {
+    const response = await webdavRequest(config, 'GET', getWebDavUrls(config).fileUrl, null, { 'Accept': 'application/json' });
+    if (response.status === 404) return null;
+    if (!response.ok) throw `读取云端备份失败（${describeWebDavStatus(response.status)}）`;
+
+    let backup;
+    try {
+        backup = JSON.parse(await response.text());
+    } catch (e) {
+        throw '云端备份不是有效的JSON';
+    }
+    await verifyConfigPayload(backup);
+    return backup;
+}
+
+// 云端备份是否在本机上一次备份或恢复之后被其他设备更新过
+function isWebDavRemoteChanged(remote, state) {
+    if (!remote || remote.hash === state.hash) return false;
+    return !state.time || Number(remote.time) > Number(state.time);
+}
+
+function formatWebDavTime(time) {
+    const date = new Date(Number(time));
+    return isNaN(date.getTime()) ? '未知时间' : date.toLocaleString();
+}
+
+/**
+ * 上传配置到 WebDAV
+ * @param {{interactive?: boolean}} options - interactive 为 false 时（定时备份）遇到冲突直接跳过，不弹出确认
+ */
+async function uploadWebDavBackup({ interactive = true } = {}) {
+    const config = getWebDavConfig();
+    if (!config) {
+        if (interactive) showToast('请先填写并保存 WebDAV 设置', 'warning');
+        return;
+    }
+    if (webdavBackupRunning) return;
+    webdavBackupRunning = true;
+    if (interactive) showLoading('正在备份到 WebDAV...');
+
+    try {
+        const payload = await buildConfigPayload();
+        const state = getWebDavState();
+        const remote = await fetchWebDavBackup(config);
+
+        if (remote && remote.hash === payload.hash) {
+            saveWebDavState({ time: remote.time, hash: remote.hash, lastBackupAt: Date.now() });
+            if (interactive) showToast('云端备份已是最新', 'success');
+            return;
+        }
+
+        if (isWebDavRemoteChanged(remote, state)) {
+            if (!interactive) {
+                showToast('云端备份已被其他设备更新，已跳过定时备份，请手动处理', 'warning');
+                return;
+            }
+            const overwrite = confirm(`云端备份已被其他设备更新（${formatWebDavTime(remote.time)}）。\n\n确定用本机配置覆盖吗？\n选择“取消”后可以先“从 WebDAV 恢复”查看差异。`);
+            if (!overwrite) return;
+        }
+
+        const { dirUrl, fileUrl } = getWebDavUrls(config);
+        const body = JSON.stringify(payload);
+        let response = await webdavRequest(config, 'PUT', fileUrl, body, { 'Content-Type': 'application/json' });
+        // 目录不存在时先创建再重试
+        if (response.status === 404 || response.status === 409) {
+            const created = await webdavRequest(config, 'MKCOL', dirUrl);
+            if (!created.ok && created.status !== 405) throw `创建目录失败（${describeWebDavStatus(created.status)}）`;
+            response = await webdavRequest(config, 'PUT', fileUrl, body, { 'Content-Type': 'application/json' });
+        }
+        if (!response.ok) throw `上传失败（${describeWebDavStatus(response.status)}）`;
+
+        saveWebDavState({ time: payload.time, hash: payload.hash, lastBackupAt: Date.now() });
+        if (interactive) showToast('已备份到 WebDAV', 'success');
+    } catch (error) {
+        const message = typeof error === 'string' ? error : error.message;
+        showToast(`WebDAV 备份失败：${message}`, 'error');
+    } finally {
+        webdavBackupRunning = false;
+        if (interactive) hideLoading();
+        renderWebDavStatus();
+    }
+}
+
+// 比较云端与本机的配置，返回恢复后会变化的项
+function diffConfigData(localData, remoteData) {
+    const countOf = (value) => {
+        try {
+            const list = JSON.parse(value || '[]');
+            return Array.isArray(list) ? list.length : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    return Object.keys(remoteData)
+        .filter(key => localData[key] !== remoteData[key])
+        .map(key => {
+            const label = WEBDAV_ITEM_LABELS[key] || key;
+            const localCount = countOf(localData[key]);
+            const remoteCount = countOf(remoteData[key]);
+            let detail;
+            if (localData[key] === undefined) {
+                detail = '本机没有，将新增';
+            } else if (localCount !== null && remoteCount !== null) {
+                detail = `本机 ${localCount} 项 → 备份 ${remoteCount} 项`;
+            } else {
+                detail = `${localData[key]} → ${remoteData[key]}`;
+            }
+            return { key, label, detail };
+        });
+}
+
+/**
+ * 从 WebDAV 恢复：先显示差异预览，确认后导入
+ */
+async function previewWebDavRestore() {
+    const config = getWebDavConfig();
+    if (!config) {
+        showToast('请先填写并保存 WebDAV 设置', 'warning');
+        return;
+    }
+
+    showLoading('正在读取云端备份...');
+    let remote;
+    let local;
+    try {
+        remote = await fetchWebDavBackup(config);
+        local = await buildConfigPayload();
+    } catch (error) {
+        const message = typeof error === 'string' ? error : error.message;
+        showToast(`读取云端备份失败：${message}`, 'error');
+        return;
+    } finally {
+        hideLoading();
+    }
+
+    if (!remote) {
+        showToast('云端还没有备份', 'warning');
+        return;
+    }
+
+    const changes = diffConfigData(local.data, remote.data);
+    if (changes.length === 0) {
+        saveWebDavState({ time: remote.time, hash: remote.hash });
+        showToast('本机配置与云端备份一致', 'success');
+        return;
+    }
+
+    const state = getWebDavState();
+    const localChanged = Boolean(state.hash) && state.hash !== local.hash;
+
+    let modal = document.getElementById('webdavRestoreModal');
+    if (modal) {
+        document.body.removeChild(modal);
+    }
+    modal = document.createElement('div');
+    modal.id = 'webdavRestoreModal';
+    modal.className = 'fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-40';
+    modal.innerHTML = `
+        <div class="bg-[#191919] rounded-lg p-6 max-w-md w-full max-h-[90vh] overflow-y-auto relative">
+            <h3 class="text-xl font-bold mb-2">从 WebDAV 恢复</h3>
+            <p class="text-xs text-gray-400 mb-4">备份时间：${formatWebDavTime(remote.time)}</p>
+            ${localChanged ? '<p class="text-xs text-yellow-400 mb-4">本机配置在上次备份或恢复之后有修改，恢复会覆盖这些修改。</p>' : ''}
+            <ul id="webdavRestoreDiff" class="text-sm space-y-2 mb-4"></ul>
+            <p class="text-xs text-gray-500 mb-4">备份中没有的本机配置保持不变。</p>
+            <div class="flex justify-end space-x-2">
+                <button id="confirmWebDavRestore" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded">恢复</button>
+                <button id="cancelWebDavRestore" class="bg-[#444] hover:bg-[#555] text-white px-4 py-2 rounded">取消</button>
+            </div>
+        </div>`;
+    document.body.appendChild(modal);
+
+    const list = document.getElementById('webdavRestoreDiff');
+    changes.forEach(change => {
+        const item = document.createElement('li');
+        item.className = 'p-2 bg-[#222] rounded';
+        const label = document.createElement('div');
+        label.className = 'text-white';
+        label.textContent = change.label;
+        const detail = document.createElement('div');
+        detail.className = 'text-xs text-gray-400 break-all';
+        detail.textContent = change.detail.length > 200 ? change.detail.slice(0, 200) + '…' : change.detail;
+        item.appendChild(label);
+        item.appendChild(detail);
+        list.appendChild(item);
+    });
+
+    const close = () => document.body.removeChild(modal);
+    document.getElementById('cancelWebDavRestore').addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+    document.getElementById('confirmWebDavRestore').addEventListener('click', () => {
+        applyConfigPayload(remote);
+        saveWebDavState({ time: remote.time, hash: remote.hash });
+        close();
+        showToast('已从 WebDAV 恢复，3 秒后自动刷新本页面。', 'success');
+        setTimeout(() => {
+            window.location.reload();
+        }, 3000);
+    });
+}
+
+/**
+ * 测试连接：对目录发送 PROPFIND
+ */
+async function testWebDavConnection() {
+    const config = readWebDavForm();
+    if (!config) return;
+    showLoading('正在连接 WebDAV...');
+    try {
+        const response = await webdavRequest(config, 'PROPFIND', getWebDavUrls(config).dirUrl, null, { 'Depth': '0' });
+        if (response.ok || response.status === 207) {
+            showToast('WebDAV 连接成功', 'success');
+        } else if (response.status === 404) {
+            showToast('连接成功，目录不存在，首次备份时会自动创建', 'info');
+        } else {
+            showToast(`WebDAV 连接失败（${describeWebDavStatus(response.status)}）`, 'error');
+        }
+    } catch (error) {
+        showToast(typeof error === 'string' ? error : error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function readWebDavForm() {
+    const url = document.getElementById('webdavUrl').value.trim();
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error();
+    } catch (e) {
+        showToast('请输入以 http:// 或 https:// 开头的 WebDAV 目录地址', 'warning');
+        return null;
+    }
+    return {
+        url,
+        username: document.getElementById('webdavUsername').value.trim(),
+        password: document.getElementById('webdavPassword').value,
+        schedule: document.getElementById('webdavSchedule').value
+    };
+}
+
+function saveWebDavSettings() {
+    const config = readWebDavForm();
+    if (!config) return;
+    const previous = getWebDavConfig();
+    // 换了备份位置后，之前的备份记录不再适用
+    if (!previous || previous.url !== config.url) {
+        localStorage.removeItem(WEBDAV_STATE_KEY);
+    }
+    // 应用密码随设置以明文保存（定时备份需要），设置面板中已提示使用只能访问备份目录的应用密码
+    localStorage.setItem(WEBDAV_CONFIG_KEY, JSON.stringify(config));
+    showToast('WebDAV 设置已保存', 'success');
+    renderWebDavStatus();
+}
+
+function renderWebDavStatus() {
+    const status = document.getElementById('webdavStatus');
+    if (!status) return;
+    const config = getWebDavConfig();
+    const state = getWebDavState();
+    if (!config) {
+        status.textContent = '未设置';
+    } else if (state.lastBackupAt) {
+        status.textContent = `上次备份：${formatWebDavTime(state.lastBackupAt)}`;
+    } else {
+        status.textContent = '尚未备份';
+    }
+}
+
+// 定时备份：到期且本机配置与上次备份不同时上传
+async function runScheduledWebDavBackup() {
+    const config = getWebDavConfig();
+    const interval = config ? WEBDAV_SCHEDULES[config.schedule] : 0;
+    if (!interval) return;
+    if (window.isPasswordVerified && !window.isPasswordVerified()) return;
+
+    const state = getWebDavState();
+    if (state.lastBackupAt && Date.now() - state.lastBackupAt < interval) return;
+
+    const payload = await buildConfigPayload();
+    if (payload.hash === state.hash) {
+        saveWebDavState({ lastBackupAt: Date.now() });
+        renderWebDavStatus();
+        return;
+    }
+    await uploadWebDavBackup({ interactive: false });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const config = getWebDavConfig();
+    if (config) {
+        document.getElementById('webdavUrl').value = config.url;
+        document.getElementById('webdavUsername').value = config.username || '';
+        document.getElementById('webdavPassword').value = config.password || '';
+        document.getElementById('webdavSchedule').value = config.schedule || 'off';
+    }
+    renderWebDavStatus();
+
+    const runScheduled = () => runScheduledWebDavBackup().catch(error => console.warn('定时 WebDAV 备份失败:', error));
+    runScheduled();
+    setInterval(runScheduled, WEBDAV_CHECK_INTERVAL);
+});
+
+window.uploadWebDavBackup = uploadWebDavBackup;
+window.previewWebDavRestore = previewWebDavRestore;
+window.testWebDavConnection = testWebDavConnection;
+window.saveWebDavSettings = saveWebDavSettings;
@@ -0,0 +1,460 @@
+// lib/ad-filter.mjs - 分片广告过滤：播放器（player.html 以模块脚本加载）与代理共用
+//
+// 插播广告通常以 #EXT-X-DISCONTINUITY 与正片隔开。这里把媒体播放列表按 DISCONTINUITY 切成若干段，
+// 用两种方式找出广告：
+// 1. 启发式检测：以时长最长的一段为正片基准，从分片域名、路径、文件名格式、#EXTINF 时长和所在位置
+//    给其余各段打分，达到阈值的整段移除（只在播放器中使用）；
+// 2. 过滤规则：按分片地址正则、分片域名、时长范围或分段序号匹配分片，可限定数据源或播放列表域名。
+//    规则由用户在设置中编辑或订阅，代理使用 AD_FILTER_RULES / AD_FILTER_RULE_URLS 配置的规则。
+// 移除分片后在断开处补上 DISCONTINUITY、补上被移除部分改变的 #EXT-X-KEY / #EXT-X-MAP，避免时间戳错乱。
+
+export const AD_FILTER_CONFIG = {
+    // 各项特征的分值
+    weights: {
+        host: 2,        // 分片域名与正片不同
+        path: 1,        // 分片目录与正片不同
+        name: 1,        // 分片文件名格式与正片不同
+        duration: 1,    // #EXTINF 时长与正片明显不同
+        short: 1,       // 该段总时长很短
+        position: 1     // 位于开头或片中的短段（前贴片、中插）
+    },
+    // 达到该分值即判定为广告；严格模式使用更低的阈值
+    threshold: 4,
+    strictThreshold: 3,
+    // 总时长不超过该秒数且不超过全片 10% 的段视为“很短”
+    shortRunSeconds: 120,
+    // 启发式检测至少保留全片一半的时长，超过时不做任何移除
+    maxRemovedRatio: 0.5,
+    // 规则数量与正则长度上限，避免订阅列表过大或正则过于复杂
+    maxRules: 500,
+    maxPatternLength: 200
+};
+
+// 只出现在列表开头、不属于任何分片的标签
+const M3U8_HEADER_TAGS = [
+    '#EXTM3U', '#EXT-X-VERSION', '#EXT-X-TARGETDURATION', '#EXT-X-MEDIA-SEQUENCE',
+    '#EXT-X-DISCONTINUITY-SEQUENCE', '#EXT-X-PLAYLIST-TYPE', '#EXT-X-INDEPENDENT-SEGMENTS',
+    '#EXT-X-ALLOW-CACHE', '#EXT-X-START'
+];
+
+// 规则的匹配条件，至少需要一项
+const RULE_MATCH_FIELDS = ['urlPattern', 'segmentHost', 'minDuration', 'maxDuration', 'runIndex'];
+
+// 解析分片地址；经过 /proxy/ 的地址取出原始地址
+function parseSegmentUrl(uri, baseUrl) {
+    let url;
+    try {
+        url = new URL(uri, baseUrl || undefined);
+    } catch {
+        const path = uri.split('?')[0];
+        return { href: uri, host: '', dir: path.slice(0, path.lastIndexOf('/') + 1), name: path.slice(path.lastIndexOf('/') + 1) };
+    }
+    if (url.pathname.startsWith('/proxy/')) {
+        try {
+            return parseSegmentUrl(decodeURIComponent(url.pathname.slice('/proxy/'.length)), baseUrl);
+        } catch {
+            // 无法解码时按原地址处理
+        }
+    }
+    const path = url.pathname;
+    return {
+        href: url.href,
+        host: url.host.toLowerCase(),
+        dir: path.slice(0, path.lastIndexOf('/') + 1),
+        name: path.slice(path.lastIndexOf('/') + 1)
+    };
+}
+
+// 文件名格式：数字替换为 #，如 index0012.ts 与 index0013.ts 格式相同
+function getNameShape(name) {
+    return name.replace(/[0-9a-f]{16,}/gi, '*').replace(/\d+/g, '#');
+}
+
+// 域名相同或为其子域名
+function matchesHost(host, expected) {
+    return host === expected || host.endsWith(`.${expected}`);
+}
+
+function getHost(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// 出现次数最多的值
+function mostCommon(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    let best = null;
+    let bestCount = 0;
+    counts.forEach((count, value) => {
+        if (count > bestCount) {
+            best = value;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+// 每段最后一个分片通常较短，不计入典型时长
+function typicalDuration(segments) {
+    return median(segments.slice(0, -1).map(segment => segment.duration)) || median(segments.map(segment => segment.duration));
+}
+
+/**
+ * 把媒体播放列表切分为列表头、以 DISCONTINUITY 分隔的段和列表尾。
+ * 段内依次是分片（连同 #EXTINF 等分片标签）和独立的标签；分片记录其生效的 #EXT-X-KEY / #EXT-X-MAP，
+ * 前面的部分被移除后仍能补上。
+ */
+function splitM3U8Runs(m3u8Content, baseUrl) {
+    const header = [];
+    const footer = [];
+    const runs = [];
+    let run = null;
+    let pending = [];
+    let currentKey = null;
+    let currentMap = null;
+
+    const flushPending = () => {
+        pending.forEach(line => run.items.push({ line }));
+        pending = [];
+    };
+
+    m3u8Content.split('\n').forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (!run && M3U8_HEADER_TAGS.some(tag => line === tag || line.startsWith(`${tag}:`))) {
+            header.push(line);
+            return;
+        }
+        if (line === '#EXT-X-ENDLIST') {
+            footer.push(line);
+            return;
+        }
+        if (line === '#EXT-X-DISCONTINUITY') {
+            // 连续的 DISCONTINUITY 或开头的 DISCONTINUITY 不产生空段
+            if (run && run.segments.length > 0) {
+                flushPending();
+                run = null;
+            }
+            return;
+        }
+
+        if (!run) {
+            run = { index: runs.length, items: [], segments: [] };
+            runs.push(run);
+        }
+        if (line.startsWith('#EXT-X-KEY')) {
+            currentKey = line;
+        } else if (line.startsWith('#EXT-X-MAP')) {
+            currentMap = line;
+        } else if (line.startsWith('#')) {
+            pending.push(line);
+        } else {
+            const durationLine = pending.find(tag => tag.startsWith('#EXTINF:'));
+            const segment = {
+                lines: [...pending, line],
+                uri: line,
+                duration: durationLine ? parseFloat(durationLine.slice('#EXTINF:'.length)) || 0 : 0,
+                key: currentKey,
+                map: currentMap,
+                removedBy: null,
+                ...parseSegmentUrl(line, baseUrl)
+            };
+            pending = [];
+            run.items.push({ segment });
+            run.segments.push(segment);
+        }
+    });
+    if (run) flushPending();
+
+    return { header, runs, footer };
+}
+
+/**
+ * 校验过滤规则，丢弃不合法的规则并给出原因。
+ * @param {unknown} value - 规则数组
+ * @param {string} [label] - 错误信息的前缀，如订阅地址
+ * @returns {{rules: object[], errors: string[]}}
+ */
+export function normalizeAdFilterRules(value, label = '') {
+    const prefix = label ? `${label} ` : '';
+    if (!Array.isArray(value)) return { rules: [], errors: [`${prefix}规则应为数组`] };
+    if (value.length > AD_FILTER_CONFIG.maxRules) {
+        return { rules: [], errors: [`${prefix}规则不能超过 ${AD_FILTER_CONFIG.maxRules} 条`] };
+    }
+
+    const rules = [];
+    const errors = [];
+    const isStringList = list => Array.isArray(list) && list.length > 0 && list.every(item => typeof item === 'string' && item.trim());
+    value.forEach((item, index) => {
+        const fail = reason => errors.push(`${prefix}第 ${index + 1} 条规则: ${reason}`);
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return fail('应为对象');
+        if (!RULE_MATCH_FIELDS.some(field => item[field] !== undefined)) {
+            return fail(`至少需要 ${RULE_MATCH_FIELDS.join('、')} 中的一项`);
+        }
+
+        const rule = {
+            name: typeof item.name === 'string' && item.name.trim() ? item.name.trim().slice(0, 100) : `规则 ${index + 1}`,
+            enabled: item.enabled !== false
+        };
+        for (const field of ['sources', 'playlistHosts']) {
+            if (item[field] === undefined) continue;
+            if (!isStringList(item[field])) return fail(`${field} 应为非空字符串数组`);
+            rule[field] = item[field].map(entry => (field === 'playlistHosts' ? entry.trim().toLowerCase() : entry.trim()));
+        }
+        if (item.urlPattern !== undefined) {
+            if (typeof item.urlPattern !== 'string' || !item.urlPattern || item.urlPattern.length > AD_FILTER_CONFIG.maxPatternLength) {
+                return fail(`urlPattern 应为不超过 ${AD_FILTER_CONFIG.maxPatternLength} 个字符的正则表达式`);
+            }
+            try {
+                rule.pattern = new RegExp(item.urlPattern, 'i');
+            } catch {
+                return fail('urlPattern 不是合法的正则表达式');
+            }
+            rule.urlPattern = item.urlPattern;
+        }
+        if (item.segmentHost !== undefined) {
+            if (typeof item.segmentHost !== 'string' || !item.segmentHost.trim()) return fail('segmentHost 应为域名');
+            rule.segmentHost = item.segmentHost.trim().toLowerCase();
+        }
+        for (const field of ['minDuration', 'maxDuration']) {
+            if (item[field] === undefined) continue;
+            if (typeof item[field] !== 'number' || !(item[field] >= 0)) return fail(`${field} 应为非负数（秒）`);
+            rule[field] = item[field];
+        }
+        if (rule.minDuration !== undefined && rule.maxDuration !== undefined && rule.minDuration > rule.maxDuration) {
+            return fail('minDuration 不能大于 maxDuration');
+        }
+        if (item.runIndex !== undefined) {
+            if (!Number.isInteger(item.runIndex)) return fail('runIndex 应为整数（负数从末尾数起）');
+            rule.runIndex = item.runIndex;
+        }
+        rules.push(rule);
+    });
+    return { rules, errors };
+}
+
+/**
+ * 解析订阅的规则列表：规则数组，或 { name, rules: [...] }。
+ * @param {string} text
+ * @param {string} [label] - 错误信息的前缀
+ * @returns {{name: string, rules: object[], errors: string[]}}
+ */
+export function parseAdFilterRuleList(text, label = '') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { name: '', rules: [], errors: [`${label ? `${label} ` : ''}不是合法的 JSON`] };
+    }
+    const list = Array.isArray(data) ? data : data && data.rules;
+    const name = data && typeof data.name === 'string' ? data.name.slice(0, 100) : '';
+    return { name, ...normalizeAdFilterRules(list, label) };
+}
+
+// 规则是否作用于当前数据源与播放列表
+function isRuleInScope(rule, { sourceCode, playlistHost }) {
+    if (!rule.enabled) return false;
+    if (rule.sources && !rule.sources.includes(sourceCode)) return false;
+    if (rule.playlistHosts && !rule.playlistHosts.some(host => matchesHost(playlistHost, host))) return false;
+    return true;
+}
+
+function matchesRule(rule, segment, runIndex, runCount) {
+    if (rule.runIndex !== undefined && (rule.runIndex < 0 ? runCount + rule.runIndex : rule.runIndex) !== runIndex) return false;
+    if (rule.segmentHost && !matchesHost(segment.host, rule.segmentHost)) return false;
+    if (rule.minDuration !== undefined && segment.duration < rule.minDuration) return false;
+    if (rule.maxDuration !== undefined && segment.duration > rule.maxDuration) return false;
+    if (rule.pattern && !rule.pattern.test(segment.href)) return false;
+    return true;
+}
+
+// 启发式检测：给正片以外的每段打分，返回判定为广告的段
+function detectAdRuns(runs, totalDuration, strictMode) {
+    const { weights } = AD_FILTER_CONFIG;
+    const threshold = strictMode ? AD_FILTER_CONFIG.strictThreshold : AD_FILTER_CONFIG.threshold;
+    // 以时长最长的一段作为正片基准
+    const main = runs.reduce((best, run) => (!best || run.duration > best.duration ? run : best), null);
+    if (!main || main.segments.length === 0) return [];
+    const baseline = {
+        host: mostCommon(main.segments.map(segment => segment.host)),
+        dir: mostCommon(main.segments.map(segment => segment.dir)),
+        shape: mostCommon(main.segments.map(segment => getNameShape(segment.name))),
+        duration: typicalDuration(main.segments)
+    };
+    main.isMain = true;
+
+    runs.forEach((run) => {
+        if (run === main || run.segments.length === 0) return;
+        const add = (key, reason) => {
+            run.score += weights[key];
+            run.reasons.push(reason);
+        };
+        const share = pick => run.segments.filter(pick).length / run.segments.length;
+
+        if (share(segment => segment.host === baseline.host) < 0.5) {
+            add('host', `分片域名 ${run.segments[0].host || '(相对地址)'} 与正片 ${baseline.host || '(相对地址)'} 不同`);
+        }
+        if (share(segment => segment.dir === baseline.dir) < 0.5) {
+            add('path', `分片路径 ${run.segments[0].dir} 与正片 ${baseline.dir} 不同`);
+        }
+        if (share(segment => getNameShape(segment.name) === baseline.shape) < 0.5) {
+            add('name', `分片文件名 ${run.segments[0].name} 与正片格式 ${baseline.shape} 不同`);
+        }
+        const runDuration = typicalDuration(run.segments);
+        if (baseline.duration > 0 && Math.abs(runDuration - baseline.duration) > Math.max(0.5, baseline.duration * 0.25)) {
+            add('duration', `分片时长约 ${runDuration.toFixed(2)} 秒，正片约 ${baseline.duration.toFixed(2)} 秒`);
+        }
+        if (run.duration <= AD_FILTER_CONFIG.shortRunSeconds && run.duration <= totalDuration * 0.1) {
+            add('short', `该段仅 ${run.duration.toFixed(1)} 秒`);
+            if (run.index < runs.length - 1) {
+                add('position', run.index === 0 ? '位于片头' : '位于片中');
+            }
+        }
+    });
+
+    const adRuns = runs.filter(run => run.score >= threshold);
+    const adDuration = adRuns.reduce((sum, run) => sum + run.duration, 0);
+    if (adDuration > totalDuration * AD_FILTER_CONFIG.maxRemovedRatio) {
+        // 判定为广告的时长过多时更可能是误判，全部保留
+        adRuns.forEach(run => run.reasons.push('移除的时长超过全片一半，已保留'));
+        return [];
+    }
+    return adRuns;
+}
+
+// 按标记重新拼接列表：断开处补 DISCONTINUITY，密钥或初始化分片与已输出的不同时补上
+function buildFilteredM3U8(header, runs, footer) {
+    const output = [...header];
+    let emittedKey = null;
+    let emittedMap = null;
+    let emittedSegments = 0;
+    let needDiscontinuity = false;
+
+    runs.forEach((run) => {
+        if (emittedSegments > 0) needDiscontinuity = true;
+        const runKept = run.segments.some(segment => !segment.removedBy);
+        run.items.forEach((item) => {
+            if (!item.segment) {
+                // 独立标签（如 #EXT-X-CUE-OUT）随所在段保留或移除
+                if (runKept) output.push(item.line);
+                return;
+            }
+            const { segment } = item;
+            if (segment.removedBy) {
+                if (emittedSegments > 0) needDiscontinuity = true;
+                return;
+            }
+            if (needDiscontinuity) output.push('#EXT-X-DISCONTINUITY');
+            needDiscontinuity = false;
+            if (segment.key && segment.key !== emittedKey) output.push(segment.key);
+            if (segment.map && segment.map !== emittedMap) output.push(segment.map);
+            emittedKey = segment.key;
+            emittedMap = segment.map;
+            output.push(...segment.lines);
+            emittedSegments++;
+        });
+    });
+    output.push(...footer);
+    return output.join('\n') + '\n';
+}
+
+/**
+ * 分析并过滤媒体播放列表中的广告。
+ * @param {string} m3u8Content
+ * @param {object} [options]
+ * @param {boolean} [options.heuristics] - 是否启用启发式检测，默认启用
+ * @param {boolean} [options.strictMode] - 启发式检测使用更低的判定阈值
+ * @param {string} [options.url] - 播放列表地址，用于解析相对分片地址与规则的作用范围
+ * @param {object[]} [options.rules] - normalizeAdFilterRules 校验过的规则
+ * @param {string} [options.sourceCode] - 当前数据源代码，用于规则的作用范围
+ * @returns {{content: string, runs: object[], removed: object[], totalDuration: number, removedDuration: number}}
+ *   content 为过滤后的列表；runs 为每段的得分、原因与移除的分片数（供调试查看），removed 为有分片被移除的段
+ */
+export function analyzeM3U8Ads(m3u8Content, { heuristics = true, strictMode = false, url = '', rules = [], sourceCode = '' } = {}) {
+    const result = { content: m3u8Content || '', runs: [], removed: [], totalDuration: 0, removedDuration: 0 };
+    // 主播放列表没有分片，不处理
+    if (!m3u8Content || m3u8Content.includes('#EXT-X-STREAM-INF')) return result;
+
+    const { header, runs, footer } = splitM3U8Runs(m3u8Content, url);
+    runs.forEach((run) => {
+        run.duration = run.segments.reduce((sum, segment) => sum + segment.duration, 0);
+        run.score = 0;
+        run.reasons = [];
+        run.isMain = false;
+    });
+    result.totalDuration = runs.reduce((sum, run) => sum + run.duration, 0);
+
+    if (heuristics && runs.length > 1) {
+        detectAdRuns(runs, result.totalDuration, strictMode).forEach((run) => {
+            run.segments.forEach((segment) => {
+                segment.removedBy = '启发式检测';
+            });
+        });
+    }
+
+    const scope = { sourceCode, playlistHost: getHost(url) };
+    const activeRules = rules.filter(rule => isRuleInScope(rule, scope));
+    const ruleHits = new Map();
+    runs.forEach((run) => {
+        run.segments.forEach((segment) => {
+            if (segment.removedBy) return;
+            const rule = activeRules.find(candidate => matchesRule(candidate, segment, run.index, runs.length));
+            if (!rule) return;
+            segment.removedBy = rule.name;
+            const hits = ruleHits.get(run) || new Map();
+            hits.set(rule.name, (hits.get(rule.name) || 0) + 1);
+            ruleHits.set(run, hits);
+        });
+    });
+    ruleHits.forEach((hits, run) => {
+        hits.forEach((count, name) => run.reasons.push(`规则「${name}」移除 ${count} 个分片`));
+    });
+
+    const allSegments = runs.flatMap(run => run.segments);
+    if (allSegments.length > 0 && allSegments.every(segment => segment.removedBy)) {
+        // 不会把整个列表清空，多半是规则写得过宽
+        allSegments.forEach((segment) => {
+            segment.removedBy = null;
+        });
+        runs[0].reasons.push('过滤会移除全部分片，已全部保留');
+    }
+
+    result.runs = runs.map((run) => {
+        const removedSegments = run.segments.filter(segment => segment.removedBy);
+        return {
+            index: run.index,
+            segmentCount: run.segments.length,
+            duration: run.duration,
+            firstSegment: run.segments.length > 0 ? run.segments[0].uri : '',
+            score: run.score,
+            reasons: run.reasons,
+            isMain: run.isMain,
+            isAd: run.segments.length > 0 && removedSegments.length === run.segments.length,
+            removedSegmentCount: removedSegments.length,
+            removedDuration: removedSegments.reduce((sum, segment) => sum + segment.duration, 0)
+        };
+    });
+    result.removed = result.runs.filter(run => run.removedSegmentCount > 0);
+    if (result.removed.length === 0) return result;
+
+    result.removedDuration = result.removed.reduce((sum, run) => sum + run.removedDuration, 0);
+    result.content = buildFilteredM3U8(header, runs, footer);
+    return result;
+}
+
+// 过滤可疑的广告内容，返回移除广告段后的播放列表
+export function filterAdsFromM3U8(m3u8Content, strictMode = false) {
+    return analyzeM3U8Ads(m3u8Content, { strictMode }).content;
+}
@@ -0,0 +1,312 @@
+// lib/auth-core.mjs - 服务端登录会话
+//
+// 浏览器通过 POST /api/login 提交密码，服务端校验后签发 HttpOnly 的会话 Cookie，
+// 页面中不再出现密码或密码哈希。代理会话（/proxy/session）与聚合搜索的签名密钥都凭这个 Cookie 领取。
+// 会话是无状态的：Cookie 内容为 "<sid>.<过期时间>.<用户名>.<角色>.<会话版本>.<HMAC>"，服务端只需签名密钥即可校验。
+// 提供账户存储（lib/user-store.mjs）时，校验会话还会确认账户仍然存在、会话版本与账户一致（改密码后旧 Cookie 失效），
+// 并以存储中的角色为准。
+
+import { createLogger } from './logger.mjs';
+import { createLoginGuard } from './login-guard.mjs';
+import { DEFAULT_ACCOUNT, ROLES, UserStoreError, normalizeUsername } from './user-store.mjs';
+
+export const LOGIN_COOKIE_NAME = 'teslatv_session';
+
+const textEncoder = new TextEncoder();
+
+// --- 签名工具（lib/proxy-core.mjs 的代理签名也使用这些函数） ---
+
+export function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function sha256Hex(message) {
+    return toHex(await crypto.subtle.digest('SHA-256', textEncoder.encode(message)));
+}
+
+export function importHmacKey(keyMaterial) {
+    return crypto.subtle.importKey('raw', textEncoder.encode(keyMaterial), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+export async function hmacHex(cryptoKey, message) {
+    return toHex(await crypto.subtle.sign('HMAC', cryptoKey, textEncoder.encode(message)));
+}
+
+// 长度不同时直接返回，否则逐字符比较，避免按前缀猜测签名
+export function timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+export function nowInSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+// --- 登录会话 ---
+
+async function signLoginSession(config, payload) {
+    return hmacHex(await importHmacKey(config.signingSecret), `login:${payload}`);
+}
+
+function readCookie(request, name) {
+    const header = request.headers.get('Cookie') || '';
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            return part.slice(index + 1).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * 校验请求携带的登录 Cookie。
+ * @param {object} config - createProxyConfig 的返回值
+ * @param {Request} request
+ * @param {object|null} [userStore] - lib/user-store.mjs 的账户存储
+ * @returns {Promise<{sessionId: string, expiresAt: number, username: string, role: string, contentRules: object|null, sessionEpoch: number}|null>}
+ *   sessionEpoch 为账户当前的会话版本（见 lib/user-store.mjs），登录 Cookie 与代理会话令牌中带有签发时的值
+ */
+export async function verifyLoginSession(config, request, userStore = null) {
+    if (!config.password) return null;
+    const value = readCookie(request, LOGIN_COOKIE_NAME);
+    const [sessionId, expiresText, username, role, epochText, signature] = (value || '').split('.');
+    const expiresAt = parseInt(expiresText, 10);
+    const cookieEpoch = parseInt(epochText, 10);
+    if (!sessionId || !username || !signature || !(expiresAt > nowInSeconds()) || !(cookieEpoch >= 0)) return null;
+    const payload = `${sessionId}.${expiresAt}.${username}.${role}.${cookieEpoch}`;
+    if (!timingSafeEqual(signature, await signLoginSession(config, payload))) return null;
+
+    if (!userStore) {
+        const cookieRole = username === DEFAULT_ACCOUNT ? config.passwordRole : role;
+        return { sessionId, expiresAt, username, role: cookieRole, contentRules: null, sessionEpoch: 0 };
+    }
+    // 账户被删除、修改角色或密码、退出登录后会话立即失效
+    const state = await userStore.getSessionState(username);
+    if (!state || state.epoch !== cookieEpoch || Object.hasOwn(state.revokedSessions, sessionId)) return null;
+    const { account, epoch } = state;
+    if (!account) {
+        return { sessionId, expiresAt, username, role: config.passwordRole, contentRules: null, sessionEpoch: epoch };
+    }
+    return { sessionId, expiresAt, username, role: account.role, contentRules: account.contentRules, sessionEpoch: epoch };
+}
+
+/**
+ * 运维令牌：解除登录锁定（DELETE /api/login?unlock=...）时放在 Authorization: Bearer 中。
+ * 由签名密钥派生，只有能读取服务端环境变量的人才能算出。
+ * @param {object} config - createProxyConfig 的返回值
+ */
+export async function deriveOperatorToken(config) {
+    return hmacHex(await importHmacKey(config.signingSecret), 'operator:unlock-login');
+}
+
+function buildCookie(request, value, maxAge) {
+    const secure = new URL(request.url).protocol === 'https:' ? '; Secure' : '';
+    return `${LOGIN_COOKIE_NAME}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+function describeSession(session) {
+    return {
+        expiresAt: session?.expiresAt ?? null,
+        username: session?.username ?? null,
+        role: session?.role ?? null,
+        contentRules: session?.contentRules ?? null,
+        sessionEpoch: session?.sessionEpoch ?? 0
+    };
+}
+
+/**
+ * 登录接口 /api/login：
+ * - GET：查询登录状态 { passwordConfigured, accountsEnabled, authenticated, expiresAt, username, role, contentRules, sessionEpoch }
+ * - POST { username?, password }：校验密码并签发会话 Cookie，有效期为 LOGIN_SESSION_TTL；
+ *   不填用户名时使用共享的 PASSWORD。连续失败过多时返回 429 与 Retry-After
+ * - DELETE：退出登录，清除 Cookie；有账户存储时记录该会话已退出，之后凭它领取的代理会话也一并失效
+ * - DELETE ?unlock=all|ip:<地址>|account:<账户>：运维解除锁定，需要 deriveOperatorToken 的令牌
+ * Cookie 只在同源请求中发送，因此这里不返回 CORS 头。
+ * @param {Request} request
+ * @param {object} options
+ * @param {object} options.config - createProxyConfig 的返回值
+ * @param {object|null} [options.userStore] - lib/user-store.mjs 的账户存储，不提供时只能使用共享密码
+ * @param {{get: Function, put: Function}|null} [options.loginGuardStore] - 失败计数存储，不提供时不限制尝试次数
+ * @param {object|null} [options.metrics] - lib/metrics.mjs 的指标收集器
+ * @param {object} [options.logger] - lib/logger.mjs 的日志记录器
+ * @param {string} [options.clientAddress]
+ * @returns {Promise<Response>}
+ */
+export async function handleLoginRequest(request, options) {
+    const { config, userStore = null, loginGuardStore = null, metrics = null, clientAddress = '' } = options;
+    const logger = options.logger || createLogger({ level: config.logLevel });
+    const guard = loginGuardStore ? createLoginGuard({ store: loginGuardStore, config: config.loginGuard }) : null;
+    const json = (status, data, headers = {}) => new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers }
+    });
+
+    if (request.method === 'GET') {
+        const session = await verifyLoginSession(config, request, userStore);
+        return json(200, {
+            success: true,
+            passwordConfigured: Boolean(config.password),
+            accountsEnabled: userStore ? (await userStore.list()).length > 0 : false,
+            authenticated: session !== null,
+            ...describeSession(session)
+        });
+    }
+
+    const unlockTarget = new URL(request.url).searchParams.get('unlock');
+    if (request.method === 'DELETE' && unlockTarget) {
+        const authorization = request.headers.get('Authorization') || '';
+        if (!config.signingSecret || !timingSafeEqual(authorization, `Bearer ${await deriveOperatorToken(config)}`)) {
+            logger.warn('解除登录锁定被拒绝：运维令牌无效', { clientAddress });
+            metrics?.recordAuthFailure('operator');
+            return json(401, { success: false, error: '运维令牌无效' });
+        }
+        if (!/^(all|ip:.+|account:.+)$/.test(unlockTarget)) {
+            return json(400, { success: false, error: 'unlock 参数应为 all、ip:<地址> 或 account:<账户>' });
+        }
+        await guard?.unlock(unlockTarget);
+        logger.info('已解除登录锁定', { target: unlockTarget, clientAddress });
+        return json(200, { success: true, unlocked: unlockTarget });
+    }
+
+    if (request.method === 'DELETE') {
+        // 记录已退出的会话：复制出去的 Cookie 与浏览器中保存的代理会话不能再使用
+        const session = await verifyLoginSession(config, request, userStore);
+        if (session && userStore) {
+            await userStore.revokeSession(session.username, session.sessionId, session.expiresAt);
+            logger.info('已退出登录', { clientAddress, account: session.username });
+        }
+        return json(200, { success: true }, { 'Set-Cookie': buildCookie(request, '', 0) });
+    }
+
+    if (request.method !== 'POST') {
+        return json(405, { success: false, error: '不支持的请求方法' }, { 'Allow': 'GET, POST, DELETE' });
+    }
+
+    if (!config.password) {
+        logger.error('服务器未设置 PASSWORD 环境变量，无法登录');
+        metrics?.recordAuthFailure('no_password');
+        return json(401, { success: false, error: '服务器未设置访问密码' });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const password = typeof body.password === 'string' ? body.password : '';
+    const hasUsername = typeof body.username === 'string' && body.username.trim() !== '';
+    // 不合法的用户名照常计入失败次数，但不作为独立的计数对象
+    const account = hasUsername ? (normalizeUsername(body.username) || 'invalid') : DEFAULT_ACCOUNT;
+    const lockedResponse = (retryAfter) => json(429, {
+        success: false,
+        error: `尝试次数过多，请在 ${formatWait(retryAfter)}后重试`,
+        retryAfter
+    }, { 'Retry-After': String(retryAfter) });
+
+    const status = guard ? await guard.check(clientAddress, account) : { allowed: true };
+    if (!status.allowed) {
+        logger.warn('登录被拒绝：尝试次数过多，已锁定', { clientAddress, account, retryAfter: status.retryAfter });
+        metrics?.recordAuthFailure('locked');
+        return lockedResponse(status.retryAfter);
+    }
+
+    const user = await authenticate(config, userStore, hasUsername ? body.username : null, password);
+    if (!user) {
+        metrics?.recordAuthFailure('password');
+        const failure = guard ? await guard.recordFailure(clientAddress, account) : { locked: false };
+        if (failure.locked) {
+            logger.warn('登录失败：密码错误，已锁定', { clientAddress, account, retryAfter: failure.retryAfter });
+            return lockedResponse(failure.retryAfter);
+        }
+        logger.warn('登录失败：密码错误', { clientAddress, account });
+        return json(401, { success: false, error: '密码错误', remainingAttempts: failure.remainingAttempts });
+    }
+    await guard?.recordSuccess(clientAddress, account);
+
+    const sessionId = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const expiresAt = nowInSeconds() + config.loginTtl;
+    const payload = `${sessionId}.${expiresAt}.${user.username}.${user.role}.${user.sessionEpoch}`;
+    const cookie = `${payload}.${await signLoginSession(config, payload)}`;
+    logger.info('登录成功', { clientAddress, account: user.username, role: user.role });
+    return json(200, {
+        success: true,
+        ...describeSession({ expiresAt, ...user })
+    }, { 'Set-Cookie': buildCookie(request, cookie, config.loginTtl) });
+}
+
+// 校验登录凭据：没有用户名时比较共享密码，否则查询账户存储
+async function authenticate(config, userStore, username, password) {
+    if (username === null) {
+        // 比较两边的哈希而不是原文，耗时与密码长度无关
+        if (!timingSafeEqual(await sha256Hex(password), await sha256Hex(config.password))) return null;
+        const state = userStore ? await userStore.getSessionState(DEFAULT_ACCOUNT) : null;
+        return { username: DEFAULT_ACCOUNT, role: config.passwordRole, contentRules: null, sessionEpoch: state?.epoch ?? 0 };
+    }
+    if (!userStore) return null;
+    return userStore.authenticate(username, password);
+}
+
+/**
+ * 账户管理接口 /api/users（仅 admin）：
+ * - GET：列出账户（不含密码哈希）
+ * - POST { username, password?, role, contentRules? }：创建或更新账户，更新时不填密码则保留原密码
+ * - DELETE ?username=：删除账户
+ * @param {Request} request
+ * @param {object} options
+ * @param {object} options.config - createProxyConfig 的返回值
+ * @param {object|null} options.userStore - lib/user-store.mjs 的账户存储
+ * @param {object} [options.logger] - lib/logger.mjs 的日志记录器
+ * @returns {Promise<Response>}
+ */
+export async function handleUsersRequest(request, options) {
+    const { config, userStore = null } = options;
+    const logger = options.logger || createLogger({ level: config.logLevel });
+    const json = (status, data) => new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+
+    const session = await verifyLoginSession(config, request, userStore);
+    if (!session) return json(401, { success: false, error: '请先登录' });
+    if (session.role !== 'admin') return json(403, { success: false, error: '只有管理员可以管理账户' });
+    if (!userStore) {
+        return json(501, { success: false, error: '当前部署没有配置账户存储（Node 使用 USERS_FILE，Cloudflare 绑定 TESLATV_USERS_KV）' });
+    }
+
+    if (request.method === 'GET') {
+        return json(200, { success: true, roles: ROLES, users: await userStore.list() });
+    }
+
+    if (request.method === 'POST') {
+        const body = await request.json().catch(() => null);
+        if (!body || typeof body !== 'object') return json(400, { success: false, error: '请求体必须是 JSON 对象' });
+        if (normalizeUsername(body.username) === session.username && body.role !== 'admin') {
+            return json(400, { success: false, error: '不能取消自己的管理员角色' });
+        }
+        try {
+            const user = await userStore.upsert(body);
+            logger.info('账户已保存', { account: user.username, role: user.role, operator: session.username });
+            return json(200, { success: true, user });
+        } catch (error) {
+            if (error instanceof UserStoreError) return json(400, { success: false, error: error.message });
+            throw error;
+        }
+    }
+
+    if (request.method === 'DELETE') {
+        const username = normalizeUsername(new URL(request.url).searchParams.get('username'));
+        if (username && username === session.username) return json(400, { success: false, error: '不能删除自己的账户' });
+        if (!username || !(await userStore.remove(username))) return json(404, { success: false, error: '账户不存在' });
+        logger.info('账户已删除', { account: username, operator: session.username });
+        return json(200, { success: true });
+    }
+
+    return json(405, { success: false, error: '不支持的请求方法' });
+}
+
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds} 秒`;
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)} 分钟`;
+    return `${Math.ceil(seconds / 3600)} 小时`;
+}
@@ -0,0 +1,96 @@
+// lib/disk-cache.mjs - Node 平台的磁盘媒体缓存
+//
+// 接口与 lib/proxy-cache.mjs 中的 createCacheApiMediaStore 相同（match / put）。
+// 索引只保存在内存中：进程启动时清除旧的缓存文件，按总字节数做 LRU 淘汰。
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const CACHE_FILE_PATTERN = /^[0-9a-f]{64}\.\d+$/;
+
+/**
+ * 创建磁盘媒体缓存。
+ * @param {object} options
+ * @param {string} options.dir - 缓存目录，启动时会清除上次运行留下的缓存文件
+ * @param {number} [options.maxBytes] - 缓存总大小上限
+ */
+export function createDiskMediaStore({ dir, maxBytes = 1024 * 1024 * 1024 }) {
+    fs.mkdirSync(dir, { recursive: true });
+    // 只清理本模块写入的文件（<sha256>.<序号>），目录中的其他文件保持不动
+    for (const name of fs.readdirSync(dir)) {
+        if (CACHE_FILE_PATTERN.test(name)) {
+            fs.rmSync(path.join(dir, name), { force: true });
+        }
+    }
+
+    // key -> { file, size, headers, expiresAt }，Map 的迭代顺序即为最近使用顺序
+    const index = new Map();
+    let totalBytes = 0;
+    let writeSequence = 0;
+
+    function remove(key) {
+        const entry = index.get(key);
+        if (!entry) return;
+        index.delete(key);
+        totalBytes -= entry.size;
+        fs.promises.rm(entry.file, { force: true }).catch(() => {});
+    }
+
+    function evictUntilFits(incomingBytes) {
+        for (const key of index.keys()) {
+            if (totalBytes + incomingBytes <= maxBytes) break;
+            remove(key);
+        }
+    }
+
+    return {
+        /** @returns {Promise<{body: ReadableStream, headers: Headers}|null>} */
+        async match(key) {
+            const entry = index.get(key);
+            if (!entry) return null;
+            if (Date.now() > entry.expiresAt) {
+                remove(key);
+                return null;
+            }
+            index.delete(key);
+            index.set(key, entry);
+            return {
+                body: Readable.toWeb(fs.createReadStream(entry.file)),
+                headers: new Headers(entry.headers)
+            };
+        },
+
+        /**
+         * 每次写入使用新的文件名，写完后才加入索引，读取方不会看到写了一半的文件，
+         * 正在读取的旧文件也不会被覆盖。
+         * @param {string} key
+         * @param {{body: ReadableStream, headers: Headers, ttl: number, size: number}} entry
+         */
+        async put(key, { body, headers, ttl, size }) {
+            if (size > maxBytes) {
+                await body.cancel();
+                return;
+            }
+            const hash = crypto.createHash('sha256').update(key).digest('hex');
+            const file = path.join(dir, `${hash}.${++writeSequence}`);
+            try {
+                await pipeline(Readable.fromWeb(body), fs.createWriteStream(file));
+            } catch (error) {
+                await fs.promises.rm(file, { force: true });
+                throw error;
+            }
+            remove(key);
+            evictUntilFits(size);
+            index.set(key, {
+                file,
+                size,
+                headers: Object.fromEntries(headers),
+                expiresAt: Date.now() + ttl * 1000
+            });
+            totalBytes += size;
+        }
+    };
+}
@@ -0,0 +1,195 @@
+// lib/egress-guard.mjs - 代理出站地址校验（防 SSRF）
+//
+// 代理只允许访问公网地址：先解析目标主机名，再把得到的每个 IP 与 CIDR 黑名单比较。
+// IP 字面量（包括 0x7f.1、2130706433 等写法）已由 URL 解析器规范化，无需单独处理。
+// 各平台只需提供 resolveHost(hostname) => Promise<string[]>：
+// Node 类平台使用系统 DNS（见 lib/proxy-node.mjs），Cloudflare 等边缘环境使用 DNS over HTTPS。
+// Node 类平台的上游请求还会在建立连接时校验实际连接的地址，防止 DNS 重绑定。
+
+import { createLogger } from './logger.mjs';
+
+// 默认禁止访问的地址段：本机、私有网络、运营商 NAT、链路本地、文档/测试保留段、组播与保留地址
+export const DEFAULT_BLOCKED_CIDRS = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+    '172.16.0.0/12', '192.0.0.0/24', '192.0.2.0/24', '192.168.0.0/16', '198.18.0.0/15',
+    '198.51.100.0/24', '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+    '::/128', '::1/128', '64:ff9b::/96', '64:ff9b:1::/48', '100::/64', '2001:db8::/32',
+    '2002::/16', 'fc00::/7', 'fe80::/10', 'fec0::/10', 'ff00::/8'
+].join(',');
+
+const DEFAULT_DOH_URL = 'https://cloudflare-dns.com/dns-query';
+const DNS_RECORD_TYPES = { A: 1, AAAA: 28 };
+// DoH 解析结果的最长缓存时间（秒），避免每个分片请求都查询一次 DNS
+const MAX_DNS_CACHE_SECONDS = 300;
+const MAX_DNS_CACHE_ENTRIES = 1000;
+
+/**
+ * 出站地址被拒绝时抛出的错误，status 供代理直接作为响应状态码。
+ */
+export class EgressDeniedError extends Error {
+    constructor(message, status = 403) {
+        super(message);
+        this.name = 'EgressDeniedError';
+        this.status = status;
+    }
+}
+
+function parseIpv4(address) {
+    const parts = address.split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+        return null;
+    }
+    return parts.reduce((value, part) => (value << 8n) | BigInt(part), 0n);
+}
+
+function parseIpv6(address) {
+    let text = address.toLowerCase().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+    // 末尾为点分 IPv4 的写法（如 ::ffff:1.2.3.4）先转换成两组十六进制
+    const embedded = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (embedded) {
+        const v4 = parseIpv4(embedded[2]);
+        if (v4 === null) return null;
+        text = `${embedded[1]}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    if (!groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) return null;
+    return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * 解析 IP 地址。
+ * @returns {{ version: 4|6, value: bigint }|null}
+ */
+export function parseIp(address) {
+    if (typeof address !== 'string') return null;
+    const v4 = parseIpv4(address);
+    if (v4 !== null) return { version: 4, value: v4 };
+    const v6 = address.includes(':') ? parseIpv6(address) : null;
+    return v6 !== null ? { version: 6, value: v6 } : null;
+}
+
+/**
+ * 解析 CIDR 列表，无效条目会被忽略并给出警告。
+ * @param {string[]} entries - 形如 10.0.0.0/8、fc00::/7 的字符串
+ * @param {object} [logger] - lib/logger.mjs 的日志记录器
+ */
+export function parseCidrList(entries, logger = createLogger()) {
+    const ranges = [];
+    for (const entry of entries) {
+        const [address, prefixText] = entry.split('/');
+        const ip = parseIp(address);
+        const bits = ip?.version === 4 ? 32 : 128;
+        const prefix = prefixText === undefined ? bits : Number(prefixText);
+        if (!ip || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+            logger.warn('忽略无效的 CIDR', { entry });
+            continue;
+        }
+        const shift = BigInt(bits - prefix);
+        ranges.push({ version: ip.version, shift, network: ip.value >> shift });
+    }
+    return ranges;
+}
+
+/**
+ * 判断 IP 是否落在黑名单中。IPv4 映射地址（::ffff:a.b.c.d）按其中的 IPv4 地址判断。
+ */
+export function isBlockedIp(address, blockedRanges) {
+    let ip = parseIp(address);
+    // 无法识别的地址一律拒绝
+    if (!ip) return true;
+    if (ip.version === 6 && ip.value >> 32n === 0xffffn) {
+        ip = { version: 4, value: ip.value & 0xffffffffn };
+    }
+    return blockedRanges.some(range => range.version === ip.version && ip.value >> range.shift === range.network);
+}
+
+/**
+ * 校验目标 URL 是否允许访问：协议、主机名黑名单、解析后的每一个 IP 都需通过。
+ * 校验与实际请求之间会各自解析一次 DNS：Node 平台的 fetch 在连接时再校验一次实际连接的地址
+ * （lib/proxy-node.mjs 的 createEgressFetch），边缘环境只有这里的校验，无法完全防止 DNS 重绑定。
+ * @param {string} targetUrl
+ * @param {object} options
+ * @param {string[]} options.blockedHosts - 禁止的主机名
+ * @param {object[]} options.blockedCidrs - parseCidrList 的结果
+ * @param {(hostname: string) => Promise<string[]>} options.resolveHost
+ * @throws {EgressDeniedError}
+ */
+export async function assertEgressAllowed(targetUrl, { blockedHosts, blockedCidrs, resolveHost }) {
+    let parsed;
+    try {
+        parsed = new URL(targetUrl);
+    } catch {
+        throw new EgressDeniedError('无效的 URL', 400);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new EgressDeniedError(`不支持的协议: ${parsed.protocol}`, 400);
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (blockedHosts.includes(hostname) || hostname.endsWith('.localhost')) {
+        throw new EgressDeniedError(`禁止访问的主机: ${hostname}`);
+    }
+
+    let addresses;
+    if (parseIp(hostname)) {
+        addresses = [hostname];
+    } else {
+        try {
+            addresses = await resolveHost(hostname);
+        } catch (error) {
+            throw new EgressDeniedError(`无法解析主机 ${hostname}: ${error.message}`, 502);
+        }
+        if (!addresses || addresses.length === 0) {
+            throw new EgressDeniedError(`无法解析主机 ${hostname}`, 502);
+        }
+    }
+
+    const blocked = addresses.find(address => isBlockedIp(address, blockedCidrs));
+    if (blocked) {
+        throw new EgressDeniedError(`禁止访问内网或保留地址: ${hostname} (${blocked})`);
+    }
+}
+
+/**
+ * 创建基于 DNS over HTTPS (JSON 格式) 的解析器，供没有 DNS 接口的边缘运行时使用。
+ * @param {object} [options]
+ * @param {string} [options.endpoint] - DoH 地址，默认 Cloudflare
+ * @param {typeof fetch} [options.fetch]
+ */
+export function createDohResolver({ endpoint = DEFAULT_DOH_URL, fetch: fetchImpl } = {}) {
+    const cache = new Map();
+
+    async function query(hostname, type) {
+        const url = `${endpoint}?name=${encodeURIComponent(hostname)}&type=${type}`;
+        const response = await (fetchImpl || globalThis.fetch)(url, { headers: { Accept: 'application/dns-json' } });
+        if (!response.ok) {
+            throw new Error(`DoH 查询失败: HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        return (data.Answer || []).filter(answer => answer.type === DNS_RECORD_TYPES[type]);
+    }
+
+    return async function resolveHost(hostname) {
+        const cached = cache.get(hostname);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.addresses;
+        }
+
+        const answers = (await Promise.all([query(hostname, 'A'), query(hostname, 'AAAA')])).flat();
+        const addresses = answers.map(answer => answer.data);
+        if (addresses.length > 0) {
+            const ttl = Math.min(MAX_DNS_CACHE_SECONDS, ...answers.map(answer => answer.TTL ?? MAX_DNS_CACHE_SECONDS));
+            if (cache.size >= MAX_DNS_CACHE_ENTRIES) cache.clear();
+            cache.set(hostname, { addresses, expiresAt: Date.now() + ttl * 1000 });
+        }
+        return addresses;
+    };
+}
@@ -0,0 +1,131 @@
+// lib/handoff-core.mjs - 配置传输（/api/handoff）：把一份配置文件暂存在服务端，换取短时有效的传输码
+//
+// 手机上生成的配置（数据源、自定义 API、过滤开关，可选口令加密）提交后得到 8 位传输码，
+// 车机输入传输码或打开 /?handoff=<传输码> 链接即可读取，不必在触摸屏上输入 API 地址。
+// 传输码在 HANDOFF_TTL 秒内有效，有效期内可以重复读取（一份配置可以发给多台设备）。
+//
+// 存储只需 KV 兼容的 get / put(key, value, { expirationTtl })：
+// Node 使用内存 LRU，Cloudflare 使用 KV，Vercel 使用 Vercel KV（Upstash REST API）。
+
+import { verifyLoginSession } from './auth-core.mjs';
+import { createLogger } from './logger.mjs';
+import { readRequestText } from './request-body.mjs';
+
+// 去掉容易混淆的 0/O、1/I，32 个字符正好对应 5 位随机数
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+// KV 的 expirationTtl 最小为 60 秒
+const MIN_TTL_SECONDS = 60;
+
+/**
+ * 从环境变量读取配置传输设置。
+ * @param {Record<string, string|undefined>} env
+ */
+export function createHandoffConfig(env = {}) {
+    return {
+        ttl: Math.max(MIN_TTL_SECONDS, parseInt(env.HANDOFF_TTL || '600', 10)), // 传输码有效期，秒
+        maxBytes: parseInt(env.HANDOFF_MAX_BYTES || '16384', 10) // 配置文件大小上限，字节
+    };
+}
+
+/**
+ * 生成随机传输码。
+ */
+export function generateHandoffCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(bytes, byte => CODE_ALPHABET[byte & 31]).join('');
+}
+
+/**
+ * 规范化用户输入的传输码（忽略大小写、空格与连字符），不合法时返回 null。
+ * @param {string|null} input
+ */
+export function normalizeHandoffCode(input) {
+    const code = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+    return CODE_PATTERN.test(code) ? code : null;
+}
+
+/**
+ * 基于 Vercel KV（Upstash Redis REST API）的传输码存储，接口与 Cloudflare KV 相同。
+ * @param {{url: string, token: string, fetch?: typeof fetch}} options
+ */
+export function createVercelKvHandoffStore({ url, token, fetch: fetchImpl = fetch }) {
+    const base = url.replace(/\/+$/, '');
+    const call = async (path, init = {}) => {
+        const response = await fetchImpl(`${base}${path}`, {
+            ...init,
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.error) throw new Error(`Vercel KV 请求失败: ${data.error || response.status}`);
+        return data.result;
+    };
+
+    return {
+        get: key => call(`/get/${encodeURIComponent(key)}`),
+        async put(key, value, { expirationTtl }) {
+            await call(`/set/${encodeURIComponent(key)}?EX=${expirationTtl}`, { method: 'POST', body: value });
+        }
+    };
+}
+
+/**
+ * 配置传输接口入口（需要登录）：
+ * - POST：请求体为配置文件（TeslaTV-Settings，可以是加密的），返回 { code, expiresAt }
+ * - GET ?code=<传输码>：返回暂存的配置文件原文，可直接交给“从URL导入”
+ * @param {Request} request
+ * @param {object} options
+ * @param {object} options.config - createProxyConfig 的返回值
+ * @param {{get: Function, put: Function}|null} options.handoffStore - KV 兼容的存储，未配置时返回 501
+ * @param {object} [options.handoffConfig] - createHandoffConfig 的返回值
+ * @param {object} [options.userStore] - 多用户账户存储
+ * @param {object} [options.logger]
+ * @returns {Promise<Response>}
+ */
+export async function handleHandoffRequest(request, options) {
+    const { config, handoffStore = null, handoffConfig = createHandoffConfig(), userStore = null } = options;
+    const logger = options.logger || createLogger({ level: config.logLevel });
+    const json = (status, data) => new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+
+    const session = await verifyLoginSession(config, request, userStore);
+    if (!session) return json(401, { success: false, error: '请先登录' });
+    if (!handoffStore) {
+        return json(501, { success: false, error: '当前部署没有配置传输存储' });
+    }
+
+    if (request.method === 'GET') {
+        const code = normalizeHandoffCode(new URL(request.url).searchParams.get('code'));
+        const stored = code ? await handoffStore.get(`handoff:${code}`) : null;
+        if (!stored) return json(404, { success: false, error: '传输码无效或已过期' });
+        return new Response(stored, {
+            status: 200,
+            headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+        });
+    }
+
+    if (request.method === 'POST') {
+        const text = await readRequestText(request, handoffConfig.maxBytes);
+        if (text === null) return json(413, { success: false, error: '配置数据过大' });
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch {
+            bundle = null;
+        }
+        // 内容由浏览器导入时校验哈希，这里只确认是配置文件，避免被当作任意数据的中转站
+        if (!bundle || bundle.name !== 'TeslaTV-Settings' || typeof bundle.hash !== 'string') {
+            return json(400, { success: false, error: '配置数据格式不正确' });
+        }
+
+        const code = generateHandoffCode();
+        await handoffStore.put(`handoff:${code}`, text, { expirationTtl: handoffConfig.ttl });
+        logger.debug('配置传输码已创建', { account: session.username });
+        return json(201, { success: true, code, expiresAt: Date.now() + handoffConfig.ttl * 1000 });
+    }
+
+    return json(405, { success: false, error: '不支持的请求方法' });
+}
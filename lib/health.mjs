@@ -0,0 +1,89 @@
+// lib/health.mjs - Node 服务的就绪检查
+//
+// /healthz 只说明进程存活；/readyz 还要求配置可用、并且至少 minReachable 个视频源能访问。
+// 源的探测结果会缓存一段时间，避免编排系统频繁探测时把请求转嫁到第三方源站。
+
+import fs from 'fs';
+import vm from 'vm';
+
+/**
+ * 读取前端 js/config.js 中内置的 API_SITES，使服务端与页面使用同一份源列表。
+ * js/config.js 是浏览器脚本，这里在隔离的 vm 上下文中执行，只取出 API_SITES。
+ * @param {string} configFile - js/config.js 的路径
+ * @param {object} [runtimeConfig] - 页面的运行时配置（lib/runtime-config.mjs），与页面一样合并到内置源
+ * @returns {{code: string, name: string, api: string}[]}
+ */
+export function loadBuiltinSources(configFile, runtimeConfig = {}) {
+    const code = fs.readFileSync(configFile, 'utf8');
+    const window = { __ENV__: { RUNTIME_CONFIG: runtimeConfig } };
+    const sites = vm.runInNewContext(`${code}\n;API_SITES`, { window }, { timeout: 1000 });
+    return Object.entries(sites).map(([key, site]) => ({ code: key, name: site.name, api: site.api }));
+}
+
+/**
+ * 从环境变量读取就绪检查配置。
+ * @param {Record<string, string|undefined>} env
+ */
+export function createReadinessConfig(env = {}) {
+    return {
+        minReachable: parseInt(env.READY_MIN_SOURCES || '1', 10), // 至少可访问的源数量，0 表示不探测源
+        probeSources: parseInt(env.READY_PROBE_SOURCES || '5', 10), // 按顺序探测前几个源
+        timeout: parseInt(env.READY_PROBE_TIMEOUT || '5000', 10),
+        cacheSeconds: parseInt(env.READY_CACHE_SECONDS || '60', 10)
+    };
+}
+
+/**
+ * 创建就绪检查函数。
+ * @param {object} options
+ * @param {object} options.proxyConfig - createProxyConfig 的返回值
+ * @param {{code: string, name: string, api: string}[]} options.sources
+ * @param {ReturnType<typeof createReadinessConfig>} options.readinessConfig
+ * @param {typeof fetch} [options.fetch]
+ * @returns {() => Promise<{ready: boolean, checks: object}>}
+ */
+export function createReadinessCheck({ proxyConfig, sources, readinessConfig, fetch: fetchImpl = globalThis.fetch }) {
+    const { minReachable, probeSources, timeout, cacheSeconds } = readinessConfig;
+    let cachedProbe = null;
+    let cachedAt = 0;
+
+    async function probe(source) {
+        const startedAt = Date.now();
+        try {
+            const response = await fetchImpl(`${source.api}?ac=list`, {
+                headers: { 'Accept': 'application/json' },
+                signal: AbortSignal.timeout(timeout)
+            });
+            await response.body?.cancel();
+            return { source: source.code, ok: response.ok, status: response.status, elapsedMs: Date.now() - startedAt };
+        } catch (error) {
+            return { source: source.code, ok: false, error: error.message, elapsedMs: Date.now() - startedAt };
+        }
+    }
+
+    async function probeSourcesCached() {
+        if (cachedProbe && Date.now() - cachedAt < cacheSeconds * 1000) {
+            return cachedProbe;
+        }
+        // 同时到来的检查共用同一次探测
+        cachedAt = Date.now();
+        cachedProbe = Promise.all(sources.slice(0, probeSources).map(probe));
+        return cachedProbe;
+    }
+
+    return async function checkReadiness() {
+        const checks = {
+            config: proxyConfig.password
+                ? { ok: true }
+                : { ok: false, error: '未设置 PASSWORD 环境变量，代理与聚合搜索不可用' }
+        };
+
+        if (minReachable > 0) {
+            const results = await probeSourcesCached();
+            const reachable = results.filter(result => result.ok).length;
+            checks.sources = { ok: reachable >= minReachable, reachable, required: minReachable, results };
+        }
+
+        return { ready: Object.values(checks).every(check => check.ok), checks };
+    };
+}
@@ -0,0 +1,104 @@
+// lib/logger.mjs - 结构化日志
+//
+// 每条日志输出为一行 JSON：{ time, level, msg, requestId, ...字段 }，便于在各平台的日志系统中检索。
+// 代理会把请求 ID 写入重写后的子链接（rid 参数），分片、密钥等子请求的日志通过 parentRequestId
+// 关联到播放列表请求。密码、令牌、签名等敏感字段在输出前统一脱敏。
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const REDACTED = '[REDACTED]';
+// 字段名命中时整个值脱敏
+const SENSITIVE_KEY_PATTERN = /pass(word)?|secret|token|^auth|authorization|cookie|^sig(nature)?$|^key$/i;
+// 字符串中的 URL 参数（含 URL 编码后的形式）按参数名脱敏
+const SENSITIVE_PARAMS = 's|sig|auth|token|password|key';
+const SENSITIVE_PARAM_PATTERN = new RegExp(`([?&](?:${SENSITIVE_PARAMS})=)[^&#\\s"']+`, 'gi');
+const ENCODED_SENSITIVE_PARAM_PATTERN = new RegExp(`((?:%3F|%26)(?:${SENSITIVE_PARAMS})%3D)[^&#?\\s"'%]+`, 'gi');
+// 外部传入的请求 ID 只接受这种格式，避免日志注入
+const REQUEST_ID_PATTERN = /^[\w.-]{8,64}$/;
+
+/**
+ * 由环境变量确定日志级别：LOG_LEVEL 优先，其次 DEBUG=true 时为 debug，默认 info。
+ * @param {Record<string, string|undefined>} env
+ * @returns {'debug'|'info'|'warn'|'error'|'silent'}
+ */
+export function resolveLogLevel(env = {}) {
+    const level = (env.LOG_LEVEL || '').toLowerCase();
+    if (level in LEVELS) return level;
+    return env.DEBUG === 'true' ? 'debug' : 'info';
+}
+
+/**
+ * 创建日志记录器。
+ * @param {object} [options]
+ * @param {string} [options.level='info']
+ * @param {object} [options.bindings] - 附加到每条日志上的字段
+ * @param {(level: string, line: string) => void} [options.write] - 输出函数，默认写到 console
+ */
+export function createLogger({ level = 'info', bindings = {}, write = writeToConsole } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    const emit = (entryLevel, msg, fields) => {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = redact({ time: new Date().toISOString(), level: entryLevel, msg, ...bindings, ...fields });
+        write(entryLevel, JSON.stringify(entry));
+    };
+
+    return {
+        level,
+        isEnabled: entryLevel => LEVELS[entryLevel] >= threshold,
+        debug: (msg, fields) => emit('debug', msg, fields),
+        info: (msg, fields) => emit('info', msg, fields),
+        warn: (msg, fields) => emit('warn', msg, fields),
+        error: (msg, fields) => emit('error', msg, fields),
+        /** 派生一个带有额外固定字段的记录器 */
+        child: extra => createLogger({ level, bindings: { ...bindings, ...extra }, write })
+    };
+}
+
+function writeToConsole(level, line) {
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+}
+
+/**
+ * 递归脱敏：敏感字段名的值替换为 [REDACTED]，字符串中的签名、令牌等 URL 参数同样替换。
+ * Error 对象转换为 { name, message }。
+ */
+export function redact(value, key = '') {
+    if (key && SENSITIVE_KEY_PATTERN.test(key) && value !== undefined && value !== null && value !== '') {
+        return REDACTED;
+    }
+    if (typeof value === 'string') {
+        return value
+            .replace(SENSITIVE_PARAM_PATTERN, `$1${REDACTED}`)
+            .replace(ENCODED_SENSITIVE_PARAM_PATTERN, `$1${REDACTED}`);
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redact(value.message) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+    }
+    return value;
+}
+
+/**
+ * 生成请求 ID；请求头 X-Request-Id 合法时（例如由前置的反向代理生成）沿用它。
+ * @param {string|null} [incoming] - 请求头 X-Request-Id 的值
+ * @returns {string}
+ */
+export function getRequestId(incoming) {
+    if (incoming && REQUEST_ID_PATTERN.test(incoming)) return incoming;
+    return crypto.randomUUID().replace(/-/g, '').slice(0, 16);
+}
+
+/**
+ * 校验从 URL 参数中取得的父请求 ID，不合法时返回 null。
+ * @param {string|null} value
+ */
+export function sanitizeRequestId(value) {
+    return value && REQUEST_ID_PATTERN.test(value) ? value : null;
+}
@@ -0,0 +1,141 @@
+// lib/login-guard.mjs - 登录防暴力破解
+//
+// 按客户端 IP 与账户分别统计连续失败次数，达到阈值后锁定，之后每次失败锁定时长翻倍（有上限）。
+// 锁定期间即使密码正确也拒绝登录。状态保存在 KV 兼容的存储中（get / put），与代理限流相同：
+// Node 使用内存，Cloudflare 使用 KV 或 Cache API。
+// 运维可以用 LOGIN_LOCKOUT_BYPASS 放行自己的网络，或通过 scripts/unlock-login.mjs 解除锁定。
+
+import { isBlockedIp, parseCidrList, parseIp } from './egress-guard.mjs';
+import { createLogger } from './logger.mjs';
+
+// KV 的 expirationTtl 最小为 60 秒
+const MIN_STATE_TTL_SECONDS = 60;
+// 解除全部锁定时递增的代号，所有状态键都带有它，旧状态随之失效
+const EPOCH_KEY = 'lg:epoch';
+const EPOCH_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * 从环境变量读取登录保护配置。
+ * @param {Record<string, string|undefined>} env
+ * @param {object} [logger] - lib/logger.mjs 的日志记录器
+ */
+export function createLoginGuardConfig(env = {}, logger = createLogger()) {
+    const bypass = (env.LOGIN_LOCKOUT_BYPASS || '').split(',').map(item => item.trim()).filter(Boolean);
+    return {
+        maxAttempts: parseInt(env.LOGIN_MAX_ATTEMPTS || '5', 10), // 同一 IP 连续失败多少次后锁定，0 表示不限制
+        accountMaxAttempts: parseInt(env.LOGIN_ACCOUNT_MAX_ATTEMPTS || '20', 10), // 同一账户（不分 IP）的阈值，0 表示不限制
+        lockoutSeconds: parseInt(env.LOGIN_LOCKOUT_SECONDS || '60', 10), // 首次锁定时长
+        maxLockoutSeconds: parseInt(env.LOGIN_LOCKOUT_MAX_SECONDS || '3600', 10),
+        // 最近一次失败（或锁定结束）后超过这么久没有新的失败，计数清零
+        failureWindowSeconds: parseInt(env.LOGIN_FAILURE_WINDOW || '900', 10),
+        bypass: parseCidrList(bypass, logger)
+    };
+}
+
+/**
+ * 创建登录保护。
+ * @param {object} options
+ * @param {{get: Function, put: Function}} options.store - KV 兼容的存储
+ * @param {object} options.config - createLoginGuardConfig 的返回值
+ */
+export function createLoginGuard({ store, config }) {
+    const emptyState = () => ({ failures: 0, lockedUntil: 0, updatedAt: 0 });
+
+    async function currentEpoch() {
+        return (await store.get(EPOCH_KEY)) || '0';
+    }
+
+    async function load(key, now) {
+        const raw = await store.get(key);
+        if (!raw) return emptyState();
+        const state = JSON.parse(raw);
+        if (now - Math.max(state.updatedAt, state.lockedUntil) > config.failureWindowSeconds * 1000) {
+            return emptyState();
+        }
+        return state;
+    }
+
+    async function save(key, state, now) {
+        const lockedSeconds = Math.max(0, Math.ceil((state.lockedUntil - now) / 1000));
+        await store.put(key, JSON.stringify(state), {
+            expirationTtl: Math.max(MIN_STATE_TTL_SECONDS, lockedSeconds + config.failureWindowSeconds)
+        });
+    }
+
+    // 需要计数的对象：客户端 IP 与账户；放行名单中的地址完全不受限制
+    async function subjects(clientAddress, account) {
+        if (clientAddress && parseIp(clientAddress) && isBlockedIp(clientAddress, config.bypass)) {
+            return [];
+        }
+        const epoch = await currentEpoch();
+        return [
+            { key: `lg:${epoch}:ip:${clientAddress || 'unknown'}`, limit: config.maxAttempts },
+            { key: `lg:${epoch}:account:${account}`, limit: config.accountMaxAttempts }
+        ].filter(subject => subject.limit > 0);
+    }
+
+    const secondsUntil = (time, now) => Math.max(1, Math.ceil((time - now) / 1000));
+
+    return {
+        /**
+         * 登录前检查是否处于锁定状态。
+         * @returns {Promise<{allowed: boolean, retryAfter?: number}>}
+         */
+        async check(clientAddress, account) {
+            const now = Date.now();
+            let lockedUntil = 0;
+            for (const subject of await subjects(clientAddress, account)) {
+                lockedUntil = Math.max(lockedUntil, (await load(subject.key, now)).lockedUntil);
+            }
+            return lockedUntil > now ? { allowed: false, retryAfter: secondsUntil(lockedUntil, now) } : { allowed: true };
+        },
+
+        /**
+         * 记录一次失败，达到阈值时锁定。
+         * @returns {Promise<{locked: boolean, retryAfter?: number, remainingAttempts?: number}>}
+         */
+        async recordFailure(clientAddress, account) {
+            const now = Date.now();
+            let lockedUntil = 0;
+            let remainingAttempts = Infinity;
+            for (const subject of await subjects(clientAddress, account)) {
+                const state = await load(subject.key, now);
+                state.failures++;
+                state.updatedAt = now;
+                const overLimit = state.failures - subject.limit;
+                if (overLimit >= 0) {
+                    const seconds = Math.min(config.maxLockoutSeconds, config.lockoutSeconds * 2 ** overLimit);
+                    state.lockedUntil = now + seconds * 1000;
+                    lockedUntil = Math.max(lockedUntil, state.lockedUntil);
+                } else {
+                    remainingAttempts = Math.min(remainingAttempts, -overLimit);
+                }
+                await save(subject.key, state, now);
+            }
+            if (lockedUntil > now) {
+                return { locked: true, retryAfter: secondsUntil(lockedUntil, now) };
+            }
+            return Number.isFinite(remainingAttempts) ? { locked: false, remainingAttempts } : { locked: false };
+        },
+
+        /** 登录成功后清除该 IP 与账户的失败计数 */
+        async recordSuccess(clientAddress, account) {
+            const now = Date.now();
+            for (const subject of await subjects(clientAddress, account)) {
+                await save(subject.key, emptyState(), now);
+            }
+        },
+
+        /**
+         * 解除锁定。
+         * @param {string} target - "all"、"ip:<地址>" 或 "account:<账户>"
+         */
+        async unlock(target) {
+            if (target === 'all') {
+                await store.put(EPOCH_KEY, String(Date.now()), { expirationTtl: EPOCH_TTL_SECONDS });
+                return;
+            }
+            await save(`lg:${await currentEpoch()}:${target}`, emptyState(), Date.now());
+        }
+    };
+}
@@ -0,0 +1,138 @@
+// lib/metrics.mjs - 代理运行指标（Prometheus 文本格式）
+//
+// lib/proxy-core.mjs 在请求处理过程中调用这里的记录函数（通过 options.metrics 传入，不传则不统计），
+// server.mjs 的 /metrics 调用 render() 输出。指标只保存在进程内存中，重启后清零。
+
+// 上游响应耗时的直方图分桶（秒）
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// 上游主机名作为标签时的数量上限，超出后归入 "other"，避免 CDN 子域名过多导致序列膨胀
+const DEFAULT_MAX_HOST_LABELS = 200;
+
+/**
+ * 创建代理指标收集器。
+ * @param {object} [options]
+ * @param {number} [options.maxHostLabels]
+ */
+export function createProxyMetrics({ maxHostLabels = DEFAULT_MAX_HOST_LABELS } = {}) {
+    const startedAt = Date.now();
+    const responses = new Map(); // status -> count
+    const authFailures = new Map(); // reason -> count
+    const bytes = new Map(); // kind -> bytes
+    const cacheLookups = new Map(); // `${tier}\n${result}` -> count
+    const upstream = new Map(); // host -> { buckets: number[], sum, count }
+
+    const increment = (map, key, value = 1) => map.set(key, (map.get(key) || 0) + value);
+
+    function hostLabel(host) {
+        if (upstream.has(host) || upstream.size < maxHostLabels) return host;
+        return 'other';
+    }
+
+    return {
+        /** @param {number} status - 返回给客户端的状态码 */
+        recordResponse(status) {
+            increment(responses, String(status));
+        },
+
+        /** @param {string} reason - password / locked / login / signature / operator / no_password */
+        recordAuthFailure(reason) {
+            increment(authFailures, reason);
+        },
+
+        /**
+         * @param {'text'|'media'} tier
+         * @param {boolean} hit
+         */
+        recordCache(tier, hit) {
+            increment(cacheLookups, `${tier}\n${hit ? 'hit' : 'miss'}`);
+        },
+
+        /**
+         * @param {string} host - 上游主机名
+         * @param {number} seconds - 等待响应头的耗时
+         */
+        observeUpstream(host, seconds) {
+            const label = hostLabel(host);
+            let histogram = upstream.get(label);
+            if (!histogram) {
+                histogram = { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+                upstream.set(label, histogram);
+            }
+            LATENCY_BUCKETS.forEach((bound, i) => {
+                if (seconds <= bound) histogram.buckets[i]++;
+            });
+            histogram.sum += seconds;
+            histogram.count++;
+        },
+
+        /**
+         * @param {'text'|'media'} kind
+         * @param {number} count - 发送给客户端的字节数
+         */
+        addBytes(kind, count) {
+            increment(bytes, kind, count);
+        },
+
+        /** @returns {string} Prometheus 文本格式 */
+        render() {
+            const lines = [];
+            const metric = (name, type, help) => {
+                lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            };
+
+            metric('teslatv_process_uptime_seconds', 'gauge', 'Seconds since the process started.');
+            lines.push(`teslatv_process_uptime_seconds ${(Date.now() - startedAt) / 1000}`);
+            if (typeof process !== 'undefined' && process.memoryUsage) {
+                metric('teslatv_process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.');
+                lines.push(`teslatv_process_resident_memory_bytes ${process.memoryUsage().rss}`);
+            }
+
+            metric('teslatv_proxy_requests_total', 'counter', 'Proxy responses by HTTP status.');
+            for (const [status, count] of responses) {
+                lines.push(`teslatv_proxy_requests_total{status="${status}"} ${count}`);
+            }
+
+            metric('teslatv_proxy_auth_failures_total', 'counter', 'Rejected logins, proxy sessions and signatures.');
+            for (const [reason, count] of authFailures) {
+                lines.push(`teslatv_proxy_auth_failures_total{reason="${reason}"} ${count}`);
+            }
+
+            metric('teslatv_proxy_bytes_total', 'counter', 'Response body bytes sent to clients.');
+            for (const [kind, count] of bytes) {
+                lines.push(`teslatv_proxy_bytes_total{kind="${kind}"} ${count}`);
+            }
+
+            metric('teslatv_proxy_cache_lookups_total', 'counter', 'Cache lookups by tier and result.');
+            const tiers = new Map();
+            for (const [key, count] of cacheLookups) {
+                const [tier, result] = key.split('\n');
+                lines.push(`teslatv_proxy_cache_lookups_total{tier="${tier}",result="${result}"} ${count}`);
+                const totals = tiers.get(tier) || { hit: 0, all: 0 };
+                totals.all += count;
+                if (result === 'hit') totals.hit += count;
+                tiers.set(tier, totals);
+            }
+            metric('teslatv_proxy_cache_hit_ratio', 'gauge', 'Cache hits divided by lookups since start.');
+            for (const [tier, { hit, all }] of tiers) {
+                lines.push(`teslatv_proxy_cache_hit_ratio{tier="${tier}"} ${all ? hit / all : 0}`);
+            }
+
+            metric('teslatv_proxy_upstream_duration_seconds', 'histogram', 'Time until upstream response headers, by host.');
+            for (const [host, histogram] of upstream) {
+                const label = `host="${escapeLabel(host)}"`;
+                LATENCY_BUCKETS.forEach((bound, i) => {
+                    lines.push(`teslatv_proxy_upstream_duration_seconds_bucket{${label},le="${bound}"} ${histogram.buckets[i]}`);
+                });
+                lines.push(`teslatv_proxy_upstream_duration_seconds_bucket{${label},le="+Inf"} ${histogram.count}`);
+                lines.push(`teslatv_proxy_upstream_duration_seconds_sum{${label}} ${histogram.sum}`);
+                lines.push(`teslatv_proxy_upstream_duration_seconds_count{${label}} ${histogram.count}`);
+            }
+
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
@@ -0,0 +1,202 @@
+// lib/party-core.mjs - 观看派对（/api/party）：多人在不同地点同步观看同一集
+//
+// 主持人连接后创建房间，得到 8 位房间号；其他登录用户凭房间链接加入：
+// - 主持人发送 { type: 'sync', media, playback }：media 为节目与集数（来源、ID、集数索引），
+//   playback 为播放状态（是否暂停、进度、倍速），在播放、暂停、跳转、切换剧集时以及定期发送；
+// - 服务端保存最近一份并转发给所有成员。转发时按经过的时间推算当前进度，
+//   中途加入的成员收到的也是推算后的进度，可以直接跳到主持人正在播放的位置。
+// 成员之间的漂移修正（微调倍速或跳转）由浏览器完成，见 js/watch-party.js。
+// 自定义源地址（customApi / customDetail）可能带有私人的 API 地址，只转发给与主持人同一账户的成员，
+// 主持人创建房间时选择分享才转发给其他账户。连续加入失败的次数由 lib/remote-node.mjs 限制。
+// 房间只在内存中保存，主持人断开后房间结束。连接只需提供 send(text) / close(code, reason)，
+// WebSocket 的接入见 lib/remote-node.mjs。
+
+// WebSocket 关闭码（4000-4999 由应用自定义），与手机遥控一致
+export const PARTY_CLOSE_CODES = {
+    hostLeft: 4000,
+    notFound: 4004,
+    full: 4009,
+    tooManyAttempts: 4029
+};
+
+const ROOM_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_LENGTH = 8;
+const MAX_FIELD_LENGTH = 200;
+const MAX_URL_LENGTH = 2048;
+
+const isShortString = value => typeof value === 'string' && value.length > 0 && value.length <= MAX_FIELD_LENGTH;
+
+/**
+ * 校验主持人正在播放的节目：{ title, sourceCode, vodId, episodeIndex[, customApi, customDetail] }。
+ * 自定义源在各设备上的编号不同，房间链接中需要带上自定义 API 地址。
+ * @param {unknown} media
+ */
+export function normalizePartyMedia(media) {
+    if (!media || typeof media !== 'object') return null;
+    const { title, sourceCode, vodId, episodeIndex, customApi, customDetail } = media;
+    if (!isShortString(title) || !isShortString(sourceCode)) return null;
+    if (!['string', 'number'].includes(typeof vodId) || !isShortString(String(vodId))) return null;
+    if (!Number.isInteger(episodeIndex) || episodeIndex < 0) return null;
+
+    const normalized = { title, sourceCode, vodId: String(vodId), episodeIndex };
+    for (const [key, value] of Object.entries({ customApi, customDetail })) {
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value !== 'string' || value.length > MAX_URL_LENGTH || !/^https?:\/\//i.test(value)) return null;
+        normalized[key] = value;
+    }
+    return normalized;
+}
+
+/**
+ * 校验播放状态：{ paused, currentTime, playbackRate }。
+ * @param {unknown} playback
+ */
+export function normalizePartyPlayback(playback) {
+    if (!playback || typeof playback !== 'object') return null;
+    const { paused, currentTime, playbackRate = 1 } = playback;
+    if (typeof paused !== 'boolean') return null;
+    if (!Number.isFinite(currentTime) || currentTime < 0) return null;
+    if (!Number.isFinite(playbackRate) || playbackRate <= 0 || playbackRate > 16) return null;
+    return { paused, currentTime, playbackRate };
+}
+
+/**
+ * 创建观看派对的房间中转。
+ * @param {object} [options]
+ * @param {number} [options.maxMembers=20] - 每个房间最多的成员数（不含主持人）
+ * @param {() => number} [options.now] - 当前时间（毫秒），用于测试
+ */
+export function createPartyHub({ maxMembers = 20, now = Date.now } = {}) {
+    const rooms = new Map();
+    const peers = new Map();
+
+    const send = (peer, message) => peer.send(JSON.stringify(message));
+
+    function generateRoomId() {
+        let room;
+        do {
+            const bytes = crypto.getRandomValues(new Uint8Array(ROOM_LENGTH));
+            room = Array.from(bytes, byte => ROOM_ALPHABET[byte % ROOM_ALPHABET.length]).join('');
+        } while (rooms.has(room));
+        return room;
+    }
+
+    // 按主持人上次同步后经过的时间推算当前进度
+    function snapshot(room) {
+        if (!room.media) return null;
+        const playback = { ...room.playback };
+        if (!playback.paused) {
+            playback.currentTime += (now() - room.updatedAt) / 1000 * playback.playbackRate;
+        }
+        return { media: room.media, playback };
+    }
+
+    // 发给某个成员的状态：主持人未选择分享时，其他账户的成员收不到自定义源地址
+    function snapshotFor(room, username) {
+        const state = snapshot(room);
+        if (!state || room.shareCustomApi || username === room.hostName) return state;
+        const { customApi, customDetail, ...media } = state.media;
+        return { ...state, media };
+    }
+
+    function notifyMemberCount(room) {
+        send(room.host, { type: 'members', count: room.members.size });
+    }
+
+    return {
+        /** 当前的房间数，用于测试与监控 */
+        get size() {
+            return rooms.size;
+        },
+
+        /**
+         * 主持人连接：创建房间并发送 { type: 'room', room }。
+         * @param {{username: string}} session - verifyLoginSession 的返回值
+         * @param {{send: Function, close: Function}} peer
+         * @param {object} [options]
+         * @param {boolean} [options.shareCustomApi=false] - 是否把自定义源地址转发给其他账户的成员
+         */
+        openRoom(session, peer, { shareCustomApi = false } = {}) {
+            const id = generateRoomId();
+            const room = { id, host: peer, hostName: session.username, shareCustomApi, members: new Set(), media: null, playback: null, updatedAt: 0 };
+            rooms.set(id, room);
+            peers.set(peer, { room, role: 'host' });
+            send(peer, { type: 'room', room: id });
+            return id;
+        },
+
+        /**
+         * 成员加入房间，任何登录用户都可以加入。成功时返回 null，失败时关闭连接并返回关闭码。
+         * @param {{username: string}} session
+         * @param {string|null} roomId
+         * @param {{send: Function, close: Function}} peer
+         */
+        joinRoom(session, roomId, peer) {
+            const room = rooms.get(String(roomId || '').toUpperCase());
+            let error = null;
+            if (!room) {
+                error = [PARTY_CLOSE_CODES.notFound, '房间不存在或已结束'];
+            } else if (room.members.size >= maxMembers) {
+                error = [PARTY_CLOSE_CODES.full, '房间人数已满'];
+            }
+            if (error) {
+                peer.close(...error);
+                return error[0];
+            }
+
+            room.members.add(peer);
+            peers.set(peer, { room, role: 'member', username: session.username });
+            send(peer, { type: 'joined', host: room.hostName, state: snapshotFor(room, session.username) });
+            notifyMemberCount(room);
+            return null;
+        },
+
+        /**
+         * 处理一条消息。只接受主持人的 sync 消息，其他消息直接忽略。
+         * @param {{send: Function, close: Function}} peer
+         * @param {string} text
+         */
+        receive(peer, text) {
+            const entry = peers.get(peer);
+            if (!entry || entry.role !== 'host') return;
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch {
+                return;
+            }
+            if (message?.type !== 'sync') return;
+            const media = normalizePartyMedia(message.media);
+            const playback = normalizePartyPlayback(message.playback);
+            if (!media || !playback) return;
+
+            const { room } = entry;
+            room.media = media;
+            room.playback = playback;
+            room.updatedAt = now();
+            for (const member of room.members) send(member, { type: 'sync', ...snapshotFor(room, peers.get(member).username) });
+        },
+
+        /**
+         * 连接断开。主持人断开时结束房间并断开所有成员。
+         * @param {{send: Function, close: Function}} peer
+         */
+        leave(peer) {
+            const entry = peers.get(peer);
+            if (!entry) return;
+            peers.delete(peer);
+            const { room, role } = entry;
+
+            if (role === 'member') {
+                room.members.delete(peer);
+                notifyMemberCount(room);
+                return;
+            }
+            rooms.delete(room.id);
+            for (const member of room.members) {
+                peers.delete(member);
+                member.close(PARTY_CLOSE_CODES.hostLeft, '主持人已结束观看');
+            }
+        }
+    };
+}
@@ -0,0 +1,134 @@
+// lib/proxy-cache.mjs - 代理的两级缓存存储
+//
+// 文本层（播放列表、API JSON）：KV 兼容的 get / put，Node 使用内存 LRU，Cloudflare 使用 KV。
+// 媒体层（视频分片等二进制内容）：match / put 流式读写，Node 使用磁盘（lib/disk-cache.mjs），
+// Cloudflare 使用 Cache API。两层的选择与读写时机由 lib/proxy-core.mjs 决定。
+
+// 默认不参与缓存键的查询参数（时间戳、随机数等防缓存参数）
+export const DEFAULT_CACHE_IGNORE_PARAMS = 't,_,_t,ts,timestamp,rand,random,nocache,cb';
+
+/**
+ * 创建一个与 Cloudflare KV 接口兼容的内存 LRU 缓存（get / put），供 Node 类平台使用。
+ * @param {{ maxEntries?: number }} [options]
+ */
+export function createMemoryCache({ maxEntries = 500 } = {}) {
+    const store = new Map();
+    return {
+        async get(key) {
+            const entry = store.get(key);
+            if (!entry) return null;
+            if (Date.now() > entry.expiresAt) {
+                store.delete(key);
+                return null;
+            }
+            // 重新插入，使 Map 的迭代顺序即为最近使用顺序
+            store.delete(key);
+            store.set(key, entry);
+            return entry.value;
+        },
+        async put(key, value, { expirationTtl = 86400 } = {}) {
+            store.delete(key);
+            // 超出容量时淘汰最久未使用的条目
+            if (store.size >= maxEntries) {
+                store.delete(store.keys().next().value);
+            }
+            store.set(key, { value, expiresAt: Date.now() + expirationTtl * 1000 });
+        }
+    };
+}
+
+/**
+ * 规范化缓存键：去掉防缓存参数并对剩余参数排序，使同一资源的不同请求命中同一条缓存。
+ * 只影响缓存键，实际请求上游时仍使用原始 URL。
+ * @param {string} targetUrl
+ * @param {string[]} ignoredParams - 小写的参数名
+ */
+export function normalizeCacheKey(targetUrl, ignoredParams) {
+    try {
+        const url = new URL(targetUrl);
+        url.hash = '';
+        const params = [...url.searchParams].filter(([name]) => !ignoredParams.includes(name.toLowerCase()));
+        params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        url.search = new URLSearchParams(params).toString();
+        return url.href;
+    } catch {
+        return targetUrl;
+    }
+}
+
+/**
+ * 给 KV 加上写入节流，避免超出免费版每天 1000 次的写入额度：
+ * - 同一个键在 dedupeSeconds 内只写一次；
+ * - 按每天的写入预算匀速放行，超出时直接丢弃这次写入（只是少缓存一次，不影响响应）。
+ * 预算按单个 isolate 计算，多个 isolate 同时运行时总写入量仍可能略超预算。
+ * @param {{get: Function, put: Function}} store
+ * @param {object} options
+ * @param {number} options.writesPerDay - 为 0 时不限制
+ * @param {number} [options.dedupeSeconds=300]
+ */
+export function throttleWrites(store, { writesPerDay, dedupeSeconds = 300 }) {
+    if (!writesPerDay) return store;
+
+    const capacity = Math.max(1, Math.floor(writesPerDay / 24)); // 最多突发一小时的额度
+    const refillPerMs = writesPerDay / 86400000;
+    let tokens = capacity;
+    let updatedAt = Date.now();
+    const recentWrites = new Map();
+
+    return {
+        get: key => store.get(key),
+        async put(key, value, options) {
+            const now = Date.now();
+            tokens = Math.min(capacity, tokens + (now - updatedAt) * refillPerMs);
+            updatedAt = now;
+
+            if (recentWrites.get(key) > now - dedupeSeconds * 1000 || tokens < 1) {
+                return false;
+            }
+            tokens -= 1;
+            if (recentWrites.size >= 1000) recentWrites.clear();
+            recentWrites.set(key, now);
+            await store.put(key, value, options);
+            return true;
+        }
+    };
+}
+
+// 同一个 KV 绑定共用一份节流状态，代理与聚合搜索的写入计入同一份预算
+const throttledStores = new WeakMap();
+
+/**
+ * 与 throttleWrites 相同，但同一个 store 在 isolate 内只包装一次，节流状态跨请求保留。
+ * @param {{get: Function, put: Function}} store
+ * @param {{writesPerDay: number}} options
+ */
+export function getThrottledStore(store, options) {
+    if (!throttledStores.has(store)) {
+        throttledStores.set(store, throttleWrites(store, options));
+    }
+    return throttledStores.get(store);
+}
+
+/**
+ * 基于 Cache API（Cloudflare 的 caches.default）的媒体缓存。
+ * @param {Cache} cache
+ */
+export function createCacheApiMediaStore(cache) {
+    const toCacheUrl = key => `https://media-cache.teslatv.internal/${encodeURIComponent(key)}`;
+    return {
+        /** @returns {Promise<{body: ReadableStream, headers: Headers}|null>} */
+        async match(key) {
+            const response = await cache.match(toCacheUrl(key));
+            return response ? { body: response.body, headers: response.headers } : null;
+        },
+        /**
+         * @param {string} key
+         * @param {{body: ReadableStream, headers: Headers, ttl: number}} entry
+         */
+        async put(key, { body, headers, ttl }) {
+            const cachedHeaders = new Headers(headers);
+            cachedHeaders.set('Cache-Control', `max-age=${ttl}`);
+            await cache.put(toCacheUrl(key), new Response(body, { headers: cachedHeaders }));
+        }
+    };
+}
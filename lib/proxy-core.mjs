@@ -0,0 +1,1140 @@
+// lib/proxy-core.mjs - 平台无关的代理核心
+//
+// 所有部署平台（Node/Express、Cloudflare Pages、Vercel、Netlify）共用这一份代理逻辑：
+// 输入标准 Request，输出标准 Response。各平台只负责把自己的请求/响应对象转换过来，
+// 以及提供缓存（KV 或内存）、DNS 解析和 waitUntil 等运行时能力。
+
+import {
+    DEFAULT_BLOCKED_CIDRS,
+    EgressDeniedError,
+    assertEgressAllowed,
+    createDohResolver,
+    parseCidrList
+} from './egress-guard.mjs';
+import { DEFAULT_CACHE_IGNORE_PARAMS, normalizeCacheKey } from './proxy-cache.mjs';
+import { createRateLimitConfig, createRateLimiter } from './rate-limit.mjs';
+import { createLoginGuardConfig } from './login-guard.mjs';
+import { ROLES } from './user-store.mjs';
+import { createLogger, getRequestId, resolveLogLevel, sanitizeRequestId } from './logger.mjs';
+import { hmacHex, importHmacKey, nowInSeconds, timingSafeEqual, toHex, verifyLoginSession } from './auth-core.mjs';
+import { analyzeM3U8Ads, normalizeAdFilterRules, parseAdFilterRuleList } from './ad-filter.mjs';
+
+// 各平台入口都从这里取内存缓存，保持原有的导入路径
+export { createMemoryCache } from './proxy-cache.mjs';
+
+// --- 常量 ---
+const DEFAULT_USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15'
+];
+const DEFAULT_BLOCKED_HOSTS = 'localhost,127.0.0.1,0.0.0.0,::1';
+const M3U8_CONTENT_TYPES = ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl'];
+const TEXT_CONTENT_TYPES = ['text/', 'application/json', 'application/javascript', 'application/xml'];
+// 字幕文件常见 GBK/Big5 编码，按字节原样转发，由播放器识别编码（lib/subtitle.mjs）
+const SUBTITLE_EXTENSIONS = ['.srt', '.ass', '.ssa', '.vtt'];
+const TESLA_INDICATORS = ['tesla', 'qtcarplay', 'carplay', 'automotive', 'vehicle'];
+// 上游响应中不应转发给客户端的头
+const HOP_BY_HOP_HEADERS = ['transfer-encoding', 'connection', 'keep-alive'];
+// 需要透传给上游的请求头（支持 MP4/MKV 等渐进式文件的断点续传与拖动）
+const RANGE_REQUEST_HEADERS = ['Range', 'If-Range'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// 按流量而不是按次数限流、并优先使用媒体缓存的资源
+const MEDIA_PATH_PATTERN = /\.(ts|m4s|mp4|m4a|m4v|aac|mp3|webm|mkv|flv|key)$/i;
+const DEFAULT_FILTERED_HEADERS = 'content-security-policy,cookie,set-cookie,x-frame-options';
+const SESSION_PATH_PATTERN = /\/proxy\/session\/?$/;
+const textEncoder = new TextEncoder();
+
+/**
+ * 从环境变量构建代理配置。
+ * @param {Record<string, string|undefined>} env - process.env 或 Cloudflare 的 env 绑定
+ * @returns {object} 代理配置
+ */
+export function createProxyConfig(env = {}) {
+    const logger = createLogger({ level: resolveLogLevel(env) });
+    let userAgents = DEFAULT_USER_AGENTS;
+    if (env.USER_AGENTS_JSON) {
+        try {
+            const parsedAgents = JSON.parse(env.USER_AGENTS_JSON);
+            if (Array.isArray(parsedAgents) && parsedAgents.length > 0) {
+                userAgents = parsedAgents;
+            } else {
+                logger.warn('USER_AGENTS_JSON 不是有效的非空数组，使用默认值');
+            }
+        } catch (e) {
+            logger.warn('解析 USER_AGENTS_JSON 失败，使用默认值', { error: e.message });
+        }
+    } else if (env.USER_AGENT) {
+        userAgents = [env.USER_AGENT];
+    }
+
+    const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    let adFilterRules = [];
+    if (env.AD_FILTER_RULES) {
+        try {
+            const parsed = normalizeAdFilterRules(JSON.parse(env.AD_FILTER_RULES), 'AD_FILTER_RULES');
+            parsed.errors.forEach(error => logger.warn('忽略无效的广告过滤规则', { error }));
+            adFilterRules = parsed.rules;
+        } catch (e) {
+            logger.warn('解析 AD_FILTER_RULES 失败，不使用广告过滤规则', { error: e.message });
+        }
+    }
+
+    return {
+        password: env.PASSWORD || '',
+        debug: env.DEBUG === 'true',
+        logLevel: resolveLogLevel(env), // LOG_LEVEL，未设置时 DEBUG=true 为 debug，否则为 info
+        cacheTtl: parseInt(env.CACHE_TTL || '86400', 10),
+        // API 响应（搜索、详情等）过期后仍可在 apiStaleTtl 内先返回旧内容，同时后台刷新
+        apiCacheTtl: parseInt(env.API_CACHE_TTL || '600', 10),
+        apiStaleTtl: parseInt(env.API_STALE_TTL || '86400', 10),
+        mediaCacheTtl: parseInt(env.MEDIA_CACHE_TTL || '86400', 10),
+        mediaCacheMaxObjectBytes: parseInt(env.MEDIA_CACHE_MAX_OBJECT_MB || '20', 10) * 1024 * 1024,
+        cacheIgnoreParams: splitList(env.CACHE_IGNORE_PARAMS ?? DEFAULT_CACHE_IGNORE_PARAMS).map(p => p.toLowerCase()),
+        kvWritesPerDay: parseInt(env.KV_WRITES_PER_DAY || '1000', 10),
+        maxRecursion: parseInt(env.MAX_RECURSION || '5', 10),
+        timeout: parseInt(env.REQUEST_TIMEOUT || '10000', 10),
+        maxRetries: parseInt(env.MAX_RETRIES || '2', 10),
+        corsOrigin: env.CORS_ORIGIN || '*',
+        // 签名密钥：未单独设置时由 PASSWORD 派生（不同于前端可见的密码哈希）
+        signingSecret: env.PROXY_SECRET || (env.PASSWORD ? `teslatv-proxy:${env.PASSWORD}` : ''),
+        loginTtl: parseInt(env.LOGIN_SESSION_TTL || '7776000', 10), // 登录 Cookie 有效期（秒），默认 90 天
+        passwordRole: ROLES.includes(env.PASSWORD_ROLE) ? env.PASSWORD_ROLE : 'admin', // 共享密码登录后的角色
+        sessionTtl: parseInt(env.PROXY_SESSION_TTL || '604800', 10), // 代理会话有效期（秒），默认 7 天
+        urlTtl: parseInt(env.PROXY_URL_TTL || '43200', 10), // 单个签名链接有效期（秒），默认 12 小时
+        teslaModeEnabled: env.TESLA_MODE_ENABLED === 'true',
+        userAgents,
+        blockedHosts: splitList(env.BLOCKED_HOSTS ?? DEFAULT_BLOCKED_HOSTS),
+        blockedCidrs: parseCidrList(splitList(env.BLOCKED_CIDRS || DEFAULT_BLOCKED_CIDRS), logger),
+        maxRedirects: parseInt(env.MAX_REDIRECTS || '5', 10),
+        dohUrl: env.DNS_OVER_HTTPS_URL || undefined,
+        rateLimit: createRateLimitConfig(env),
+        loginGuard: createLoginGuardConfig(env, logger),
+        filteredHeaders: splitList(env.FILTERED_HEADERS ?? DEFAULT_FILTERED_HEADERS).map(h => h.toLowerCase()),
+        // 媒体列表的广告过滤规则（lib/ad-filter.mjs）及订阅的规则列表地址
+        adFilterRules,
+        adFilterRuleUrls: splitList(env.AD_FILTER_RULE_URLS || '')
+    };
+}
+
+/**
+ * 代理请求主入口。
+ * @param {Request} request - 标准 Request，路径形如 /proxy/<编码后的URL>
+ * @param {object} options
+ * @param {object} options.config - createProxyConfig 的返回值
+ * @param {{get: Function, put: Function}|null} [options.cache] - 文本缓存（播放列表、API JSON），KV 兼容
+ * @param {{match: Function, put: Function}|null} [options.mediaCache] - 媒体缓存（Cache API 或磁盘）
+ * @param {(promise: Promise) => void} [options.waitUntil] - 延迟执行后台任务（Cloudflare）
+ * @param {typeof fetch} [options.fetch] - 自定义 fetch 实现
+ * @param {(hostname: string) => Promise<string[]>} [options.resolveHost] - DNS 解析，默认使用 DNS over HTTPS
+ * @param {{get: Function, put: Function}|null} [options.rateLimitStore] - 限流计数存储，不提供时不限流
+ * @param {object|null} [options.userStore] - lib/user-store.mjs 的账户存储，用于确认登录的账户仍然存在
+ * @param {string} [options.clientAddress] - 由平台确认的客户端 IP
+ * @param {object|null} [options.metrics] - lib/metrics.mjs 的指标收集器，不提供时不统计
+ * @param {object} [options.logger] - lib/logger.mjs 的日志记录器，默认按 config.logLevel 创建
+ * @returns {Promise<Response>}
+ */
+export async function handleProxyRequest(request, options) {
+    const ctx = createContext(request, options);
+    const startedAt = Date.now();
+    const response = await routeProxyRequest(ctx);
+    ctx.metrics?.recordResponse(response.status);
+    response.headers.set('X-Request-Id', ctx.requestId);
+    // 每个请求一条访问日志；分片等子请求带有 parentRequestId，可按播放列表请求聚合
+    ctx.logger.info('proxy request', {
+        method: request.method,
+        target: ctx.targetUrl,
+        status: response.status,
+        durationMs: Date.now() - startedAt
+    });
+    return response;
+}
+
+async function routeProxyRequest(ctx) {
+    const { config, request } = ctx;
+
+    if (request.method === 'OPTIONS') {
+        return new Response(null, {
+            status: 204,
+            headers: { ...corsHeaders(config), 'Access-Control-Max-Age': '86400' }
+        });
+    }
+
+    if (SESSION_PATH_PATTERN.test(ctx.url.pathname)) {
+        return issueProxySession(ctx);
+    }
+
+    const targetUrl = getTargetUrlFromPath(ctx.url.pathname, ctx);
+    if (!targetUrl) {
+        return jsonResponse(ctx, 400, {
+            success: false,
+            error: '无效的代理请求。路径应为 /proxy/<经过编码的URL>'
+        });
+    }
+    ctx.targetUrl = targetUrl;
+    if (!(await verifySignedRequest(ctx, targetUrl))) {
+        ctx.metrics?.recordAuthFailure('signature');
+        return jsonResponse(ctx, 401, {
+            success: false,
+            error: '代理访问未授权：签名无效或已过期，请刷新页面后重试'
+        });
+    }
+    ctx.log(`收到代理请求: ${request.method} ${targetUrl}`);
+
+    const rateLimited = await checkRateLimit(ctx, targetUrl);
+    if (rateLimited) return rateLimited;
+
+    try {
+        await assertTargetAllowed(ctx, targetUrl);
+
+        if (request.method === 'HEAD') {
+            return await handleHeadRequest(ctx, targetUrl);
+        }
+
+        // --- 缓存（范围请求只取部分内容，不参与缓存） ---
+        // 分片等媒体资源只查媒体缓存，避免每个分片都消耗一次 KV 读取
+        const isRangeRequest = request.headers.has('Range');
+        if (!isRangeRequest) {
+            const cachedText = isMediaPath(targetUrl) ? null : await loadCachedText(ctx, targetUrl);
+            if (cachedText) {
+                ctx.log(`[缓存命中] 文本内容: ${targetUrl}`);
+                return respondWithText(ctx, targetUrl, cachedText.body, new Headers(cachedText.headers));
+            }
+            const cachedMedia = await matchMediaCache(ctx, targetUrl);
+            if (cachedMedia) {
+                ctx.log(`[缓存命中] 媒体内容: ${targetUrl}`);
+                return createResponse(ctx, meterMediaBody(ctx, cachedMedia), 200,
+                    filterUpstreamHeaders(ctx, cachedMedia.headers, { passthrough: true }));
+            }
+        }
+
+        const upstream = await fetchUpstream(ctx, targetUrl, { forwardRange: true });
+        const contentType = upstream.headers.get('Content-Type') || '';
+
+        // 二进制内容与 206/416 等范围响应原样流式转发，不做缓冲
+        if (upstream.status !== 200 || !mayBeTextContent(targetUrl, contentType)) {
+            ctx.log(`直接流式转发: ${targetUrl} (状态: ${upstream.status}, 类型: ${contentType})`);
+            const body = upstream.status === 200 && !isRangeRequest
+                ? teeIntoMediaCache(ctx, targetUrl, upstream)
+                : upstream.body;
+            return createResponse(ctx, meterMediaBody(ctx, { body, headers: upstream.headers }), upstream.status,
+                filterUpstreamHeaders(ctx, upstream.headers, { passthrough: true }));
+        }
+
+        const content = await upstream.text();
+        writeTextCache(ctx, targetUrl, content, upstream.headers);
+
+        return respondWithText(ctx, targetUrl, content, upstream.headers);
+    } catch (error) {
+        ctx.logger.warn('代理请求失败', { target: targetUrl, status: error.status || 500, error: error.message });
+        return jsonResponse(ctx, error.status || 500, {
+            success: false,
+            error: `代理处理错误: ${error.message}`,
+            targetUrl
+        });
+    }
+}
+
+// --- 上下文与工具函数 ---
+
+// 未指定解析器时共用一个 DoH 解析器，使其内部的 DNS 缓存在请求之间生效
+let sharedDohResolver = null;
+
+function createContext(request, {
+    config,
+    cache = null,
+    mediaCache = null,
+    waitUntil = null,
+    fetch: fetchImpl = globalThis.fetch,
+    resolveHost = null,
+    rateLimitStore = null,
+    userStore = null,
+    clientAddress = '',
+    metrics = null,
+    logger = null
+}) {
+    const url = new URL(request.url);
+    if (!resolveHost) {
+        sharedDohResolver ??= createDohResolver({ endpoint: config.dohUrl });
+        resolveHost = sharedDohResolver;
+    }
+    const requestId = getRequestId(request.headers.get('X-Request-Id'));
+    // rid 由父播放列表重写时写入子链接
+    const parentRequestId = sanitizeRequestId(url.searchParams.get('rid'));
+    const requestLogger = (logger || createLogger({ level: config.logLevel })).child({
+        requestId,
+        ...(parentRequestId ? { parentRequestId } : {})
+    });
+    return {
+        request,
+        url,
+        config,
+        cache,
+        mediaCache,
+        waitUntil,
+        fetch: fetchImpl,
+        resolveHost,
+        rateLimiter: rateLimitStore ? createRateLimiter({ store: rateLimitStore, config: config.rateLimit }) : null,
+        userStore,
+        clientAddress: clientAddress || 'unknown',
+        metrics,
+        requestId,
+        logger: requestLogger,
+        // 从路径中解析出的目标 URL，用于访问日志
+        targetUrl: null,
+        // 通过签名校验后填入，用于给重写后的子链接签名
+        session: null,
+        // 调试细节，只在 debug 级别输出
+        log(message) {
+            requestLogger.debug(message);
+        }
+    };
+}
+
+function corsHeaders(config) {
+    return {
+        'Access-Control-Allow-Origin': config.corsOrigin,
+        'Access-Control-Allow-Methods': 'GET, HEAD, POST, OPTIONS',
+        'Access-Control-Allow-Headers': '*',
+        'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges, Retry-After, X-Request-Id'
+    };
+}
+
+// 检测特斯拉车机请求
+function isTeslaRequest(ctx) {
+    if (!ctx.config.teslaModeEnabled) return false;
+    const userAgent = (ctx.request.headers.get('User-Agent') || '').toLowerCase();
+    return TESLA_INDICATORS.some(indicator => userAgent.includes(indicator));
+}
+
+// 创建标准化的响应（统一附加 CORS 与特斯拉相关头）
+function createResponse(ctx, body, status = 200, headers = {}) {
+    const responseHeaders = new Headers(headers);
+    for (const [key, value] of Object.entries(corsHeaders(ctx.config))) {
+        responseHeaders.set(key, value);
+    }
+    if (isTeslaRequest(ctx)) {
+        responseHeaders.set('X-Tesla-Safe', 'true');
+        responseHeaders.set('X-Vehicle-Safe', 'true');
+        responseHeaders.set('X-Driving-Safe', 'true');
+        responseHeaders.set('Cache-Control', 'no-cache, no-store, must-revalidate');
+    }
+    return new Response(body, { status, headers: responseHeaders });
+}
+
+function jsonResponse(ctx, status, data) {
+    return createResponse(ctx, JSON.stringify(data), status, { 'Content-Type': 'application/json' });
+}
+
+/**
+ * 过滤上游响应头。fetch 会自动解压内容，因此 Content-Encoding 一律去掉；
+ * 只有原样转发未压缩的响应体时才保留 Content-Length（范围请求依赖它计算进度）。
+ */
+function filterUpstreamHeaders(ctx, upstreamHeaders, { passthrough = false } = {}) {
+    const encoding = (upstreamHeaders.get('Content-Encoding') || 'identity').toLowerCase();
+    const keepLength = passthrough && encoding === 'identity';
+    const headers = new Headers();
+    upstreamHeaders.forEach((value, key) => {
+        const lowerKey = key.toLowerCase();
+        if (lowerKey.startsWith('access-control-') ||
+            HOP_BY_HOP_HEADERS.includes(lowerKey) ||
+            lowerKey === 'content-encoding' ||
+            (lowerKey === 'content-length' && !keepLength) ||
+            ctx.config.filteredHeaders.includes(lowerKey)) {
+            return;
+        }
+        headers.set(key, value);
+    });
+    headers.set('Cache-Control', `public, max-age=${ctx.config.cacheTtl}`);
+    return headers;
+}
+
+/**
+ * 处理 HEAD 请求：只向上游发 HEAD，返回响应头而不传输内容。
+ * 部分源站不支持 HEAD，此时退回 GET 并立即丢弃响应体。
+ */
+async function handleHeadRequest(ctx, targetUrl) {
+    let upstream;
+    try {
+        upstream = await fetchUpstream(ctx, targetUrl, { method: 'HEAD', forwardRange: true });
+    } catch (error) {
+        if (error.status !== 405 && error.status !== 501) throw error;
+        ctx.log(`上游不支持 HEAD，改用 GET: ${targetUrl}`);
+        upstream = await fetchUpstream(ctx, targetUrl, { forwardRange: true });
+        await upstream.body?.cancel();
+    }
+
+    const contentType = upstream.headers.get('Content-Type') || '';
+    // 播放列表会被重写，原始长度没有意义
+    const passthrough = !mayBeTextContent(targetUrl, contentType);
+    const headers = filterUpstreamHeaders(ctx, upstream.headers, { passthrough });
+    // 可能是播放列表，不知道内容时不允许共享缓存
+    if (!passthrough) headers.set('Cache-Control', 'private, no-cache');
+    return createResponse(ctx, null, upstream.status, headers);
+}
+
+// 直播列表：没有 #EXT-X-ENDLIST 的媒体列表，每隔几秒就会更新
+function isLivePlaylist(content) {
+    return !content.includes('#EXT-X-STREAM-INF') && !content.includes('#EXT-X-ENDLIST');
+}
+
+/**
+ * 重写后播放列表的 Cache-Control：其中的链接带有本会话的签名，只允许浏览器自己缓存，
+ * 且缓存时间不超过最早过期的签名（见 rewriteUrlToProxy）；直播列表每次都要重新获取。
+ */
+function playlistCacheControl(ctx, content) {
+    if (isLivePlaylist(content)) return 'private, no-cache';
+    const now = nowInSeconds();
+    const signedUntil = Math.min(now + ctx.config.urlTtl, ctx.session.expiresAt);
+    return `private, max-age=${Math.max(0, Math.min(ctx.config.cacheTtl, signedUntil - now))}`;
+}
+
+async function respondWithText(ctx, targetUrl, content, upstreamHeaders) {
+    const contentType = upstreamHeaders.get('Content-Type') || '';
+    if (isM3u8Content(content, contentType)) {
+        ctx.log(`内容是 M3U8，开始处理: ${targetUrl}`);
+        const processedM3u8 = await processM3u8Content(ctx, targetUrl, content, 0);
+        countTextBytes(ctx, processedM3u8);
+        return createResponse(ctx, processedM3u8, 200, {
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': playlistCacheControl(ctx, content)
+        });
+    }
+    ctx.log(`内容不是 M3U8 (类型: ${contentType})，直接返回: ${targetUrl}`);
+    countTextBytes(ctx, content);
+    return createResponse(ctx, content, 200, filterUpstreamHeaders(ctx, upstreamHeaders));
+}
+
+function countTextBytes(ctx, text) {
+    ctx.metrics?.addBytes('text', textEncoder.encode(text).byteLength);
+}
+
+// 后台任务不阻塞响应返回；有 waitUntil 时交给运行时，保证响应结束后任务仍能完成
+function runInBackground(ctx, taskFn, errorLabel) {
+    const task = Promise.resolve()
+        .then(taskFn)
+        .catch(e => ctx.logger.warn(errorLabel, { error: e.message }));
+    if (ctx.waitUntil) ctx.waitUntil(task);
+}
+
+// --- 缓存 ---
+
+function isMediaPath(targetUrl) {
+    try {
+        return MEDIA_PATH_PATTERN.test(new URL(targetUrl).pathname);
+    } catch {
+        return false;
+    }
+}
+
+function textCacheKey(ctx, targetUrl) {
+    return `proxy_raw:${normalizeCacheKey(targetUrl, ctx.config.cacheIgnoreParams)}`;
+}
+
+/**
+ * 文本缓存策略。播放列表按 CACHE_TTL 缓存，但直播列表（没有 #EXT-X-ENDLIST 的媒体列表）
+ * 每隔几秒就会更新，不能缓存；其余文本视为 API 响应，过期后允许先返回旧内容。
+ * @returns {{ttl: number, staleTtl: number}|null} 返回 null 表示不缓存
+ */
+function textCachePolicy(ctx, content, contentType) {
+    const { config } = ctx;
+    if (isM3u8Content(content, contentType)) {
+        return isLivePlaylist(content) ? null : { ttl: config.cacheTtl, staleTtl: 0 };
+    }
+    return { ttl: config.apiCacheTtl, staleTtl: config.apiStaleTtl };
+}
+
+/**
+ * 读取文本缓存。新鲜时直接返回；处于过期宽限期时返回旧内容并在后台刷新。
+ * @returns {Promise<{body: string, headers: Record<string, string>}|null>}
+ */
+async function loadCachedText(ctx, targetUrl) {
+    if (!ctx.cache) return null;
+    const entry = await readTextCacheEntry(ctx, targetUrl);
+    ctx.metrics?.recordCache('text', entry !== null);
+    return entry;
+}
+
+async function readTextCacheEntry(ctx, targetUrl) {
+    const cacheKey = textCacheKey(ctx, targetUrl);
+    let entry;
+    try {
+        const raw = await ctx.cache.get(cacheKey);
+        entry = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        ctx.log(`读取缓存失败 (${cacheKey}): ${e.message}`);
+        return null;
+    }
+    if (!entry) return null;
+
+    const policy = textCachePolicy(ctx, entry.body, entry.headers['content-type'] || '');
+    const ageSeconds = (Date.now() - (entry.storedAt ?? Date.now())) / 1000;
+    if (!policy || ageSeconds > policy.ttl + policy.staleTtl) return null;
+    if (ageSeconds > policy.ttl) {
+        ctx.log(`[缓存过期] 先返回旧内容并后台刷新: ${targetUrl}`);
+        revalidateInBackground(ctx, targetUrl);
+    }
+    return entry;
+}
+
+function writeTextCache(ctx, targetUrl, content, upstreamHeaders) {
+    if (!ctx.cache) return;
+    const headers = {};
+    upstreamHeaders.forEach((value, key) => { headers[key.toLowerCase()] = value; });
+    const policy = textCachePolicy(ctx, content, headers['content-type'] || '');
+    if (!policy) return;
+
+    const cacheKey = textCacheKey(ctx, targetUrl);
+    const value = JSON.stringify({ body: content, headers, storedAt: Date.now() });
+    const expirationTtl = Math.max(60, policy.ttl + policy.staleTtl); // KV 的最短有效期为 60 秒
+    runInBackground(ctx, () => ctx.cache.put(cacheKey, value, { expirationTtl }), `写入缓存失败 (${cacheKey})`);
+}
+
+// 同一资源同时只进行一次后台刷新
+const pendingRevalidations = new Set();
+
+function revalidateInBackground(ctx, targetUrl) {
+    const cacheKey = textCacheKey(ctx, targetUrl);
+    if (pendingRevalidations.has(cacheKey)) return;
+    pendingRevalidations.add(cacheKey);
+    runInBackground(ctx, async () => {
+        try {
+            const upstream = await fetchUpstream(ctx, targetUrl);
+            writeTextCache(ctx, targetUrl, await upstream.text(), upstream.headers);
+        } finally {
+            pendingRevalidations.delete(cacheKey);
+        }
+    }, `后台刷新缓存失败 (${targetUrl})`);
+}
+
+async function matchMediaCache(ctx, targetUrl) {
+    if (!ctx.mediaCache) return null;
+    let cached = null;
+    try {
+        cached = await ctx.mediaCache.match(normalizeCacheKey(targetUrl, ctx.config.cacheIgnoreParams));
+    } catch (e) {
+        ctx.log(`读取媒体缓存失败 (${targetUrl}): ${e.message}`);
+    }
+    ctx.metrics?.recordCache('media', cached !== null);
+    return cached;
+}
+
+/**
+ * 把媒体响应体分成两路：一路返回给客户端，一路写入媒体缓存。
+ * 只缓存长度已知、未压缩、不超过 MEDIA_CACHE_MAX_OBJECT_MB 且上游允许缓存的完整响应。
+ */
+function teeIntoMediaCache(ctx, targetUrl, upstream) {
+    const { config } = ctx;
+    const size = parseInt(upstream.headers.get('Content-Length'), 10);
+    const encoding = (upstream.headers.get('Content-Encoding') || 'identity').toLowerCase();
+    const cacheControl = upstream.headers.get('Cache-Control') || '';
+    if (!ctx.mediaCache || !upstream.body || !(size > 0) || size > config.mediaCacheMaxObjectBytes ||
+        encoding !== 'identity' || /no-store|private/i.test(cacheControl)) {
+        return upstream.body;
+    }
+
+    const headers = new Headers();
+    for (const name of ['Content-Type', 'Content-Length', 'ETag', 'Last-Modified', 'Accept-Ranges']) {
+        const value = upstream.headers.get(name);
+        if (value) headers.set(name, value);
+    }
+    const [clientBody, cacheBody] = upstream.body.tee();
+    const cacheKey = normalizeCacheKey(targetUrl, config.cacheIgnoreParams);
+    runInBackground(ctx, () => ctx.mediaCache.put(cacheKey, { body: cacheBody, headers, ttl: config.mediaCacheTtl, size }),
+        `写入媒体缓存失败 (${targetUrl})`);
+    return clientBody;
+}
+
+// --- 限流 ---
+
+// 按会话限流时以签发代理会话的登录会话为准：同一登录重复领取代理会话（POST /proxy/session）不会得到新的配额。
+// 旧版本签发的令牌没有登录会话 ID，退回按代理会话区分
+function getRateLimitClientId(ctx) {
+    if (ctx.config.rateLimit.by === 'session' && ctx.session) {
+        const [sessionId, , , , loginSessionId] = ctx.session.token.split('.');
+        return loginSessionId ? `l:${loginSessionId}` : `s:${sessionId}`;
+    }
+    return `ip:${ctx.clientAddress}`;
+}
+
+/**
+ * 按客户端限流：媒体资源检查流量余额，其余请求（播放列表、API）消耗请求次数。
+ * 计数存储出错时放行，避免限流故障影响播放。
+ * @returns {Promise<Response|null>} 超出限制时返回 429 响应
+ */
+async function checkRateLimit(ctx, targetUrl) {
+    if (!ctx.rateLimiter) return null;
+    const clientId = getRateLimitClientId(ctx);
+    const isMedia = ctx.request.method !== 'HEAD' && MEDIA_PATH_PATTERN.test(new URL(targetUrl).pathname);
+
+    let result;
+    try {
+        result = isMedia ? await ctx.rateLimiter.checkBytes(clientId) : await ctx.rateLimiter.takeRequest(clientId);
+    } catch (e) {
+        ctx.logger.warn('限流计数失败，本次请求放行', { error: e.message });
+        return null;
+    }
+    if (result.allowed) return null;
+
+    ctx.logger.warn(`客户端超出${isMedia ? '流量' : '请求'}限制`, { clientId, retryAfter: result.retryAfter });
+    const response = jsonResponse(ctx, 429, {
+        success: false,
+        error: isMedia ? '代理流量超出限制，请稍后重试' : '代理请求过于频繁，请稍后重试',
+        retryAfter: result.retryAfter
+    });
+    response.headers.set('Retry-After', String(result.retryAfter));
+    return response;
+}
+
+/**
+ * 统计流式转发的字节数并扣减流量配额。上游给出未压缩的 Content-Length 时直接按它扣减，
+ * 这样客户端中途断开也会计入；否则在传输结束时按实际字节数扣减。
+ */
+function meterMediaBody(ctx, upstream) {
+    if ((!ctx.rateLimiter && !ctx.metrics) || !upstream.body) return upstream.body;
+    const charge = (bytes) => {
+        ctx.metrics?.addBytes('media', bytes);
+        if (ctx.rateLimiter) {
+            const clientId = getRateLimitClientId(ctx);
+            runInBackground(ctx, () => ctx.rateLimiter.chargeBytes(clientId, bytes), '扣减流量配额失败');
+        }
+    };
+
+    const encoding = (upstream.headers.get('Content-Encoding') || 'identity').toLowerCase();
+    const declaredLength = parseInt(upstream.headers.get('Content-Length'), 10);
+    if (encoding === 'identity' && declaredLength > 0) {
+        charge(declaredLength);
+        return upstream.body;
+    }
+
+    let transferred = 0;
+    return upstream.body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            transferred += chunk.byteLength;
+            controller.enqueue(chunk);
+        },
+        flush() {
+            charge(transferred);
+        }
+    }));
+}
+
+// --- 鉴权与目标 URL ---
+
+/**
+ * 由会话令牌（"<sid>.<过期时间>.<账户>.<会话版本>.<登录会话 ID>"）派生会话签名密钥。
+ * 密钥只在建立会话时下发给浏览器，服务端无需存储即可重新计算。
+ */
+export async function deriveSessionKey(config, sessionToken) {
+    return hmacHex(await importHmacKey(config.signingSecret), `session:${sessionToken}`);
+}
+
+/**
+ * 计算单个代理链接的签名，绑定目标 URL 与过期时间（浏览器端 js/proxy-auth.js 使用相同算法）。
+ * @param {string} sessionKey - deriveSessionKey 的结果
+ * @param {string} targetUrl - 解码后的目标 URL
+ * @param {number} expiresAt - 过期时间（Unix 秒）
+ */
+export async function signProxyTarget(sessionKey, targetUrl, expiresAt) {
+    return hmacHex(await importHmacKey(sessionKey), `${targetUrl}\n${expiresAt}`);
+}
+
+/**
+ * 建立代理会话：POST /proxy/session，凭 /api/login 签发的登录 Cookie 领取。
+ * 返回会话令牌与签名密钥，此后的代理链接只携带签名；代理会话不会比登录会话更晚过期。
+ * 令牌中带有账户、账户的会话版本与登录会话 ID，删除账户、修改角色或密码、退出登录后会话随之失效（见 verifySessionSignature）。
+ */
+async function issueProxySession(ctx) {
+    const { config, request } = ctx;
+    if (request.method !== 'POST') {
+        return jsonResponse(ctx, 405, { success: false, error: '请使用 POST 请求建立代理会话' });
+    }
+    if (!config.password) {
+        ctx.logger.error('服务器未设置 PASSWORD 环境变量，代理访问被拒绝');
+        ctx.metrics?.recordAuthFailure('no_password');
+        return jsonResponse(ctx, 401, { success: false, error: '服务器未设置访问密码' });
+    }
+
+    const login = await verifyLoginSession(config, request, ctx.userStore);
+    if (!login) {
+        ctx.logger.warn('代理会话鉴权失败：未登录或登录已过期', { clientAddress: ctx.clientAddress });
+        ctx.metrics?.recordAuthFailure('login');
+        return jsonResponse(ctx, 401, { success: false, error: '代理访问未授权：请先登录' });
+    }
+
+    const sessionId = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const expiresAt = Math.min(nowInSeconds() + config.sessionTtl, login.expiresAt);
+    const token = `${sessionId}.${expiresAt}.${login.username}.${login.sessionEpoch}.${login.sessionId}`;
+    return jsonResponse(ctx, 200, {
+        success: true,
+        token,
+        key: await deriveSessionKey(config, token),
+        expiresAt,
+        urlTtl: config.urlTtl,
+        username: login.username,
+        epoch: login.sessionEpoch
+    });
+}
+
+/**
+ * 校验代理链接上的签名参数：s（会话令牌）、e（过期时间）、sig（签名）。
+ * 通过后把会话签名密钥放入 ctx，供播放列表重写时给子链接签名。
+ */
+async function verifySignedRequest(ctx, targetUrl) {
+    ctx.session = await verifySessionSignature(ctx.config, ctx.url, targetUrl, ctx.logger, ctx.userStore);
+    return ctx.session !== null;
+}
+
+/**
+ * 校验请求 URL 上的会话签名。签名内容为 subject 与过期时间：
+ * 代理链接的 subject 是目标 URL，其他服务端接口使用固定的 subject（如聚合搜索的 'api:search'）。
+ * @param {object} config - createProxyConfig 的返回值
+ * @param {URL} url - 请求 URL
+ * @param {string} subject
+ * @param {object} [logger] - lib/logger.mjs 的日志记录器
+ * @param {object|null} [userStore] - lib/user-store.mjs 的账户存储；提供时核对令牌中的账户仍然存在、会话版本未变，
+ *   且签发它的登录会话没有退出
+ * @returns {Promise<{token: string, signingKey: CryptoKey, expiresAt: number}|null>}
+ */
+export async function verifySessionSignature(config, url, subject, logger = createLogger({ level: config.logLevel }), userStore = null) {
+    if (!config.password) {
+        logger.error('服务器未设置 PASSWORD 环境变量，代理访问被拒绝');
+        return null;
+    }
+
+    const sessionToken = url.searchParams.get('s') || '';
+    const expiresAt = parseInt(url.searchParams.get('e'), 10);
+    const signature = url.searchParams.get('sig');
+    const [, sessionExpiresText, username, epochText, loginSessionId] = sessionToken.split('.');
+    const sessionExpiresAt = parseInt(sessionExpiresText, 10);
+    const now = nowInSeconds();
+
+    if (!signature || !(expiresAt > now) || !(sessionExpiresAt > now)) {
+        logger.warn('代理请求鉴权失败：缺少签名或签名已过期');
+        return null;
+    }
+
+    const sessionKey = await deriveSessionKey(config, sessionToken);
+    const signingKey = await importHmacKey(sessionKey);
+    if (!timingSafeEqual(signature, await hmacHex(signingKey, `${subject}\n${expiresAt}`))) {
+        logger.warn('代理请求鉴权失败：签名不匹配');
+        return null;
+    }
+
+    if (userStore) {
+        // 令牌经过签名，其中的账户、会话版本与登录会话无法伪造；缺少这几项的是旧版本签发的令牌
+        const state = username && loginSessionId ? await userStore.getSessionState(username) : null;
+        if (!state || String(state.epoch) !== epochText) {
+            logger.warn('代理请求鉴权失败：账户已删除或角色、密码已修改', { account: username || null });
+            return null;
+        }
+        if (Object.hasOwn(state.revokedSessions, loginSessionId)) {
+            logger.warn('代理请求鉴权失败：签发会话的登录已退出', { account: username });
+            return null;
+        }
+    }
+
+    return { token: sessionToken, signingKey, expiresAt: sessionExpiresAt };
+}
+
+/**
+ * 从请求路径中提取目标 URL。
+ * 兼容 /proxy/<url>、/api/proxy/<url> 和 /.netlify/functions/proxy/<url> 等前缀。
+ * @returns {string|null}
+ */
+export function getTargetUrlFromPath(pathname, ctx = null) {
+    const match = pathname.match(/\/proxy\/(.+)$/);
+    if (!match) return null;
+    const encodedUrl = match[1];
+    try {
+        const decodedUrl = decodeURIComponent(encodedUrl);
+        if (/^https?:\/\/.+/i.test(decodedUrl)) {
+            return decodedUrl;
+        }
+        ctx?.log(`无效的目标URL格式 (解码后): ${decodedUrl}`);
+        return null;
+    } catch (e) {
+        ctx?.log(`解码目标URL时出错: ${encodedUrl} - ${e.message}`);
+        return null;
+    }
+}
+
+// 目标地址（以及每一跳重定向）都要经过出站校验：主机名黑名单，以及解析出的每个 IP 按 CIDR 比较，见 lib/egress-guard.mjs。
+// Node 平台的 fetch 在连接时还会校验实际连接的地址（lib/proxy-node.mjs 的 createEgressFetch），防止 DNS 重绑定
+function assertTargetAllowed(ctx, targetUrl) {
+    const { config } = ctx;
+    return assertEgressAllowed(targetUrl, {
+        blockedHosts: config.blockedHosts,
+        blockedCidrs: config.blockedCidrs,
+        resolveHost: ctx.resolveHost
+    });
+}
+
+// --- 上游请求 ---
+
+function getRandomUserAgent(config) {
+    return config.userAgents[Math.floor(Math.random() * config.userAgents.length)];
+}
+
+/**
+ * 请求上游资源。超时只作用于等待响应头阶段，不会中断正在传输的大文件；
+ * 网络错误和 5xx 会按 MAX_RETRIES 重试。
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {boolean} [options.forwardRange=false] - 是否透传客户端的 Range / If-Range 头
+ */
+async function fetchUpstream(ctx, targetUrl, { method = 'GET', forwardRange = false } = {}) {
+    const { config, request } = ctx;
+    const headers = new Headers({
+        'User-Agent': getRandomUserAgent(config),
+        'Accept': request.headers.get('Accept') || '*/*',
+        'Accept-Language': request.headers.get('Accept-Language') || 'zh-CN,zh;q=0.9,en;q=0.8',
+        'Referer': request.headers.get('Referer') || new URL(targetUrl).origin
+    });
+    if (forwardRange) {
+        for (const name of RANGE_REQUEST_HEADERS) {
+            const value = request.headers.get(name);
+            if (value) headers.set(name, value);
+        }
+    }
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+        if (attempt > 0) {
+            ctx.log(`重试请求 (${attempt}/${config.maxRetries}): ${targetUrl}`);
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.timeout);
+        const startedAt = Date.now();
+        try {
+            const response = await fetchFollowingRedirects(ctx, targetUrl, { method, headers, signal: controller.signal });
+            clearTimeout(timer);
+            observeUpstreamLatency(ctx, targetUrl, startedAt);
+            // 416 (Range Not Satisfiable) 交给播放器自行处理
+            if (response.ok || response.status === 416) {
+                return response;
+            }
+            const errorBody = method === 'HEAD' ? '' : await response.text().catch(() => '');
+            lastError = new Error(`HTTP error ${response.status}: ${response.statusText}. Body: ${errorBody.substring(0, 150)}`);
+            lastError.status = response.status;
+            if (response.status < 500) break;
+        } catch (error) {
+            clearTimeout(timer);
+            if (error instanceof EgressDeniedError) throw error;
+            // 连接时的地址校验失败由 fetch 包装为 TypeError，原因在 cause 中
+            if (error.cause instanceof EgressDeniedError) throw error.cause;
+            observeUpstreamLatency(ctx, targetUrl, startedAt);
+            lastError = error.name === 'AbortError' ? new Error(`请求超时 (${config.timeout}ms)`) : error;
+        }
+    }
+    ctx.log(`请求彻底失败: ${targetUrl}: ${lastError.message}`);
+    throw lastError;
+}
+
+// 按目标主机统计等待响应头的耗时（失败与超时也计入）
+function observeUpstreamLatency(ctx, targetUrl, startedAt) {
+    ctx.metrics?.observeUpstream(new URL(targetUrl).hostname, (Date.now() - startedAt) / 1000);
+}
+
+/**
+ * 手动跟随重定向：每一跳的 Location 都重新做出站校验，防止借公网地址跳转到内网。
+ */
+async function fetchFollowingRedirects(ctx, targetUrl, init) {
+    let currentUrl = targetUrl;
+    for (let hop = 0; ; hop++) {
+        const response = await ctx.fetch(currentUrl, { ...init, redirect: 'manual' });
+        const location = response.headers.get('Location');
+        if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+            return response;
+        }
+        await response.body?.cancel();
+        if (hop >= ctx.config.maxRedirects) {
+            throw new EgressDeniedError(`重定向次数超过上限 (${ctx.config.maxRedirects})`, 502);
+        }
+
+        const nextUrl = new URL(location, currentUrl).href;
+        ctx.log(`跟随重定向 (${response.status}): ${currentUrl} -> ${nextUrl}`);
+        await assertTargetAllowed(ctx, nextUrl);
+        currentUrl = nextUrl;
+    }
+}
+
+// --- M3U8 处理 ---
+
+/**
+ * 判断是否是 M3U8 内容。
+ */
+export function isM3u8Content(content, contentType) {
+    if (contentType && M3U8_CONTENT_TYPES.some(type => contentType.toLowerCase().includes(type))) {
+        return true;
+    }
+    return typeof content === 'string' && content.trim().startsWith('#EXTM3U');
+}
+
+// 文本类响应需要完整读取（可能是播放列表或 API JSON），其余直接流式转发
+function mayBeTextContent(targetUrl, contentType) {
+    const lowerType = contentType.toLowerCase();
+    let pathname = '';
+    try {
+        pathname = new URL(targetUrl).pathname.toLowerCase();
+    } catch {
+        // 无法解析时只按 Content-Type 判断
+    }
+    if (SUBTITLE_EXTENSIONS.some(extension => pathname.endsWith(extension))) {
+        return false;
+    }
+    if (isM3u8Content('', lowerType) || TEXT_CONTENT_TYPES.some(type => lowerType.startsWith(type))) {
+        return true;
+    }
+    return pathname.endsWith('.m3u8');
+}
+
+// 获取 URL 的基础路径 (用于解析相对路径)
+export function getBaseUrl(urlStr) {
+    try {
+        const parsedUrl = new URL(urlStr);
+        if (!parsedUrl.pathname || parsedUrl.pathname === '/') {
+            return `${parsedUrl.origin}/`;
+        }
+        const pathParts = parsedUrl.pathname.split('/');
+        pathParts.pop(); // 移除文件名或最后一个路径段
+        return `${parsedUrl.origin}${pathParts.join('/')}/`;
+    } catch {
+        const lastSlashIndex = urlStr.lastIndexOf('/');
+        return lastSlashIndex > urlStr.indexOf('://') + 2 ? urlStr.substring(0, lastSlashIndex + 1) : urlStr + '/';
+    }
+}
+
+// 将相对 URL 转换为绝对 URL
+export function resolveUrl(baseUrl, relativeUrl) {
+    if (/^https?:\/\//i.test(relativeUrl)) {
+        return relativeUrl;
+    }
+    try {
+        return new URL(relativeUrl, baseUrl).toString();
+    } catch {
+        if (relativeUrl.startsWith('/')) {
+            return `${new URL(baseUrl).origin}${relativeUrl}`;
+        }
+        return `${baseUrl.replace(/\/[^/]*$/, '/')}${relativeUrl}`;
+    }
+}
+
+// 将目标 URL 重写为带签名的内部代理路径 (/proxy/...)，有效期不超过当前会话
+async function rewriteUrlToProxy(ctx, targetUrl, { variant = false } = {}) {
+    const { session } = ctx;
+    const expiresAt = Math.min(nowInSeconds() + ctx.config.urlTtl, session.expiresAt);
+    const signature = await hmacHex(session.signingKey, `${targetUrl}\n${expiresAt}`);
+    // rid 不参与签名，只用于把子请求的日志关联到当前播放列表请求；
+    // variant 同样不参与签名，标记这是主列表引用的子列表（见 processM3u8Content）
+    const proxyPath = `/proxy/${encodeURIComponent(targetUrl)}?s=${encodeURIComponent(session.token)}&e=${expiresAt}&sig=${signature}&rid=${ctx.requestId}`;
+    return variant ? `${proxyPath}&variant=1` : proxyPath;
+}
+
+// 处理 #EXT-X-KEY / #EXT-X-MAP / #EXT-X-MEDIA 等带 URI 属性的标签
+async function processUriAttribute(ctx, line, baseUrl, options) {
+    const match = line.match(/URI="([^"]+)"/);
+    if (!match) return line;
+    const absoluteUri = resolveUrl(baseUrl, match[1]);
+    ctx.log(`处理 URI 属性: 原始='${match[1]}', 绝对='${absoluteUri}'`);
+    return line.replace(match[0], `URI="${await rewriteUrlToProxy(ctx, absoluteUri, options)}"`);
+}
+
+/**
+ * 按 AD_FILTER_RULES 与订阅的规则列表移除广告分片。
+ * 规则列表按 API 响应缓存；代理不知道播放列表属于哪个数据源，限定了 sources 的规则不生效。
+ */
+async function applyAdFilterRules(ctx, url, content) {
+    const rules = [...ctx.config.adFilterRules];
+    for (const listUrl of ctx.config.adFilterRuleUrls) {
+        try {
+            await assertTargetAllowed(ctx, listUrl);
+            const { content: listContent } = await fetchTextCached(ctx, listUrl);
+            const list = parseAdFilterRuleList(listContent, listUrl);
+            list.errors.forEach(error => ctx.logger.warn('忽略无效的广告过滤规则', { error }));
+            rules.push(...list.rules);
+        } catch (error) {
+            ctx.logger.warn('获取广告过滤规则列表失败', { url: listUrl, error: error.message });
+        }
+    }
+    if (rules.length === 0) return content;
+
+    const report = analyzeM3U8Ads(content, { heuristics: false, url, rules });
+    report.removed.forEach((run) => {
+        ctx.log(`广告过滤: 第 ${run.index + 1} 段移除 ${run.removedSegmentCount} 个分片 (${run.reasons.join('；')})`);
+    });
+    return report.content;
+}
+
+// 处理媒体播放列表 (包含视频/音频片段)
+async function processMediaPlaylist(ctx, url, content) {
+    const baseUrl = getBaseUrl(url);
+    const lines = (await applyAdFilterRules(ctx, url, content)).split('\n');
+    const output = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        // 保留最后的空行
+        if (!line && i === lines.length - 1) {
+            output.push(line);
+            continue;
+        }
+        if (!line) continue;
+
+        if (line.startsWith('#EXT-X-KEY') || line.startsWith('#EXT-X-MAP')) {
+            output.push(await processUriAttribute(ctx, line, baseUrl));
+            continue;
+        }
+        if (!line.startsWith('#')) {
+            output.push(await rewriteUrlToProxy(ctx, resolveUrl(baseUrl, line)));
+            continue;
+        }
+        output.push(line);
+    }
+    return output.join('\n');
+}
+
+// 递归处理 M3U8 内容
+async function processM3u8Content(ctx, targetUrl, content, recursionDepth) {
+    if (content.includes('#EXT-X-STREAM-INF') || content.includes('#EXT-X-MEDIA:')) {
+        ctx.log(`检测到主播放列表: ${targetUrl} (深度: ${recursionDepth})`);
+        // 主列表引用的子列表本身又是主列表时，播放器无法再切换，只能收敛为其中一路
+        if (ctx.url.searchParams.get('variant') === '1' || !content.includes('#EXT-X-STREAM-INF')) {
+            return flattenMasterPlaylist(ctx, targetUrl, content, recursionDepth);
+        }
+        return processMasterPlaylist(ctx, targetUrl, content);
+    }
+    ctx.log(`检测到媒体播放列表: ${targetUrl} (深度: ${recursionDepth})`);
+    return processMediaPlaylist(ctx, targetUrl, content);
+}
+
+// 主列表中引用子列表的标签：URI 属性指向播放列表
+const MASTER_RENDITION_TAGS = ['#EXT-X-MEDIA:', '#EXT-X-I-FRAME-STREAM-INF:'];
+// 主列表中 URI 属性指向其他资源（密钥、会话数据）的标签
+const MASTER_URI_TAGS = ['#EXT-X-SESSION-KEY:', '#EXT-X-SESSION-DATA:'];
+
+// 处理主播放列表：保留全部码率与音轨/字幕，逐个重写为代理链接，由播放器自适应切换
+async function processMasterPlaylist(ctx, url, content) {
+    const baseUrl = getBaseUrl(url);
+    const lines = content.split('\n');
+    const output = [];
+    let variantCount = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        // 保留最后的空行
+        if (!line && i === lines.length - 1) {
+            output.push(line);
+            continue;
+        }
+        if (!line) continue;
+
+        if (MASTER_RENDITION_TAGS.some(tag => line.startsWith(tag))) {
+            output.push(await processUriAttribute(ctx, line, baseUrl, { variant: true }));
+            continue;
+        }
+        if (MASTER_URI_TAGS.some(tag => line.startsWith(tag))) {
+            output.push(await processUriAttribute(ctx, line, baseUrl));
+            continue;
+        }
+        if (!line.startsWith('#')) {
+            output.push(await rewriteUrlToProxy(ctx, resolveUrl(baseUrl, line), { variant: true }));
+            variantCount++;
+            continue;
+        }
+        output.push(line);
+    }
+    ctx.log(`主列表 ${url} 共重写 ${variantCount} 个子列表`);
+    return output.join('\n');
+}
+
+// 收敛主播放列表：选择最高带宽的子列表并递归处理，返回媒体列表
+async function flattenMasterPlaylist(ctx, url, content, recursionDepth) {
+    const { maxRecursion } = ctx.config;
+    if (recursionDepth > maxRecursion) {
+        throw new Error(`处理主列表时递归层数过多 (${maxRecursion}): ${url}`);
+    }
+
+    const baseUrl = getBaseUrl(url);
+    const lines = content.split('\n');
+    let highestBandwidth = -1;
+    let bestVariantUrl = '';
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].startsWith('#EXT-X-STREAM-INF')) continue;
+
+        const bandwidthMatch = lines[i].match(/BANDWIDTH=(\d+)/);
+        const currentBandwidth = bandwidthMatch ? parseInt(bandwidthMatch[1], 10) : 0;
+
+        let variantUriLine = '';
+        for (let j = i + 1; j < lines.length; j++) {
+            const line = lines[j].trim();
+            if (line && !line.startsWith('#')) {
+                variantUriLine = line;
+                i = j;
+                break;
+            }
+        }
+
+        if (variantUriLine && currentBandwidth >= highestBandwidth) {
+            highestBandwidth = currentBandwidth;
+            bestVariantUrl = resolveUrl(baseUrl, variantUriLine);
+        }
+    }
+
+    if (!bestVariantUrl) {
+        // 没有 STREAM-INF 时，退而使用第一个子列表引用
+        const firstPlaylist = lines
+            .map(line => line.trim())
+            .find(line => line && !line.startsWith('#') && /\.m3u8($|\?)/i.test(line));
+        if (firstPlaylist) {
+            bestVariantUrl = resolveUrl(baseUrl, firstPlaylist);
+            ctx.log(`备选方案：找到第一个子列表引用: ${bestVariantUrl}`);
+        }
+    }
+
+    if (!bestVariantUrl) {
+        ctx.log(`在主列表 ${url} 中未找到有效的子播放列表，按媒体列表处理`);
+        return processMediaPlaylist(ctx, url, content);
+    }
+
+    ctx.log(`选择的子列表 (带宽: ${highestBandwidth}): ${bestVariantUrl}`);
+    const { content: variantContent, contentType: variantContentType } = await fetchTextCached(ctx, bestVariantUrl);
+
+    if (isM3u8Content(variantContent, variantContentType)) {
+        return processM3u8Content(ctx, bestVariantUrl, variantContent, recursionDepth + 1);
+    }
+    ctx.log(`子列表 ${bestVariantUrl} 不是 M3U8 内容 (类型: ${variantContentType})，尝试按媒体列表处理`);
+    return processMediaPlaylist(ctx, bestVariantUrl, variantContent);
+}
+
+/**
+ * 按代理的规则获取文本资源：出站校验、重试、文本缓存与过期后台刷新。
+ * 供服务端聚合搜索等需要直接请求 API 的功能复用。
+ * @param {Request} request - 触发本次获取的请求（用于请求头与上下文）
+ * @param {object} options - 与 handleProxyRequest 相同
+ * @param {string} targetUrl
+ * @returns {Promise<{content: string, contentType: string}>}
+ */
+export async function fetchProxiedText(request, options, targetUrl) {
+    const ctx = createContext(request, options);
+    await assertTargetAllowed(ctx, targetUrl);
+    return fetchTextCached(ctx, targetUrl);
+}
+
+/**
+ * 获取文本资源（子播放列表、API 响应）原文，命中缓存时不再请求上游。
+ * 缓存的是未重写的原文：重写结果带有会话签名，不能在不同会话之间共用。
+ */
+async function fetchTextCached(ctx, targetUrl) {
+    const cached = await loadCachedText(ctx, targetUrl);
+    if (cached) {
+        ctx.log(`[缓存命中] 子列表: ${targetUrl}`);
+        return { content: cached.body, contentType: cached.headers['content-type'] || '' };
+    }
+
+    const response = await fetchUpstream(ctx, targetUrl);
+    const content = await response.text();
+    writeTextCache(ctx, targetUrl, content, response.headers);
+    return { content, contentType: response.headers.get('Content-Type') || '' };
+}
@@ -0,0 +1,176 @@
+// lib/proxy-node.mjs - Node.js (Express / Vercel) 与代理核心、聚合搜索、登录等接口之间的适配层
+
+import dns from 'dns';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { Agent } from 'undici';
+import { EgressDeniedError, isBlockedIp } from './egress-guard.mjs';
+import { handleProxyRequest } from './proxy-core.mjs';
+import { handleSearchRequest } from './search-core.mjs';
+import { handleLoginRequest, handleUsersRequest } from './auth-core.mjs';
+import { handleSyncRequest } from './sync-core.mjs';
+import { handleHandoffRequest } from './handoff-core.mjs';
+import { createLogger } from './logger.mjs';
+
+/**
+ * 使用系统 DNS 解析主机名，返回全部 IPv4/IPv6 地址，供出站校验使用。
+ * @param {string} hostname
+ * @returns {Promise<string[]>}
+ */
+export async function lookupHost(hostname) {
+    const records = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    return records.map(record => record.address);
+}
+
+/**
+ * 创建请求上游用的 fetch：连接时由 connect.lookup 解析主机名，对实际连接的每个地址再做一次 CIDR 校验。
+ * 出站校验（assertEgressAllowed）与连接各自解析一次 DNS，只校验前者挡不住 DNS 重绑定——
+ * 校验时返回公网地址、连接时换成内网地址；在这里校验的正是最终连接的地址。
+ * @param {object} config - createProxyConfig 的返回值
+ * @returns {typeof fetch}
+ */
+export function createEgressFetch(config) {
+    const dispatcher = new Agent({
+        connect: {
+            lookup(hostname, options, callback) {
+                dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, records) => {
+                    if (error) {
+                        callback(error);
+                        return;
+                    }
+                    const blocked = records.find(record => isBlockedIp(record.address, config.blockedCidrs));
+                    if (blocked) {
+                        callback(new EgressDeniedError(`禁止访问内网或保留地址: ${hostname} (${blocked.address})`));
+                    } else if (options.all) {
+                        callback(null, records);
+                    } else {
+                        callback(null, records[0].address, records[0].family);
+                    }
+                });
+            }
+        }
+    });
+    // Node 内置的 fetch 同样基于 undici，可以直接指定 dispatcher
+    return (url, init) => globalThis.fetch(url, { ...init, dispatcher });
+}
+
+/**
+ * 将 Node.js 的 IncomingMessage 转换为标准 Request。
+ * @param {import('http').IncomingMessage} req
+ * @returns {Request}
+ */
+export function toWebRequest(req) {
+    const protocol = req.headers['x-forwarded-proto'] || 'http';
+    const host = req.headers['x-forwarded-host'] || req.headers.host || 'localhost';
+    // Express 会改写 req.url，originalUrl 才是完整的原始路径
+    const url = new URL(req.originalUrl || req.url, `${protocol}://${host}`);
+
+    const headers = new Headers();
+    for (const [key, value] of Object.entries(req.headers)) {
+        if (value === undefined) continue;
+        headers.set(key, Array.isArray(value) ? value.join(', ') : value);
+    }
+
+    const init = { method: req.method, headers };
+    // 建立代理会话等请求带有请求体，以流的形式转交
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        init.body = Readable.toWeb(req);
+        init.duplex = 'half';
+    }
+    return new Request(url, init);
+}
+
+/**
+ * 将标准 Response 写回 Node.js 的 ServerResponse，响应体以流的方式传输。
+ * @param {import('http').ServerResponse} res
+ * @param {Response} response
+ */
+export async function sendWebResponse(res, response) {
+    res.statusCode = response.status;
+    response.headers.forEach((value, key) => {
+        res.setHeader(key, value);
+    });
+
+    if (!response.body) {
+        res.end();
+        return;
+    }
+    await pipeline(Readable.fromWeb(response.body), res);
+}
+
+// Express 的 req.ip 会遵循 trust proxy 设置；裸 Node 服务器只能使用连接地址
+function defaultClientAddress(req) {
+    return req.ip || req.socket?.remoteAddress || '';
+}
+
+/**
+ * 创建一个 (req, res) 形式的代理处理函数。
+ * @param {object} options - 传给 handleProxyRequest 的选项（config、cache、rateLimitStore 等）
+ * @param {(req: import('http').IncomingMessage) => string} [options.getClientAddress] - 获取可信的客户端 IP
+ */
+export function createNodeProxyHandler(options) {
+    return createNodeHandler(handleProxyRequest, { fetch: createEgressFetch(options.config), ...options }, '代理');
+}
+
+/**
+ * 创建一个 (req, res) 形式的聚合搜索处理函数，选项同 createNodeProxyHandler，另加 searchConfig。
+ * @param {object} options
+ */
+export function createNodeSearchHandler(options) {
+    return createNodeHandler(handleSearchRequest, { fetch: createEgressFetch(options.config), ...options }, '聚合搜索');
+}
+
+/**
+ * 创建一个 (req, res) 形式的登录接口处理函数（/api/login）。
+ * @param {object} options - config、metrics、logger 等，见 lib/auth-core.mjs
+ */
+export function createNodeLoginHandler(options) {
+    return createNodeHandler(handleLoginRequest, options, '登录');
+}
+
+/**
+ * 创建一个 (req, res) 形式的账户管理接口处理函数（/api/users）。
+ * @param {object} options - config、userStore、logger，见 lib/auth-core.mjs
+ */
+export function createNodeUsersHandler(options) {
+    return createNodeHandler(handleUsersRequest, options, '账户管理');
+}
+
+/**
+ * 创建一个 (req, res) 形式的多设备同步接口处理函数（/api/sync）。
+ * @param {object} options - config、syncStore、syncConfig、userStore、logger，见 lib/sync-core.mjs
+ */
+export function createNodeSyncHandler(options) {
+    return createNodeHandler(handleSyncRequest, options, '同步');
+}
+
+/**
+ * 创建一个 (req, res) 形式的配置传输接口处理函数（/api/handoff）。
+ * @param {object} options - config、handoffStore、handoffConfig、userStore、logger，见 lib/handoff-core.mjs
+ */
+export function createNodeHandoffHandler(options) {
+    return createNodeHandler(handleHandoffRequest, options, '配置传输');
+}
+
+function createNodeHandler(handle, { getClientAddress = defaultClientAddress, ...options }, label) {
+    const handlerOptions = { resolveHost: lookupHost, ...options };
+    const logger = options.logger || createLogger({ level: options.config.logLevel });
+    return async function nodeHandler(req, res) {
+        try {
+            const response = await handle(toWebRequest(req), {
+                ...handlerOptions,
+                clientAddress: getClientAddress(req)
+            });
+            await sendWebResponse(res, response);
+        } catch (error) {
+            logger.error(`${label}请求错误`, { requestId: req.headers['x-request-id'], error: error.message });
+            if (!res.headersSent) {
+                res.statusCode = 500;
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({ success: false, error: `${label}处理错误: ${error.message}` }));
+            } else if (!res.writableEnded) {
+                res.end();
+            }
+        }
+    };
+}
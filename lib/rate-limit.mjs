@@ -0,0 +1,127 @@
+// lib/rate-limit.mjs - 代理的按客户端限流（令牌桶）
+//
+// 每个客户端（会话或 IP）有两个独立的桶：
+// - 请求桶：播放列表、API 等请求每次消耗 1 个令牌，令牌不足时直接拒绝；
+// - 流量桶：媒体内容按实际字节数扣减，允许欠账，余额不大于 0 时拒绝新的媒体请求。
+// 桶状态保存在 KV 兼容的存储中（get / put），Node 使用内存，Cloudflare 使用 KV 或 Cache API。
+// 读取与写回之间没有加锁，并发请求可能让计数略有偏差，对限流来说可以接受。
+
+// KV 的 expirationTtl 最小为 60 秒
+const MIN_STATE_TTL_SECONDS = 60;
+
+/**
+ * 从环境变量读取限流配置。值为 0 表示关闭对应的限制。
+ * @param {Record<string, string|undefined>} env
+ */
+export function createRateLimitConfig(env = {}) {
+    const bytesPerSecond = parseInt(env.RATE_LIMIT_BYTES_PER_SECOND || '0', 10);
+    return {
+        by: env.RATE_LIMIT_BY === 'ip' ? 'ip' : 'session',
+        requestsPerMinute: parseInt(env.RATE_LIMIT_REQUESTS_PER_MINUTE || '120', 10),
+        requestBurst: parseInt(env.RATE_LIMIT_REQUEST_BURST || '240', 10),
+        bytesPerSecond,
+        // 默认允许突发 30 秒的流量，足够缓冲几个高码率分片
+        byteBurst: parseInt(env.RATE_LIMIT_BYTE_BURST || String(bytesPerSecond * 30), 10)
+    };
+}
+
+/**
+ * 创建基于 Cache API 的存储（Cloudflare 的 caches.default），计数只在单个数据中心内共享。
+ * @param {Cache} cache
+ */
+export function createCacheApiStore(cache) {
+    const toCacheUrl = key => `https://rate-limit.teslatv.internal/${encodeURIComponent(key)}`;
+    return {
+        async get(key) {
+            const response = await cache.match(toCacheUrl(key));
+            return response ? response.text() : null;
+        },
+        async put(key, value, { expirationTtl = MIN_STATE_TTL_SECONDS } = {}) {
+            await cache.put(toCacheUrl(key), new Response(value, {
+                headers: { 'Cache-Control': `max-age=${expirationTtl}` }
+            }));
+        }
+    };
+}
+
+/**
+ * 创建限流器。
+ * @param {object} options
+ * @param {{get: Function, put: Function}} options.store - KV 兼容的存储
+ * @param {object} options.config - createRateLimitConfig 的返回值
+ */
+export function createRateLimiter({ store, config }) {
+    const requestBucket = {
+        name: 'req',
+        capacity: config.requestBurst,
+        refillPerSecond: config.requestsPerMinute / 60
+    };
+    const byteBucket = {
+        name: 'bytes',
+        capacity: config.byteBurst,
+        refillPerSecond: config.bytesPerSecond
+    };
+
+    async function load(bucket, clientId, now) {
+        const raw = await store.get(`rl:${bucket.name}:${clientId}`);
+        if (!raw) return bucket.capacity;
+        const { tokens, updatedAt } = JSON.parse(raw);
+        const elapsedSeconds = Math.max(0, now - updatedAt) / 1000;
+        return Math.min(bucket.capacity, tokens + elapsedSeconds * bucket.refillPerSecond);
+    }
+
+    async function save(bucket, clientId, tokens, now) {
+        // 状态在桶回满之后就没有意义了，到期自动清除
+        const refillSeconds = Math.ceil((bucket.capacity - tokens) / bucket.refillPerSecond);
+        await store.put(`rl:${bucket.name}:${clientId}`, JSON.stringify({ tokens, updatedAt: now }), {
+            expirationTtl: Math.max(MIN_STATE_TTL_SECONDS, refillSeconds + MIN_STATE_TTL_SECONDS)
+        });
+    }
+
+    // 距离余额恢复到 needed 还需要的秒数
+    function secondsUntil(bucket, tokens, needed) {
+        return Math.max(1, Math.ceil((needed - tokens) / bucket.refillPerSecond));
+    }
+
+    const isEnabled = bucket => bucket.capacity > 0 && bucket.refillPerSecond > 0;
+
+    return {
+        /**
+         * 消耗一次请求配额。
+         * @returns {Promise<{allowed: boolean, retryAfter?: number}>}
+         */
+        async takeRequest(clientId) {
+            if (!isEnabled(requestBucket)) return { allowed: true };
+            const now = Date.now();
+            const tokens = await load(requestBucket, clientId, now);
+            if (tokens < 1) {
+                return { allowed: false, retryAfter: secondsUntil(requestBucket, tokens, 1) };
+            }
+            await save(requestBucket, clientId, tokens - 1, now);
+            return { allowed: true };
+        },
+
+        /**
+         * 检查流量余额（不扣减），余额不大于 0 时拒绝。
+         * @returns {Promise<{allowed: boolean, retryAfter?: number}>}
+         */
+        async checkBytes(clientId) {
+            if (!isEnabled(byteBucket)) return { allowed: true };
+            const tokens = await load(byteBucket, clientId, Date.now());
+            if (tokens <= 0) {
+                return { allowed: false, retryAfter: secondsUntil(byteBucket, tokens, 1) };
+            }
+            return { allowed: true };
+        },
+
+        /**
+         * 扣减已传输的字节数。欠账最多累计到一个桶的容量，避免单次大文件导致长时间封禁。
+         */
+        async chargeBytes(clientId, bytes) {
+            if (!isEnabled(byteBucket) || bytes <= 0) return;
+            const now = Date.now();
+            const tokens = await load(byteBucket, clientId, now);
+            await save(byteBucket, clientId, Math.max(-byteBucket.capacity, tokens - bytes), now);
+        }
+    };
+}
@@ -0,0 +1,203 @@
+// lib/remote-core.mjs - 手机遥控播放器的配对中转（/api/remote）
+//
+// 播放器连接后分配 6 位配对码与一次性校验码，手机以同一账户登录，扫码（链接带校验码）或输入两者后加入：
+// - 手机发送 { type: 'command', command, value }，校验后转发给播放器；
+// - 播放器发送 { type: 'state', state }（标题、进度、音量、剧集、队列等），转发给所有已加入的手机，
+//   并保存最近一份，手机加入时立即收到。
+// 校验码每有一台手机加入就更换一次，并重新发送 paired 给播放器刷新二维码，旧链接随之失效；
+// 共用密码时所有人都是同一账户，只凭配对码无法阻止他人加入。连续加入失败的次数由 lib/remote-node.mjs 限制。
+// 配对只在内存中保存，播放器断开后配对失效，已加入的手机随之断开。
+// 这里与传输层无关，连接只需提供 send(text) / close(code, reason)，WebSocket 的接入见 lib/remote-node.mjs。
+
+// WebSocket 关闭码（4000-4999 由应用自定义）
+export const REMOTE_CLOSE_CODES = {
+    playerLeft: 4000,
+    forbidden: 4003,
+    notFound: 4004,
+    full: 4009,
+    tooManyAttempts: 4029
+};
+
+// 校验码的字符集，去掉了容易混淆的 0/O、1/I，与配置传输码相同
+const KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const KEY_LENGTH = 6;
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_EPISODES = 2000;
+
+// 各命令的参数校验，返回规范化后的值，不合法时返回 undefined
+const COMMAND_VALIDATORS = {
+    play: () => null,
+    pause: () => null,
+    toggle: () => null,
+    seek: value => (Number.isFinite(value) && value >= 0 ? value : undefined),
+    seekBy: value => (Number.isFinite(value) ? value : undefined),
+    volume: value => (Number.isFinite(value) && value >= 0 && value <= 1 ? value : undefined),
+    episode: value => (Number.isInteger(value) && value >= 0 ? value : undefined),
+    playQueued: value => (Number.isInteger(value) && value >= 0 ? value : undefined),
+    enqueue: normalizeQueueItem
+};
+
+/**
+ * 校验加入播放队列的节目：{ title, sourceCode, vodId, episodes }，episodes 为 http(s) 播放地址列表。
+ * @param {unknown} item
+ */
+export function normalizeQueueItem(item) {
+    if (!item || typeof item !== 'object') return undefined;
+    const { title, sourceCode, vodId, episodes } = item;
+    if (typeof title !== 'string' || !title || title.length > MAX_TITLE_LENGTH) return undefined;
+    if (typeof sourceCode !== 'string' || !sourceCode || sourceCode.length > MAX_TITLE_LENGTH) return undefined;
+    if (!['string', 'number'].includes(typeof vodId) || String(vodId).length > MAX_TITLE_LENGTH) return undefined;
+    if (!Array.isArray(episodes) || episodes.length === 0 || episodes.length > MAX_EPISODES) return undefined;
+    if (!episodes.every(url => typeof url === 'string' && /^https?:\/\//i.test(url))) return undefined;
+    return { title, sourceCode, vodId: String(vodId), episodes };
+}
+
+/**
+ * 校验手机发送的命令，不合法时返回 null。
+ * @param {unknown} message
+ * @returns {{command: string, value: unknown}|null}
+ */
+export function normalizeRemoteCommand(message) {
+    if (!message || typeof message !== 'object' || message.type !== 'command') return null;
+    const validate = Object.hasOwn(COMMAND_VALIDATORS, message.command) ? COMMAND_VALIDATORS[message.command] : null;
+    if (!validate) return null;
+    const value = validate(message.value);
+    return value === undefined ? null : { command: message.command, value };
+}
+
+/**
+ * 创建配对中转。
+ * @param {object} [options]
+ * @param {number} [options.maxRemotes=5] - 每个播放器最多同时连接的手机数
+ */
+export function createRemoteHub({ maxRemotes = 5 } = {}) {
+    const pairings = new Map();
+    const peers = new Map();
+
+    const send = (peer, message) => peer.send(JSON.stringify(message));
+
+    function generateCode() {
+        let code;
+        do {
+            code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+        } while (pairings.has(code));
+        return code;
+    }
+
+    function generateKey() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(KEY_LENGTH)), byte => KEY_ALPHABET[byte % KEY_ALPHABET.length]).join('');
+    }
+
+    function sendPaired(pairing) {
+        send(pairing.player, { type: 'paired', code: pairing.code, key: pairing.key });
+    }
+
+    function notifyRemoteCount(pairing) {
+        send(pairing.player, { type: 'remotes', count: pairing.remotes.size });
+    }
+
+    return {
+        /** 当前的配对数，用于测试与监控 */
+        get size() {
+            return pairings.size;
+        },
+
+        /**
+         * 播放器连接：分配配对码与校验码并发送 { type: 'paired', code, key }。
+         * @param {{username: string}} session - verifyLoginSession 的返回值
+         * @param {{send: Function, close: Function}} peer
+         * @returns {{code: string, key: string}}
+         */
+        openPlayer(session, peer) {
+            const code = generateCode();
+            const pairing = { code, key: generateKey(), username: session.username, player: peer, remotes: new Set(), state: null };
+            pairings.set(code, pairing);
+            peers.set(peer, { pairing, role: 'player' });
+            sendPaired(pairing);
+            return { code, key: pairing.key };
+        },
+
+        /**
+         * 手机加入配对，需要当前的校验码且与播放器相同的账户。成功时返回 null，失败时关闭连接并返回关闭码。
+         * @param {{username: string}} session
+         * @param {string|null} code
+         * @param {string|null} key - 校验码，不区分大小写
+         * @param {{send: Function, close: Function}} peer
+         */
+        joinRemote(session, code, key, peer) {
+            const pairing = pairings.get(String(code || ''));
+            let error = null;
+            if (!pairing) {
+                error = [REMOTE_CLOSE_CODES.notFound, '配对码无效或播放器已关闭'];
+            } else if (String(key || '').toUpperCase() !== pairing.key) {
+                error = [REMOTE_CLOSE_CODES.forbidden, '校验码错误，请重新扫描播放器上的二维码'];
+            } else if (pairing.username !== session.username) {
+                error = [REMOTE_CLOSE_CODES.forbidden, '请使用与播放器相同的账户登录'];
+            } else if (pairing.remotes.size >= maxRemotes) {
+                error = [REMOTE_CLOSE_CODES.full, '连接的遥控器过多'];
+            }
+            if (error) {
+                peer.close(...error);
+                return error[0];
+            }
+
+            pairing.remotes.add(peer);
+            peers.set(peer, { pairing, role: 'remote' });
+            pairing.key = generateKey();
+            sendPaired(pairing);
+            send(peer, { type: 'joined', state: pairing.state });
+            notifyRemoteCount(pairing);
+            return null;
+        },
+
+        /**
+         * 处理一条消息。格式错误的消息直接忽略。
+         * @param {{send: Function, close: Function}} peer
+         * @param {string} text
+         */
+        receive(peer, text) {
+            const entry = peers.get(peer);
+            if (!entry) return;
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch {
+                return;
+            }
+
+            const { pairing, role } = entry;
+            if (role === 'player') {
+                if (message?.type !== 'state' || !message.state || typeof message.state !== 'object') return;
+                pairing.state = message.state;
+                for (const remote of pairing.remotes) send(remote, { type: 'state', state: pairing.state });
+                return;
+            }
+
+            const command = normalizeRemoteCommand(message);
+            if (command) send(pairing.player, { type: 'command', ...command });
+        },
+
+        /**
+         * 连接断开。播放器断开时结束配对并断开所有手机。
+         * @param {{send: Function, close: Function}} peer
+         */
+        leave(peer) {
+            const entry = peers.get(peer);
+            if (!entry) return;
+            peers.delete(peer);
+            const { pairing, role } = entry;
+
+            if (role === 'remote') {
+                pairing.remotes.delete(peer);
+                notifyRemoteCount(pairing);
+                return;
+            }
+            pairings.delete(pairing.code);
+            for (const remote of pairing.remotes) {
+                peers.delete(remote);
+                remote.close(REMOTE_CLOSE_CODES.playerLeft, '播放器已关闭');
+            }
+        }
+    };
+}
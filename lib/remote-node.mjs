@@ -0,0 +1,219 @@
+// lib/remote-node.mjs - 手机遥控与观看派对的 WebSocket 接入（仅 Node/Docker 服务端）
+//
+// 在 HTTP 服务器的 upgrade 事件中处理：
+// - /api/remote?role=player|remote[&code=配对码&key=校验码]：交给 lib/remote-core.mjs 的配对中转；
+// - /api/party?role=host[&shareCustomApi=1]|member&room=房间号：交给 lib/party-core.mjs 的房间中转。
+// 两者都先校验登录 Cookie 与 Origin，再建立 WebSocket。
+// 手机加入配对、成员加入房间时按客户端 IP 与账户统计连续失败次数，阈值与锁定时长沿用登录保护（lib/login-guard.mjs）的配置，
+// 锁定期间直接以 tooManyAttempts 关闭连接，防止逐个尝试配对码。
+
+import { WebSocketServer } from 'ws';
+import { verifyLoginSession } from './auth-core.mjs';
+import { createLoginGuard } from './login-guard.mjs';
+import { createLogger } from './logger.mjs';
+import { PARTY_CLOSE_CODES } from './party-core.mjs';
+import { createMemoryCache } from './proxy-cache.mjs';
+import { toWebRequest } from './proxy-node.mjs';
+import { REMOTE_CLOSE_CODES } from './remote-core.mjs';
+
+// 单条消息上限，播放队列中的剧集列表可能较长
+const MAX_PAYLOAD_BYTES = 256 * 1024;
+// 定期 ping，清理没有正常关闭的连接（如车机直接断网）
+const HEARTBEAT_INTERVAL = 30000;
+
+function rejectUpgrade(socket, status, statusText) {
+    socket.write(`HTTP/1.1 ${status} ${statusText}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    socket.destroy();
+}
+
+// WebSocket 不受同源策略限制，拒绝其他站点页面发起的连接
+function isSameOrigin(request) {
+    const origin = request.headers.get('Origin');
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === new URL(request.url).host;
+    } catch {
+        return false;
+    }
+}
+
+function defaultClientAddress(req) {
+    return req.socket?.remoteAddress || '';
+}
+
+// 中转只需实现 receive(peer, text) / leave(peer)；connect 按查询参数返回连接建立后的处理方式，参数不合法时返回 null：
+// - { open(session, peer) }：创建配对或房间；
+// - { join(session, peer), lockedCode }：加入已有的配对或房间，join 返回凭据是否正确，用于统计失败次数。
+function createSessionUpgradeHandler({
+    config,
+    hub,
+    userStore,
+    logger,
+    connect,
+    joinGuardStore = createMemoryCache({ maxEntries: 10000 }),
+    getClientAddress = defaultClientAddress
+}) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+    const joinGuard = createLoginGuard({ store: joinGuardStore, config: config.loginGuard });
+
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (ws.isAlive === false) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+
+    return async function handleSessionUpgrade(req, socket, head) {
+        const request = toWebRequest(req);
+        if (!isSameOrigin(request)) {
+            rejectUpgrade(socket, 403, 'Forbidden');
+            return;
+        }
+        let session;
+        try {
+            session = await verifyLoginSession(config, request, userStore);
+        } catch (error) {
+            logger.error('WebSocket 连接校验失败', { requestId: req.headers['x-request-id'], error: error.message });
+            rejectUpgrade(socket, 500, 'Internal Server Error');
+            return;
+        }
+        if (!session) {
+            rejectUpgrade(socket, 401, 'Unauthorized');
+            return;
+        }
+
+        const route = connect(new URL(request.url).searchParams);
+        if (!route) {
+            rejectUpgrade(socket, 400, 'Bad Request');
+            return;
+        }
+        const clientAddress = getClientAddress(req);
+        let lockout = null;
+        if (route.join) {
+            const result = await joinGuard.check(clientAddress, session.username);
+            if (!result.allowed) lockout = result;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            ws.isAlive = true;
+            ws.on('pong', () => {
+                ws.isAlive = true;
+            });
+
+            const peer = {
+                send(text) {
+                    if (ws.readyState === ws.OPEN) ws.send(text);
+                },
+                close(code, reason) {
+                    ws.close(code, reason);
+                }
+            };
+            ws.on('message', (data, isBinary) => {
+                if (!isBinary) hub.receive(peer, data.toString());
+            });
+            ws.on('close', () => hub.leave(peer));
+            ws.on('error', (error) => logger.debug('WebSocket 连接错误', { error: error.message }));
+
+            if (route.open) {
+                route.open(session, peer);
+                return;
+            }
+            if (lockout) {
+                logger.warn('加入失败次数过多，已拒绝连接', { clientAddress, account: session.username });
+                peer.close(route.lockedCode, `尝试次数过多，请 ${lockout.retryAfter} 秒后再试`);
+                return;
+            }
+            const accepted = route.join(session, peer);
+            const record = accepted ? joinGuard.recordSuccess(clientAddress, session.username) : joinGuard.recordFailure(clientAddress, session.username);
+            record.catch(error => logger.error('记录加入失败次数出错', { error: error.message }));
+        });
+    };
+}
+
+/**
+ * 创建手机遥控（/api/remote）upgrade 请求的处理函数。
+ * @param {object} options
+ * @param {object} options.config - createProxyConfig 的返回值
+ * @param {ReturnType<import('./remote-core.mjs').createRemoteHub>} options.hub
+ * @param {object|null} [options.userStore] - 多用户账户存储
+ * @param {{get: Function, put: Function}} [options.joinGuardStore] - 加入失败计数存储，默认使用内存
+ * @param {(req: import('http').IncomingMessage) => string} [options.getClientAddress] - 获取可信的客户端 IP
+ * @param {object} [options.logger]
+ * @returns {(req: import('http').IncomingMessage, socket: import('net').Socket, head: Buffer) => Promise<void>}
+ */
+export function createRemoteUpgradeHandler({ config, hub, userStore = null, joinGuardStore, getClientAddress, logger = createLogger({ level: config.logLevel }) }) {
+    return createSessionUpgradeHandler({
+        config,
+        hub,
+        userStore,
+        logger,
+        joinGuardStore,
+        getClientAddress,
+        connect(params) {
+            const role = params.get('role');
+            if (role === 'player') {
+                return {
+                    open(session, peer) {
+                        hub.openPlayer(session, peer);
+                        logger.debug('遥控配对已创建', { account: session.username });
+                    }
+                };
+            }
+            if (role === 'remote') {
+                return {
+                    lockedCode: REMOTE_CLOSE_CODES.tooManyAttempts,
+                    // 遥控器已满说明配对码与校验码正确，不计为失败
+                    join: (session, peer) => [null, REMOTE_CLOSE_CODES.full].includes(hub.joinRemote(session, params.get('code'), params.get('key'), peer))
+                };
+            }
+            return null;
+        }
+    });
+}
+
+/**
+ * 创建观看派对（/api/party）upgrade 请求的处理函数。
+ * @param {object} options
+ * @param {object} options.config - createProxyConfig 的返回值
+ * @param {ReturnType<import('./party-core.mjs').createPartyHub>} options.hub
+ * @param {object|null} [options.userStore] - 多用户账户存储
+ * @param {{get: Function, put: Function}} [options.joinGuardStore] - 加入失败计数存储，默认使用内存
+ * @param {(req: import('http').IncomingMessage) => string} [options.getClientAddress] - 获取可信的客户端 IP
+ * @param {object} [options.logger]
+ * @returns {(req: import('http').IncomingMessage, socket: import('net').Socket, head: Buffer) => Promise<void>}
+ */
+export function createPartyUpgradeHandler({ config, hub, userStore = null, joinGuardStore, getClientAddress, logger = createLogger({ level: config.logLevel }) }) {
+    return createSessionUpgradeHandler({
+        config,
+        hub,
+        userStore,
+        logger,
+        joinGuardStore,
+        getClientAddress,
+        connect(params) {
+            const role = params.get('role');
+            if (role === 'host') {
+                const shareCustomApi = params.get('shareCustomApi') === '1';
+                return {
+                    open(session, peer) {
+                        const room = hub.openRoom(session, peer, { shareCustomApi });
+                        logger.debug('观看派对房间已创建', { account: session.username, room, shareCustomApi });
+                    }
+                };
+            }
+            if (role === 'member') {
+                return {
+                    lockedCode: PARTY_CLOSE_CODES.tooManyAttempts,
+                    // 房间已满说明房间号正确，不计为失败
+                    join: (session, peer) => [null, PARTY_CLOSE_CODES.full].includes(hub.joinRoom(session, params.get('room'), peer))
+                };
+            }
+            return null;
+        }
+    });
+}
@@ -0,0 +1,38 @@
+// lib/request-body.mjs - 有大小上限的请求体读取
+//
+// request.text() 会先读完整个请求体；没有 Content-Length（分块传输）的请求可以借此让服务端缓存任意大的数据。
+// 这里逐块读取，累计超过上限时立即取消读取。
+
+/**
+ * 读取请求体文本，超过 maxBytes 时返回 null。Content-Length 已声明超限时不读取请求体。
+ * @param {Request} request
+ * @param {number} maxBytes
+ * @returns {Promise<string|null>}
+ */
+export async function readRequestText(request, maxBytes) {
+    const declaredLength = parseInt(request.headers.get('Content-Length') || '0', 10);
+    if (declaredLength > maxBytes) return null;
+    if (!request.body) return '';
+
+    const reader = request.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.byteLength;
+        if (size > maxBytes) {
+            await reader.cancel().catch(() => {});
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return new TextDecoder().decode(bytes);
+}
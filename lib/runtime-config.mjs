@@ -0,0 +1,208 @@
+// lib/runtime-config.mjs - 页面运行时配置：不修改 js/config.js 即可调整站点名称、数据源与默认设置
+//
+// 配置来自三处，后者覆盖前者：
+// 1. RUNTIME_CONFIG_FILE 指定的 JSON 文件（仅 Node/Docker，由 server.mjs 读取后传入）；
+// 2. RUNTIME_CONFIG 环境变量中的 JSON（适合不能挂载文件的 Cloudflare / Vercel / Netlify）；
+// 3. 单项环境变量，如 SITE_NAME、DEFAULT_SELECTED_APIS，见 ENV_FIELDS。
+// 合并后按 RUNTIME_CONFIG_SCHEMA 校验，不合法的字段丢弃并记录原因，不影响其余字段。
+// 各部署的页面中间件调用 injectPageEnv 把结果写入 window.__ENV__.RUNTIME_CONFIG，
+// js/config.js 再把它合并到内置默认值上。
+
+const string = { type: 'string', maxLength: 200 };
+const url = { type: 'url' };
+const stringList = { type: 'array', items: string, maxItems: 100 };
+// 与 API_SITES 的键一致：字母、数字、下划线与连字符（__proto__ 会修改对象原型，不允许）
+const sourceCode = { type: 'string', pattern: /^(?!__proto__$)[A-Za-z0-9_-]{1,50}$/ };
+
+/**
+ * 运行时配置的结构。type 为 object / record（任意键，值结构相同）/ array / string / url / boolean。
+ */
+export const RUNTIME_CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        // 合并到 SITE_CONFIG
+        site: {
+            type: 'object',
+            properties: { name: string, description: string, logo: string, url }
+        },
+        // 合并到 API_SITES，键为源代码；与内置源同名时覆盖内置源
+        apiSites: {
+            type: 'record',
+            key: sourceCode,
+            maxItems: 200,
+            values: {
+                type: 'object',
+                required: ['api', 'name'],
+                properties: { api: url, name: string, detail: url, adult: { type: 'boolean' } }
+            }
+        },
+        // 从 API_SITES 中移除的内置源
+        disabledApiSites: { type: 'array', items: sourceCode, maxItems: 200 },
+        // 新用户默认选中的源
+        defaultSelectedApis: { type: 'array', items: sourceCode, maxItems: 200 },
+        hideBuiltinAdultApis: { type: 'boolean' },
+        // 新用户是否默认启用豆瓣推荐，以及默认的电影、电视剧标签
+        douban: {
+            type: 'object',
+            properties: { enabled: { type: 'boolean' }, movieTags: stringList, tvTags: stringList }
+        }
+    }
+};
+
+const parseList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+const parseBoolean = value => (value === 'true' ? true : value === 'false' ? false : value);
+const parseJson = value => JSON.parse(value);
+
+// 单项环境变量与配置路径的对应关系
+const ENV_FIELDS = [
+    ['SITE_NAME', ['site', 'name']],
+    ['SITE_DESCRIPTION', ['site', 'description']],
+    ['API_SITES', ['apiSites'], parseJson],
+    ['API_SITES_DISABLED', ['disabledApiSites'], parseList],
+    ['DEFAULT_SELECTED_APIS', ['defaultSelectedApis'], parseList],
+    ['HIDE_BUILTIN_ADULT_APIS', ['hideBuiltinAdultApis'], parseBoolean],
+    ['DOUBAN_ENABLED', ['douban', 'enabled'], parseBoolean],
+    ['DOUBAN_MOVIE_TAGS', ['douban', 'movieTags'], parseList],
+    ['DOUBAN_TV_TAGS', ['douban', 'tvTags'], parseList]
+];
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// 校验并规范化一个值，不合法时把原因记入 errors 并返回 undefined
+function validate(schema, value, path, errors) {
+    const fail = (reason) => {
+        errors.push(`${path || '(root)'}: ${reason}`);
+        return undefined;
+    };
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.length === 0) return fail('应为非空字符串');
+            if (schema.maxLength && value.length > schema.maxLength) return fail(`长度不能超过 ${schema.maxLength}`);
+            if (schema.pattern && !schema.pattern.test(value)) return fail('格式不正确');
+            return value;
+        case 'url':
+            if (typeof value !== 'string' || !/^https?:\/\/[^\s]+$/i.test(value)) return fail('应为 http(s) 地址');
+            return value;
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('应为 true 或 false');
+            return value;
+        case 'array': {
+            if (!Array.isArray(value)) return fail('应为数组');
+            if (value.length > schema.maxItems) return fail(`最多 ${schema.maxItems} 项`);
+            const items = value.map((item, index) => validate(schema.items, item, `${path}[${index}]`, errors));
+            return items.filter(item => item !== undefined);
+        }
+        case 'record': {
+            if (!isPlainObject(value)) return fail('应为对象');
+            const entries = Object.entries(value);
+            if (entries.length > schema.maxItems) return fail(`最多 ${schema.maxItems} 项`);
+            const result = {};
+            for (const [key, item] of entries) {
+                if (validate(schema.key, key, `${path}.${key}`, errors) === undefined) continue;
+                const normalized = validate(schema.values, item, `${path}.${key}`, errors);
+                if (normalized !== undefined) result[key] = normalized;
+            }
+            return result;
+        }
+        case 'object': {
+            if (!isPlainObject(value)) return fail('应为对象');
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                const childPath = path ? `${path}.${key}` : key;
+                if (!Object.hasOwn(schema.properties, key)) {
+                    errors.push(`${childPath}: 未知字段`);
+                    continue;
+                }
+                const normalized = validate(schema.properties[key], item, childPath, errors);
+                if (normalized !== undefined) result[key] = normalized;
+            }
+            const missing = (schema.required || []).filter(key => !(key in result));
+            if (missing.length > 0) return fail(`缺少 ${missing.join('、')}`);
+            return result;
+        }
+        default:
+            return fail('不支持的类型');
+    }
+}
+
+/**
+ * 按 RUNTIME_CONFIG_SCHEMA 校验运行时配置。
+ * @param {unknown} value
+ * @returns {{config: object, errors: string[]}} config 只包含合法的字段
+ */
+export function validateRuntimeConfig(value) {
+    const errors = [];
+    const config = validate(RUNTIME_CONFIG_SCHEMA, value, '', errors) || {};
+    return { config, errors };
+}
+
+// 合并两份配置：对象逐层合并，数组与其他值整体覆盖
+function mergeConfig(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        if (key === '__proto__') continue;
+        result[key] = isPlainObject(value) && isPlainObject(result[key]) ? mergeConfig(result[key], value) : value;
+    }
+    return result;
+}
+
+/**
+ * 从配置文件与环境变量生成运行时配置。
+ * @param {Record<string, string|undefined>} env
+ * @param {object} [options]
+ * @param {unknown} [options.fileConfig] - RUNTIME_CONFIG_FILE 的内容（已解析的 JSON）
+ * @returns {{config: object, errors: string[]}}
+ */
+export function createRuntimeConfig(env = {}, { fileConfig = null } = {}) {
+    const errors = [];
+    let merged = {};
+    if (fileConfig !== null) {
+        if (isPlainObject(fileConfig)) merged = mergeConfig(merged, fileConfig);
+        else errors.push('RUNTIME_CONFIG_FILE: 应为 JSON 对象');
+    }
+    if (env.RUNTIME_CONFIG) {
+        try {
+            const inline = JSON.parse(env.RUNTIME_CONFIG);
+            if (isPlainObject(inline)) merged = mergeConfig(merged, inline);
+            else errors.push('RUNTIME_CONFIG: 应为 JSON 对象');
+        } catch {
+            errors.push('RUNTIME_CONFIG: 不是合法的 JSON');
+        }
+    }
+    for (const [name, [section, field], parse = value => value] of ENV_FIELDS) {
+        const raw = env[name];
+        if (raw === undefined || raw === '') continue;
+        let value;
+        try {
+            value = parse(raw);
+        } catch {
+            errors.push(`${name}: 不是合法的 JSON`);
+            continue;
+        }
+        merged = mergeConfig(merged, { [section]: field ? { [field]: value } : value });
+    }
+
+    const result = validateRuntimeConfig(merged);
+    return { config: result.config, errors: [...errors, ...result.errors] };
+}
+
+// 写入 <script> 的 JSON 需要转义，避免配置中的 </script> 提前结束脚本
+function toScriptJson(value) {
+    return JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * 替换页面中的 "{{PASSWORD_PROTECTED}}" 与 "{{RUNTIME_CONFIG}}" 占位符。
+ * 页面只需要知道是否设置了密码，密码校验由 /api/login 在服务端完成。
+ * @param {string} html
+ * @param {{passwordProtected: boolean, runtimeConfig: object}} options
+ */
+export function injectPageEnv(html, { passwordProtected, runtimeConfig }) {
+    return html
+        .replace('"{{PASSWORD_PROTECTED}}"', passwordProtected ? 'true' : 'false')
+        .replace('"{{RUNTIME_CONFIG}}"', () => toScriptJson(runtimeConfig || {}));
+}
@@ -0,0 +1,246 @@
+// lib/search-core.mjs - 服务端聚合搜索
+//
+// 浏览器只发一个请求：POST /api/search（或 GET，便于 EventSource 使用），
+// 服务端按并发上限向各个源发起搜索，每个源完成后立即以 NDJSON 或 SSE 的形式推送结果。
+// 对源 API 的请求复用代理的出站校验、重试与文本缓存（lib/proxy-core.mjs）。
+
+import { fetchProxiedText, verifySessionSignature } from './proxy-core.mjs';
+import { createLogger, getRequestId } from './logger.mjs';
+import { verifyLoginSession } from './auth-core.mjs';
+import { DEFAULT_KID_CONTENT_RULES, isContentAllowed } from './user-store.mjs';
+
+// 浏览器端 js/proxy-auth.js 对聚合搜索请求签名时使用的 subject
+export const SEARCH_SIGNATURE_SUBJECT = 'api:search';
+
+const SEARCH_PATH = '?ac=videolist&wd=';
+const SEARCH_PAGE_PATH = '?ac=videolist&wd={query}&pg={page}';
+
+/**
+ * 从环境变量读取聚合搜索配置。
+ * @param {Record<string, string|undefined>} env
+ */
+export function createSearchConfig(env = {}) {
+    return {
+        concurrency: parseInt(env.SEARCH_CONCURRENCY || '6', 10), // 同时进行的源 API 请求数
+        sourceTimeout: parseInt(env.SEARCH_SOURCE_TIMEOUT || '8000', 10), // 单个源（含翻页）的超时，毫秒
+        maxPages: parseInt(env.SEARCH_MAX_PAGES || '5', 10), // 每个源最多获取的页数
+        maxSources: parseInt(env.SEARCH_MAX_SOURCES || '50', 10)
+    };
+}
+
+/**
+ * 聚合搜索入口。
+ * 请求参数（POST 为 JSON 请求体，GET 为查询参数，其中 sources 为 JSON 字符串）：
+ * - query / wd: 搜索关键词
+ * - sources: [{ code, name, api, custom? }]，由浏览器根据已选择的源传入
+ * - maxPages: 每个源最多获取的页数，不超过服务端的 SEARCH_MAX_PAGES
+ * 请求头 Accept 包含 text/event-stream（或 format=sse）时返回 SSE，否则返回 NDJSON。
+ * 登录的是儿童账户时（请求携带登录 Cookie），按账户的内容规则过滤结果。
+ * @param {Request} request
+ * @param {object} options - 与 handleProxyRequest 相同（含 userStore），另加 searchConfig
+ * @param {object} [options.searchConfig] - createSearchConfig 的返回值
+ * @returns {Promise<Response>}
+ */
+export async function handleSearchRequest(request, options) {
+    const { config, searchConfig = createSearchConfig() } = options;
+    const url = new URL(request.url);
+    const requestId = getRequestId(request.headers.get('X-Request-Id'));
+    const logger = (options.logger || createLogger({ level: config.logLevel })).child({ requestId });
+    const baseHeaders = {
+        'Access-Control-Allow-Origin': config.corsOrigin,
+        'Access-Control-Expose-Headers': 'X-Request-Id',
+        'X-Request-Id': requestId
+    };
+
+    if (request.method === 'OPTIONS') {
+        return new Response(null, {
+            status: 204,
+            headers: {
+                ...baseHeaders,
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': '*',
+                'Access-Control-Max-Age': '86400'
+            }
+        });
+    }
+
+    const errorResponse = (status, error) => new Response(JSON.stringify({ success: false, error }), {
+        status,
+        headers: { ...baseHeaders, 'Content-Type': 'application/json' }
+    });
+
+    if (!(await verifySessionSignature(config, url, SEARCH_SIGNATURE_SUBJECT, logger, options.userStore))) {
+        options.metrics?.recordAuthFailure('signature');
+        return errorResponse(401, '聚合搜索未授权：签名无效或已过期，请刷新页面后重试');
+    }
+
+    let params;
+    try {
+        params = await readSearchParams(request, url);
+    } catch (error) {
+        return errorResponse(400, `无效的搜索请求: ${error.message}`);
+    }
+    const query = String(params.query ?? params.wd ?? '').trim();
+    const sources = normalizeSources(params.sources).slice(0, searchConfig.maxSources);
+    if (!query) return errorResponse(400, '缺少搜索关键词');
+    if (sources.length === 0) return errorResponse(400, '请至少选择一个有效的搜索源');
+
+    const login = await verifyLoginSession(config, request, options.userStore);
+    const contentRules = login?.role === 'kid' ? (login.contentRules || DEFAULT_KID_CONTENT_RULES) : null;
+
+    const maxPages = Math.max(1, Math.min(parseInt(params.maxPages, 10) || searchConfig.maxPages, searchConfig.maxPages));
+    const useSse = url.searchParams.get('format') === 'sse' ||
+        (request.headers.get('Accept') || '').includes('text/event-stream');
+    const encode = createEventEncoder(useSse);
+
+    // 请求源 API 时使用 JSON 的 Accept，而不是客户端请求的 NDJSON / SSE；
+    // 沿用本次搜索的请求 ID，使各个源请求的日志与搜索请求关联
+    const apiRequest = new Request(request.url, {
+        headers: {
+            'Accept': 'application/json',
+            'Accept-Language': request.headers.get('Accept-Language') || '',
+            'X-Request-Id': requestId
+        }
+    });
+    const limit = createConcurrencyLimit(searchConfig.concurrency);
+    const startedAt = Date.now();
+
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    // 客户端断开后写入会失败，此时丢弃剩余事件即可
+    const send = (event) => writer.write(encode(event)).catch(() => {});
+
+    const task = (async () => {
+        let total = 0;
+        let failed = 0;
+        await Promise.all(sources.map(async (source) => {
+            const sourceStartedAt = Date.now();
+            const controller = new AbortController();
+            try {
+                const { results, pages } = await withTimeout(
+                    searchSource(apiRequest, options, limit, source, query, maxPages, contentRules, controller.signal),
+                    searchConfig.sourceTimeout,
+                    controller,
+                    `${source.name} 搜索超时`
+                );
+                total += results.length;
+                await send({ type: 'source', source: source.code, name: source.name, pages, results, elapsedMs: Date.now() - sourceStartedAt });
+            } catch (error) {
+                failed++;
+                logger.warn('聚合搜索源失败', { source: source.code, api: source.api, error: error.message });
+                await send({ type: 'error', source: source.code, name: source.name, error: error.message, elapsedMs: Date.now() - sourceStartedAt });
+            }
+        }));
+        await send({ type: 'done', total, sources: sources.length, elapsedMs: Date.now() - startedAt });
+        logger.info('search request', { sources: sources.length, failed, total, durationMs: Date.now() - startedAt });
+        await writer.close().catch(() => {});
+    })();
+    if (options.waitUntil) options.waitUntil(task);
+
+    return new Response(readable, {
+        status: 200,
+        headers: {
+            ...baseHeaders,
+            'Content-Type': useSse ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            // 禁止 Nginx 等反向代理缓冲，保证结果逐条到达
+            'X-Accel-Buffering': 'no'
+        }
+    });
+}
+
+async function readSearchParams(request, url) {
+    if (request.method === 'POST') {
+        return request.json();
+    }
+    const sources = url.searchParams.get('sources');
+    return {
+        query: url.searchParams.get('wd') ?? url.searchParams.get('query'),
+        sources: sources ? JSON.parse(sources) : [],
+        maxPages: url.searchParams.get('maxPages')
+    };
+}
+
+function normalizeSources(sources) {
+    if (!Array.isArray(sources)) return [];
+    const seen = new Set();
+    return sources
+        .filter(source => source && typeof source.code === 'string' && /^https?:\/\//i.test(source.api || ''))
+        .filter(source => !seen.has(source.code) && seen.add(source.code))
+        .map(source => ({
+            code: source.code,
+            name: String(source.name || source.code),
+            api: source.api,
+            custom: Boolean(source.custom)
+        }));
+}
+
+// 搜索单个源：先取第一页得到总页数，再并发获取剩余页（受全局并发上限约束）
+// 源超时后，还在排队的翻页请求不再发出，把并发名额让给其他源
+async function searchSource(apiRequest, options, limit, source, query, maxPages, contentRules, signal) {
+    const fetchPage = async (page) => {
+        const pageUrl = page === 1
+            ? `${source.api}${SEARCH_PATH}${encodeURIComponent(query)}`
+            : source.api + SEARCH_PAGE_PATH.replace('{query}', encodeURIComponent(query)).replace('{page}', page);
+        const { content } = await limit(() => {
+            if (signal.aborted) throw new Error('搜索已取消');
+            return fetchProxiedText(apiRequest, options, pageUrl);
+        });
+        const data = JSON.parse(content);
+        if (!data || !Array.isArray(data.list)) {
+            throw new Error('源返回的数据格式无效');
+        }
+        return data;
+    };
+
+    const firstPage = await fetchPage(1);
+    const pageCount = Math.min(parseInt(firstPage.pagecount, 10) || 1, maxPages);
+    const otherPages = await Promise.all(
+        Array.from({ length: pageCount - 1 }, (_, i) => fetchPage(i + 2).catch(() => ({ list: [] })))
+    );
+
+    const items = [firstPage, ...otherPages].flatMap(data => data.list);
+    const results = (contentRules ? items.filter(item => isContentAllowed(item, contentRules)) : items).map(item => ({
+        ...item,
+        source_name: source.name,
+        source_code: source.code,
+        ...(source.custom ? { api_url: source.api } : {})
+    }));
+    return { results, pages: pageCount };
+}
+
+function createEventEncoder(useSse) {
+    const encoder = new TextEncoder();
+    return useSse
+        ? event => encoder.encode(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+        : event => encoder.encode(`${JSON.stringify(event)}\n`);
+}
+
+function createConcurrencyLimit(concurrency) {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { fn, resolve, reject } = queue.shift();
+        Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+    return fn => new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+    });
+}
+
+function withTimeout(promise, ms, controller, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(message));
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
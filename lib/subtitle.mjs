@@ -0,0 +1,197 @@
+// lib/subtitle.mjs - 外挂字幕：播放器（player.html 以模块脚本加载）
+//
+// 本地文件或经代理获取的字幕在浏览器中统一转换为 WebVTT 再交给 ArtPlayer：
+// 1. 编码：有 BOM 时按 BOM；能按 UTF-8 严格解码时用 UTF-8；否则分别按 GB18030（兼容 GBK）与 Big5 解码，
+//    选常用字和全角标点更多、乱码更少的一种；
+// 2. 格式：SRT、ASS/SSA 与 WebVTT，先按内容识别，再按文件名后缀；只保留文字，样式标签一律去掉；
+// 3. 时间偏移：生成 WebVTT 时直接平移时间戳，不受 ArtPlayer 自带偏移 ±10 秒的限制。
+
+export const SUBTITLE_EXTENSIONS = ['srt', 'ass', 'ssa', 'vtt'];
+
+// 中文字幕里最常见的字（简繁两种写法）与全角标点，用来判断哪种解码结果是正常文字
+const COMMON_CHARS = new Set('的一是不了我你他她它人在有这這个個们們来來到说說就要也和那么麼吗嗎什没沒会會好去看还還过過想知道时時能对對为為都里裡着著呢吧啊，。？！：、…“”');
+
+function scoreDecodedText(text) {
+    let score = 0;
+    for (const char of text) {
+        if (COMMON_CHARS.has(char)) {
+            score++;
+        } else if (char === '\uFFFD' || (char >= '\uE000' && char <= '\uF8FF')) {
+            // 无法解码的字节与私用区字符说明编码不对
+            score -= 5;
+        }
+    }
+    return score;
+}
+
+/**
+ * 识别字幕文件的编码并解码
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {{text: string, encoding: string}}
+ */
+export function decodeSubtitle(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+        return { text: new TextDecoder('utf-8').decode(bytes), encoding: 'utf-8' };
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+        return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+    }
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+    }
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch {
+        // 不是合法的 UTF-8，按中文常用的两种编码比较
+    }
+    const candidates = ['gb18030', 'big5'].map((encoding) => {
+        const text = new TextDecoder(encoding).decode(bytes);
+        return { text, encoding, score: scoreDecodedText(text) };
+    });
+    const best = candidates[1].score > candidates[0].score ? candidates[1] : candidates[0];
+    return { text: best.text, encoding: best.encoding };
+}
+
+/**
+ * 识别字幕格式
+ * @param {string} text - 解码后的内容
+ * @param {string} [fileName] - 文件名或网址，内容无法识别时按后缀判断
+ * @returns {'srt'|'ass'|'vtt'|''}
+ */
+export function detectSubtitleFormat(text, fileName = '') {
+    const head = text.replace(/^\uFEFF/, '').trimStart();
+    if (/^WEBVTT/.test(head)) return 'vtt';
+    if (/^\[Script Info\]/i.test(head) || /^\[Events\]/im.test(text)) return 'ass';
+    const extension = (fileName.split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1]?.toLowerCase();
+    if (SUBTITLE_EXTENSIONS.includes(extension)) return extension === 'ssa' ? 'ass' : extension;
+    if (/\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(text)) return 'srt';
+    return '';
+}
+
+// "01:02:03,456"、"1:02:03.45"（ASS 为百分之一秒）或 "02:03.456"（WebVTT 可省略小时）转为秒
+function parseTimestamp(value) {
+    const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/);
+    if (!match) return null;
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction}`);
+}
+
+function formatTimestamp(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+// 去掉 HTML/ASS 样式标签与空行：ArtPlayer 会转义字幕中的 HTML，保留标签只会原样显示出来
+function cleanCueText(text) {
+    return text
+        .replace(/\{\\[^}]*\}/g, '')
+        .replace(/<[^>]+>/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n')
+        .replace(/-->/g, '->');
+}
+
+// SRT 与 WebVTT 都是以空行分隔的块，块内第一行时间轴之后是文字
+function parseTimedBlocks(text) {
+    const cues = [];
+    for (const block of text.split(/\n\s*\n/)) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) continue;
+        const [startText, endText = ''] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        // WebVTT 的时间轴后面可能跟着位置设置
+        const end = parseTimestamp(endText.trim().split(/\s+/)[0]);
+        const cueText = cleanCueText(lines.slice(timingIndex + 1).join('\n'));
+        if (start === null || end === null || !cueText) continue;
+        cues.push({ start, end, text: cueText });
+    }
+    return cues;
+}
+
+function parseAss(text) {
+    const cues = [];
+    let inEvents = false;
+    let fields = null;
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (line.startsWith('[')) {
+            inEvents = /^\[Events\]$/i.test(line);
+            continue;
+        }
+        if (!inEvents) continue;
+        if (/^Format:/i.test(line)) {
+            fields = line.slice(line.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+            continue;
+        }
+        if (!fields || !/^Dialogue:/i.test(line)) continue;
+
+        // 文字是最后一个字段，其中可能含有逗号
+        const values = line.slice(line.indexOf(':') + 1).split(',');
+        const textValue = values.splice(fields.length - 1).join(',');
+        const start = parseTimestamp(values[fields.indexOf('start')] || '');
+        const end = parseTimestamp(values[fields.indexOf('end')] || '');
+        const cueText = cleanCueText(textValue.replace(/\\[Nn]/g, '\n').replace(/\\h/g, ' '));
+        if (start === null || end === null || !cueText) continue;
+        cues.push({ start, end, text: cueText });
+    }
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 解析字幕内容
+ * @param {string} text - 解码后的内容
+ * @param {'srt'|'ass'|'vtt'} format
+ * @returns {{start: number, end: number, text: string}[]} 按开始时间排列的字幕条目（秒）
+ */
+export function parseSubtitle(text, format) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    switch (format) {
+        case 'srt':
+        case 'vtt':
+            return parseTimedBlocks(normalized);
+        case 'ass':
+            return parseAss(normalized);
+        default:
+            throw new Error('不支持的字幕格式，请使用 SRT、ASS 或 VTT 文件');
+    }
+}
+
+/**
+ * 解码并解析字幕文件
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {string} [fileName]
+ * @returns {{cues: object[], encoding: string, format: string}}
+ */
+export function loadSubtitle(data, fileName = '') {
+    const { text, encoding } = decodeSubtitle(data);
+    const format = detectSubtitleFormat(text, fileName);
+    const cues = parseSubtitle(text, format);
+    if (cues.length === 0) throw new Error('字幕文件中没有可用的字幕');
+    return { cues, encoding, format };
+}
+
+/**
+ * 生成 WebVTT
+ * @param {object[]} cues - parseSubtitle 的结果
+ * @param {number} [offset] - 时间偏移（秒），正数表示字幕延后显示
+ * @returns {string}
+ */
+export function buildWebVtt(cues, offset = 0) {
+    const blocks = [];
+    for (const cue of cues) {
+        const start = Math.max(0, cue.start + offset);
+        const end = cue.end + offset;
+        // 偏移后整条落在开头之前的字幕丢弃
+        if (end <= start) continue;
+        blocks.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}\n${cue.text}`);
+    }
+    return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
@@ -0,0 +1,272 @@
+// lib/sync-core.mjs - 观看历史、收藏与设置的多设备同步（/api/sync）
+//
+// 每个账户一份同步文档：{ updatedAt, history: { [id]: entry }, favorites: { [id]: entry }, settings: { [key]: entry } }，
+// entry 为 { value, updatedAt }，value 为 null 表示已删除（墓碑，保留一段时间以便其他设备得知删除）。
+// 合并规则是按条目的“最后写入者获胜”：updatedAt 较大的一方生效，相同时保留服务端已有的条目。
+//
+// 存储后端只需实现 load(username) / save(username, document)：
+// Node 使用 JSON 文件（lib/sync-file-store.mjs），Cloudflare 使用 KV，Vercel 使用 Vercel KV（Upstash REST API）。
+
+import { verifyLoginSession } from './auth-core.mjs';
+import { createLogger } from './logger.mjs';
+import { readRequestText } from './request-body.mjs';
+
+export const SYNC_COLLECTIONS = ['history', 'favorites', 'settings'];
+
+// 只有管理员能修改的设置项：数据源、自定义 API 与成人内容过滤（页面上由 applyRolePermissions 隐藏对应设置），
+// 其他角色推送的这些变更被丢弃；儿童账户的过滤开关始终为开
+export const ADMIN_SYNC_SETTINGS_KEYS = ['selectedAPIs', 'customAPIs', 'yellowFilterEnabled'];
+
+const MAX_ID_LENGTH = 512;
+
+/**
+ * 从环境变量读取同步配置。
+ * @param {Record<string, string|undefined>} env
+ */
+export function createSyncConfig(env = {}) {
+    return {
+        maxBodyBytes: parseInt(env.SYNC_MAX_BYTES || '2097152', 10), // PUT 请求体上限，字节
+        maxItems: parseInt(env.SYNC_MAX_ITEMS || '500', 10), // 每个集合最多保留的条目数（不含墓碑）
+        tombstoneTtl: parseInt(env.SYNC_TOMBSTONE_TTL || '2592000', 10) // 删除记录保留的秒数，默认 30 天
+    };
+}
+
+/**
+ * 创建一份空的同步文档。
+ */
+export function createEmptySyncDocument() {
+    return { updatedAt: 0, history: {}, favorites: {}, settings: {} };
+}
+
+/**
+ * 校验并规范化客户端提交的变更，不合法时返回 null。
+ * settings 的值必须是字符串（即 localStorage 中的原始值），history / favorites 的值必须是对象。
+ * @param {unknown} changes
+ * @param {number} now - 服务端当前时间（毫秒），晚于它的 updatedAt 会被截断，避免时钟偏快的设备永远获胜
+ */
+export function normalizeSyncChanges(changes, now = Date.now()) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return null;
+    const result = {};
+    for (const collection of SYNC_COLLECTIONS) {
+        const entries = changes[collection];
+        if (entries === undefined) continue;
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) return null;
+        result[collection] = {};
+        for (const [id, entry] of Object.entries(entries)) {
+            if (!id || id.length > MAX_ID_LENGTH || id === '__proto__') return null;
+            const updatedAt = Number(entry?.updatedAt);
+            if (!Number.isFinite(updatedAt) || updatedAt <= 0) return null;
+            const value = entry.value ?? null;
+            const validValue = value === null ||
+                (collection === 'settings' ? typeof value === 'string' : typeof value === 'object' && !Array.isArray(value));
+            if (!validValue) return null;
+            result[collection][id] = { value, updatedAt: Math.min(Math.floor(updatedAt), now) };
+        }
+    }
+    return result;
+}
+
+/**
+ * 把变更按条目合并进同步文档（原地修改），返回实际生效的条目数。
+ * 合并后清理过期的墓碑，并按 updatedAt 只保留每个集合中最新的 maxItems 条。
+ * @param {object} document - createEmptySyncDocument 的结构
+ * @param {object} changes - normalizeSyncChanges 的返回值
+ * @param {{maxItems: number, tombstoneTtl: number}} config
+ * @param {number} [now]
+ */
+export function mergeSyncChanges(document, changes, config, now = Date.now()) {
+    let applied = 0;
+    for (const collection of SYNC_COLLECTIONS) {
+        const target = document[collection] ||= {};
+        for (const [id, entry] of Object.entries(changes[collection] || {})) {
+            const current = Object.hasOwn(target, id) ? target[id] : null;
+            if (current && current.updatedAt >= entry.updatedAt) continue;
+            target[id] = entry;
+            applied++;
+        }
+
+        const tombstoneBefore = now - config.tombstoneTtl * 1000;
+        const live = [];
+        for (const [id, entry] of Object.entries(target)) {
+            if (entry.value === null) {
+                if (entry.updatedAt < tombstoneBefore) delete target[id];
+            } else {
+                live.push([id, entry.updatedAt]);
+            }
+        }
+        if (live.length > config.maxItems) {
+            live.sort((a, b) => b[1] - a[1]);
+            for (const [id] of live.slice(config.maxItems)) delete target[id];
+        }
+    }
+    if (applied > 0) document.updatedAt = Math.max(now, document.updatedAt + 1);
+    return applied;
+}
+
+/**
+ * 按角色限制变更（原地修改）：非管理员丢弃 ADMIN_SYNC_SETTINGS_KEYS 中的设置项。
+ * @param {object} changes - normalizeSyncChanges 的返回值
+ * @param {string} role
+ * @returns {string[]} 被丢弃的设置项
+ */
+export function restrictSyncChanges(changes, role) {
+    if (role === 'admin' || !changes.settings) return [];
+    const dropped = ADMIN_SYNC_SETTINGS_KEYS.filter(key => Object.hasOwn(changes.settings, key));
+    dropped.forEach(key => delete changes.settings[key]);
+    return dropped;
+}
+
+/**
+ * 返回给客户端的同步文档：儿童账户的过滤开关强制为开，客户端据此覆盖本地的设置。
+ * @param {object} document
+ * @param {string} role
+ */
+export function applySyncRoleSettings(document, role) {
+    if (role !== 'kid') return document;
+    return {
+        ...document,
+        settings: { ...document.settings, yellowFilterEnabled: { value: 'true', updatedAt: document.updatedAt } }
+    };
+}
+
+/**
+ * 创建同步存储，同一进程内对同一账户的写操作排队执行。
+ * @param {{load: (username: string) => Promise<object|null>, save: (username: string, document: object) => Promise<void>}} backend
+ */
+export function createSyncStore(backend) {
+    const queues = new Map();
+
+    return {
+        async get(username) {
+            return (await backend.load(username)) || createEmptySyncDocument();
+        },
+
+        /**
+         * 合并变更并保存。
+         * @returns {Promise<{document: object, applied: number}>}
+         */
+        merge(username, changes, config) {
+            const previous = queues.get(username) || Promise.resolve();
+            const task = previous.then(async () => {
+                const document = (await backend.load(username)) || createEmptySyncDocument();
+                const applied = mergeSyncChanges(document, changes, config);
+                if (applied > 0) await backend.save(username, document);
+                return { document, applied };
+            });
+            const settled = task.catch(() => {});
+            queues.set(username, settled);
+            settled.then(() => {
+                if (queues.get(username) === settled) queues.delete(username);
+            });
+            return task;
+        }
+    };
+}
+
+/**
+ * 基于 KV 的同步后端（Cloudflare KV 命名空间或任何带 get / put 的存储），每个账户一个键。
+ * @param {{get: Function, put: Function}} kv
+ * @param {string} [prefix]
+ */
+export function createKvSyncBackend(kv, prefix = 'sync:') {
+    return {
+        async load(username) {
+            const raw = await kv.get(`${prefix}${username}`);
+            return raw ? JSON.parse(raw) : null;
+        },
+        async save(username, document) {
+            await kv.put(`${prefix}${username}`, JSON.stringify(document));
+        }
+    };
+}
+
+/**
+ * 基于 Vercel KV（Upstash Redis REST API）的同步后端，使用 Vercel 注入的 KV_REST_API_URL / KV_REST_API_TOKEN。
+ * @param {{url: string, token: string, fetch?: typeof fetch, prefix?: string}} options
+ */
+export function createVercelKvSyncBackend({ url, token, fetch: fetchImpl = fetch, prefix = 'teslatv:sync:' }) {
+    const base = url.replace(/\/+$/, '');
+    const call = async (path, init = {}) => {
+        const response = await fetchImpl(`${base}${path}`, {
+            ...init,
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.error) throw new Error(`Vercel KV 请求失败: ${data.error || response.status}`);
+        return data.result;
+    };
+
+    return {
+        async load(username) {
+            const raw = await call(`/get/${encodeURIComponent(`${prefix}${username}`)}`);
+            return raw ? JSON.parse(raw) : null;
+        },
+        async save(username, document) {
+            await call(`/set/${encodeURIComponent(`${prefix}${username}`)}`, {
+                method: 'POST',
+                body: JSON.stringify(document)
+            });
+        }
+    };
+}
+
+/**
+ * 同步接口入口（需要登录，数据按登录的账户隔离，共享密码对应账户 "default"）：
+ * - GET：返回完整的同步文档，支持 If-None-Match（ETag 为文档的 updatedAt）
+ * - PUT：请求体 { changes: { history?, favorites?, settings? } }，合并后返回完整的同步文档
+ * 非管理员不能修改 ADMIN_SYNC_SETTINGS_KEYS 中的设置项，儿童账户的过滤开关始终为开。
+ * @param {Request} request
+ * @param {object} options
+ * @param {object} options.config - createProxyConfig 的返回值
+ * @param {object|null} options.syncStore - createSyncStore 的返回值，未配置时返回 501
+ * @param {object} [options.syncConfig] - createSyncConfig 的返回值
+ * @param {object} [options.userStore] - 多用户账户存储
+ * @param {object} [options.logger]
+ * @returns {Promise<Response>}
+ */
+export async function handleSyncRequest(request, options) {
+    const { config, syncStore = null, syncConfig = createSyncConfig(), userStore = null } = options;
+    const logger = options.logger || createLogger({ level: config.logLevel });
+    const json = (status, data, headers = {}) => new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers }
+    });
+
+    const session = await verifyLoginSession(config, request, userStore);
+    if (!session) return json(401, { success: false, error: '请先登录' });
+    if (!syncStore) {
+        return json(501, { success: false, error: '当前部署没有配置同步存储' });
+    }
+
+    if (request.method === 'GET') {
+        const document = await syncStore.get(session.username);
+        const etag = `"${document.updatedAt}"`;
+        if (request.headers.get('If-None-Match') === etag) {
+            return new Response(null, { status: 304, headers: { 'ETag': etag, 'Cache-Control': 'no-store' } });
+        }
+        return json(200, { success: true, serverTime: Date.now(), data: applySyncRoleSettings(document, session.role) }, { 'ETag': etag });
+    }
+
+    if (request.method === 'PUT') {
+        const text = await readRequestText(request, syncConfig.maxBodyBytes);
+        if (text === null) return json(413, { success: false, error: '同步数据过大' });
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch {
+            body = null;
+        }
+        const changes = normalizeSyncChanges(body?.changes);
+        if (!changes) return json(400, { success: false, error: '同步数据格式不正确' });
+        const dropped = restrictSyncChanges(changes, session.role);
+        if (dropped.length > 0) logger.info('已忽略无权修改的设置', { account: session.username, role: session.role, keys: dropped });
+
+        const { document, applied } = await syncStore.merge(session.username, changes, syncConfig);
+        if (applied > 0) logger.debug('同步数据已合并', { account: session.username, applied });
+        return json(200, { success: true, serverTime: Date.now(), applied, data: applySyncRoleSettings(document, session.role) }, {
+            'ETag': `"${document.updatedAt}"`
+        });
+    }
+
+    return json(405, { success: false, error: '不支持的请求方法' });
+}
@@ -0,0 +1,33 @@
+// lib/sync-file-store.mjs - Node 平台的同步数据文件后端
+//
+// 接口与 lib/sync-core.mjs 中的 createKvSyncBackend 相同（load / save），每个账户一个 JSON 文件。
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 创建 JSON 文件同步后端。
+ * @param {string} dir - 同步数据目录，例如 data/sync
+ */
+export function createJsonFileSyncBackend(dir) {
+    // 用户名已由账户存储规范化为 [a-z0-9_-]，这里再编码一次，保证不会跳出目录
+    const fileOf = username => path.join(dir, `${encodeURIComponent(username)}.json`);
+
+    return {
+        async load(username) {
+            try {
+                return JSON.parse(await fs.promises.readFile(fileOf(username), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        async save(username, document) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = fileOf(username);
+            const temp = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temp, JSON.stringify(document), { mode: 0o600 });
+            await fs.promises.rename(temp, file);
+        }
+    };
+}
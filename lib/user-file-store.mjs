@@ -0,0 +1,31 @@
+// lib/user-file-store.mjs - Node 平台的账户文件后端
+//
+// 接口与 lib/user-store.mjs 中的 createKvUserBackend 相同（load / save）。
+// 每次读取都从磁盘加载，运维直接编辑文件后无需重启；写入时先写临时文件再改名，避免写到一半的文件。
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 创建 JSON 文件账户后端。文件不存在时视为没有账户。
+ * @param {string} file - 账户文件路径，例如 data/users.json
+ */
+export function createJsonFileUserBackend(file) {
+    return {
+        async load() {
+            try {
+                return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return {};
+                throw error;
+            }
+        },
+        async save(users) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            const temp = `${file}.${process.pid}.tmp`;
+            // 文件中有密码哈希，只允许运行服务的用户读取
+            await fs.promises.writeFile(temp, JSON.stringify(users, null, 2), { mode: 0o600 });
+            await fs.promises.rename(temp, file);
+        }
+    };
+}
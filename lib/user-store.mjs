@@ -0,0 +1,284 @@
+// lib/user-store.mjs - 多用户账户
+//
+// 账户保存在一个 JSON 对象中：{ [username]: { role, passwordHash, contentRules?, sessionEpoch?, revokedSessions?, createdAt, updatedAt } }，
+// 由后端负责读写整个对象：Docker/Node 使用 JSON 文件（lib/user-file-store.mjs），Cloudflare 使用 KV。
+// 共享的 PASSWORD 仍然可用，对应保留账户 "default"，角色由 PASSWORD_ROLE 决定（默认 admin）；
+// 对象中同名的条目只保存它的会话状态，不是可以登录的账户。删除账户时同样留下只有会话状态的条目，
+// 会话版本加一，之后重建同名账户也不会让删除前签发的 Cookie 与代理会话重新生效。
+//
+// sessionEpoch 在修改角色或密码时递增，登录 Cookie 与代理会话令牌中带有签发时的值，不一致即失效
+// （见 lib/auth-core.mjs、lib/proxy-core.mjs）；
+// revokedSessions 记录已退出登录的会话 { [登录会话 ID]: 过期时间 }，到期后清理。
+//
+// 角色：
+// - admin：管理数据源、设置与账户
+// - viewer：只能观看，不能修改数据源等设置
+// - kid：在 viewer 的基础上按内容规则过滤搜索结果
+
+export const ROLES = ['admin', 'viewer', 'kid'];
+// 共享密码对应的账户名，不能用来创建账户
+export const DEFAULT_ACCOUNT = 'default';
+
+// 儿童账户默认屏蔽的分类（与前端黄色内容过滤的列表一致，另加恐怖、惊悚类）
+export const DEFAULT_KID_CONTENT_RULES = {
+    blockedTypes: [
+        '伦理片', '福利', '里番动漫', '门事件', '萝莉少女', '制服诱惑', '国产传媒', 'cosplay', '黑丝诱惑',
+        '无码', '日本无码', '有码', '日本有码', 'SWAG', '网红主播', '色情片', '同性片', '福利视频', '福利片',
+        '恐怖片', '惊悚片'
+    ],
+    blockedKeywords: []
+};
+
+// Cloudflare Workers 的 PBKDF2 最多支持 100000 次迭代
+const PBKDF2_ITERATIONS = 100000;
+const USERNAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 6;
+// 每个账户最多记录的已退出会话，超出时丢弃最早过期的
+const MAX_REVOKED_SESSIONS = 200;
+const textEncoder = new TextEncoder();
+// 账户不存在时也计算一次哈希，使响应时间无法用来判断用户名是否存在
+let dummyHash = null;
+
+export class UserStoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UserStoreError';
+    }
+}
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    return new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+}
+
+async function pbkdf2Hex(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', textEncoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return toHex(bits);
+}
+
+/**
+ * 计算密码哈希，格式为 "pbkdf2-sha256$<迭代次数>$<盐>$<哈希>"。
+ * @param {string} password
+ */
+export async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return `pbkdf2-sha256$${PBKDF2_ITERATIONS}$${toHex(salt)}$${await pbkdf2Hex(password, salt, PBKDF2_ITERATIONS)}`;
+}
+
+/**
+ * 校验密码是否与 hashPassword 生成的哈希一致。
+ * @param {string} password
+ * @param {string} stored
+ */
+export async function verifyPasswordHash(password, stored) {
+    const [scheme, iterations, salt, expected] = String(stored || '').split('$');
+    if (scheme !== 'pbkdf2-sha256' || !salt || !expected) return false;
+    const actual = await pbkdf2Hex(password, fromHex(salt), parseInt(iterations, 10));
+    let diff = actual.length ^ expected.length;
+    for (let i = 0; i < actual.length && i < expected.length; i++) {
+        diff |= actual.charCodeAt(i) ^ expected.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * 规范化用户名（小写），不合法时返回 null。
+ * @param {unknown} username
+ */
+export function normalizeUsername(username) {
+    const value = typeof username === 'string' ? username.trim().toLowerCase() : '';
+    return USERNAME_PATTERN.test(value) ? value : null;
+}
+
+function normalizeContentRules(rules) {
+    const list = value => Array.isArray(value)
+        ? [...new Set(value.map(item => String(item).trim()).filter(Boolean))].slice(0, 200)
+        : null;
+    return {
+        blockedTypes: list(rules?.blockedTypes) ?? DEFAULT_KID_CONTENT_RULES.blockedTypes,
+        blockedKeywords: list(rules?.blockedKeywords) ?? DEFAULT_KID_CONTENT_RULES.blockedKeywords
+    };
+}
+
+/**
+ * 判断一条搜索结果是否符合内容规则。
+ * @param {{type_name?: string, vod_name?: string}} item
+ * @param {{blockedTypes: string[], blockedKeywords: string[]}} rules
+ */
+export function isContentAllowed(item, rules) {
+    const typeName = String(item?.type_name || '');
+    const name = String(item?.vod_name || '');
+    return !rules.blockedTypes.some(type => typeName.includes(type)) &&
+        !rules.blockedKeywords.some(keyword => name.includes(keyword) || typeName.includes(keyword));
+}
+
+/**
+ * 基于 KV 的账户后端（Cloudflare KV 命名空间或任何带 get / put 的存储），整个账户表保存在一个键中。
+ * @param {{get: Function, put: Function}} kv
+ * @param {string} [key]
+ */
+export function createKvUserBackend(kv, key = 'users') {
+    return {
+        async load() {
+            const raw = await kv.get(key);
+            return raw ? JSON.parse(raw) : {};
+        },
+        async save(users) {
+            await kv.put(key, JSON.stringify(users));
+        }
+    };
+}
+
+/**
+ * 创建账户存储。
+ * @param {{load: () => Promise<object>, save: (users: object) => Promise<void>}} backend
+ */
+export function createUserStore(backend) {
+    // 同一进程内的写操作排队执行，避免并发的读-改-写互相覆盖
+    let writing = Promise.resolve();
+    const mutate = (change) => {
+        const task = writing.then(async () => {
+            const users = await backend.load();
+            const result = await change(users);
+            await backend.save(users);
+            return result;
+        });
+        writing = task.catch(() => {});
+        return task;
+    };
+
+    // 保留账户 "default" 与已删除账户的条目只有会话状态，没有密码哈希
+    const isAccount = (name, users) => Boolean(name && name !== DEFAULT_ACCOUNT && users[name]?.passwordHash);
+
+    const toPublic = (username, user) => ({
+        username,
+        role: user.role,
+        contentRules: user.role === 'kid' ? normalizeContentRules(user.contentRules) : null,
+        sessionEpoch: user.sessionEpoch || 0,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+    });
+
+    return {
+        /** @returns {Promise<object[]>} 不含密码哈希 */
+        async list() {
+            const users = await backend.load();
+            return Object.keys(users).filter(username => isAccount(username, users)).sort()
+                .map(username => toPublic(username, users[username]));
+        },
+
+        /** @returns {Promise<object|null>} 不含密码哈希 */
+        async get(username) {
+            const name = normalizeUsername(username);
+            const users = await backend.load();
+            return isAccount(name, users) ? toPublic(name, users[name]) : null;
+        },
+
+        /**
+         * 账户的会话状态，共享密码的账户 "default" 同样适用。
+         * @returns {Promise<{account: object|null, epoch: number, revokedSessions: object}|null>} 账户不存在时返回 null；
+         *   account 不含密码哈希，"default" 的 account 为 null
+         */
+        async getSessionState(username) {
+            const name = normalizeUsername(username);
+            if (!name) return null;
+            const users = await backend.load();
+            const entry = users[name] || {};
+            if (name !== DEFAULT_ACCOUNT && !isAccount(name, users)) return null;
+            return {
+                account: name === DEFAULT_ACCOUNT ? null : toPublic(name, entry),
+                epoch: entry.sessionEpoch || 0,
+                revokedSessions: entry.revokedSessions || {}
+            };
+        },
+
+        /**
+         * 记录已退出登录的会话，该会话的登录 Cookie 与代理会话随即失效。
+         * @param {string} username
+         * @param {string} sessionId - 登录会话 ID
+         * @param {number} expiresAt - 登录会话的过期时间（Unix 秒），之后不再需要记录
+         */
+        async revokeSession(username, sessionId, expiresAt) {
+            const name = normalizeUsername(username);
+            return mutate((users) => {
+                if (name !== DEFAULT_ACCOUNT && !isAccount(name, users)) return;
+                const entry = users[name] ||= {};
+                const now = Math.floor(Date.now() / 1000);
+                const revoked = Object.entries({ ...entry.revokedSessions, [sessionId]: expiresAt })
+                    .filter(([, until]) => until > now)
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, MAX_REVOKED_SESSIONS);
+                entry.revokedSessions = Object.fromEntries(revoked);
+            });
+        },
+
+        /**
+         * 校验用户名与密码。
+         * @returns {Promise<object|null>} 成功时返回账户（不含密码哈希）
+         */
+        async authenticate(username, password) {
+            const name = normalizeUsername(username);
+            const users = await backend.load();
+            const user = isAccount(name, users) ? users[name] : null;
+            if (!user) {
+                dummyHash ??= hashPassword('');
+                await verifyPasswordHash(password, await dummyHash);
+                return null;
+            }
+            if (!(await verifyPasswordHash(password, user.passwordHash))) return null;
+            return toPublic(name, user);
+        },
+
+        /**
+         * 创建或更新账户。新建账户必须提供密码；更新时不提供密码则保留原密码。
+         * @param {{username: string, password?: string, role: string, contentRules?: object}} input
+         * @throws {UserStoreError}
+         */
+        async upsert({ username, password, role, contentRules }) {
+            const name = normalizeUsername(username);
+            if (!name) throw new UserStoreError('用户名只能包含 1-32 位小写字母、数字、下划线和连字符');
+            if (name === DEFAULT_ACCOUNT) throw new UserStoreError(`"${DEFAULT_ACCOUNT}" 是共享密码使用的保留账户名`);
+            if (!ROLES.includes(role)) throw new UserStoreError(`角色必须是 ${ROLES.join(' / ')} 之一`);
+            if (password !== undefined && password !== '' && String(password).length < MIN_PASSWORD_LENGTH) {
+                throw new UserStoreError(`密码至少需要 ${MIN_PASSWORD_LENGTH} 位`);
+            }
+            const passwordHash = password ? await hashPassword(String(password)) : null;
+
+            return mutate((users) => {
+                const existing = isAccount(name, users) ? users[name] : null;
+                // 已删除账户留下的会话状态由重建的账户继承
+                const sessionState = users[name];
+                if (!existing && !passwordHash) throw new UserStoreError('新建账户必须设置密码');
+                const now = new Date().toISOString();
+                // 修改角色或密码后，之前签发的登录 Cookie 与代理会话失效
+                const revoked = existing && (existing.role !== role || passwordHash);
+                const sessionEpoch = (sessionState?.sessionEpoch || 0) + (revoked ? 1 : 0);
+                users[name] = {
+                    role,
+                    passwordHash: passwordHash || existing.passwordHash,
+                    ...(role === 'kid' ? { contentRules: normalizeContentRules(contentRules ?? existing?.contentRules) } : {}),
+                    ...(sessionEpoch > 0 ? { sessionEpoch } : {}),
+                    ...(sessionState?.revokedSessions ? { revokedSessions: sessionState.revokedSessions } : {}),
+                    createdAt: existing?.createdAt || now,
+                    updatedAt: now
+                };
+                return toPublic(name, users[name]);
+            });
+        },
+
+        /** @returns {Promise<boolean>} 账户是否存在并已删除 */
+        async remove(username) {
+            const name = normalizeUsername(username);
+            return mutate((users) => {
+                if (!isAccount(name, users)) return false;
+                const { sessionEpoch = 0, revokedSessions } = users[name];
+                users[name] = { sessionEpoch: sessionEpoch + 1, ...(revokedSessions ? { revokedSessions } : {}) };
+                return true;
+            });
+        }
+    };
+}
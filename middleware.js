@@ -1,6 +1,12 @@
-import { sha256 } from './js/sha256.js'; // 需新建或引入SHA-256实现
-
 // Vercel Middleware to inject environment variables
+import { createRuntimeConfig, injectPageEnv } from './lib/runtime-config.mjs';
+
+// 运行时配置只在实例启动时生成一次，不合法的字段在日志中提示
+const runtime = createRuntimeConfig(process.env);
+if (runtime.errors.length > 0) {
+  console.warn('运行时配置中有字段被忽略:', runtime.errors);
+}
+
 export default async function middleware(request) {
   // Get the URL from the request
   const url = new URL(request.url);
@@ -23,19 +29,11 @@ export default async function middleware(request) {
   // Get the HTML content
   const originalHtml = await response.text();
   
-  // Replace the placeholder with actual environment variable
-  // If PASSWORD is not set, replace with empty string
-  const password = process.env.PASSWORD || '';
-  let passwordHash = '';
-  if (password) {
-    passwordHash = await sha256(password);
-  }
-  
-  // 替换密码占位符
-  let modifiedHtml = originalHtml.replace(
-    'window.__ENV__.PASSWORD = "{{PASSWORD}}";',
-    `window.__ENV__.PASSWORD = "${passwordHash}"; // SHA-256 hash`
-  );
+  // 只告诉页面是否设置了密码，密码校验由 /api/login 在服务端完成
+  const modifiedHtml = injectPageEnv(originalHtml, {
+    passwordProtected: Boolean(process.env.PASSWORD),
+    runtimeConfig: runtime.config
+  });
 
   // 修复Response构造
   return new Response(modifiedHtml, {
@@ -1,4 +1,6 @@
 // Netlify Edge Function to inject environment variables into HTML
+import { createRuntimeConfig, injectPageEnv } from '../../lib/runtime-config.mjs';
+
 export default async (request, context) => {
   const url = new URL(request.url);
   
@@ -20,25 +22,16 @@ export default async (request, context) => {
   // Get the HTML content
   const originalHtml = await response.text();
   
-  // Simple SHA-256 implementation for Netlify Edge Functions
-  async function sha256(message) {
-    const msgUint8 = new TextEncoder().encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', msgUint8);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  }
-  
-  // Replace the placeholder with actual environment variable
-  const password = Netlify.env.get('PASSWORD') || '';
-  let passwordHash = '';
-  if (password) {
-    passwordHash = await sha256(password);
+  // Only expose whether a password is set; the password itself is checked by /api/login.
+  // Runtime config comes from RUNTIME_CONFIG and the per-field variables; invalid fields are dropped
+  const runtime = createRuntimeConfig(Netlify.env.toObject());
+  if (runtime.errors.length > 0) {
+    console.warn('Runtime config fields ignored:', runtime.errors);
   }
-  
-  const modifiedHtml = originalHtml.replace(
-    'window.__ENV__.PASSWORD = "{{PASSWORD}}";',
-    `window.__ENV__.PASSWORD = "${passwordHash}"; // SHA-256 hash`
-  );
+  const modifiedHtml = injectPageEnv(originalHtml, {
+    passwordProtected: Boolean(Netlify.env.get('PASSWORD')),
+    runtimeConfig: runtime.config
+  });
   
   // Create a new response with the modified HTML
   return new Response(modifiedHtml, {
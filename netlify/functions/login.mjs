@@ -0,0 +1,22 @@
+// /netlify/functions/login.mjs - Netlify Function (ES Module)
+//
+// 登录逻辑位于 lib/auth-core.mjs：校验密码并签发 HttpOnly 会话 Cookie。
+
+import { createProxyConfig, createMemoryCache } from '../../lib/proxy-core.mjs';
+import { handleLoginRequest } from '../../lib/auth-core.mjs';
+
+const proxyConfig = createProxyConfig(process.env);
+// 失败计数只在单个函数实例内有效
+const loginGuardStore = createMemoryCache({ maxEntries: 10000 });
+
+export default async (request, context) => {
+    return handleLoginRequest(request, {
+        config: proxyConfig,
+        loginGuardStore,
+        clientAddress: context?.ip
+    });
+};
+
+export const config = {
+    path: '/api/login'
+};
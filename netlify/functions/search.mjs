@@ -0,0 +1,27 @@
+// /netlify/functions/search.mjs - Netlify Function (ES Module)
+//
+// 聚合搜索逻辑位于 lib/search-core.mjs，返回的 Response 以流的形式逐个源推送结果。
+
+import { createProxyConfig, createMemoryCache } from '../../lib/proxy-core.mjs';
+import { createEgressFetch, lookupHost } from '../../lib/proxy-node.mjs';
+import { createSearchConfig, handleSearchRequest } from '../../lib/search-core.mjs';
+
+const proxyConfig = createProxyConfig(process.env);
+const searchConfig = createSearchConfig(process.env);
+const textCache = createMemoryCache();
+const egressFetch = createEgressFetch(proxyConfig);
+
+export default async (request, context) => {
+    return handleSearchRequest(request, {
+        config: proxyConfig,
+        cache: textCache,
+        searchConfig,
+        resolveHost: lookupHost,
+        fetch: egressFetch,
+        waitUntil: context?.waitUntil?.bind(context)
+    });
+};
+
+export const config = {
+    path: '/api/search'
+};
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// scripts/unlock-login.mjs - 解除登录锁定（运维命令）
+//
+// 用法：
+//   npm run unlock-login -- --all                 解除全部锁定
+//   npm run unlock-login -- --ip 203.0.113.7      解除某个 IP 的锁定
+//   npm run unlock-login -- --account default     解除某个账户的锁定
+//   --url https://tv.example.com                  目标实例，默认 http://127.0.0.1:$PORT
+//
+// 运维令牌由 PASSWORD / PROXY_SECRET 派生，需要在与服务端相同的环境变量（或 .env）下运行。
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'node:util';
+import { createProxyConfig } from '../lib/proxy-core.mjs';
+import { deriveOperatorToken } from '../lib/auth-core.mjs';
+
+dotenv.config();
+
+const { values } = parseArgs({
+    options: {
+        all: { type: 'boolean', default: false },
+        ip: { type: 'string' },
+        account: { type: 'string' },
+        url: { type: 'string', default: `http://127.0.0.1:${process.env.PORT || 8080}` }
+    }
+});
+
+const target = values.all ? 'all' : values.ip ? `ip:${values.ip}` : values.account ? `account:${values.account}` : null;
+if (!target) {
+    console.error('请指定 --all、--ip <地址> 或 --account <账户>');
+    process.exit(2);
+}
+
+const config = createProxyConfig(process.env);
+if (!config.signingSecret) {
+    console.error('未设置 PASSWORD 或 PROXY_SECRET 环境变量，无法生成运维令牌');
+    process.exit(2);
+}
+
+const endpoint = new URL('/api/login', values.url);
+endpoint.searchParams.set('unlock', target);
+
+try {
+    const response = await fetch(endpoint, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${await deriveOperatorToken(config)}` },
+        signal: AbortSignal.timeout(10000)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+        console.error(`解除锁定失败: ${data.error || `HTTP ${response.status}`}`);
+        process.exit(1);
+    }
+    console.log(`已解除锁定: ${target}`);
+} catch (error) {
+    console.error(`无法连接 ${values.url}: ${error.message}`);
+    process.exit(1);
+}
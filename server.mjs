@@ -1,11 +1,27 @@
 import path from 'path';
 import express from 'express';
-import axios from 'axios';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import crypto from 'crypto';
+import os from 'os';
 import dotenv from 'dotenv';
+import { createProxyConfig, createMemoryCache } from './lib/proxy-core.mjs';
+import { timingSafeEqual } from './lib/auth-core.mjs';
+import { createNodeHandoffHandler, createNodeLoginHandler, createNodeProxyHandler, createNodeSearchHandler, createNodeSyncHandler, createNodeUsersHandler } from './lib/proxy-node.mjs';
+import { createSearchConfig } from './lib/search-core.mjs';
+import { createDiskMediaStore } from './lib/disk-cache.mjs';
+import { createUserStore } from './lib/user-store.mjs';
+import { createJsonFileUserBackend } from './lib/user-file-store.mjs';
+import { createSyncConfig, createSyncStore } from './lib/sync-core.mjs';
+import { createJsonFileSyncBackend } from './lib/sync-file-store.mjs';
+import { createHandoffConfig } from './lib/handoff-core.mjs';
+import { createPartyHub } from './lib/party-core.mjs';
+import { createRemoteHub } from './lib/remote-core.mjs';
+import { createPartyUpgradeHandler, createRemoteUpgradeHandler } from './lib/remote-node.mjs';
+import { createProxyMetrics } from './lib/metrics.mjs';
+import { createReadinessCheck, createReadinessConfig, loadBuiltinSources } from './lib/health.mjs';
+import { createLogger, getRequestId, resolveLogLevel } from './lib/logger.mjs';
+import { createRuntimeConfig, injectPageEnv } from './lib/runtime-config.mjs';
 
 dotenv.config();
 
@@ -16,25 +32,51 @@ const config = {
   port: process.env.PORT || 8080,
   password: process.env.PASSWORD || '',
   corsOrigin: process.env.CORS_ORIGIN || '*',
-  timeout: parseInt(process.env.REQUEST_TIMEOUT || '5000'),
-  maxRetries: parseInt(process.env.MAX_RETRIES || '2'),
   cacheMaxAge: process.env.CACHE_MAX_AGE || '1d',
-  userAgent: process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  proxyCacheSize: parseInt(process.env.PROXY_CACHE_SIZE || '500'), // 代理内存缓存的最大条目数
+  mediaCacheDir: process.env.MEDIA_CACHE_DIR || path.join(os.tmpdir(), 'teslatv-media-cache'),
+  mediaCacheSizeMb: parseInt(process.env.MEDIA_CACHE_SIZE_MB || '1024'), // 0 表示不缓存媒体分片
+  trustProxy: process.env.TRUST_PROXY || '', // 部署在反向代理之后时设置，用于获取真实客户端 IP
+  metricsToken: process.env.METRICS_TOKEN || '', // 设置后 /metrics 需要 Authorization: Bearer <token>
+  usersFile: path.resolve(__dirname, process.env.USERS_FILE || 'data/users.json'), // 多用户账户文件
+  syncDir: path.resolve(__dirname, process.env.SYNC_DIR || 'data/sync'), // 观看历史、收藏与设置的同步数据目录
   debug: process.env.DEBUG === 'true'
 };
 
-const log = (...args) => {
-  if (config.debug) {
-    console.log('[DEBUG]', ...args);
-  }
-};
+const logger = createLogger({ level: resolveLogLevel(process.env) });
 
 const app = express();
 
+if (config.trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(config.trustProxy) ? parseInt(config.trustProxy) : config.trustProxy);
+}
+
+// 为每个请求分配请求 ID 并写回请求头，代理与聚合搜索会沿用它；
+// 它们自己输出访问日志，其余请求在这里记录
+app.use((req, res, next) => {
+  const requestId = getRequestId(req.get('X-Request-Id'));
+  req.headers['x-request-id'] = requestId;
+  res.setHeader('X-Request-Id', requestId);
+  if (!req.path.startsWith('/proxy/') && req.path !== '/api/search') {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+      logger.info('http request', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt
+      });
+    });
+  }
+  next();
+});
+
 app.use(cors({
   origin: config.corsOrigin,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'HEAD', 'POST'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'If-Range'],
+  exposedHeaders: ['Content-Length', 'Content-Range', 'Accept-Ranges', 'Retry-After', 'X-Request-Id']
 }));
 
 app.use((req, res, next) => {
@@ -44,32 +86,41 @@ app.use((req, res, next) => {
   next();
 });
 
-function sha256Hash(input) {
-  return new Promise((resolve) => {
-    const hash = crypto.createHash('sha256');
-    hash.update(input);
-    resolve(hash.digest('hex'));
-  });
+// 运行时配置：RUNTIME_CONFIG_FILE 指定的 JSON 文件，再由环境变量覆盖，不合法的字段被忽略
+function loadRuntimeConfig() {
+  let fileConfig = null;
+  if (process.env.RUNTIME_CONFIG_FILE) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(path.resolve(__dirname, process.env.RUNTIME_CONFIG_FILE), 'utf8'));
+    } catch (error) {
+      logger.error('读取运行时配置文件失败', { file: process.env.RUNTIME_CONFIG_FILE, error: error.message });
+    }
+  }
+  const runtime = createRuntimeConfig(process.env, { fileConfig });
+  for (const message of runtime.errors) {
+    logger.warn('运行时配置字段已忽略', { reason: message });
+  }
+  return runtime.config;
 }
 
+const runtimeConfig = loadRuntimeConfig();
+
+// 页面只需要知道是否设置了密码，密码校验由 /api/login 在服务端完成
 async function renderPage(filePath, password) {
-  let content = fs.readFileSync(filePath, 'utf8');
-  if (password !== '') {
-    const sha256 = await sha256Hash(password);
-    content = content.replace('{{PASSWORD}}', sha256);
-  } else {
-    content = content.replace('{{PASSWORD}}', '');
-  }
-  return content;
+  const content = fs.readFileSync(filePath, 'utf8');
+  return injectPageEnv(content, { passwordProtected: password !== '', runtimeConfig });
 }
 
-app.get(['/', '/index.html', '/player.html'], async (req, res) => {
+app.get(['/', '/index.html', '/player.html', '/remote.html'], async (req, res) => {
   try {
     let filePath;
     switch (req.path) {
       case '/player.html':
         filePath = path.join(__dirname, 'player.html');
         break;
+      case '/remote.html':
+        filePath = path.join(__dirname, 'remote.html');
+        break;
       default: // '/' 和 '/index.html'
         filePath = path.join(__dirname, 'index.html');
         break;
@@ -78,7 +129,7 @@ app.get(['/', '/index.html', '/player.html'], async (req, res) => {
     const content = await renderPage(filePath, config.password);
     res.send(content);
   } catch (error) {
-    console.error('页面渲染错误:', error);
+    logger.error('页面渲染错误', { requestId: req.get('X-Request-Id'), error });
     res.status(500).send('读取静态页面失败');
   }
 });
@@ -89,137 +140,105 @@ app.get('/s=:keyword', async (req, res) => {
     const content = await renderPage(filePath, config.password);
     res.send(content);
   } catch (error) {
-    console.error('搜索页面渲染错误:', error);
+    logger.error('搜索页面渲染错误', { requestId: req.get('X-Request-Id'), error });
     res.status(500).send('读取静态页面失败');
   }
 });
 
-function isValidUrl(urlString) {
-  try {
-    const parsed = new URL(urlString);
-    const allowedProtocols = ['http:', 'https:'];
-    
-    // 从环境变量获取阻止的主机名列表
-    const blockedHostnames = (process.env.BLOCKED_HOSTS || 'localhost,127.0.0.1,0.0.0.0,::1').split(',');
-    
-    // 从环境变量获取阻止的 IP 前缀
-    const blockedPrefixes = (process.env.BLOCKED_IP_PREFIXES || '192.168.,10.,172.').split(',');
-    
-    if (!allowedProtocols.includes(parsed.protocol)) return false;
-    if (blockedHostnames.includes(parsed.hostname)) return false;
-    
-    for (const prefix of blockedPrefixes) {
-      if (parsed.hostname.startsWith(prefix)) return false;
-    }
-    
-    return true;
-  } catch {
-    return false;
-  }
-}
+// 代理逻辑由 lib/proxy-core.mjs 统一实现，这里只做 Express 适配
+const proxyConfig = createProxyConfig(process.env);
+// 播放列表与 API 响应缓存在内存（LRU），媒体分片缓存在磁盘
+const proxyCache = createMemoryCache({ maxEntries: config.proxyCacheSize });
+const mediaCache = config.mediaCacheSizeMb > 0
+  ? createDiskMediaStore({ dir: config.mediaCacheDir, maxBytes: config.mediaCacheSizeMb * 1024 * 1024 })
+  : null;
+const rateLimitStore = createMemoryCache({ maxEntries: 10000 });
+// 登录失败计数单独存放，避免被大量代理请求挤出 LRU
+const loginGuardStore = createMemoryCache({ maxEntries: 10000 });
+const metrics = createProxyMetrics();
+const userStore = createUserStore(createJsonFileUserBackend(config.usersFile));
+const syncStore = createSyncStore(createJsonFileSyncBackend(config.syncDir));
+// 配置传输码只需短时保存，放在内存中
+const handoffStore = createMemoryCache({ maxEntries: 1000 });
 
-// 验证代理请求的鉴权
-function validateProxyAuth(req) {
-  const authHash = req.query.auth;
-  const timestamp = req.query.t;
-  
-  // 获取服务器端密码哈希
-  const serverPassword = config.password;
-  if (!serverPassword) {
-    console.error('服务器未设置 PASSWORD 环境变量，代理访问被拒绝');
-    return false;
-  }
-  
-  // 使用 crypto 模块计算 SHA-256 哈希
-  const serverPasswordHash = crypto.createHash('sha256').update(serverPassword).digest('hex');
-  
-  if (!authHash || authHash !== serverPasswordHash) {
-    console.warn('代理请求鉴权失败：密码哈希不匹配');
-    console.warn(`期望: ${serverPasswordHash}, 收到: ${authHash}`);
-    return false;
-  }
-  
-  // 验证时间戳（10分钟有效期）
-  if (timestamp) {
-    const now = Date.now();
-    const maxAge = 10 * 60 * 1000; // 10分钟
-    if (now - parseInt(timestamp) > maxAge) {
-      console.warn('代理请求鉴权失败：时间戳过期');
-      return false;
-    }
-  }
-  
-  return true;
-}
+app.all('/proxy/:encodedUrl', createNodeProxyHandler({ config: proxyConfig, cache: proxyCache, mediaCache, rateLimitStore, userStore, metrics, logger }));
 
-app.get('/proxy/:encodedUrl', async (req, res) => {
-  try {
-    // 验证鉴权
-    if (!validateProxyAuth(req)) {
-      return res.status(401).json({
-        success: false,
-        error: '代理访问未授权：请检查密码配置或鉴权参数'
-      });
-    }
+// 登录：校验密码并签发 HttpOnly 会话 Cookie，代理会话凭该 Cookie 领取
+app.all('/api/login', createNodeLoginHandler({ config: proxyConfig, userStore, loginGuardStore, metrics, logger }));
 
-    const encodedUrl = req.params.encodedUrl;
-    const targetUrl = decodeURIComponent(encodedUrl);
+// 账户管理（仅 admin），账户保存在 USERS_FILE
+app.all('/api/users', createNodeUsersHandler({ config: proxyConfig, userStore, logger }));
 
-    // 安全验证
-    if (!isValidUrl(targetUrl)) {
-      return res.status(400).send('无效的 URL');
-    }
+// 多设备同步：观看历史、收藏与设置按账户保存在 SYNC_DIR
+app.all('/api/sync', createNodeSyncHandler({ config: proxyConfig, syncStore, syncConfig: createSyncConfig(process.env), userStore, logger }));
 
-    log(`代理请求: ${targetUrl}`);
+// 配置传输：手机提交配置换取短时有效的传输码，车机凭传输码读取
+app.all('/api/handoff', createNodeHandoffHandler({ config: proxyConfig, handoffStore, handoffConfig: createHandoffConfig(process.env), userStore, logger }));
 
-    // 添加请求超时和重试逻辑
-    const maxRetries = config.maxRetries;
-    let retries = 0;
-    
-    const makeRequest = async () => {
-      try {
-        return await axios({
-          method: 'get',
-          url: targetUrl,
-          responseType: 'stream',
-          timeout: config.timeout,
-          headers: {
-            'User-Agent': config.userAgent
-          }
-        });
-      } catch (error) {
-        if (retries < maxRetries) {
-          retries++;
-          log(`重试请求 (${retries}/${maxRetries}): ${targetUrl}`);
-          return makeRequest();
-        }
-        throw error;
-      }
-    };
-
-    const response = await makeRequest();
-
-    // 转发响应头（过滤敏感头）
-    const headers = { ...response.headers };
-    const sensitiveHeaders = (
-      process.env.FILTERED_HEADERS || 
-      'content-security-policy,cookie,set-cookie,x-frame-options,access-control-allow-origin'
-    ).split(',');
-    
-    sensitiveHeaders.forEach(header => delete headers[header]);
-    res.set(headers);
+// upgrade 请求不经过 Express 的路由，借用 req.ip 的实现按 TRUST_PROXY 取真实客户端 IP，用于限制遥控与观看派对的连续加入失败
+const getUpgradeClientAddress = req => Reflect.get(app.request, 'ip', Object.assign(Object.create(req), { app }));
+
+// 手机遥控：播放器与手机通过 WebSocket（upgrade 请求，见 handleUpgrade）配对，需要一次性校验码且只允许同一账户
+const handleRemoteUpgrade = createRemoteUpgradeHandler({ config: proxyConfig, hub: createRemoteHub(), userStore, getClientAddress: getUpgradeClientAddress, logger });
 
-    // 管道传输响应流
-    response.data.pipe(res);
+// 观看派对：主持人的播放、暂停、跳转与切换剧集通过 WebSocket 同步给房间成员
+const handlePartyUpgrade = createPartyUpgradeHandler({ config: proxyConfig, hub: createPartyHub(), userStore, getClientAddress: getUpgradeClientAddress, logger });
+
+// 聚合搜索：服务端并发请求各个源，逐个源以 NDJSON / SSE 推送结果，与代理共用文本缓存
+app.all('/api/search', createNodeSearchHandler({
+  config: proxyConfig,
+  cache: proxyCache,
+  searchConfig: createSearchConfig(process.env),
+  userStore,
+  metrics,
+  logger
+}));
+
+// 存活检查：进程能处理请求即可
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// 就绪检查：配置可用且至少 READY_MIN_SOURCES 个源（内置源合并运行时配置后）可以访问
+const checkReadiness = createReadinessCheck({
+  proxyConfig,
+  sources: loadBuiltinSources(path.join(__dirname, 'js', 'config.js'), runtimeConfig),
+  readinessConfig: createReadinessConfig(process.env)
+});
+
+app.get('/readyz', async (req, res) => {
+  try {
+    const result = await checkReadiness();
+    res.status(result.ready ? 200 : 503).json(result);
   } catch (error) {
-    console.error('代理请求错误:', error.message);
-    if (error.response) {
-      res.status(error.response.status || 500);
-      error.response.data.pipe(res);
-    } else {
-      res.status(500).send(`请求失败: ${error.message}`);
-    }
+    logger.error('就绪检查错误', { error });
+    res.status(503).json({ ready: false, error: error.message });
+  }
+});
+
+app.get('/metrics', (req, res) => {
+  // 与运维令牌相同，按固定耗时比较，避免逐字符猜出令牌
+  if (config.metricsToken && !timingSafeEqual(req.get('Authorization') || '', `Bearer ${config.metricsToken}`)) {
+    res.status(401).send('未授权');
+    return;
   }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// 静态文件以项目目录为根，账户文件（及其写入时的临时文件）和同步数据不能被直接下载
+app.use((req, res, next) => {
+  let requested;
+  try {
+    requested = path.join(__dirname, decodeURIComponent(req.path));
+  } catch {
+    requested = '';
+  }
+  if (requested === config.usersFile || requested.startsWith(`${config.usersFile}.`) ||
+    requested === config.syncDir || requested.startsWith(`${config.syncDir}${path.sep}`)) {
+    res.status(404).send('页面未找到');
+    return;
+  }
+  next();
 });
 
 app.use(express.static(path.join(__dirname), {
@@ -227,7 +246,7 @@ app.use(express.static(path.join(__dirname), {
 }));
 
 app.use((err, req, res, next) => {
-  console.error('服务器错误:', err);
+  logger.error('服务器错误', { requestId: req.get('X-Request-Id'), error: err });
   res.status(500).send('服务器内部错误');
 });
 
@@ -235,16 +254,39 @@ app.use((req, res) => {
   res.status(404).send('页面未找到');
 });
 
-// 启动服务器
-app.listen(config.port, () => {
-  console.log(`服务器运行在 http://localhost:${config.port}`);
-  if (config.password !== '') {
-    console.log('用户登录密码已设置');
-  } else {
-    console.log('警告: 未设置 PASSWORD 环境变量，用户将被要求设置密码');
+export default app;
+
+/**
+ * HTTP 服务器 upgrade 事件的处理函数，按路径分发 WebSocket 连接
+ * @param {import('http').IncomingMessage} req
+ * @param {import('net').Socket} socket
+ * @param {Buffer} head
+ */
+export function handleUpgrade(req, socket, head) {
+  const pathname = (req.url || '').split('?')[0];
+  if (pathname === '/api/remote') {
+    handleRemoteUpgrade(req, socket, head);
+    return;
   }
-  if (config.debug) {
-    console.log('调试模式已启用');
-    console.log('配置:', { ...config, password: config.password ? '******' : '' });
+  if (pathname === '/api/party') {
+    handlePartyUpgrade(req, socket, head);
+    return;
   }
-});
+  socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+  socket.destroy();
+}
+
+// 仅在直接运行时启动服务器（测试中会导入 app 自行监听）
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const server = app.listen(config.port, () => {
+    logger.info(`服务器运行在 http://localhost:${config.port}`);
+    if (config.password !== '') {
+      logger.info('用户登录密码已设置');
+    } else {
+      logger.warn('未设置 PASSWORD 环境变量，用户将被要求设置密码');
+    }
+    // 密码、令牌等字段由日志模块脱敏
+    logger.debug('服务器配置', { config });
+  });
+  server.on('upgrade', handleUpgrade);
+}
@@ -0,0 +1,249 @@
+// 分片广告过滤（lib/ad-filter.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeM3U8Ads as analyze, normalizeAdFilterRules, parseAdFilterRuleList } from '../lib/ad-filter.mjs';
+import { handleLoginRequest } from '../lib/auth-core.mjs';
+import { createMemoryCache, createProxyConfig, handleProxyRequest, signProxyTarget } from '../lib/proxy-core.mjs';
+
+function segments(prefix, count, duration, start = 0) {
+    const lines = [];
+    for (let i = 0; i < count; i++) {
+        lines.push(`#EXTINF:${duration},`, `${prefix}${String(start + i).padStart(4, '0')}.ts`);
+    }
+    return lines;
+}
+
+const header = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-TARGETDURATION:6', '#EXT-X-MEDIA-SEQUENCE:0'];
+
+test('移除来自其他域名的片中广告，保留正片之间的 DISCONTINUITY', () => {
+    const playlist = [
+        ...header,
+        ...segments('https://v.example.com/20240101/abc/hls/index', 100, '4.000000'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://ads.example.net/ad/', 5, '3.000000'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://v.example.com/20240101/abc/hls/index', 100, '4.000000', 100),
+        '#EXT-X-ENDLIST'
+    ].join('\n');
+
+    const report = analyze(playlist, { strictMode: false });
+    assert.equal(report.removed.length, 1);
+    assert.equal(report.removed[0].index, 1);
+    assert.equal(report.removed[0].segmentCount, 5);
+    assert.equal(report.removedDuration, 15);
+    assert.ok(report.removed[0].reasons.some(reason => reason.includes('ads.example.net')));
+
+    assert.ok(!report.content.includes('ads.example.net'));
+    assert.equal(report.content.match(/#EXT-X-DISCONTINUITY/g).length, 1);
+    assert.ok(report.content.startsWith('#EXTM3U\n#EXT-X-VERSION:3'));
+    assert.ok(report.content.trimEnd().endsWith('index0199.ts\n#EXT-X-ENDLIST'));
+});
+
+test('只有文件名格式不同的前贴片仅在严格模式下移除', () => {
+    const playlist = [
+        ...header,
+        ...segments('/video/abc/ad', 4, '6.000000'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('/video/abc/seg', 200, '6.000000')
+    ].join('\n');
+
+    const url = 'https://v.example.com/video/abc/index.m3u8';
+    const normal = analyze(playlist, { url });
+    assert.equal(normal.removed.length, 0);
+    assert.equal(normal.content, playlist);
+    assert.deepEqual(normal.runs[0].reasons, ['分片文件名 ad0000.ts 与正片格式 seg#.ts 不同', '该段仅 24.0 秒', '位于片头']);
+
+    const strict = analyze(playlist, { strictMode: true, url });
+    assert.equal(strict.removed.length, 1);
+    assert.ok(!strict.content.includes('/ad0'));
+    assert.ok(!strict.content.includes('#EXT-X-DISCONTINUITY'));
+});
+
+test('与正片特征一致的分段和过长的可疑段不会被移除', () => {
+    const continued = [
+        ...header,
+        ...segments('https://v.example.com/hls/index', 150, '4.0'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://v.example.com/hls/index', 3, '4.0', 150),
+        '#EXT-X-ENDLIST'
+    ].join('\n');
+    assert.equal(analyze(continued, { strictMode: true }).removed.length, 0);
+
+    // 可疑段占了全片大半时更可能是误判
+    const mostlyOther = [
+        ...header,
+        ...segments('https://a.example.com/x/index', 30, '4.0'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://b.example.com/y/part-', 20, '3.0'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://c.example.com/z/p', 25, '3.0')
+    ].join('\n');
+    const report = analyze(mostlyOther, { strictMode: true });
+    assert.equal(report.removed.length, 0);
+    assert.ok(report.runs.some(run => run.reasons.includes('移除的时长超过全片一半，已保留')));
+
+    // 主播放列表原样返回
+    const master = '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nlow.m3u8';
+    assert.equal(analyze(master, { strictMode: true }).content, master);
+});
+
+test('移除的段改变过密钥时为后续正片补上原来的 #EXT-X-KEY', () => {
+    const key = '#EXT-X-KEY:METHOD=AES-128,URI="https://v.example.com/key.key"';
+    const playlist = [
+        ...header,
+        key,
+        ...segments('https://v.example.com/hls/a', 100, '4.0'),
+        '#EXT-X-DISCONTINUITY',
+        '#EXT-X-KEY:METHOD=NONE',
+        ...segments('https://ads.example.net/x/', 3, '5.0'),
+        '#EXT-X-DISCONTINUITY',
+        '#EXT-X-KEY:METHOD=AES-128,URI="https://v.example.com/key2.key"',
+        ...segments('https://v.example.com/hls/a', 50, '4.0', 100),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://ads.example.net/x/', 3, '5.0'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://v.example.com/hls/a', 50, '4.0', 150)
+    ].join('\n');
+
+    const report = analyze(playlist, { strictMode: true });
+    assert.equal(report.removed.length, 2);
+    assert.ok(!report.content.includes('METHOD=NONE'));
+    const lines = report.content.split('\n');
+    // 第二个广告段没有自己的密钥，移除后正片沿用 key2，无需补充
+    assert.equal(lines.filter(line => line.startsWith('#EXT-X-KEY')).length, 2);
+    assert.equal(lines.filter(line => line === '#EXT-X-DISCONTINUITY').length, 2);
+
+    // 密钥写在前贴片之前，移除前贴片后补在正片开头
+    const preRoll = [
+        ...header,
+        key,
+        ...segments('https://ads.example.net/x/', 3, '5.0'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://v.example.com/hls/a', 100, '4.0')
+    ].join('\n');
+    const preRollReport = analyze(preRoll, { strictMode: true });
+    assert.equal(preRollReport.removed.length, 1);
+    assert.deepEqual(preRollReport.content.split('\n').slice(4, 7), [key, '#EXTINF:4.0,', 'https://v.example.com/hls/a0000.ts']);
+});
+
+test('规则校验：丢弃不合法的规则并给出原因', () => {
+    const { rules, errors } = normalizeAdFilterRules([
+        { name: '广告域名', segmentHost: 'Ads.Example.net', sources: ['bfzy'] },
+        { urlPattern: '(' },
+        { sources: ['bfzy'] },
+        { minDuration: 5, maxDuration: 2 },
+        { runIndex: 1.5 },
+        'adjump'
+    ]);
+    assert.equal(rules.length, 1);
+    assert.equal(rules[0].segmentHost, 'ads.example.net');
+    assert.equal(rules[0].enabled, true);
+    assert.deepEqual(errors, [
+        '第 2 条规则: urlPattern 不是合法的正则表达式',
+        '第 3 条规则: 至少需要 urlPattern、segmentHost、minDuration、maxDuration、runIndex 中的一项',
+        '第 4 条规则: minDuration 不能大于 maxDuration',
+        '第 5 条规则: runIndex 应为整数（负数从末尾数起）',
+        '第 6 条规则: 应为对象'
+    ]);
+
+    assert.deepEqual(parseAdFilterRuleList('{"name":"列表","rules":[{"urlPattern":"adjump"}]}', 'https://r.example.com/a.json').rules.length, 1);
+    assert.deepEqual(parseAdFilterRuleList('<html>', 'https://r.example.com/a.json').errors, ['https://r.example.com/a.json 不是合法的 JSON']);
+});
+
+test('规则按分片地址、域名、时长与分段序号移除分片，并限定作用范围', () => {
+    const playlist = [
+        ...header,
+        ...segments('https://v.example.com/hls/a', 3, '4.0'),
+        ...segments('https://v.example.com/adjump/x', 2, '4.0'),
+        ...segments('https://v.example.com/hls/a', 3, '4.0', 3),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://v.example.com/hls/a', 5, '4.0', 6),
+        '#EXT-X-ENDLIST'
+    ].join('\n');
+    const url = 'https://v.example.com/hls/index.m3u8';
+    const { rules } = normalizeAdFilterRules([
+        { name: '跳转广告', urlPattern: '/adjump/' },
+        { name: '末段', runIndex: -1, sources: ['bfzy'] },
+        { name: '其他站点', segmentHost: 'v.example.com', playlistHosts: ['other.example.com'] },
+        { name: '已停用', minDuration: 0, enabled: false }
+    ]);
+
+    const report = analyze(playlist, { heuristics: false, url, rules, sourceCode: 'ruyi' });
+    assert.equal(report.removed.length, 1);
+    assert.equal(report.removed[0].removedSegmentCount, 2);
+    assert.equal(report.removed[0].isAd, false);
+    assert.deepEqual(report.runs[0].reasons, ['规则「跳转广告」移除 2 个分片']);
+    // 片中移除分片的位置补上 DISCONTINUITY
+    const lines = report.content.split('\n');
+    assert.ok(!report.content.includes('adjump'));
+    assert.equal(lines[lines.indexOf('https://v.example.com/hls/a0002.ts') + 1], '#EXT-X-DISCONTINUITY');
+    assert.equal(lines.filter(line => line === '#EXT-X-DISCONTINUITY').length, 2);
+
+    // 限定数据源的规则只对该数据源生效
+    const scoped = analyze(playlist, { heuristics: false, url, rules, sourceCode: 'bfzy' });
+    assert.equal(scoped.removed.length, 2);
+    assert.equal(scoped.runs[1].isAd, true);
+    assert.ok(scoped.content.trimEnd().endsWith('a0005.ts\n#EXT-X-ENDLIST'));
+
+    // 规则会清空整个列表时全部保留
+    const { rules: everything } = normalizeAdFilterRules([{ segmentHost: 'example.com' }]);
+    const kept = analyze(playlist, { heuristics: false, url, rules: everything });
+    assert.equal(kept.content, playlist);
+    assert.deepEqual(kept.runs[0].reasons, ['规则「规则 1」移除 8 个分片', '过滤会移除全部分片，已全部保留']);
+});
+
+test('代理按 AD_FILTER_RULES 与订阅的规则列表过滤媒体列表', async () => {
+    const PASSWORD = 'ad-filter-test';
+    const playlist = [
+        ...header,
+        ...segments('https://v.example.com/hls/a', 10, '4.0'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://ads.example.net/x/', 2, '5.0'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://v.example.com/adjump/b', 2, '4.0'),
+        '#EXT-X-DISCONTINUITY',
+        ...segments('https://v.example.com/hls/a', 10, '4.0', 10),
+        '#EXT-X-ENDLIST'
+    ].join('\n');
+    const fetched = [];
+    const options = {
+        config: createProxyConfig({
+            PASSWORD,
+            AD_FILTER_RULES: JSON.stringify([{ segmentHost: 'ads.example.net' }, { runIndex: 0, sources: ['bfzy'] }]),
+            AD_FILTER_RULE_URLS: 'https://rules.example.com/list.json'
+        }),
+        cache: createMemoryCache(),
+        resolveHost: async () => ['93.184.216.34'],
+        fetch: async (url) => {
+            fetched.push(url);
+            return url.startsWith('https://rules.example.com/')
+                ? Response.json({ name: '订阅', rules: [{ urlPattern: '/adjump/' }] })
+                : new Response(playlist, { headers: { 'Content-Type': 'application/vnd.apple.mpegurl' } });
+        }
+    };
+
+    const login = await handleLoginRequest(new Request('https://tv.example.com/api/login', {
+        method: 'POST',
+        body: JSON.stringify({ password: PASSWORD })
+    }), options);
+    const session = await (await handleProxyRequest(new Request('https://tv.example.com/proxy/session', {
+        method: 'POST',
+        headers: { 'Cookie': login.headers.get('Set-Cookie').split(';')[0] }
+    }), options)).json();
+    const target = 'https://v.example.com/hls/index.m3u8';
+    const expiresAt = Math.floor(Date.now() / 1000) + 600;
+    const sig = await signProxyTarget(session.key, target, expiresAt);
+    const response = await handleProxyRequest(new Request(
+        `https://tv.example.com/proxy/${encodeURIComponent(target)}?s=${session.token}&e=${expiresAt}&sig=${sig}`
+    ), options);
+
+    const body = await response.text();
+    assert.equal(response.status, 200);
+    assert.ok(!body.includes(encodeURIComponent('ads.example.net')));
+    assert.ok(!body.includes(encodeURIComponent('/adjump/')));
+    // 限定数据源的规则在代理中不生效，正片第一段保留
+    assert.ok(body.includes(encodeURIComponent('https://v.example.com/hls/a0000.ts')));
+    assert.equal(body.match(/#EXT-X-DISCONTINUITY/g).length, 1);
+    assert.deepEqual(fetched, [target, 'https://rules.example.com/list.json']);
+});
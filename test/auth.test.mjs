@@ -0,0 +1,95 @@
+// 服务端登录会话（lib/auth-core.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOGIN_COOKIE_NAME, handleLoginRequest, verifyLoginSession } from '../lib/auth-core.mjs';
+import { createProxyConfig, handleProxyRequest } from '../lib/proxy-core.mjs';
+
+const PASSWORD = 'auth-test';
+
+function login(options, password = PASSWORD, origin = 'https://tv.example.com') {
+    return handleLoginRequest(new Request(`${origin}/api/login`, {
+        method: 'POST',
+        body: JSON.stringify({ password })
+    }), options);
+}
+
+function withCookie(path, cookie, init = {}) {
+    return new Request(`https://tv.example.com${path}`, { ...init, headers: { 'Cookie': cookie } });
+}
+
+test('登录成功后签发 HttpOnly Cookie，状态查询与退出登录', async () => {
+    const options = { config: createProxyConfig({ PASSWORD, LOGIN_SESSION_TTL: '3600' }) };
+    const response = await login(options);
+    assert.equal(response.status, 200);
+    const { expiresAt } = await response.json();
+    const setCookie = response.headers.get('Set-Cookie');
+    assert.match(setCookie, new RegExp(`^${LOGIN_COOKIE_NAME}=[0-9a-f]{32}\\.\\d+\\.default\\.admin\\.0\\.[0-9a-f]{64}; `));
+    assert.match(setCookie, /; HttpOnly; SameSite=Lax; Max-Age=3600; Secure$/);
+    assert.ok(!setCookie.includes(PASSWORD));
+
+    const cookie = setCookie.split(';')[0];
+    const status = await (await handleLoginRequest(withCookie('/api/login', cookie), options)).json();
+    assert.deepEqual(status, {
+        success: true,
+        passwordConfigured: true,
+        accountsEnabled: false,
+        authenticated: true,
+        expiresAt,
+        username: 'default',
+        role: 'admin',
+        contentRules: null,
+        sessionEpoch: 0
+    });
+
+    const anonymous = await (await handleLoginRequest(new Request('https://tv.example.com/api/login'), options)).json();
+    assert.equal(anonymous.authenticated, false);
+
+    const logout = await handleLoginRequest(withCookie('/api/login', cookie, { method: 'DELETE' }), options);
+    assert.match(logout.headers.get('Set-Cookie'), new RegExp(`^${LOGIN_COOKIE_NAME}=; .*Max-Age=0`));
+
+    // 非 HTTPS 部署（如局域网 Docker）不能带 Secure，否则浏览器不会保存
+    const plain = await login(options, PASSWORD, 'http://192.168.1.10:8080');
+    assert.ok(!plain.headers.get('Set-Cookie').includes('Secure'));
+});
+
+test('密码错误或服务端未设置密码时拒绝登录', async () => {
+    const wrong = await login({ config: createProxyConfig({ PASSWORD }) }, 'wrong');
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.headers.get('Set-Cookie'), null);
+
+    const unconfigured = await login({ config: createProxyConfig({}) }, '');
+    assert.equal(unconfigured.status, 401);
+
+    const method = await handleLoginRequest(new Request('https://tv.example.com/api/login', { method: 'PUT' }), { config: createProxyConfig({ PASSWORD }) });
+    assert.equal(method.status, 405);
+});
+
+test('过期、篡改或更换密码后的 Cookie 无效', async () => {
+    const config = createProxyConfig({ PASSWORD, LOGIN_SESSION_TTL: '3600' });
+    const cookie = (await login({ config })).headers.get('Set-Cookie').split(';')[0];
+    assert.ok(await verifyLoginSession(config, withCookie('/', `other=1; ${cookie}`)));
+
+    const [name, value] = cookie.split('=');
+    const [sessionId, expiresAt, username, role, epoch, signature] = value.split('.');
+    assert.equal(await verifyLoginSession(config, withCookie('/', `${name}=${sessionId}.${Number(expiresAt) + 60}.${username}.${role}.${epoch}.${signature}`)), null);
+    assert.equal(await verifyLoginSession(config, withCookie('/', `${name}=${sessionId}.${expiresAt}.${username}.${role}.${epoch}.${'0'.repeat(64)}`)), null);
+    assert.equal(await verifyLoginSession(createProxyConfig({ PASSWORD: 'changed' }), withCookie('/', cookie)), null);
+
+    const expired = createProxyConfig({ PASSWORD, LOGIN_SESSION_TTL: '-1' });
+    const expiredCookie = (await login({ config: expired })).headers.get('Set-Cookie').split(';')[0];
+    assert.equal(await verifyLoginSession(expired, withCookie('/', expiredCookie)), null);
+});
+
+test('代理会话凭登录 Cookie 签发，有效期不超过登录有效期', async () => {
+    const options = { config: createProxyConfig({ PASSWORD, LOGIN_SESSION_TTL: '120', PROXY_SESSION_TTL: '86400' }) };
+    const denied = await handleProxyRequest(new Request('https://tv.example.com/proxy/session', { method: 'POST' }), options);
+    assert.equal(denied.status, 401);
+
+    const loginResponse = await login(options);
+    const { expiresAt } = await loginResponse.json();
+    const cookie = loginResponse.headers.get('Set-Cookie').split(';')[0];
+    const session = await (await handleProxyRequest(withCookie('/proxy/session', cookie, { method: 'POST' }), options)).json();
+    assert.equal(session.success, true);
+    assert.ok(session.expiresAt <= expiresAt);
+});
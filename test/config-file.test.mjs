@@ -0,0 +1,131 @@
+// 配置文件（js/config-file.js）测试：页面脚本在 vm 中加载
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const JS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'js');
+const CONFIG = { name: 'TeslaTV-Settings', time: '1', cfgVer: '2.0.0', data: { doubanEnabled: 'false' }, hash: 'abc' };
+
+function loadConfigFile() {
+    const context = vm.createContext({
+        crypto, TextEncoder, TextDecoder, JSON, atob, btoa, Uint8Array, console,
+        // 页面中由 js/password.js 提供
+        sha256: async message => createHash('sha256').update(message).digest('hex')
+    });
+    context.window = context;
+    // 与页面相同的加载顺序：config.js 中定义了 SEARCH_HISTORY_KEY 等常量
+    for (const file of ['config.js', 'config-file.js']) {
+        vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file });
+    }
+    const names = ['encryptConfigPayload', 'decryptConfigPayload', 'migrateConfigPayload', 'resolveConfigCategory'];
+    return Object.fromEntries(names.map(name => [name, vm.runInContext(name, context)]));
+}
+
+// vm 中创建的对象原型属于另一个上下文，比较前转成本上下文的普通对象
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('加密的配置文件用同一口令解密，口令错误时报错', async () => {
+    const { encryptConfigPayload, decryptConfigPayload } = loadConfigFile();
+    const encrypted = await encryptConfigPayload(CONFIG, '口令');
+    assert.equal(encrypted.data, undefined);
+
+    const decrypted = await decryptConfigPayload(plain(encrypted), '口令');
+    assert.deepEqual(plain(decrypted.data), CONFIG.data);
+    await assert.rejects(decryptConfigPayload(encrypted, '别的口令'), error => error === '口令错误或文件已损坏');
+});
+
+test('拒绝迭代次数异常的文件，不会按文件中的值长时间派生密钥', async () => {
+    const { encryptConfigPayload, decryptConfigPayload } = loadConfigFile();
+    const encrypted = await encryptConfigPayload(CONFIG, '口令');
+    for (const iterations of [1e9, 0, -1, 2.5, '250000', null]) {
+        const tampered = { ...encrypted, encryption: { ...encrypted.encryption, iterations } };
+        await assert.rejects(decryptConfigPayload(tampered, '口令'), error => error === '不支持的加密参数');
+    }
+});
+
+test('1.0.0 的文件升级到当前版本：搜索历史转为对象，观看历史补上 showIdentifier', () => {
+    const { migrateConfigPayload } = loadConfigFile();
+    const config = {
+        name: 'TeslaTV-Settings',
+        data: {
+            videoSearchHistory: JSON.stringify(['剧名', '', { text: '电影', timestamp: 5 }]),
+            viewingHistory: JSON.stringify([
+                { title: '甲', sourceName: '某资源', vod_id: '12', timestamp: 2 },
+                { title: '乙', episodes: ['https://cdn.example.com/1.m3u8'], timestamp: 1 },
+                { title: '丙', showIdentifier: 'kept', timestamp: 3 },
+                'broken'
+            ]),
+            doubanEnabled: 'true'
+        }
+    };
+    const migrated = plain(migrateConfigPayload(config));
+
+    // 没有 cfgVer 的文件按 1.0.0 处理，传入的对象不被修改
+    assert.equal(migrated.cfgVer, '2.0.0');
+    assert.equal(config.cfgVer, undefined);
+    assert.deepEqual(JSON.parse(migrated.data.videoSearchHistory), [{ text: '剧名', timestamp: 0 }, { text: '电影', timestamp: 5 }]);
+    assert.deepEqual(JSON.parse(migrated.data.viewingHistory).map(item => item.showIdentifier), ['某资源_12', 'https://cdn.example.com/1.m3u8', 'kept']);
+    assert.equal(migrated.data.doubanEnabled, 'true');
+
+    assert.throws(() => migrateConfigPayload({ ...config, cfgVer: '0.9.0' }), error => error === '不支持的配置文件版本 0.9.0');
+});
+
+test('设置分类：合并只覆盖文件中的项，替换会删除文件中没有的项', () => {
+    const { resolveConfigCategory } = loadConfigFile();
+    const local = { yellowFilterEnabled: 'true', doubanEnabled: 'true' };
+    const file = { doubanEnabled: 'false', adFilteringEnabled: 'false' };
+
+    assert.deepEqual(plain(resolveConfigCategory('settings', 'merge', local, file)), { adFilteringEnabled: 'false', doubanEnabled: 'false' });
+    const replaced = plain(resolveConfigCategory('settings', 'replace', local, file));
+    assert.equal(replaced.yellowFilterEnabled, null);
+    assert.equal(replaced.doubanEnabled, 'false');
+    assert.equal(replaced.adFilteringEnabled, 'false');
+});
+
+test('观看历史合并：按 showIdentifier 去重，保留较新的一条并按时间倒序', () => {
+    const { resolveConfigCategory } = loadConfigFile();
+    const local = {
+        viewingHistory: JSON.stringify([
+            { title: '甲', showIdentifier: 'src_1', episodeIndex: 1, timestamp: 100 },
+            { title: '乙', showIdentifier: 'src_2', timestamp: 300 }
+        ])
+    };
+    const file = {
+        viewingHistory: JSON.stringify([
+            { title: '甲', showIdentifier: 'src_1', episodeIndex: 5, timestamp: 200 },
+            { title: '乙', showIdentifier: 'src_2', timestamp: 50 },
+            { title: '丙', sourceName: 'src', vod_id: '3', timestamp: 250 }
+        ])
+    };
+    const list = JSON.parse(resolveConfigCategory('viewingHistory', 'merge', local, file).viewingHistory);
+    assert.deepEqual(list.map(item => [item.title, item.timestamp]), [['乙', 300], ['丙', 250], ['甲', 200]]);
+    assert.equal(list[2].episodeIndex, 5);
+
+    // 搜索历史兼容旧的字符串数组，按文字去重
+    const search = resolveConfigCategory('searchHistory', 'merge',
+        { videoSearchHistory: JSON.stringify(['甲', { text: '乙', timestamp: 9 }]) },
+        { videoSearchHistory: JSON.stringify([{ text: '甲', timestamp: 7 }]) });
+    assert.deepEqual(JSON.parse(search.videoSearchHistory), [{ text: '乙', timestamp: 9 }, { text: '甲', timestamp: 7 }]);
+});
+
+test('数据源合并：自定义 API 按地址去重，custom_N 按合并后的下标重新编号', () => {
+    const { resolveConfigCategory } = loadConfigFile();
+    const apiA = { name: 'A', url: 'https://a.example.com/api' };
+    const apiB = { name: 'B', url: 'https://b.example.com/api' };
+    const local = { customAPIs: JSON.stringify([apiA]), selectedAPIs: JSON.stringify(['bfzy', 'custom_0']) };
+    // 文件中 custom_0 是 B（本机没有）、custom_1 是 A（本机的 custom_0），custom_5 不存在
+    const file = { customAPIs: JSON.stringify([apiB, apiA]), selectedAPIs: JSON.stringify(['custom_0', 'custom_1', 'ruyi', 'custom_5']) };
+
+    const merged = resolveConfigCategory('sources', 'merge', local, file);
+    assert.deepEqual(JSON.parse(merged.customAPIs), [apiA, apiB]);
+    assert.deepEqual(JSON.parse(merged.selectedAPIs), ['bfzy', 'custom_0', 'custom_1', 'ruyi']);
+
+    const replaced = resolveConfigCategory('sources', 'replace', local, file);
+    assert.equal(replaced.customAPIs, file.customAPIs);
+    assert.equal(replaced.selectedAPIs, file.selectedAPIs);
+});
@@ -0,0 +1,99 @@
+// 出站地址校验（lib/egress-guard.mjs，以及 lib/proxy-node.mjs 中连接时的校验）的单元测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import {
+    DEFAULT_BLOCKED_CIDRS,
+    EgressDeniedError,
+    assertEgressAllowed,
+    isBlockedIp,
+    parseCidrList,
+    parseIp
+} from '../lib/egress-guard.mjs';
+import { createEgressFetch } from '../lib/proxy-node.mjs';
+
+const blockedCidrs = parseCidrList(DEFAULT_BLOCKED_CIDRS.split(','));
+
+function guardOptions(records) {
+    return {
+        blockedHosts: ['localhost'],
+        blockedCidrs,
+        resolveHost: async hostname => records[hostname] || []
+    };
+}
+
+test('解析 IPv4 与各种 IPv6 写法', () => {
+    assert.deepEqual(parseIp('10.0.0.1'), { version: 4, value: 0x0a000001n });
+    assert.deepEqual(parseIp('::1'), { version: 6, value: 1n });
+    assert.equal(parseIp('::ffff:1.2.3.4').value, 0xffff01020304n);
+    assert.equal(parseIp('fe80::1%eth0').value, 0xfe80n << 112n | 1n);
+    assert.equal(parseIp('2001:db8:0:0:0:0:0:1').value, parseIp('2001:db8::1').value);
+    assert.equal(parseIp('1.2.3'), null);
+    assert.equal(parseIp('256.0.0.1'), null);
+    assert.equal(parseIp('1::2::3'), null);
+    assert.equal(parseIp('example.com'), null);
+});
+
+test('按 CIDR 而不是字符串前缀判断', () => {
+    assert.equal(isBlockedIp('172.16.0.1', blockedCidrs), true);
+    assert.equal(isBlockedIp('172.31.255.255', blockedCidrs), true);
+    assert.equal(isBlockedIp('172.15.0.1', blockedCidrs), false);
+    assert.equal(isBlockedIp('172.32.0.1', blockedCidrs), false);
+    assert.equal(isBlockedIp('100.64.1.1', blockedCidrs), true);
+    assert.equal(isBlockedIp('169.254.169.254', blockedCidrs), true);
+    assert.equal(isBlockedIp('8.8.8.8', blockedCidrs), false);
+});
+
+test('拦截 IPv6 内网、链路本地与 IPv4 映射地址', () => {
+    assert.equal(isBlockedIp('::1', blockedCidrs), true);
+    assert.equal(isBlockedIp('fd00::1', blockedCidrs), true);
+    assert.equal(isBlockedIp('fe80::abcd', blockedCidrs), true);
+    assert.equal(isBlockedIp('::ffff:192.168.1.1', blockedCidrs), true);
+    assert.equal(isBlockedIp('::ffff:c0a8:101', blockedCidrs), true);
+    assert.equal(isBlockedIp('::ffff:8.8.8.8', blockedCidrs), false);
+    assert.equal(isBlockedIp('2606:4700:4700::1111', blockedCidrs), false);
+    assert.equal(isBlockedIp('not-an-ip', blockedCidrs), true);
+});
+
+test('忽略无效的 CIDR 条目', () => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(parseCidrList(['10.0.0.0/33', 'fc00::/129', 'bogus', '10.0.0.0/8']).length, 1);
+    } finally {
+        console.warn = originalWarn;
+    }
+});
+
+test('任一解析结果命中黑名单即拒绝', async () => {
+    const options = guardOptions({
+        'public.example.com': ['93.184.216.34'],
+        'mixed.example.com': ['93.184.216.34', '10.1.2.3']
+    });
+    await assert.doesNotReject(assertEgressAllowed('https://public.example.com/a.m3u8', options));
+    await assert.rejects(assertEgressAllowed('https://mixed.example.com/', options), { status: 403 });
+    await assert.rejects(assertEgressAllowed('http://app.localhost/', options), EgressDeniedError);
+    await assert.rejects(assertEgressAllowed('http://unknown.example.com/', options), { status: 502 });
+    await assert.rejects(assertEgressAllowed('ftp://public.example.com/', options), { status: 400 });
+});
+
+test('连接时校验实际连接的地址：解析到内网的主机名在建立连接前被拒绝', async () => {
+    const server = http.createServer((req, res) => res.end('internal'));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    // 模拟 DNS 重绑定：出站校验时已放行，真正连接时 localhost 解析为 127.0.0.1
+    const url = `http://localhost:${server.address().port}/`;
+
+    try {
+        const error = await createEgressFetch({ blockedCidrs })(url).then(() => null, error => error);
+        assert.ok(error.cause instanceof EgressDeniedError);
+        assert.match(error.cause.message, /禁止访问内网或保留地址: localhost/);
+
+        const allowed = await createEgressFetch({ blockedCidrs: parseCidrList(['10.0.0.0/8']) })(url);
+        assert.equal(await allowed.text(), 'internal');
+    } finally {
+        server.close();
+    }
+});
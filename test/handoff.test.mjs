@@ -0,0 +1,124 @@
+// 配置传输（lib/handoff-core.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { createMemoryCache } from '../lib/proxy-core.mjs';
+import {
+    createHandoffConfig,
+    createVercelKvHandoffStore,
+    generateHandoffCode,
+    handleHandoffRequest,
+    normalizeHandoffCode
+} from '../lib/handoff-core.mjs';
+import { createEndlessBody, createTestClient } from './helpers.mjs';
+
+const JS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'js');
+const PASSWORD = 'handoff-test';
+const BUNDLE = JSON.stringify({ name: 'TeslaTV-Settings', time: '1', cfgVer: '2.0.0', data: { doubanEnabled: 'false' }, hash: 'abc' });
+
+function createHandoffClient(env = {}) {
+    const { options, loginCookie, request } = createTestClient({
+        password: PASSWORD,
+        handoffStore: createMemoryCache(),
+        handoffConfig: createHandoffConfig(env)
+    });
+    const login = () => loginCookie({ password: PASSWORD });
+    return { options, login, handoff: request(handleHandoffRequest, '/api/handoff') };
+}
+
+test('传输码只包含不易混淆的字符，输入时忽略大小写、空格与连字符', () => {
+    for (let i = 0; i < 20; i++) {
+        assert.match(generateHandoffCode(), /^[A-HJ-NP-Z2-9]{8}$/);
+    }
+    assert.equal(normalizeHandoffCode('abcd-2345'), 'ABCD2345');
+    assert.equal(normalizeHandoffCode(' ABCD 2345 '), 'ABCD2345');
+    assert.equal(normalizeHandoffCode('ABCD0345'), null);
+    assert.equal(normalizeHandoffCode(null), null);
+});
+
+test('登录后提交配置换取传输码，凭传输码读取原文，过期后失效', async (t) => {
+    const { login, handoff } = createHandoffClient({ HANDOFF_TTL: '60' });
+    assert.equal((await handoff('', { method: 'POST', body: BUNDLE })).status, 401);
+
+    const cookie = await login();
+    const created = await handoff(cookie, { method: 'POST', body: BUNDLE });
+    assert.equal(created.status, 201);
+    const { code, expiresAt } = await created.json();
+    assert.ok(expiresAt > Date.now());
+
+    const fetched = await handoff(cookie, {}, `?code=${code.toLowerCase()}`);
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.headers.get('Content-Type'), 'application/json');
+    assert.equal(await fetched.text(), BUNDLE);
+    // 有效期内可以重复读取
+    assert.equal((await handoff(cookie, {}, `?code=${code}`)).status, 200);
+    assert.equal((await handoff('', {}, `?code=${code}`)).status, 401);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 61_000 });
+    assert.equal((await handoff(cookie, {}, `?code=${code}`)).status, 404);
+});
+
+test('拒绝非配置文件与超过 HANDOFF_MAX_BYTES 的数据，未配置存储时返回 501', async () => {
+    const { options, login, handoff } = createHandoffClient({ HANDOFF_MAX_BYTES: '200' });
+    const cookie = await login();
+    assert.equal((await handoff(cookie, { method: 'POST', body: '{"hello": "world"}' })).status, 400);
+    assert.equal((await handoff(cookie, { method: 'POST', body: 'not json' })).status, 400);
+    const large = JSON.stringify({ name: 'TeslaTV-Settings', hash: 'x', data: { customAPIs: 'x'.repeat(300) } });
+    assert.equal((await handoff(cookie, { method: 'POST', body: large })).status, 413);
+    // 分块传输没有 Content-Length，读到上限即停止
+    const { body, stats } = createEndlessBody();
+    assert.equal((await handoff(cookie, { method: 'POST', body, duplex: 'half' })).status, 413);
+    assert.ok(stats.cancelled);
+    assert.ok(stats.bytes < 1000);
+    assert.equal((await handoff(cookie, {}, '?code=bad')).status, 404);
+    assert.equal((await handoff(cookie, { method: 'DELETE' })).status, 405);
+
+    const unconfigured = await handleHandoffRequest(new Request('https://tv.example.com/api/handoff', {
+        headers: { 'Cookie': cookie }
+    }), { config: options.config });
+    assert.equal(unconfigured.status, 501);
+});
+
+test('页面中 js/api.js 拦截 fetch 后，传输配置的请求仍发给服务端', async () => {
+    const { login, handoff } = createHandoffClient();
+    const cookie = await login();
+    // 与 index.html 相同的加载顺序：api.js 先替换 window.fetch，config-handoff.js 之后才加载
+    const context = vm.createContext({
+        URL, Request, Response, TextEncoder, TextDecoder, JSON, console,
+        location: { origin: 'https://tv.example.com' },
+        document: { addEventListener() {} },
+        fetch: (input, init = {}) => handoff(cookie, init, new URL(input, 'https://tv.example.com').search)
+    });
+    context.window = context;
+    for (const file of ['api.js', 'config-handoff.js']) {
+        vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file });
+    }
+
+    const created = await vm.runInContext('createConfigHandoff', context)(JSON.parse(BUNDLE));
+    assert.match(created.code, /^[A-HJ-NP-Z2-9]{8}$/);
+    const fetched = await context.fetch(`/api/handoff?code=${created.code}`);
+    assert.equal(await fetched.text(), BUNDLE);
+});
+
+test('Vercel KV 存储：写入时带 EX 过期时间', async () => {
+    const data = new Map();
+    const calls = [];
+    const store = createVercelKvHandoffStore({
+        url: 'https://kv.example.com/',
+        token: 'kv-token',
+        fetch: async (url, init = {}) => {
+            calls.push([init.method || 'GET', url]);
+            const [, command, key] = new URL(url).pathname.split('/').map(decodeURIComponent);
+            if (command === 'set') data.set(key, init.body);
+            return Response.json({ result: command === 'set' ? 'OK' : data.get(key) ?? null });
+        }
+    });
+    assert.equal(await store.get('handoff:ABCD2345'), null);
+    await store.put('handoff:ABCD2345', BUNDLE, { expirationTtl: 600 });
+    assert.equal(await store.get('handoff:ABCD2345'), BUNDLE);
+    assert.deepEqual(calls[1], ['POST', 'https://kv.example.com/set/handoff%3AABCD2345?EX=600']);
+});
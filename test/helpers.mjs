@@ -0,0 +1,58 @@
+// 测试共用的工具：按测试需要的存储组装处理函数的 options，封装登录与携带登录 Cookie 的请求；构造测试用的请求体
+
+import { handleLoginRequest } from '../lib/auth-core.mjs';
+import { createProxyConfig } from '../lib/proxy-core.mjs';
+
+export const TEST_ORIGIN = 'https://tv.example.com';
+
+/**
+ * 不断产生数据、没有 Content-Length 的请求体，用来确认服务端超过上限后停止读取。
+ * @param {number} [chunkBytes]
+ * @returns {{body: ReadableStream, stats: {bytes: number, cancelled: boolean}}}
+ */
+export function createEndlessBody(chunkBytes = 64) {
+    const stats = { bytes: 0, cancelled: false };
+    const body = new ReadableStream({
+        pull(controller) {
+            stats.bytes += chunkBytes;
+            controller.enqueue(new TextEncoder().encode('x'.repeat(chunkBytes)));
+        },
+        cancel() {
+            stats.cancelled = true;
+        }
+    });
+    return { body, stats };
+}
+
+/**
+ * 取出登录响应签发的 Cookie（"name=value"），可直接放进请求的 Cookie 头。
+ * @param {Response} response - handleLoginRequest 的返回值
+ */
+export function cookieOf(response) {
+    return response.headers.get('Set-Cookie').split(';')[0];
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.password - 共享密码 PASSWORD
+ * @param {object} [options.env] - createProxyConfig 的其他环境变量，LOG_LEVEL 默认为 silent
+ * @param {...*} [options.services] - 其余字段原样放进 options，如 userStore、syncStore
+ */
+export function createTestClient({ password, env = {}, ...services }) {
+    const options = {
+        config: createProxyConfig({ PASSWORD: password, LOG_LEVEL: 'silent', ...env }),
+        ...services
+    };
+    // extra 用于单次请求附加的选项，如 clientAddress
+    const login = (credentials, extra = {}) => handleLoginRequest(new Request(`${TEST_ORIGIN}/api/login`, {
+        method: 'POST',
+        body: JSON.stringify(credentials)
+    }), { ...options, ...extra });
+    const loginCookie = async credentials => cookieOf(await login(credentials));
+    // 为某个接口生成 (cookie, init, query) => Response 形式的请求函数
+    const request = (handler, pathname) => (cookie, init = {}, query = '') => handler(new Request(`${TEST_ORIGIN}${pathname}${query}`, {
+        ...init,
+        headers: { 'Cookie': cookie, ...init.headers }
+    }), options);
+    return { options, login, loginCookie, request };
+}
@@ -0,0 +1,91 @@
+// 结构化日志（lib/logger.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, redact, resolveLogLevel } from '../lib/logger.mjs';
+import { createProxyConfig, handleProxyRequest, signProxyTarget } from '../lib/proxy-core.mjs';
+import { handleLoginRequest } from '../lib/auth-core.mjs';
+
+const PASSWORD = 'logger-test';
+
+function createCapturingLogger(level = 'debug') {
+    const entries = [];
+    const logger = createLogger({ level, write: (entryLevel, line) => entries.push(JSON.parse(line)) });
+    return { logger, entries };
+}
+
+test('日志级别：LOG_LEVEL 优先，DEBUG=true 时默认 debug', () => {
+    assert.equal(resolveLogLevel({}), 'info');
+    assert.equal(resolveLogLevel({ DEBUG: 'true' }), 'debug');
+    assert.equal(resolveLogLevel({ DEBUG: 'true', LOG_LEVEL: 'WARN' }), 'warn');
+    assert.equal(resolveLogLevel({ LOG_LEVEL: 'verbose' }), 'info');
+
+    const { logger, entries } = createCapturingLogger('warn');
+    logger.info('忽略');
+    logger.warn('保留', { count: 1 });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].level, 'warn');
+    assert.equal(entries[0].msg, '保留');
+    assert.equal(entries[0].count, 1);
+});
+
+test('子记录器附带固定字段，敏感字段与 URL 参数被脱敏', () => {
+    const { logger, entries } = createCapturingLogger();
+    logger.child({ requestId: 'req-12345678' }).info('请求', {
+        password: 'hunter2',
+        config: { signingSecret: 'x', metricsToken: 'y', port: 8080 },
+        url: '/proxy/https%3A%2F%2Fa.example.com%2Fx.m3u8%3Fsig%3Dabc?s=tok.1&e=9&sig=deadbeef&rid=r1',
+        error: new Error('auth=abc 失败')
+    });
+
+    const [entry] = entries;
+    assert.equal(entry.requestId, 'req-12345678');
+    assert.equal(entry.password, '[REDACTED]');
+    assert.deepEqual(entry.config, { signingSecret: '[REDACTED]', metricsToken: '[REDACTED]', port: 8080 });
+    assert.equal(entry.url, '/proxy/https%3A%2F%2Fa.example.com%2Fx.m3u8%3Fsig%3D[REDACTED]?s=[REDACTED]&e=9&sig=[REDACTED]&rid=r1');
+    assert.deepEqual(entry.error, { name: 'Error', message: 'auth=abc 失败' });
+    assert.equal(redact('?auth=abc'), '?auth=[REDACTED]');
+});
+
+test('代理访问日志带请求 ID，子链接请求通过 parentRequestId 关联播放列表', async () => {
+    const { logger, entries } = createCapturingLogger('info');
+    const options = {
+        config: createProxyConfig({ PASSWORD }),
+        resolveHost: async () => ['93.184.216.34'],
+        fetch: async (url) => url.endsWith('.m3u8')
+            ? new Response('#EXTM3U\n#EXTINF:4,\nseg-0.ts\n#EXT-X-ENDLIST\n', { headers: { 'Content-Type': 'application/vnd.apple.mpegurl' } })
+            : new Response(new Uint8Array(10), { headers: { 'Content-Type': 'video/mp2t' } }),
+        logger
+    };
+    const login = await handleLoginRequest(new Request('https://tv.example.com/api/login', {
+        method: 'POST',
+        body: JSON.stringify({ password: PASSWORD })
+    }), options);
+    const session = await (await handleProxyRequest(new Request('https://tv.example.com/proxy/session', {
+        method: 'POST',
+        headers: { 'Cookie': login.headers.get('Set-Cookie').split(';')[0] }
+    }), options)).json();
+
+    const target = 'https://cdn.example.com/live/index.m3u8';
+    const expiresAt = Math.floor(Date.now() / 1000) + 600;
+    const sig = await signProxyTarget(session.key, target, expiresAt);
+    const playlist = await handleProxyRequest(new Request(
+        `https://tv.example.com/proxy/${encodeURIComponent(target)}?s=${session.token}&e=${expiresAt}&sig=${sig}`,
+        { headers: { 'X-Request-Id': 'upstream-proxy-id-1' } }
+    ), options);
+    assert.equal(playlist.headers.get('x-request-id'), 'upstream-proxy-id-1');
+
+    const segmentPath = (await playlist.text()).split('\n').find(line => line.startsWith('/proxy/'));
+    const segment = await handleProxyRequest(new Request(`https://tv.example.com${segmentPath}`), options);
+    await segment.arrayBuffer();
+
+    const accessLogs = entries.filter(entry => entry.msg === 'proxy request');
+    assert.equal(accessLogs.length, 3);
+    const [, playlistLog, segmentLog] = accessLogs;
+    assert.equal(playlistLog.requestId, 'upstream-proxy-id-1');
+    assert.equal(playlistLog.status, 200);
+    assert.equal(segmentLog.parentRequestId, 'upstream-proxy-id-1');
+    assert.notEqual(segmentLog.requestId, playlistLog.requestId);
+    assert.equal(segmentLog.target, 'https://cdn.example.com/live/seg-0.ts');
+    assert.ok(!JSON.stringify(entries).includes(session.token), '日志中不应出现会话令牌');
+});
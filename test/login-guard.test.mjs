@@ -0,0 +1,110 @@
+// 登录防暴力破解（lib/login-guard.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveOperatorToken, handleLoginRequest } from '../lib/auth-core.mjs';
+import { createLoginGuard, createLoginGuardConfig } from '../lib/login-guard.mjs';
+import { createMemoryCache } from '../lib/proxy-core.mjs';
+import { createTestClient } from './helpers.mjs';
+
+const PASSWORD = 'guard-test';
+
+function createLoginClient(env = {}) {
+    const client = createTestClient({ password: PASSWORD, env, loginGuardStore: createMemoryCache() });
+    const login = (password, clientAddress = '203.0.113.7') => client.login({ password }, { clientAddress });
+    return { options: client.options, login };
+}
+
+// 在回调执行期间把 Date.now 固定为可调整的时间
+async function withClock(callback) {
+    const realNow = Date.now;
+    let now = realNow();
+    Date.now = () => now;
+    try {
+        await callback(seconds => { now += seconds * 1000; });
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test('同一 IP 连续失败达到阈值后锁定，锁定期间正确的密码也被拒绝', async () => {
+    const { login } = createLoginClient({ LOGIN_MAX_ATTEMPTS: '3' });
+
+    assert.equal((await (await login('wrong')).json()).remainingAttempts, 2);
+    assert.equal((await (await login('wrong')).json()).remainingAttempts, 1);
+    const locked = await login('wrong');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.headers.get('Retry-After'), '60');
+    assert.match((await locked.json()).error, /尝试次数过多/);
+
+    assert.equal((await login(PASSWORD)).status, 429);
+    // 其他 IP 不受影响
+    assert.equal((await login(PASSWORD, '198.51.100.1')).status, 200);
+});
+
+test('锁定时长随失败次数指数增长，不超过上限；登录成功后计数清零', async () => {
+    const store = createMemoryCache();
+    const config = createLoginGuardConfig({ LOGIN_MAX_ATTEMPTS: '2', LOGIN_LOCKOUT_SECONDS: '60', LOGIN_LOCKOUT_MAX_SECONDS: '200' });
+    const guard = createLoginGuard({ store, config });
+    const ip = '203.0.113.8';
+
+    await withClock(async (advance) => {
+        assert.deepEqual(await guard.recordFailure(ip, 'default'), { locked: false, remainingAttempts: 1 });
+        assert.deepEqual(await guard.recordFailure(ip, 'default'), { locked: true, retryAfter: 60 });
+        assert.equal((await guard.check(ip, 'default')).allowed, false);
+
+        advance(61);
+        assert.equal((await guard.check(ip, 'default')).allowed, true);
+        assert.equal((await guard.recordFailure(ip, 'default')).retryAfter, 120);
+        advance(121);
+        assert.equal((await guard.recordFailure(ip, 'default')).retryAfter, 200);
+
+        advance(201);
+        await guard.recordSuccess(ip, 'default');
+        assert.deepEqual(await guard.recordFailure(ip, 'default'), { locked: false, remainingAttempts: 1 });
+
+        // 安静期过后重新计数
+        advance(config.failureWindowSeconds + 1);
+        assert.deepEqual(await guard.recordFailure(ip, 'default'), { locked: false, remainingAttempts: 1 });
+    });
+});
+
+test('账户的失败次数跨 IP 累计', async () => {
+    const { login } = createLoginClient({ LOGIN_MAX_ATTEMPTS: '10', LOGIN_ACCOUNT_MAX_ATTEMPTS: '3' });
+    for (const ip of ['203.0.113.1', '203.0.113.2']) {
+        assert.equal((await login('wrong', ip)).status, 401);
+    }
+    assert.equal((await login('wrong', '203.0.113.3')).status, 429);
+    assert.equal((await login(PASSWORD, '203.0.113.4')).status, 429);
+});
+
+test('LOGIN_LOCKOUT_BYPASS 中的地址不计数也不锁定', async () => {
+    const { login } = createLoginClient({ LOGIN_MAX_ATTEMPTS: '1', LOGIN_LOCKOUT_BYPASS: '192.168.0.0/16, 2001:db8::1' });
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await login('wrong', '192.168.1.20')).status, 401);
+    }
+    assert.equal((await login(PASSWORD, '2001:db8::1')).status, 200);
+    assert.equal((await login('wrong', '203.0.113.9')).status, 429);
+});
+
+test('运维令牌可以解除锁定，错误的令牌被拒绝', async () => {
+    const { options, login } = createLoginClient({ LOGIN_MAX_ATTEMPTS: '1' });
+    assert.equal((await login('wrong')).status, 429);
+
+    const unlock = (target, token) => handleLoginRequest(new Request(`https://tv.example.com/api/login?unlock=${encodeURIComponent(target)}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+    }), options);
+
+    assert.equal((await unlock('all', 'not-the-token')).status, 401);
+    const token = await deriveOperatorToken(options.config);
+    assert.equal((await unlock('everything', token)).status, 400);
+
+    assert.equal((await unlock('ip:203.0.113.7', token)).status, 200);
+    // 账户计数仍在（阈值默认 20），IP 已解除
+    assert.equal((await login(PASSWORD)).status, 200);
+
+    assert.equal((await login('wrong')).status, 429);
+    assert.equal((await unlock('all', token)).status, 200);
+    assert.equal((await login(PASSWORD)).status, 200);
+});
@@ -0,0 +1,109 @@
+// 运行指标与就绪检查（lib/metrics.mjs、lib/health.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryCache, createProxyConfig, handleProxyRequest, signProxyTarget } from '../lib/proxy-core.mjs';
+import { handleLoginRequest } from '../lib/auth-core.mjs';
+import { createProxyMetrics } from '../lib/metrics.mjs';
+import { createReadinessCheck, createReadinessConfig } from '../lib/health.mjs';
+
+const PASSWORD = 'metrics-test';
+
+function sample(text, name) {
+    const line = text.split('\n').find(l => l.startsWith(`${name} `));
+    return line === undefined ? undefined : Number(line.slice(name.length + 1));
+}
+
+test('代理请求按状态码、缓存命中、鉴权失败、上游耗时与流量统计', async () => {
+    const metrics = createProxyMetrics();
+    const options = {
+        config: createProxyConfig({ PASSWORD }),
+        cache: createMemoryCache(),
+        resolveHost: async () => ['93.184.216.34'],
+        waitUntil: () => {},
+        fetch: async (url) => url.endsWith('.ts')
+            ? new Response(new Uint8Array(100), { headers: { 'Content-Type': 'video/mp2t', 'Content-Length': '100' } })
+            : Response.json({ list: [] }),
+        metrics
+    };
+    const login = password => handleLoginRequest(new Request('https://tv.example.com/api/login', {
+        method: 'POST',
+        body: JSON.stringify({ password })
+    }), options);
+    const createSession = headers => handleProxyRequest(new Request('https://tv.example.com/proxy/session', {
+        method: 'POST',
+        headers
+    }), options);
+
+    assert.equal((await login('wrong')).status, 401);
+    assert.equal((await createSession({})).status, 401);
+    const cookie = (await login(PASSWORD)).headers.get('Set-Cookie').split(';')[0];
+    const session = await (await createSession({ 'Cookie': cookie })).json();
+    const request = async (target, signed = true) => {
+        const expiresAt = Math.floor(Date.now() / 1000) + 600;
+        const sig = await signProxyTarget(session.key, target, expiresAt);
+        const query = signed ? `?s=${session.token}&e=${expiresAt}&sig=${sig}` : '';
+        return handleProxyRequest(new Request(`https://tv.example.com/proxy/${encodeURIComponent(target)}${query}`), options);
+    };
+
+    const api = 'https://api.example.com/api.php/provide/vod/?ac=list';
+    await (await request(api)).text();
+    await new Promise(resolve => setTimeout(resolve, 0)); // 等待后台写入缓存
+    await (await request(api)).text();
+    await (await request('https://cdn.example.com/seg-1.ts')).arrayBuffer();
+    assert.equal((await request(api, false)).status, 401);
+
+    const text = metrics.render();
+    assert.equal(sample(text, 'teslatv_proxy_requests_total{status="200"}'), 4);
+    assert.equal(sample(text, 'teslatv_proxy_requests_total{status="401"}'), 2);
+    assert.equal(sample(text, 'teslatv_proxy_auth_failures_total{reason="password"}'), 1);
+    assert.equal(sample(text, 'teslatv_proxy_auth_failures_total{reason="login"}'), 1);
+    assert.equal(sample(text, 'teslatv_proxy_auth_failures_total{reason="signature"}'), 1);
+    assert.equal(sample(text, 'teslatv_proxy_cache_lookups_total{tier="text",result="hit"}'), 1);
+    assert.equal(sample(text, 'teslatv_proxy_cache_lookups_total{tier="text",result="miss"}'), 1);
+    assert.equal(sample(text, 'teslatv_proxy_cache_hit_ratio{tier="text"}'), 0.5);
+    assert.equal(sample(text, 'teslatv_proxy_bytes_total{kind="media"}'), 100);
+    assert.ok(sample(text, 'teslatv_proxy_bytes_total{kind="text"}') > 0);
+    assert.equal(sample(text, 'teslatv_proxy_upstream_duration_seconds_count{host="api.example.com"}'), 1);
+    assert.equal(sample(text, 'teslatv_proxy_upstream_duration_seconds_bucket{host="cdn.example.com",le="+Inf"}'), 1);
+});
+
+test('上游主机标签数量超过上限后归入 other', () => {
+    const metrics = createProxyMetrics({ maxHostLabels: 2 });
+    for (const host of ['a.example.com', 'b.example.com', 'c.example.com', 'd.example.com']) {
+        metrics.observeUpstream(host, 0.2);
+    }
+    const text = metrics.render();
+    assert.equal(sample(text, 'teslatv_proxy_upstream_duration_seconds_count{host="other"}'), 2);
+    assert.equal(sample(text, 'teslatv_proxy_upstream_duration_seconds_bucket{host="a.example.com",le="0.25"}'), 1);
+    assert.equal(sample(text, 'teslatv_proxy_upstream_duration_seconds_bucket{host="a.example.com",le="0.1"}'), 0);
+});
+
+test('就绪检查要求设置密码且足够多的源可访问，探测结果会被缓存', async () => {
+    const sources = ['up', 'down', 'also-up'].map(code => ({ code, name: code, api: `https://${code}.example.com/api.php` }));
+    const probed = [];
+    const fetch = async (url) => {
+        probed.push(url);
+        return new Response('{}', { status: url.includes('down') ? 502 : 200 });
+    };
+    const check = (env, password = PASSWORD) => createReadinessCheck({
+        proxyConfig: createProxyConfig({ PASSWORD: password }),
+        sources,
+        readinessConfig: createReadinessConfig(env),
+        fetch
+    });
+
+    const ready = check({ READY_MIN_SOURCES: '2' });
+    const result = await ready();
+    assert.equal(result.ready, true);
+    assert.equal(result.checks.sources.reachable, 2);
+    await ready();
+    assert.equal(probed.length, 3);
+
+    assert.equal((await check({ READY_MIN_SOURCES: '3' })()).ready, false);
+    assert.equal((await check({ READY_MIN_SOURCES: '1', READY_PROBE_SOURCES: '2' })()).checks.sources.results.length, 2);
+
+    const noPassword = await check({ READY_MIN_SOURCES: '0' }, '')();
+    assert.equal(noPassword.ready, false);
+    assert.equal(noPassword.checks.sources, undefined);
+});
@@ -0,0 +1,186 @@
+// 观看派对（lib/party-core.mjs、lib/remote-node.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { handleLoginRequest } from '../lib/auth-core.mjs';
+import { PARTY_CLOSE_CODES, createPartyHub, normalizePartyMedia, normalizePartyPlayback } from '../lib/party-core.mjs';
+import { createMemoryCache, createProxyConfig } from '../lib/proxy-core.mjs';
+import { createPartyUpgradeHandler } from '../lib/remote-node.mjs';
+import { createKvUserBackend, createUserStore } from '../lib/user-store.mjs';
+
+const PASSWORD = 'party-test';
+const MEDIA = { title: '剧名', sourceCode: 'bfzy', vodId: 12, episodeIndex: 2 };
+
+function createPeer() {
+    const peer = {
+        messages: [],
+        closed: null,
+        send: text => peer.messages.push(JSON.parse(text)),
+        close: (code, reason) => {
+            peer.closed = { code, reason };
+        }
+    };
+    return peer;
+}
+
+test('同步消息校验：节目与播放状态', () => {
+    assert.deepEqual(normalizePartyMedia(MEDIA), { ...MEDIA, vodId: '12' });
+    assert.deepEqual(normalizePartyMedia({ ...MEDIA, customApi: 'https://api.example.com', customDetail: '' }),
+        { ...MEDIA, vodId: '12', customApi: 'https://api.example.com' });
+    assert.equal(normalizePartyMedia({ ...MEDIA, customApi: 'javascript:alert(1)' }), null);
+    assert.equal(normalizePartyMedia({ ...MEDIA, episodeIndex: -1 }), null);
+    assert.equal(normalizePartyMedia({ ...MEDIA, title: '' }), null);
+
+    assert.deepEqual(normalizePartyPlayback({ paused: false, currentTime: 10 }), { paused: false, currentTime: 10, playbackRate: 1 });
+    assert.equal(normalizePartyPlayback({ paused: 'no', currentTime: 10 }), null);
+    assert.equal(normalizePartyPlayback({ paused: true, currentTime: -1 }), null);
+    assert.equal(normalizePartyPlayback({ paused: true, currentTime: 1, playbackRate: 0 }), null);
+});
+
+test('房间：成员收到推算后的进度，主持人离开时房间结束', () => {
+    let now = 1000;
+    const hub = createPartyHub({ maxMembers: 1, now: () => now });
+    const host = createPeer();
+    const room = hub.openRoom({ username: 'alice' }, host);
+    assert.match(room, /^[A-Z2-9]{8}$/);
+    assert.deepEqual(host.messages.shift(), { type: 'room', room });
+
+    hub.receive(host, JSON.stringify({ type: 'sync', media: MEDIA, playback: { paused: false, currentTime: 30, playbackRate: 2 } }));
+
+    // 其他账户同样可以加入；3 秒后加入，按 2 倍速推算到 36 秒
+    now += 3000;
+    const member = createPeer();
+    assert.equal(hub.joinRoom({ username: 'bob' }, room.toLowerCase(), member), null);
+    assert.deepEqual(member.messages.shift(), {
+        type: 'joined',
+        host: 'alice',
+        state: { media: { ...MEDIA, vodId: '12' }, playback: { paused: false, currentTime: 36, playbackRate: 2 } }
+    });
+    assert.deepEqual(host.messages.shift(), { type: 'members', count: 1 });
+    assert.equal(hub.joinRoom({ username: 'carol' }, room, createPeer()), PARTY_CLOSE_CODES.full);
+    assert.equal(hub.joinRoom({ username: 'carol' }, 'ZZZZZZZZ', createPeer()), PARTY_CLOSE_CODES.notFound);
+
+    // 成员的消息与不合法的同步消息都被忽略
+    hub.receive(member, JSON.stringify({ type: 'sync', media: MEDIA, playback: { paused: true, currentTime: 0 } }));
+    hub.receive(host, JSON.stringify({ type: 'sync', media: MEDIA, playback: { paused: true } }));
+    assert.deepEqual(member.messages, []);
+
+    hub.receive(host, JSON.stringify({ type: 'sync', media: { ...MEDIA, episodeIndex: 3 }, playback: { paused: true, currentTime: 0 } }));
+    assert.deepEqual(member.messages.shift(), {
+        type: 'sync',
+        media: { ...MEDIA, vodId: '12', episodeIndex: 3 },
+        playback: { paused: true, currentTime: 0, playbackRate: 1 }
+    });
+
+    hub.leave(host);
+    assert.equal(hub.size, 0);
+    assert.equal(member.closed.code, PARTY_CLOSE_CODES.hostLeft);
+});
+
+test('自定义源地址只转发给同一账户的成员，主持人选择分享时才转发给其他账户', () => {
+    const customMedia = { ...MEDIA, sourceCode: 'custom_0', customApi: 'https://private.example.com/api', customDetail: 'https://private.example.com/detail' };
+    const sync = JSON.stringify({ type: 'sync', media: customMedia, playback: { paused: true, currentTime: 0 } });
+    const hub = createPartyHub();
+
+    const host = createPeer();
+    const room = hub.openRoom({ username: 'alice' }, host);
+    const sameAccount = createPeer();
+    const otherAccount = createPeer();
+    hub.joinRoom({ username: 'alice' }, room, sameAccount);
+    hub.joinRoom({ username: 'bob' }, room, otherAccount);
+    sameAccount.messages.length = 0;
+    otherAccount.messages.length = 0;
+
+    hub.receive(host, sync);
+    assert.equal(sameAccount.messages.shift().media.customApi, customMedia.customApi);
+    const stripped = otherAccount.messages.shift().media;
+    assert.equal(stripped.customApi, undefined);
+    assert.equal(stripped.customDetail, undefined);
+    assert.equal(stripped.sourceCode, 'custom_0');
+    // 中途加入的成员同样收不到
+    const lateMember = createPeer();
+    hub.joinRoom({ username: 'carol' }, room, lateMember);
+    assert.equal(lateMember.messages.shift().state.media.customApi, undefined);
+
+    const sharingHost = createPeer();
+    const sharedRoom = hub.openRoom({ username: 'alice' }, sharingHost, { shareCustomApi: true });
+    hub.receive(sharingHost, sync);
+    const guest = createPeer();
+    hub.joinRoom({ username: 'bob' }, sharedRoom, guest);
+    assert.equal(guest.messages.shift().state.media.customDetail, customMedia.customDetail);
+});
+
+test('WebSocket 接入：登录后创建房间，主持人的同步转发给成员', async () => {
+    const config = createProxyConfig({ PASSWORD, LOG_LEVEL: 'silent' });
+    const userStore = createUserStore(createKvUserBackend(createMemoryCache()));
+    const server = http.createServer();
+    server.on('upgrade', createPartyUpgradeHandler({ config, hub: createPartyHub(), userStore }));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const origin = `127.0.0.1:${server.address().port}`;
+
+    const login = await handleLoginRequest(new Request(`http://${origin}/api/login`, {
+        method: 'POST',
+        body: JSON.stringify({ password: PASSWORD })
+    }), { config, userStore });
+    const cookie = login.headers.get('Set-Cookie').split(';')[0];
+    const connect = (query, headers = { Cookie: cookie }) => new WebSocket(`ws://${origin}/api/party?${query}`, { headers });
+    const nextMessage = async (ws) => JSON.parse((await once(ws, 'message'))[0].toString());
+    const rejectedStatus = async (ws) => (await once(ws, 'unexpected-response'))[1].statusCode;
+
+    try {
+        assert.equal(await rejectedStatus(connect('role=host', {})), 401);
+        assert.equal(await rejectedStatus(connect('role=player')), 400);
+
+        const host = connect('role=host');
+        const { room } = await nextMessage(host);
+
+        const member = connect(`role=member&room=${room}`);
+        assert.deepEqual(await nextMessage(member), { type: 'joined', host: 'default', state: null });
+        assert.deepEqual(await nextMessage(host), { type: 'members', count: 1 });
+
+        host.send(JSON.stringify({ type: 'sync', media: MEDIA, playback: { paused: true, currentTime: 5 } }));
+        const sync = await nextMessage(member);
+        assert.equal(sync.media.episodeIndex, 2);
+        assert.equal(sync.playback.currentTime, 5);
+
+        const closed = once(member, 'close');
+        host.close();
+        assert.equal((await closed)[0], PARTY_CLOSE_CODES.hostLeft);
+    } finally {
+        server.close();
+    }
+});
+
+test('WebSocket 接入：连续猜错房间号后锁定，正确的房间号也暂时不能加入', async () => {
+    const config = createProxyConfig({ PASSWORD, LOG_LEVEL: 'silent', LOGIN_MAX_ATTEMPTS: '3' });
+    const server = http.createServer();
+    server.on('upgrade', createPartyUpgradeHandler({ config, hub: createPartyHub() }));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const origin = `127.0.0.1:${server.address().port}`;
+
+    const login = await handleLoginRequest(new Request(`http://${origin}/api/login`, {
+        method: 'POST',
+        body: JSON.stringify({ password: PASSWORD })
+    }), { config });
+    const cookie = login.headers.get('Set-Cookie').split(';')[0];
+    const connect = query => new WebSocket(`ws://${origin}/api/party?${query}`, { headers: { Cookie: cookie } });
+    const closeCode = async ws => (await once(ws, 'close'))[0];
+
+    try {
+        const host = connect('role=host');
+        const { room } = JSON.parse((await once(host, 'message'))[0].toString());
+
+        for (const guess of ['AAAAAAAA', 'BBBBBBBB', 'CCCCCCCC']) {
+            assert.equal(await closeCode(connect(`role=member&room=${guess}`)), PARTY_CLOSE_CODES.notFound);
+        }
+        assert.equal(await closeCode(connect(`role=member&room=${room}`)), PARTY_CLOSE_CODES.tooManyAttempts);
+        host.close();
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,181 @@
+// 代理两级缓存（lib/proxy-cache.mjs、lib/disk-cache.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createProxyConfig, handleProxyRequest, signProxyTarget } from '../lib/proxy-core.mjs';
+import { handleLoginRequest } from '../lib/auth-core.mjs';
+import { DEFAULT_CACHE_IGNORE_PARAMS, createMemoryCache, normalizeCacheKey, throttleWrites } from '../lib/proxy-cache.mjs';
+import { createDiskMediaStore } from '../lib/disk-cache.mjs';
+
+const PASSWORD = 'cache-test';
+const ignoredParams = DEFAULT_CACHE_IGNORE_PARAMS.split(',');
+
+// 在一组选项上建立代理会话，返回签名后发起请求的函数
+async function createProxyClient(options) {
+    const login = await handleLoginRequest(new Request('https://tv.example.com/api/login', {
+        method: 'POST',
+        body: JSON.stringify({ password: PASSWORD })
+    }), options);
+    const session = await (await handleProxyRequest(new Request('https://tv.example.com/proxy/session', {
+        method: 'POST',
+        headers: { 'Cookie': login.headers.get('Set-Cookie').split(';')[0] }
+    }), options)).json();
+
+    return async (target, init) => {
+        const expiresAt = Math.floor(Date.now() / 1000) + 600;
+        const sig = await signProxyTarget(session.key, target, expiresAt);
+        const url = `https://tv.example.com/proxy/${encodeURIComponent(target)}?s=${session.token}&e=${expiresAt}&sig=${sig}`;
+        return handleProxyRequest(new Request(url, init), options);
+    };
+}
+
+// 记录上游请求次数，响应内容由 responder 决定
+function countingFetch(responder) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push(url);
+        return responder(url, init, calls.length);
+    };
+    return { fetch, calls };
+}
+
+// 让后台任务（缓存写入、后台刷新）执行完
+async function flushBackgroundTasks(tasks) {
+    while (tasks.length) await Promise.all(tasks.splice(0));
+}
+
+test('缓存键去掉防缓存参数并对参数排序', () => {
+    assert.equal(
+        normalizeCacheKey('https://a.example.com/api.php?wd=abc&t=123&ac=list&_=456#x', ignoredParams),
+        normalizeCacheKey('https://a.example.com/api.php?ac=list&wd=abc&timestamp=789', ignoredParams)
+    );
+    assert.notEqual(
+        normalizeCacheKey('https://a.example.com/api.php?wd=abc', ignoredParams),
+        normalizeCacheKey('https://a.example.com/api.php?wd=xyz', ignoredParams)
+    );
+});
+
+test('内存缓存按最近使用顺序淘汰', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+    await cache.put('a', '1');
+    await cache.put('b', '2');
+    await cache.get('a');
+    await cache.put('c', '3');
+    assert.equal(await cache.get('a'), '1');
+    assert.equal(await cache.get('b'), null);
+    assert.equal(await cache.get('c'), '3');
+});
+
+test('KV 写入节流：同一键短时间内只写一次，超出预算时丢弃', async () => {
+    const writes = [];
+    const kv = { get: async () => null, put: async (key) => { writes.push(key); } };
+    const throttled = throttleWrites(kv, { writesPerDay: 48 });
+
+    assert.equal(await throttled.put('a', '1'), true);
+    assert.equal(await throttled.put('a', '2'), false);
+    assert.equal(await throttled.put('b', '1'), true);
+    assert.equal(await throttled.put('c', '1'), false);
+    assert.deepEqual(writes, ['a', 'b']);
+});
+
+test('媒体分片写入磁盘缓存，再次请求不访问上游；范围请求绕过缓存', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'teslatv-cache-test-'));
+    const segment = crypto.randomBytes(4096);
+    const { fetch, calls } = countingFetch(() => new Response(segment, {
+        headers: { 'Content-Type': 'video/mp2t', 'Content-Length': String(segment.length) }
+    }));
+    const tasks = [];
+    const request = await createProxyClient({
+        config: createProxyConfig({ PASSWORD }),
+        mediaCache: createDiskMediaStore({ dir }),
+        resolveHost: async () => ['93.184.216.34'],
+        waitUntil: task => tasks.push(task),
+        fetch
+    });
+
+    try {
+        const first = await request('https://cdn.example.com/seg-1.ts?t=1');
+        assert.deepEqual(Buffer.from(await first.arrayBuffer()), segment);
+        await flushBackgroundTasks(tasks);
+
+        const second = await request('https://cdn.example.com/seg-1.ts?t=2');
+        assert.equal(second.status, 200);
+        assert.equal(second.headers.get('content-length'), String(segment.length));
+        assert.deepEqual(Buffer.from(await second.arrayBuffer()), segment);
+        assert.equal(calls.length, 1);
+
+        await (await request('https://cdn.example.com/seg-1.ts', { headers: { Range: 'bytes=0-9' } })).arrayBuffer();
+        assert.equal(calls.length, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('API 响应过期后先返回旧内容，并在后台刷新', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { fetch, calls } = countingFetch((url, init, count) => Response.json({ version: count }));
+    const tasks = [];
+    const request = await createProxyClient({
+        config: createProxyConfig({ PASSWORD, API_CACHE_TTL: '60', API_STALE_TTL: '600' }),
+        cache: createMemoryCache(),
+        resolveHost: async () => ['93.184.216.34'],
+        waitUntil: task => tasks.push(task),
+        fetch
+    });
+    const api = 'https://api.example.com/api.php/provide/vod/?ac=videolist&wd=test';
+
+    assert.deepEqual(await (await request(api)).json(), { version: 1 });
+    await flushBackgroundTasks(tasks);
+
+    t.mock.timers.tick(120 * 1000);
+    assert.deepEqual(await (await request(api)).json(), { version: 1 });
+    await flushBackgroundTasks(tasks);
+    assert.equal(calls.length, 2);
+    assert.deepEqual(await (await request(api)).json(), { version: 2 });
+
+    // 超过宽限期后不再使用旧内容
+    t.mock.timers.tick(1000 * 1000);
+    assert.deepEqual(await (await request(api)).json(), { version: 3 });
+});
+
+test('直播播放列表不写入缓存', async () => {
+    const live = '#EXTM3U\n#EXT-X-TARGETDURATION:4\n#EXTINF:4,\nlive-1.ts\n';
+    const { fetch, calls } = countingFetch(() => new Response(live, {
+        headers: { 'Content-Type': 'application/vnd.apple.mpegurl' }
+    }));
+    const tasks = [];
+    const request = await createProxyClient({
+        config: createProxyConfig({ PASSWORD }),
+        cache: createMemoryCache(),
+        resolveHost: async () => ['93.184.216.34'],
+        waitUntil: task => tasks.push(task),
+        fetch
+    });
+
+    await (await request('https://live.example.com/channel/index.m3u8')).text();
+    await flushBackgroundTasks(tasks);
+    await (await request('https://live.example.com/channel/index.m3u8')).text();
+    assert.equal(calls.length, 2);
+});
+
+test('重写后的播放列表只允许浏览器缓存，且不超过签名有效期；直播列表不缓存', async () => {
+    const vod = '#EXTM3U\n#EXT-X-TARGETDURATION:4\n#EXTINF:4,\nseg-1.ts\n#EXT-X-ENDLIST\n';
+    const live = '#EXTM3U\n#EXT-X-TARGETDURATION:4\n#EXTINF:4,\nlive-1.ts\n';
+    const request = await createProxyClient({
+        config: createProxyConfig({ PASSWORD, PROXY_URL_TTL: '3600' }),
+        resolveHost: async () => ['93.184.216.34'],
+        fetch: async url => new Response(url.includes('live') ? live : vod, {
+            headers: { 'Content-Type': 'application/vnd.apple.mpegurl', 'Cache-Control': 'public, max-age=600' }
+        })
+    });
+
+    const vodResponse = await request('https://cdn.example.com/movie/index.m3u8');
+    const maxAge = Number(vodResponse.headers.get('Cache-Control').match(/^private, max-age=(\d+)$/)[1]);
+    assert.ok(maxAge > 3590 && maxAge <= 3600);
+    assert.equal((await request('https://live.example.com/channel/index.m3u8')).headers.get('Cache-Control'), 'private, no-cache');
+    assert.equal((await request('https://cdn.example.com/movie/index.m3u8', { method: 'HEAD' })).headers.get('Cache-Control'), 'private, no-cache');
+});
@@ -0,0 +1,354 @@
+// 代理适配器契约测试
+//
+// 用同一组播放列表夹具（test/fixtures/proxy）驱动四个部署平台的代理入口，
+// 断言它们输出的重写结果与期望文件完全一致。上游请求由本地夹具模拟，不访问网络。
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { signProxyTarget } from '../lib/proxy-core.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'proxy');
+const UPSTREAM_ORIGIN = 'https://cdn.example.com';
+const PASSWORD = 'contract-test';
+const PASSWORD_HASH = crypto.createHash('sha256').update(PASSWORD).digest('hex');
+// 重写结果中的签名参数随会话与时间变化，请求 ID 随请求变化，比较前统一替换为占位符
+const SIGNATURE_PATTERN = /s=[0-9a-f]+\.\d+\.[\w-]+\.\d+\.[0-9a-f]+&e=\d+&sig=[0-9a-f]{64}&rid=[\w.-]+/g;
+
+// 每个用例：上游路径（及附加的查询参数） -> 期望输出文件
+const CASES = [
+    { name: '媒体列表中的相对路径、KEY 与 MAP', path: 'vod/media.m3u8', expected: 'media.m3u8' },
+    { name: '主列表保留全部码率、音轨与字幕轨', path: 'vod/master.m3u8', expected: 'master.m3u8' },
+    { name: '主列表引用的媒体列表', path: 'vod/hd/index.m3u8', query: 'variant=1', expected: 'variant.m3u8' },
+    { name: '主列表引用的字幕轨列表', path: 'vod/subs/zh-Hant.m3u8', query: 'variant=1', expected: 'subtitles.m3u8' },
+    { name: '多层嵌套主列表', path: 'nested/master.m3u8', expected: 'nested.m3u8' },
+    { name: '子列表本身是主列表时收敛为最高带宽', path: 'nested/level1/master.m3u8', query: 'variant=1', expected: 'nested-variant.m3u8' },
+    { name: '按内容识别 text/plain 播放列表', path: 'vod/plain.m3u8', expected: 'plain.m3u8' }
+];
+
+// 模拟 DNS：Node 类适配器走 dns.promises.lookup，Cloudflare 走 DoH，两者使用同一张表
+const DNS_RECORDS = {
+    'cdn.example.com': ['93.184.216.34', '2606:2800:220:1::1'],
+    'media.example.net': ['93.184.216.35'],
+    'internal.example.com': ['93.184.216.36', '10.0.0.8'],
+    'ula.example.com': ['fd12:3456::1']
+};
+// 上游重定向夹具：路径 -> Location
+const REDIRECTS = {
+    '/redirect/public': '/vod/media.m3u8',
+    '/redirect/internal': 'http://internal.example.com/admin',
+    '/redirect/metadata': 'http://169.254.169.254/latest/meta-data/'
+};
+
+const realFetch = globalThis.fetch;
+const realLookup = dns.promises.lookup;
+
+async function fixtureLookup(hostname, options) {
+    const addresses = DNS_RECORDS[hostname];
+    if (!addresses) {
+        throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+    }
+    const records = addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+    return options?.all ? records : records[0];
+}
+
+function fixtureDoh(url) {
+    const name = url.searchParams.get('name');
+    const type = url.searchParams.get('type');
+    const Answer = (DNS_RECORDS[name] || [])
+        .filter(address => address.includes(':') === (type === 'AAAA'))
+        .map(data => ({ name, type: type === 'AAAA' ? 28 : 1, TTL: 60, data }));
+    return Response.json({ Status: 0, Answer });
+}
+
+function contentTypeFor(pathname) {
+    if (pathname.endsWith('.mp4')) return 'video/mp4';
+    if (pathname.endsWith('.ts')) return 'video/mp2t';
+    if (pathname.includes('plain') || pathname.endsWith('.srt')) return 'text/plain';
+    return 'application/vnd.apple.mpegurl';
+}
+
+// 模拟上游：只响应 UPSTREAM_ORIGIN 下的夹具文件（支持 HEAD 与单段 Range），其余请求交给真实 fetch
+async function fixtureFetch(input, init = {}) {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    if (url.hostname === 'cloudflare-dns.com') {
+        return fixtureDoh(url);
+    }
+    if (url.origin !== UPSTREAM_ORIGIN) {
+        return realFetch(input, init);
+    }
+    if (REDIRECTS[url.pathname]) {
+        return new Response(null, { status: 302, headers: { Location: REDIRECTS[url.pathname] } });
+    }
+    const filePath = path.join(FIXTURE_DIR, 'upstream', url.pathname);
+    if (!fs.existsSync(filePath)) {
+        return new Response('not found', { status: 404 });
+    }
+
+    const body = fs.readFileSync(filePath);
+    const headers = { 'Content-Type': contentTypeFor(url.pathname), 'Accept-Ranges': 'bytes' };
+    const isHead = init.method === 'HEAD';
+    const range = new Headers(init.headers).get('Range')?.match(/^bytes=(\d+)-(\d*)$/);
+    if (range) {
+        const start = Number(range[1]);
+        const end = range[2] ? Math.min(Number(range[2]), body.length - 1) : body.length - 1;
+        const chunk = body.subarray(start, end + 1);
+        return new Response(isHead ? null : chunk, {
+            status: 206,
+            headers: { ...headers, 'Content-Range': `bytes ${start}-${end}/${body.length}`, 'Content-Length': String(chunk.length) }
+        });
+    }
+    return new Response(isHead ? null : body, {
+        status: 200,
+        headers: { ...headers, 'Content-Length': String(body.length) }
+    });
+}
+
+// 用平台各自签发的会话给代理链接签名（与 js/proxy-auth.js 的算法一致）
+async function proxyPath(platform, upstreamPath, { expiresAt, targetUrl } = {}) {
+    const session = sessions[platform];
+    const target = /^https?:\/\//.test(upstreamPath) ? upstreamPath : `${UPSTREAM_ORIGIN}/${upstreamPath}`;
+    const e = expiresAt ?? Math.floor(Date.now() / 1000) + 600;
+    const sig = await signProxyTarget(session.key, targetUrl ?? target, e);
+    return `/proxy/${encodeURIComponent(target)}?s=${encodeURIComponent(session.token)}&e=${e}&sig=${sig}`;
+}
+
+function readUpstream(upstreamPath) {
+    return fs.readFileSync(path.join(FIXTURE_DIR, 'upstream', upstreamPath));
+}
+
+function readExpected(name) {
+    return fs.readFileSync(path.join(FIXTURE_DIR, 'expected', name), 'utf8');
+}
+
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+const servers = [];
+const adapters = {};
+const loginAdapters = {};
+const sessions = {};
+
+// 先在平台的 /api/login 登录，返回会话 Cookie（"name=value"）
+async function login(platform) {
+    const response = await loginAdapters[platform]('/api/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: PASSWORD })
+    });
+    assert.equal(response.status, 200, `${platform} 登录`);
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+function createSession(request, cookie) {
+    return request('/proxy/session', {
+        method: 'POST',
+        headers: cookie ? { 'Cookie': cookie } : {}
+    });
+}
+
+before(async () => {
+    process.env.PASSWORD = PASSWORD;
+    globalThis.fetch = fixtureFetch;
+    dns.promises.lookup = fixtureLookup;
+
+    const { default: app } = await import('../server.mjs');
+    const { default: vercelHandler } = await import('../api/proxy/[...path].mjs');
+    const { default: netlifyHandler } = await import('../netlify/functions/proxy.mjs');
+    const { onRequest: cloudflareHandler } = await import('../functions/proxy/[[path]].js');
+    const { default: vercelLoginHandler } = await import('../api/login.mjs');
+    const { default: netlifyLoginHandler } = await import('../netlify/functions/login.mjs');
+    const { onRequest: cloudflareLoginHandler } = await import('../functions/api/login.js');
+
+    const expressServer = http.createServer(app);
+    const vercelServer = http.createServer(vercelHandler);
+    const vercelLoginServer = http.createServer(vercelLoginHandler);
+    servers.push(expressServer, vercelServer, vercelLoginServer);
+    const expressOrigin = await listen(expressServer);
+    const vercelOrigin = await listen(vercelServer);
+    const vercelLoginOrigin = await listen(vercelLoginServer);
+
+    adapters.express = (p, init) => realFetch(`${expressOrigin}${p}`, init);
+    adapters.vercel = (p, init) => realFetch(`${vercelOrigin}${p}`, init);
+    adapters.netlify = (p, init) => netlifyHandler(new Request(`https://site.netlify.app${p}`, init), {});
+    adapters.cloudflare = (p, init) => cloudflareHandler({
+        request: new Request(`https://site.pages.dev${p}`, init),
+        env: { PASSWORD },
+        waitUntil() {}
+    });
+
+    loginAdapters.express = adapters.express;
+    loginAdapters.vercel = (p, init) => realFetch(`${vercelLoginOrigin}${p}`, init);
+    loginAdapters.netlify = (p, init) => netlifyLoginHandler(new Request(`https://site.netlify.app${p}`, init), {});
+    loginAdapters.cloudflare = (p, init) => cloudflareLoginHandler({
+        request: new Request(`https://site.pages.dev${p}`, init),
+        env: { PASSWORD }
+    });
+
+    for (const [platform, request] of Object.entries(adapters)) {
+        const response = await createSession(request, await login(platform));
+        assert.equal(response.status, 200, `${platform} 建立代理会话`);
+        sessions[platform] = await response.json();
+    }
+});
+
+after(() => {
+    globalThis.fetch = realFetch;
+    dns.promises.lookup = realLookup;
+    servers.forEach(server => server.close());
+});
+
+for (const testCase of CASES) {
+    test(`所有适配器输出一致: ${testCase.name}`, async () => {
+        const expected = readExpected(testCase.expected);
+        for (const [platform, request] of Object.entries(adapters)) {
+            const query = testCase.query ? `&${testCase.query}` : '';
+            const response = await request(`${await proxyPath(platform, testCase.path)}${query}`);
+            assert.equal(response.status, 200, `${platform} 返回状态码`);
+            assert.match(response.headers.get('content-type'), /mpegurl/i, `${platform} Content-Type`);
+            const body = await response.text();
+            assert.equal(body.replace(SIGNATURE_PATTERN, '{{SIGNATURE}}'), expected, `${platform} 重写结果`);
+            // 子链接携带本次请求的 ID，子请求的日志据此关联到播放列表
+            const requestId = response.headers.get('x-request-id');
+            assert.ok(requestId, `${platform} X-Request-Id`);
+            assert.ok(body.includes(`&rid=${requestId}`), `${platform} 子链接携带请求 ID`);
+            assert.ok(!body.includes(PASSWORD_HASH), `${platform} 输出不应包含密码哈希`);
+        }
+    });
+}
+
+test('所有适配器拒绝缺少鉴权参数的请求', async () => {
+    for (const [platform, request] of Object.entries(adapters)) {
+        const response = await request(`/proxy/${encodeURIComponent(`${UPSTREAM_ORIGIN}/vod/media.m3u8`)}`);
+        assert.equal(response.status, 401, platform);
+    }
+});
+
+test('所有适配器拒绝未登录或 Cookie 被篡改时建立会话', async () => {
+    for (const [platform, request] of Object.entries(adapters)) {
+        assert.equal((await createSession(request)).status, 401, `${platform} 未登录`);
+        const cookie = await login(platform);
+        const tampered = cookie.replace(/\.(\d+)\./, (_, exp) => `.${Number(exp) + 3600}.`);
+        assert.equal((await createSession(request, tampered)).status, 401, `${platform} 篡改过期时间`);
+    }
+});
+
+test('所有平台的登录接口拒绝错误的密码', async () => {
+    for (const [platform, request] of Object.entries(loginAdapters)) {
+        const response = await request('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: 'wrong-password' })
+        });
+        assert.equal(response.status, 401, platform);
+        assert.equal(response.headers.get('set-cookie'), null, platform);
+    }
+});
+
+test('所有适配器拒绝过期、篡改或绑定其他目标的签名', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [platform, request] of Object.entries(adapters)) {
+        const expired = await request(await proxyPath(platform, 'vod/media.m3u8', { expiresAt: now - 1 }));
+        assert.equal(expired.status, 401, `${platform} 过期签名`);
+
+        const otherTarget = await request(await proxyPath(platform, 'vod/media.m3u8', {
+            targetUrl: `${UPSTREAM_ORIGIN}/vod/movie.mp4`
+        }));
+        assert.equal(otherTarget.status, 401, `${platform} 其他目标的签名`);
+
+        const valid = await proxyPath(platform, 'vod/media.m3u8');
+        const tampered = await request(valid.replace(/e=(\d+)/, (_, e) => `e=${Number(e) + 60}`));
+        assert.equal(tampered.status, 401, `${platform} 篡改过期时间`);
+    }
+});
+
+test('重写后的子链接带有效签名，可直接经代理访问', async () => {
+    const segment = readUpstream('vod/segment-000.ts');
+    for (const [platform, request] of Object.entries(adapters)) {
+        const playlist = await (await request(await proxyPath(platform, 'vod/media.m3u8'))).text();
+        const segmentPath = playlist.split('\n').find(line => line.includes('segment-000.ts'));
+        const response = await request(segmentPath);
+        assert.equal(response.status, 200, platform);
+        assert.deepEqual(Buffer.from(await response.arrayBuffer()), segment, platform);
+    }
+});
+
+test('所有适配器透传 Range 请求并返回 206', async () => {
+    const movie = readUpstream('vod/movie.mp4');
+    for (const [platform, request] of Object.entries(adapters)) {
+        const response = await request(await proxyPath(platform, 'vod/movie.mp4'), { headers: { Range: 'bytes=16-47' } });
+        assert.equal(response.status, 206, platform);
+        assert.equal(response.headers.get('content-range'), `bytes 16-47/${movie.length}`, platform);
+        assert.equal(response.headers.get('accept-ranges'), 'bytes', platform);
+        assert.deepEqual(Buffer.from(await response.arrayBuffer()), movie.subarray(16, 48), platform);
+    }
+});
+
+test('所有适配器以流的方式原样返回二进制内容', async () => {
+    const movie = readUpstream('vod/movie.mp4');
+    for (const [platform, request] of Object.entries(adapters)) {
+        const response = await request(await proxyPath(platform, 'vod/movie.mp4'));
+        assert.equal(response.status, 200, platform);
+        assert.equal(response.headers.get('content-length'), String(movie.length), platform);
+        assert.deepEqual(Buffer.from(await response.arrayBuffer()), movie, platform);
+    }
+});
+
+test('所有适配器按字节原样转发字幕文件，不按 UTF-8 解码', async () => {
+    const subtitle = readUpstream('vod/subtitle.srt');
+    for (const [platform, request] of Object.entries(adapters)) {
+        const response = await request(await proxyPath(platform, 'vod/subtitle.srt'));
+        assert.equal(response.status, 200, platform);
+        assert.deepEqual(Buffer.from(await response.arrayBuffer()), subtitle, platform);
+    }
+});
+
+test('所有适配器响应 HEAD 请求且不返回内容', async () => {
+    const movie = readUpstream('vod/movie.mp4');
+    for (const [platform, request] of Object.entries(adapters)) {
+        const response = await request(await proxyPath(platform, 'vod/movie.mp4'), { method: 'HEAD' });
+        assert.equal(response.status, 200, platform);
+        assert.equal(response.headers.get('content-length'), String(movie.length), platform);
+        assert.equal(response.headers.get('accept-ranges'), 'bytes', platform);
+        assert.equal((await response.arrayBuffer()).byteLength, 0, platform);
+    }
+});
+
+test('所有适配器拒绝解析到内网或保留地址的目标', async () => {
+    const targets = [
+        'http://127.0.0.1:8080/',
+        'http://0x7f.1/',
+        'http://[::ffff:10.0.0.1]/',
+        'http://[fe80::1]/',
+        'http://internal.example.com/',
+        'http://ula.example.com/'
+    ];
+    for (const [platform, request] of Object.entries(adapters)) {
+        for (const target of targets) {
+            const response = await request(await proxyPath(platform, target));
+            assert.equal(response.status, 403, `${platform} ${target}`);
+        }
+    }
+});
+
+test('所有适配器对每一跳重定向重新校验目标地址', async () => {
+    for (const [platform, request] of Object.entries(adapters)) {
+        const followed = await request(await proxyPath(platform, 'redirect/public'));
+        assert.equal(followed.status, 200, `${platform} 跳转到公网地址`);
+        assert.match(await followed.text(), /^#EXTM3U/, platform);
+
+        for (const upstreamPath of ['redirect/internal', 'redirect/metadata']) {
+            const response = await request(await proxyPath(platform, upstreamPath));
+            assert.equal(response.status, 403, `${platform} ${upstreamPath}`);
+        }
+    }
+});
@@ -0,0 +1,102 @@
+// 代理限流（lib/rate-limit.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryCache, createProxyConfig, handleProxyRequest, signProxyTarget } from '../lib/proxy-core.mjs';
+import { handleLoginRequest } from '../lib/auth-core.mjs';
+import { createRateLimitConfig, createRateLimiter } from '../lib/rate-limit.mjs';
+
+const PASSWORD = 'rate-limit-test';
+const SEGMENT_BYTES = 1000;
+
+function createLimiter(env) {
+    return createRateLimiter({ store: createMemoryCache(), config: createRateLimitConfig(env) });
+}
+
+test('请求桶耗尽后拒绝，并按补充速率计算 Retry-After', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const limiter = createLimiter({ RATE_LIMIT_REQUESTS_PER_MINUTE: '30', RATE_LIMIT_REQUEST_BURST: '2' });
+
+    assert.equal((await limiter.takeRequest('a')).allowed, true);
+    assert.equal((await limiter.takeRequest('a')).allowed, true);
+    assert.deepEqual(await limiter.takeRequest('a'), { allowed: false, retryAfter: 2 });
+    // 不同客户端互不影响
+    assert.equal((await limiter.takeRequest('b')).allowed, true);
+
+    t.mock.timers.tick(2000);
+    assert.equal((await limiter.takeRequest('a')).allowed, true);
+});
+
+test('流量桶允许欠账，余额恢复为正之前拒绝媒体请求', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const limiter = createLimiter({ RATE_LIMIT_BYTES_PER_SECOND: '100', RATE_LIMIT_BYTE_BURST: '500' });
+
+    assert.equal((await limiter.checkBytes('a')).allowed, true);
+    await limiter.chargeBytes('a', 700);
+    assert.deepEqual(await limiter.checkBytes('a'), { allowed: false, retryAfter: 3 });
+
+    t.mock.timers.tick(3000);
+    assert.equal((await limiter.checkBytes('a')).allowed, true);
+});
+
+test('值为 0 时关闭对应的限制', async () => {
+    const limiter = createLimiter({ RATE_LIMIT_REQUESTS_PER_MINUTE: '0' });
+    for (let i = 0; i < 500; i++) {
+        assert.equal((await limiter.takeRequest('a')).allowed, true);
+    }
+    await limiter.chargeBytes('a', 1e12);
+    assert.equal((await limiter.checkBytes('a')).allowed, true);
+});
+
+test('代理对播放列表按次数、对媒体按流量返回 429', async () => {
+    const config = createProxyConfig({
+        PASSWORD,
+        RATE_LIMIT_REQUESTS_PER_MINUTE: '1',
+        RATE_LIMIT_REQUEST_BURST: '1',
+        RATE_LIMIT_BYTES_PER_SECOND: '10',
+        RATE_LIMIT_BYTE_BURST: String(SEGMENT_BYTES / 2)
+    });
+    const options = {
+        config,
+        rateLimitStore: createMemoryCache(),
+        resolveHost: async () => ['93.184.216.34'],
+        fetch: async (url) => url.endsWith('.ts')
+            ? new Response(new Uint8Array(SEGMENT_BYTES), { headers: { 'Content-Type': 'video/mp2t', 'Content-Length': String(SEGMENT_BYTES) } })
+            : new Response('#EXTM3U\n#EXT-X-ENDLIST\n', { headers: { 'Content-Type': 'application/vnd.apple.mpegurl' } })
+    };
+    const login = await handleLoginRequest(new Request('https://tv.example.com/api/login', {
+        method: 'POST',
+        body: JSON.stringify({ password: PASSWORD })
+    }), options);
+    const issue = async () => (await handleProxyRequest(new Request('https://tv.example.com/proxy/session', {
+        method: 'POST',
+        headers: { 'Cookie': login.headers.get('Set-Cookie').split(';')[0] }
+    }), options)).json();
+    const session = await issue();
+
+    const request = async (target, { key, token } = session) => {
+        const expiresAt = Math.floor(Date.now() / 1000) + 600;
+        const sig = await signProxyTarget(key, target, expiresAt);
+        const url = `https://tv.example.com/proxy/${encodeURIComponent(target)}?s=${token}&e=${expiresAt}&sig=${sig}`;
+        return handleProxyRequest(new Request(url), options);
+    };
+
+    assert.equal((await request('https://cdn.example.com/live.m3u8')).status, 200);
+    const limited = await request('https://cdn.example.com/live.m3u8');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('Retry-After'), '60');
+
+    // 播放列表被限制时媒体仍可播放；首个分片使流量余额变为负数
+    const segment = await request('https://cdn.example.com/seg-1.ts');
+    assert.equal(segment.status, 200);
+    assert.equal((await segment.arrayBuffer()).byteLength, SEGMENT_BYTES);
+    const blocked = await request('https://cdn.example.com/seg-2.ts');
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('Retry-After')) > 0);
+
+    // 同一登录重新领取代理会话，配额不会重置
+    const renewed = await issue();
+    assert.notEqual(renewed.token, session.token);
+    assert.equal((await request('https://cdn.example.com/live.m3u8', renewed)).status, 429);
+    assert.equal((await request('https://cdn.example.com/seg-3.ts', renewed)).status, 429);
+});
@@ -0,0 +1,174 @@
+// 手机遥控（lib/remote-core.mjs、lib/remote-node.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { handleLoginRequest } from '../lib/auth-core.mjs';
+import { createMemoryCache, createProxyConfig } from '../lib/proxy-core.mjs';
+import { REMOTE_CLOSE_CODES, createRemoteHub, normalizeRemoteCommand } from '../lib/remote-core.mjs';
+import { createRemoteUpgradeHandler } from '../lib/remote-node.mjs';
+import { createKvUserBackend, createUserStore } from '../lib/user-store.mjs';
+
+const PASSWORD = 'remote-test';
+
+function createPeer() {
+    const peer = {
+        messages: [],
+        closed: null,
+        send: text => peer.messages.push(JSON.parse(text)),
+        close: (code, reason) => {
+            peer.closed = { code, reason };
+        }
+    };
+    return peer;
+}
+
+test('命令校验：只转发已知命令与合法参数', () => {
+    assert.deepEqual(normalizeRemoteCommand({ type: 'command', command: 'toggle' }), { command: 'toggle', value: null });
+    assert.deepEqual(normalizeRemoteCommand({ type: 'command', command: 'seek', value: 42.5 }), { command: 'seek', value: 42.5 });
+    assert.equal(normalizeRemoteCommand({ type: 'command', command: 'seek', value: -1 }), null);
+    assert.equal(normalizeRemoteCommand({ type: 'command', command: 'volume', value: 1.5 }), null);
+    assert.equal(normalizeRemoteCommand({ type: 'command', command: 'episode', value: 1.5 }), null);
+    assert.equal(normalizeRemoteCommand({ type: 'command', command: 'toString' }), null);
+    assert.equal(normalizeRemoteCommand({ type: 'state', command: 'play' }), null);
+
+    const item = { title: '剧名', sourceCode: 'bfzy', vodId: 12, episodes: ['https://cdn.example.com/1.m3u8'] };
+    assert.deepEqual(normalizeRemoteCommand({ type: 'command', command: 'enqueue', value: item }).value, { ...item, vodId: '12' });
+    assert.equal(normalizeRemoteCommand({ type: 'command', command: 'enqueue', value: { ...item, episodes: ['javascript:alert(1)'] } }), null);
+    assert.equal(normalizeRemoteCommand({ type: 'command', command: 'enqueue', value: { ...item, title: '' } }), null);
+});
+
+test('配对：同一账户的手机凭校验码加入后互相转发，播放器断开时配对结束', () => {
+    const hub = createRemoteHub({ maxRemotes: 1 });
+    const player = createPeer();
+    const { code, key } = hub.openPlayer({ username: 'alice' }, player);
+    assert.match(code, /^\d{6}$/);
+    assert.match(key, /^[A-HJ-NP-Z2-9]{6}$/);
+    assert.deepEqual(player.messages.shift(), { type: 'paired', code, key });
+
+    hub.receive(player, JSON.stringify({ type: 'state', state: { title: 'A', paused: true } }));
+
+    const stranger = createPeer();
+    assert.equal(hub.joinRemote({ username: 'bob' }, code, key, stranger), REMOTE_CLOSE_CODES.forbidden);
+    assert.equal(hub.joinRemote({ username: 'alice' }, String((Number(code) + 1) % 1000000).padStart(6, '0'), key, createPeer()), REMOTE_CLOSE_CODES.notFound);
+
+    const remote = createPeer();
+    assert.equal(hub.joinRemote({ username: 'alice' }, code, key.toLowerCase(), remote), null);
+    // 加入时立即收到最近的播放状态，播放器收到更换后的校验码
+    assert.deepEqual(remote.messages.shift(), { type: 'joined', state: { title: 'A', paused: true } });
+    const { key: nextKey } = player.messages.shift();
+    assert.notEqual(nextKey, key);
+    assert.deepEqual(player.messages.shift(), { type: 'remotes', count: 1 });
+    assert.equal(hub.joinRemote({ username: 'alice' }, code, nextKey, createPeer()), REMOTE_CLOSE_CODES.full);
+
+    hub.receive(remote, JSON.stringify({ type: 'command', command: 'seekBy', value: -10 }));
+    hub.receive(remote, JSON.stringify({ type: 'command', command: 'eval', value: 'x' }));
+    hub.receive(remote, 'not json');
+    assert.deepEqual(player.messages, [{ type: 'command', command: 'seekBy', value: -10 }]);
+
+    hub.receive(player, JSON.stringify({ type: 'state', state: { title: 'A', paused: false } }));
+    assert.deepEqual(remote.messages.shift(), { type: 'state', state: { title: 'A', paused: false } });
+
+    hub.leave(player);
+    assert.equal(hub.size, 0);
+    assert.equal(remote.closed.code, REMOTE_CLOSE_CODES.playerLeft);
+});
+
+test('共用账户时只凭配对码无法加入，用过的校验码失效', () => {
+    const hub = createRemoteHub();
+    const player = createPeer();
+    const { code, key } = hub.openPlayer({ username: 'default' }, player);
+
+    // 共用密码的其他人与播放器是同一账户，但不知道校验码
+    const stranger = createPeer();
+    assert.equal(hub.joinRemote({ username: 'default' }, code, null, stranger), REMOTE_CLOSE_CODES.forbidden);
+    assert.equal(stranger.closed.code, REMOTE_CLOSE_CODES.forbidden);
+    assert.equal(hub.joinRemote({ username: 'default' }, code, 'ABCDEF', createPeer()), REMOTE_CLOSE_CODES.forbidden);
+
+    assert.equal(hub.joinRemote({ username: 'default' }, code, key, createPeer()), null);
+    // 二维码被旁人看到或链接被转发，再用同一个校验码也不能加入
+    assert.equal(hub.joinRemote({ username: 'default' }, code, key, createPeer()), REMOTE_CLOSE_CODES.forbidden);
+});
+
+test('WebSocket 接入：需要登录 Cookie 且同源，命令从手机转发到播放器', async () => {
+    const config = createProxyConfig({ PASSWORD, LOG_LEVEL: 'silent' });
+    const userStore = createUserStore(createKvUserBackend(createMemoryCache()));
+    const server = http.createServer();
+    server.on('upgrade', createRemoteUpgradeHandler({ config, hub: createRemoteHub(), userStore }));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const origin = `127.0.0.1:${server.address().port}`;
+
+    const login = await handleLoginRequest(new Request(`http://${origin}/api/login`, {
+        method: 'POST',
+        body: JSON.stringify({ password: PASSWORD })
+    }), { config, userStore });
+    const cookie = login.headers.get('Set-Cookie').split(';')[0];
+    // 播放器可能在同一时刻收到多条消息，先缓存起来再逐条读取
+    const connect = (query, headers = { Cookie: cookie }) => {
+        const ws = new WebSocket(`ws://${origin}/api/remote?${query}`, { headers });
+        ws.inbox = [];
+        ws.on('message', data => ws.inbox.push(JSON.parse(data.toString())));
+        return ws;
+    };
+    const nextMessage = async (ws) => {
+        while (ws.inbox.length === 0) await once(ws, 'message');
+        return ws.inbox.shift();
+    };
+    const rejectedStatus = async (ws) => (await once(ws, 'unexpected-response'))[1].statusCode;
+
+    try {
+        assert.equal(await rejectedStatus(connect('role=player', {})), 401);
+        assert.equal(await rejectedStatus(connect('role=player', { Cookie: cookie, Origin: 'https://evil.example.com' })), 403);
+        assert.equal(await rejectedStatus(connect('role=spy')), 400);
+
+        const player = connect('role=player');
+        const { code, key } = await nextMessage(player);
+
+        const remote = connect(`role=remote&code=${code}&key=${key}`);
+        assert.deepEqual(await nextMessage(remote), { type: 'joined', state: null });
+        assert.equal((await nextMessage(player)).type, 'paired');
+        assert.deepEqual(await nextMessage(player), { type: 'remotes', count: 1 });
+
+        remote.send(JSON.stringify({ type: 'command', command: 'volume', value: 0.5 }));
+        assert.deepEqual(await nextMessage(player), { type: 'command', command: 'volume', value: 0.5 });
+
+        const closed = once(remote, 'close');
+        player.close();
+        assert.equal((await closed)[0], REMOTE_CLOSE_CODES.playerLeft);
+    } finally {
+        server.close();
+    }
+});
+
+test('WebSocket 接入：连续加入失败后锁定，正确的校验码也暂时不能加入', async () => {
+    const config = createProxyConfig({ PASSWORD, LOG_LEVEL: 'silent', LOGIN_MAX_ATTEMPTS: '3' });
+    const server = http.createServer();
+    server.on('upgrade', createRemoteUpgradeHandler({ config, hub: createRemoteHub() }));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const origin = `127.0.0.1:${server.address().port}`;
+
+    const login = await handleLoginRequest(new Request(`http://${origin}/api/login`, {
+        method: 'POST',
+        body: JSON.stringify({ password: PASSWORD })
+    }), { config });
+    const cookie = login.headers.get('Set-Cookie').split(';')[0];
+    const connect = query => new WebSocket(`ws://${origin}/api/remote?${query}`, { headers: { Cookie: cookie } });
+    const closeCode = async ws => (await once(ws, 'close'))[0];
+
+    try {
+        const player = connect('role=player');
+        const { code, key } = JSON.parse((await once(player, 'message'))[0].toString());
+
+        assert.equal(await closeCode(connect(`role=remote&code=${code}&key=WRONG2`)), REMOTE_CLOSE_CODES.forbidden);
+        assert.equal(await closeCode(connect(`role=remote&code=${code}`)), REMOTE_CLOSE_CODES.forbidden);
+        assert.equal(await closeCode(connect('role=remote&code=000000&key=WRONG2')), REMOTE_CLOSE_CODES.notFound);
+        assert.equal(await closeCode(connect(`role=remote&code=${code}&key=${key}`)), REMOTE_CLOSE_CODES.tooManyAttempts);
+        player.close();
+    } finally {
+        server.close();
+    }
+});
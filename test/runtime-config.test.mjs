@@ -0,0 +1,83 @@
+// 页面运行时配置（lib/runtime-config.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadBuiltinSources } from '../lib/health.mjs';
+import { createRuntimeConfig, injectPageEnv, validateRuntimeConfig } from '../lib/runtime-config.mjs';
+
+const CONFIG_JS = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'js', 'config.js');
+
+test('配置文件、RUNTIME_CONFIG 与单项环境变量依次覆盖', () => {
+    const fileConfig = {
+        site: { name: '文件站点', description: '文件描述' },
+        apiSites: { mine: { api: 'https://a.example.com/api.php/provide/vod', name: '我的源' } },
+        douban: { enabled: true, movieTags: ['热门'] }
+    };
+    const { config, errors } = createRuntimeConfig({
+        RUNTIME_CONFIG: JSON.stringify({ site: { name: 'JSON 站点' }, hideBuiltinAdultApis: true }),
+        SITE_NAME: '环境变量站点',
+        DEFAULT_SELECTED_APIS: 'mine, bfzy',
+        DOUBAN_ENABLED: 'false',
+        API_SITES_DISABLED: 'ddys'
+    }, { fileConfig });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config, {
+        site: { name: '环境变量站点', description: '文件描述' },
+        apiSites: fileConfig.apiSites,
+        douban: { enabled: false, movieTags: ['热门'] },
+        hideBuiltinAdultApis: true,
+        defaultSelectedApis: ['mine', 'bfzy'],
+        disabledApiSites: ['ddys']
+    });
+    assert.deepEqual(createRuntimeConfig({}), { config: {}, errors: [] });
+});
+
+test('不合法的字段被丢弃并给出原因，其余字段保留', () => {
+    const { config, errors } = validateRuntimeConfig({
+        site: { name: '站点', url: 'javascript:alert(1)' },
+        apiSites: {
+            good: { api: 'https://a.example.com/api.php/provide/vod', name: '好源', adult: false },
+            noName: { api: 'https://b.example.com/api.php/provide/vod' },
+            'bad code': { api: 'https://c.example.com', name: '坏源' }
+        },
+        hideBuiltinAdultApis: 'yes',
+        theme: 'dark'
+    });
+    assert.deepEqual(config, {
+        site: { name: '站点' },
+        apiSites: { good: { api: 'https://a.example.com/api.php/provide/vod', name: '好源', adult: false } }
+    });
+    assert.deepEqual(errors, [
+        'site.url: 应为 http(s) 地址',
+        'apiSites.noName: 缺少 name',
+        'apiSites.bad code: 格式不正确',
+        'hideBuiltinAdultApis: 应为 true 或 false',
+        'theme: 未知字段'
+    ]);
+
+    const broken = createRuntimeConfig({ RUNTIME_CONFIG: '{', API_SITES: '[]', DOUBAN_ENABLED: 'maybe' });
+    assert.deepEqual(broken.config, { douban: {} });
+    assert.deepEqual(broken.errors, ['RUNTIME_CONFIG: 不是合法的 JSON', 'apiSites: 应为对象', 'douban.enabled: 应为 true 或 false']);
+});
+
+test('注入页面时转义，配置不能提前结束 <script>', () => {
+    const html = '<script>window.__ENV__.PASSWORD_PROTECTED = "{{PASSWORD_PROTECTED}}";\nwindow.__ENV__.RUNTIME_CONFIG = "{{RUNTIME_CONFIG}}";</script>';
+    const output = injectPageEnv(html, { passwordProtected: true, runtimeConfig: { site: { name: '</script><b>$&' } } });
+    assert.equal(output, '<script>window.__ENV__.PASSWORD_PROTECTED = true;\nwindow.__ENV__.RUNTIME_CONFIG = {"site":{"name":"\\u003c/script>\\u003cb>$&"}};</script>');
+    assert.match(injectPageEnv(html, { passwordProtected: false, runtimeConfig: {} }), /PASSWORD_PROTECTED = false;\nwindow.__ENV__.RUNTIME_CONFIG = \{\};/);
+});
+
+test('服务端读取的源列表与页面一样合并运行时配置', () => {
+    const builtin = loadBuiltinSources(CONFIG_JS);
+    assert.ok(builtin.some(source => source.code === 'ddys'));
+
+    const sources = loadBuiltinSources(CONFIG_JS, {
+        disabledApiSites: ['ddys'],
+        apiSites: { mine: { api: 'https://a.example.com/api.php/provide/vod', name: '我的源' } }
+    });
+    assert.ok(!sources.some(source => source.code === 'ddys'));
+    assert.deepEqual(sources.at(-1), { code: 'mine', name: '我的源', api: 'https://a.example.com/api.php/provide/vod' });
+});
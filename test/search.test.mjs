@@ -0,0 +1,128 @@
+// 服务端聚合搜索（lib/search-core.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProxyConfig, handleProxyRequest, signProxyTarget } from '../lib/proxy-core.mjs';
+import { handleLoginRequest } from '../lib/auth-core.mjs';
+import { SEARCH_SIGNATURE_SUBJECT, createSearchConfig, handleSearchRequest } from '../lib/search-core.mjs';
+
+const PASSWORD = 'search-test';
+
+const SOURCES = [
+    { code: 'fast', name: '快速源', api: 'https://fast.example.com/api.php/provide/vod/' },
+    { code: 'paged', name: '分页源', api: 'https://paged.example.com/api.php/provide/vod/' },
+    { code: 'slow', name: '慢速源', api: 'https://slow.example.com/api.php/provide/vod/' },
+    { code: 'custom_0', name: '自定义源', api: 'https://custom.example.com/api.php/provide/vod/', custom: true }
+];
+
+// 模拟各个源：paged 有 3 页，slow 直到代理的请求超时都不返回
+function createUpstream() {
+    const state = { active: 0, maxActive: 0, calls: [] };
+    const fetch = async (url, init) => {
+        const target = new URL(url);
+        state.calls.push(url);
+        if (target.hostname === 'slow.example.com') {
+            return new Promise((_, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)));
+        }
+        state.active++;
+        state.maxActive = Math.max(state.maxActive, state.active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        state.active--;
+        const page = Number(target.searchParams.get('pg') || 1);
+        return Response.json({
+            pagecount: target.hostname === 'paged.example.com' ? 3 : 1,
+            list: [{ vod_id: `${target.hostname}-${page}`, vod_name: target.searchParams.get('wd') }]
+        });
+    };
+    return { fetch, state };
+}
+
+async function createSearchClient(env = {}) {
+    const upstream = createUpstream();
+    const options = {
+        config: createProxyConfig({ PASSWORD, REQUEST_TIMEOUT: '400', MAX_RETRIES: '0' }),
+        searchConfig: createSearchConfig({ SEARCH_SOURCE_TIMEOUT: '200', ...env }),
+        resolveHost: async () => ['93.184.216.34'],
+        fetch: upstream.fetch
+    };
+    const login = await handleLoginRequest(new Request('https://tv.example.com/api/login', {
+        method: 'POST',
+        body: JSON.stringify({ password: PASSWORD })
+    }), options);
+    const session = await (await handleProxyRequest(new Request('https://tv.example.com/proxy/session', {
+        method: 'POST',
+        headers: { 'Cookie': login.headers.get('Set-Cookie').split(';')[0] }
+    }), options)).json();
+
+    const search = async (body, { headers = {}, signed = true } = {}) => {
+        const expiresAt = Math.floor(Date.now() / 1000) + 600;
+        const sig = await signProxyTarget(session.key, SEARCH_SIGNATURE_SUBJECT, expiresAt);
+        const url = signed
+            ? `https://tv.example.com/api/search?s=${session.token}&e=${expiresAt}&sig=${sig}`
+            : 'https://tv.example.com/api/search';
+        return handleSearchRequest(new Request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        }), options);
+    };
+    return { search, upstream };
+}
+
+function parseNdjson(text) {
+    return text.trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('未签名的聚合搜索请求返回 401', async () => {
+    const { search, upstream } = await createSearchClient();
+    const response = await search({ query: '测试', sources: SOURCES }, { signed: false });
+    assert.equal(response.status, 401);
+    assert.equal(upstream.state.calls.length, 0);
+});
+
+test('每个源完成后推送一条 NDJSON 结果，超时的源推送错误，最后推送 done', async () => {
+    const { search } = await createSearchClient();
+    const response = await search({ query: '测试', sources: SOURCES, maxPages: 2 });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+
+    const events = parseNdjson(await response.text());
+    const bySource = Object.fromEntries(events.filter(event => event.source).map(event => [event.source, event]));
+
+    assert.equal(bySource.fast.type, 'source');
+    assert.deepEqual(bySource.fast.results.map(item => item.source_code), ['fast']);
+    // 客户端请求的页数受 maxPages 限制
+    assert.equal(bySource.paged.pages, 2);
+    assert.deepEqual(bySource.paged.results.map(item => item.vod_id), ['paged.example.com-1', 'paged.example.com-2']);
+    assert.equal(bySource.custom_0.results[0].api_url, SOURCES[3].api);
+    assert.equal(bySource.fast.results[0].api_url, undefined);
+    assert.equal(bySource.slow.type, 'error');
+    assert.match(bySource.slow.error, /超时/);
+
+    assert.deepEqual(events.at(-1).type, 'done');
+    assert.equal(events.at(-1).total, 4);
+    assert.equal(events.at(-1).sources, 4);
+});
+
+test('按 Accept 返回 SSE 格式', async () => {
+    const { search } = await createSearchClient();
+    const response = await search({ query: '测试', sources: SOURCES.slice(0, 1) }, { headers: { Accept: 'text/event-stream' } });
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+    const text = await response.text();
+    assert.match(text, /^event: source\ndata: \{.*"source":"fast"/);
+    assert.match(text, /event: done\ndata: /);
+});
+
+test('同时进行的源请求数不超过 SEARCH_CONCURRENCY', async () => {
+    const { search, upstream } = await createSearchClient({ SEARCH_CONCURRENCY: '2', SEARCH_SOURCE_TIMEOUT: '5000' });
+    const sources = Array.from({ length: 6 }, (_, i) => ({ code: `s${i}`, name: `源${i}`, api: `https://s${i}.example.com/api.php` }));
+    const events = parseNdjson(await (await search({ query: 'abc', sources })).text());
+    assert.equal(events.filter(event => event.type === 'source').length, 6);
+    assert.equal(upstream.state.maxActive, 2);
+});
+
+test('缺少关键词或有效源时返回 400', async () => {
+    const { search } = await createSearchClient();
+    assert.equal((await search({ query: '', sources: SOURCES })).status, 400);
+    assert.equal((await search({ query: 'abc', sources: [{ code: 'x', api: 'file:///etc/passwd' }] })).status, 400);
+});
@@ -0,0 +1,84 @@
+// 外挂字幕（lib/subtitle.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWebVtt, decodeSubtitle, detectSubtitleFormat, loadSubtitle, parseSubtitle } from '../lib/subtitle.mjs';
+
+test('识别 UTF-8、GBK 与 Big5 编码', () => {
+    // BOM 由 TextDecoder 去掉
+    const utf8 = decodeSubtitle(new TextEncoder().encode('\uFEFF你好，世界'));
+    assert.deepEqual(utf8, { text: '你好，世界', encoding: 'utf-8' });
+
+    // "我们在说话。" 的 GBK 编码
+    const gbk = decodeSubtitle(Buffer.from('ced2c3c7d4dacbb5bbb0a1a3', 'hex'));
+    assert.deepEqual(gbk, { text: '我们在说话。', encoding: 'gb18030' });
+
+    // "我們在說話。" 的 Big5 编码
+    const big5 = decodeSubtitle(Buffer.from('a7daadcca662bba1b8dca143', 'hex'));
+    assert.deepEqual(big5, { text: '我們在說話。', encoding: 'big5' });
+});
+
+test('先按内容、再按后缀识别格式', () => {
+    assert.equal(detectSubtitleFormat('WEBVTT\n\n00:01.000 --> 00:02.000\nhi', 'a.srt'), 'vtt');
+    assert.equal(detectSubtitleFormat('[Script Info]\nTitle: x', ''), 'ass');
+    assert.equal(detectSubtitleFormat('', 'https://example.com/sub.SSA?token=1'), 'ass');
+    assert.equal(detectSubtitleFormat('1\n00:00:01,000 --> 00:00:02,000\nhi', 'subtitle'), 'srt');
+    assert.equal(detectSubtitleFormat('<html></html>', 'page.html'), '');
+});
+
+test('SRT 转为 WebVTT：去掉样式标签并按偏移平移时间', () => {
+    const srt = '1\r\n00:00:01,500 --> 00:00:03,000\r\n<i>你好</i>，世界\r\n\r\n2\r\n00:01:04,000 --> 00:01:05,250\r\n{\\an8}<font color="#fff">第二句</font>\r\n第二行\r\n';
+    const { cues, format } = loadSubtitle(new TextEncoder().encode(srt), 'movie.srt');
+    assert.equal(format, 'srt');
+    assert.deepEqual(cues, [
+        { start: 1.5, end: 3, text: '你好，世界' },
+        { start: 64, end: 65.25, text: '第二句\n第二行' }
+    ]);
+
+    assert.equal(buildWebVtt(cues), [
+        'WEBVTT',
+        '',
+        '00:00:01.500 --> 00:00:03.000',
+        '你好，世界',
+        '',
+        '00:01:04.000 --> 00:01:05.250',
+        '第二句',
+        '第二行',
+        ''
+    ].join('\n'));
+    // 提前 2 秒：第一条被截到 0 秒开始，提前超过结束时间的丢弃
+    assert.match(buildWebVtt(cues, -2), /^WEBVTT\n\n00:00:00\.000 --> 00:00:01\.000\n你好，世界\n\n00:01:02\.000 --> 00:01:03\.250/);
+    assert.ok(!buildWebVtt(cues, -4).includes('你好'));
+    assert.match(buildWebVtt(cues, 90.5), /00:02:34\.500 --> 00:02:35\.750/);
+});
+
+test('ASS 只取 Dialogue 的时间与文字，文字中可以有逗号', () => {
+    const ass = [
+        '[Script Info]',
+        'Title: 测试',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize',
+        'Style: Default,Arial,20',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:05.00,0:00:06.50,Default,,0,0,0,,第二句',
+        'Comment: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,注释不显示',
+        'Dialogue: 0,0:00:02.50,0:00:04.00,Default,,0,0,0,,{\\pos(10,20)\\c&H00FFFF&}你好，世界\\N第二行\\hA'
+    ].join('\n');
+    assert.deepEqual(parseSubtitle(ass, 'ass'), [
+        { start: 2.5, end: 4, text: '你好，世界\n第二行 A' },
+        { start: 5, end: 6.5, text: '第二句' }
+    ]);
+});
+
+test('WebVTT 保留时间，忽略位置设置与 NOTE 块', () => {
+    const vtt = 'WEBVTT\n\nNOTE 说明\n\ncue-1\n00:01.000 --> 00:02.000 line:0 position:20%\n<v 甲>你好\n';
+    assert.deepEqual(parseSubtitle(vtt, 'vtt'), [{ start: 1, end: 2, text: '你好' }]);
+});
+
+test('无法识别或没有字幕内容时报错', () => {
+    assert.throws(() => loadSubtitle(new TextEncoder().encode('<html></html>'), 'page.html'), /不支持的字幕格式/);
+    assert.throws(() => loadSubtitle(new TextEncoder().encode('WEBVTT\n\n'), 'empty.vtt'), /没有可用的字幕/);
+});
@@ -0,0 +1,190 @@
+// 多设备同步（lib/sync-core.mjs、lib/sync-file-store.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createMemoryCache } from '../lib/proxy-core.mjs';
+import {
+    createEmptySyncDocument,
+    createKvSyncBackend,
+    createSyncConfig,
+    createSyncStore,
+    createVercelKvSyncBackend,
+    handleSyncRequest,
+    mergeSyncChanges,
+    normalizeSyncChanges
+} from '../lib/sync-core.mjs';
+import { createJsonFileSyncBackend } from '../lib/sync-file-store.mjs';
+import { createKvUserBackend, createUserStore } from '../lib/user-store.mjs';
+import { createEndlessBody, createTestClient } from './helpers.mjs';
+
+const PASSWORD = 'sync-test';
+
+function createSyncClient(env = {}) {
+    const { options, loginCookie, request } = createTestClient({
+        password: PASSWORD,
+        syncStore: createSyncStore(createKvSyncBackend(createMemoryCache())),
+        syncConfig: createSyncConfig(env),
+        userStore: createUserStore(createKvUserBackend(createMemoryCache()))
+    });
+    const sync = request(handleSyncRequest, '/api/sync');
+    const put = (cookie, changes) => sync(cookie, { method: 'PUT', body: JSON.stringify({ changes }) });
+    return { options, login: loginCookie, sync, put };
+}
+
+test('按条目合并：较新的写入获胜，删除以墓碑传播，过期墓碑与超出上限的旧条目被清理', () => {
+    const config = { maxItems: 2, tombstoneTtl: 60 };
+    const now = 1_000_000_000;
+    const document = createEmptySyncDocument();
+
+    assert.equal(mergeSyncChanges(document, {
+        history: { a: { value: { title: 'A' }, updatedAt: now - 300 }, b: { value: { title: 'B' }, updatedAt: now - 200 } },
+        settings: { doubanEnabled: { value: 'true', updatedAt: now - 100 } }
+    }, config, now), 3);
+
+    // 旧的写入被忽略，新的写入覆盖；相同时间戳保留服务端已有的条目
+    assert.equal(mergeSyncChanges(document, {
+        history: { a: { value: { title: 'A-old' }, updatedAt: now - 400 }, b: { value: null, updatedAt: now - 50 } },
+        settings: { doubanEnabled: { value: 'false', updatedAt: now - 100 } }
+    }, config, now), 1);
+    assert.deepEqual(document.history.a.value, { title: 'A' });
+    assert.deepEqual(document.history.b, { value: null, updatedAt: now - 50 });
+    assert.equal(document.settings.doubanEnabled.value, 'true');
+
+    // 超过 maxItems 时只保留最新的条目，墓碑过期后删除
+    mergeSyncChanges(document, {
+        history: { c: { value: { title: 'C' }, updatedAt: now - 10 }, d: { value: { title: 'D' }, updatedAt: now - 5 } }
+    }, config, now + 70_000);
+    assert.deepEqual(Object.keys(document.history).sort(), ['c', 'd']);
+});
+
+test('变更校验：拒绝格式错误的条目，截断来自未来的时间戳', () => {
+    const now = 1_000_000;
+    assert.equal(normalizeSyncChanges(null), null);
+    assert.equal(normalizeSyncChanges({ history: [] }), null);
+    assert.equal(normalizeSyncChanges({ settings: { a: { value: 1, updatedAt: 1 } } }), null);
+    assert.equal(normalizeSyncChanges({ history: { a: { value: 'x', updatedAt: 1 } } }), null);
+    assert.equal(normalizeSyncChanges({ history: { a: { value: {}, updatedAt: 'soon' } } }), null);
+    assert.equal(normalizeSyncChanges({ history: JSON.parse('{"__proto__": {"value": {}, "updatedAt": 1}}') }), null);
+
+    assert.deepEqual(normalizeSyncChanges({
+        history: { a: { value: { title: 'A' }, updatedAt: now + 60_000 } },
+        favorites: { b: { updatedAt: 5 } }
+    }, now), {
+        history: { a: { value: { title: 'A' }, updatedAt: now } },
+        favorites: { b: { value: null, updatedAt: 5 } }
+    });
+});
+
+test('同步接口需要登录，数据按账户隔离，GET 支持 ETag', async () => {
+    const { options, login, sync, put } = createSyncClient();
+    assert.equal((await sync('')).status, 401);
+
+    const shared = await login({ password: PASSWORD });
+    const empty = await sync(shared);
+    assert.equal(empty.status, 200);
+    assert.deepEqual((await empty.json()).data, createEmptySyncDocument());
+
+    const saved = await put(shared, {
+        history: { 'A|源|a_1': { value: { title: 'A', timestamp: 1000 }, updatedAt: 1000 } },
+        settings: { doubanEnabled: { value: 'false', updatedAt: 2000 } }
+    });
+    assert.equal(saved.status, 200);
+    const savedBody = await saved.json();
+    assert.equal(savedBody.applied, 2);
+    assert.equal(savedBody.data.settings.doubanEnabled.value, 'false');
+
+    const etag = saved.headers.get('ETag');
+    assert.equal((await sync(shared, { headers: { 'If-None-Match': etag } })).status, 304);
+    // 重复推送同样的变更不会改变数据
+    assert.equal((await (await put(shared, { settings: { doubanEnabled: { value: 'false', updatedAt: 2000 } } })).json()).applied, 0);
+
+    await options.userStore.upsert({ username: 'kid', password: 'secret1', role: 'kid' });
+    const kid = await login({ username: 'kid', password: 'secret1' });
+    assert.deepEqual((await (await sync(kid)).json()).data.history, {});
+
+    assert.equal((await sync(shared, { method: 'PUT', body: '{"changes": {"history": []}}' })).status, 400);
+    assert.equal((await sync(shared, { method: 'DELETE' })).status, 405);
+});
+
+test('只有管理员能同步数据源与过滤设置，儿童账户的过滤开关始终为开', async () => {
+    const { options, login, sync, put } = createSyncClient();
+    const admin = await login({ password: PASSWORD });
+    await put(admin, { settings: { selectedAPIs: { value: '["bfzy"]', updatedAt: 1000 } } });
+
+    await options.userStore.upsert({ username: 'kid', password: 'secret1', role: 'kid' });
+    await options.userStore.upsert({ username: 'guest', password: 'secret1', role: 'viewer' });
+    for (const username of ['kid', 'guest']) {
+        const cookie = await login({ username, password: 'secret1' });
+        const response = await put(cookie, {
+            settings: {
+                customAPIs: { value: '[{"name":"x","url":"https://evil.example.com"}]', updatedAt: 2000 },
+                yellowFilterEnabled: { value: 'false', updatedAt: 2000 },
+                doubanEnabled: { value: 'false', updatedAt: 2000 }
+            }
+        });
+        const body = await response.json();
+        assert.equal(body.applied, 1);
+        assert.deepEqual(Object.keys(body.data.settings).sort(), username === 'kid' ? ['doubanEnabled', 'yellowFilterEnabled'] : ['doubanEnabled']);
+        const stored = await options.syncStore.get(username);
+        assert.equal(stored.settings.customAPIs, undefined);
+        assert.equal(stored.settings.yellowFilterEnabled, undefined);
+    }
+
+    const kid = await login({ username: 'kid', password: 'secret1' });
+    assert.equal((await (await sync(kid)).json()).data.settings.yellowFilterEnabled.value, 'true');
+    // 管理员的数据不受影响
+    const adminData = (await (await sync(admin)).json()).data;
+    assert.equal(adminData.settings.selectedAPIs.value, '["bfzy"]');
+    assert.equal(adminData.settings.yellowFilterEnabled, undefined);
+});
+
+test('请求体超过 SYNC_MAX_BYTES 时拒绝，未配置存储时返回 501', async () => {
+    const { options, login, sync, put } = createSyncClient({ SYNC_MAX_BYTES: '200' });
+    const cookie = await login({ password: PASSWORD });
+    const large = await put(cookie, { settings: { customAPIs: { value: 'x'.repeat(300), updatedAt: 1 } } });
+    assert.equal(large.status, 413);
+    // 分块传输没有 Content-Length，读到上限即停止
+    const { body, stats } = createEndlessBody();
+    assert.equal((await sync(cookie, { method: 'PUT', body, duplex: 'half' })).status, 413);
+    assert.ok(stats.cancelled);
+    assert.ok(stats.bytes < 1000);
+
+    const unconfigured = await handleSyncRequest(new Request('https://tv.example.com/api/sync', {
+        headers: { 'Cookie': cookie }
+    }), { config: options.config });
+    assert.equal(unconfigured.status, 501);
+});
+
+test('JSON 文件与 Vercel KV 后端', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'teslatv-sync-'));
+    try {
+        const backend = createJsonFileSyncBackend(path.join(dir, 'sync'));
+        assert.equal(await backend.load('alice'), null);
+        await backend.save('alice', { updatedAt: 1, history: {}, favorites: {}, settings: {} });
+        assert.equal((await backend.load('alice')).updatedAt, 1);
+        assert.deepEqual(fs.readdirSync(path.join(dir, 'sync')), ['alice.json']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // Upstash REST：GET /get/<key>，POST /set/<key>（请求体为值）
+    const data = new Map();
+    const calls = [];
+    const vercel = createVercelKvSyncBackend({
+        url: 'https://kv.example.com/',
+        token: 'kv-token',
+        fetch: async (url, init = {}) => {
+            calls.push([init.method || 'GET', url, init.headers.Authorization]);
+            const [, command, key] = new URL(url).pathname.split('/').map(decodeURIComponent);
+            if (command === 'set') data.set(key, init.body);
+            return Response.json({ result: command === 'set' ? 'OK' : data.get(key) ?? null });
+        }
+    });
+    assert.equal(await vercel.load('bob'), null);
+    await vercel.save('bob', { updatedAt: 2 });
+    assert.deepEqual(await vercel.load('bob'), { updatedAt: 2 });
+    assert.deepEqual(calls[1], ['POST', 'https://kv.example.com/set/teslatv%3Async%3Abob', 'Bearer kv-token']);
+});
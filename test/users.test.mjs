@@ -0,0 +1,272 @@
+// 多用户账户（lib/user-store.mjs、lib/user-file-store.mjs）测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { handleLoginRequest, handleUsersRequest, verifyLoginSession } from '../lib/auth-core.mjs';
+import { createMemoryCache, handleProxyRequest, signProxyTarget, verifySessionSignature } from '../lib/proxy-core.mjs';
+import { SEARCH_SIGNATURE_SUBJECT, handleSearchRequest } from '../lib/search-core.mjs';
+import { createKvUserBackend, createUserStore, verifyPasswordHash } from '../lib/user-store.mjs';
+import { createJsonFileUserBackend } from '../lib/user-file-store.mjs';
+import { cookieOf, createTestClient } from './helpers.mjs';
+
+const PASSWORD = 'users-test';
+
+function createAccounts(env = {}) {
+    const kv = createMemoryCache();
+    const { options, login, request } = createTestClient({ password: PASSWORD, env, userStore: createUserStore(createKvUserBackend(kv)) });
+    return { kv, options, login, users: request(handleUsersRequest, '/api/users'), request };
+}
+
+test('账户存储校验输入，密码以 PBKDF2 哈希保存且不对外返回', async () => {
+    const { kv, options: { userStore } } = createAccounts();
+
+    await assert.rejects(userStore.upsert({ username: 'default', password: 'secret1', role: 'admin' }), /保留账户名/);
+    await assert.rejects(userStore.upsert({ username: 'Bad Name', password: 'secret1', role: 'admin' }), /用户名/);
+    await assert.rejects(userStore.upsert({ username: 'mom', password: 'secret1', role: 'root' }), /角色/);
+    await assert.rejects(userStore.upsert({ username: 'mom', password: '123', role: 'admin' }), /至少需要/);
+    await assert.rejects(userStore.upsert({ username: 'mom', role: 'admin' }), /必须设置密码/);
+
+    const created = await userStore.upsert({ username: 'Mom', password: 'secret1', role: 'admin' });
+    assert.equal(created.username, 'mom');
+    assert.equal(created.passwordHash, undefined);
+    const stored = JSON.parse(await kv.get('users'));
+    assert.match(stored.mom.passwordHash, /^pbkdf2-sha256\$100000\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+    assert.ok(await verifyPasswordHash('secret1', stored.mom.passwordHash));
+
+    // 更新时不提供密码则保留原密码
+    await userStore.upsert({ username: 'mom', role: 'viewer' });
+    assert.equal((await userStore.authenticate('MOM', 'secret1')).role, 'viewer');
+    assert.equal(await userStore.authenticate('mom', 'wrong'), null);
+    assert.equal(await userStore.authenticate('nobody', 'secret1'), null);
+
+    const kid = await userStore.upsert({ username: 'kid', password: 'secret2', role: 'kid', contentRules: { blockedKeywords: ['僵尸'] } });
+    assert.ok(kid.contentRules.blockedTypes.includes('恐怖片'));
+    assert.deepEqual(kid.contentRules.blockedKeywords, ['僵尸']);
+    assert.deepEqual((await userStore.list()).map(user => user.username), ['kid', 'mom']);
+});
+
+test('按用户名登录时角色写入会话，共享密码的角色由 PASSWORD_ROLE 决定', async () => {
+    const { options, login } = createAccounts({ PASSWORD_ROLE: 'viewer' });
+    await options.userStore.upsert({ username: 'dad', password: 'secret1', role: 'admin' });
+
+    const dad = await login({ username: 'dad', password: 'secret1' });
+    assert.equal(dad.status, 200);
+    assert.deepEqual(await dad.json().then(({ username, role }) => ({ username, role })), { username: 'dad', role: 'admin' });
+    assert.equal((await login({ username: 'dad', password: PASSWORD })).status, 401);
+    assert.equal((await login({ username: 'nobody', password: 'secret1' })).status, 401);
+
+    const shared = await login({ password: PASSWORD });
+    assert.equal((await shared.json()).role, 'viewer');
+    const session = await verifyLoginSession(options.config, new Request('https://tv.example.com/', {
+        headers: { 'Cookie': cookieOf(shared) }
+    }), options.userStore);
+    assert.equal(session.username, 'default');
+
+    const status = await (await handleLoginRequest(new Request('https://tv.example.com/api/login'), options)).json();
+    assert.equal(status.accountsEnabled, true);
+});
+
+test('只有管理员可以管理账户，删除账户后会话立即失效', async () => {
+    const { options, login, users } = createAccounts();
+    const admin = cookieOf(await login({ password: PASSWORD }));
+    const post = body => users(admin, { method: 'POST', body: JSON.stringify(body) });
+
+    assert.equal((await post({ username: 'viewer1', password: 'secret1', role: 'viewer' })).status, 200);
+    assert.equal((await post({ username: 'viewer1', password: '1', role: 'viewer' })).status, 400);
+    const list = await (await users(admin)).json();
+    assert.deepEqual(list.users.map(user => [user.username, user.role]), [['viewer1', 'viewer']]);
+
+    const viewer = cookieOf(await login({ username: 'viewer1', password: 'secret1' }));
+    assert.equal((await users(viewer)).status, 403);
+    assert.equal((await users('')).status, 401);
+
+    assert.equal((await users(admin, { method: 'DELETE' }, '?username=viewer1')).status, 200);
+    assert.equal((await users(admin, { method: 'DELETE' }, '?username=viewer1')).status, 404);
+    const session = await handleProxyRequest(new Request('https://tv.example.com/proxy/session', {
+        method: 'POST',
+        headers: { 'Cookie': viewer }
+    }), options);
+    assert.equal(session.status, 401);
+
+    // 管理员不能删除自己或取消自己的管理员角色
+    await options.userStore.upsert({ username: 'boss', password: 'secret1', role: 'admin' });
+    const boss = cookieOf(await login({ username: 'boss', password: 'secret1' }));
+    assert.equal((await users(boss, { method: 'DELETE' }, '?username=boss')).status, 400);
+    assert.equal((await users(boss, { method: 'POST', body: JSON.stringify({ username: 'boss', role: 'viewer' }) })).status, 400);
+
+    const noStore = await handleUsersRequest(new Request('https://tv.example.com/api/users', {
+        headers: { 'Cookie': admin }
+    }), { config: options.config });
+    assert.equal(noStore.status, 501);
+});
+
+test('删除账户或修改角色、密码后，之前的登录 Cookie 与领取的代理会话失效', async () => {
+    const { options, login, request } = createAccounts();
+    await options.userStore.upsert({ username: 'dad', password: 'secret1', role: 'admin' });
+    const issue = cookie => request(handleProxyRequest, '/proxy/session')(cookie, { method: 'POST' });
+    const verify = async (session, userStore = options.userStore) => {
+        const expiresAt = Math.floor(Date.now() / 1000) + 600;
+        const sig = await signProxyTarget(session.key, SEARCH_SIGNATURE_SUBJECT, expiresAt);
+        const url = new URL(`https://tv.example.com/api/search?s=${session.token}&e=${expiresAt}&sig=${sig}`);
+        return (await verifySessionSignature(options.config, url, SEARCH_SIGNATURE_SUBJECT, undefined, userStore)) !== null;
+    };
+
+    const cookie = cookieOf(await login({ username: 'dad', password: 'secret1' }));
+    const first = await (await issue(cookie)).json();
+    assert.deepEqual([first.username, first.epoch], ['dad', 0]);
+    assert.ok(await verify(first));
+    // 角色与密码都没变时会话保持有效
+    await options.userStore.upsert({ username: 'dad', role: 'admin' });
+    assert.ok(await verify(first));
+
+    await options.userStore.upsert({ username: 'dad', role: 'viewer' });
+    assert.equal(await verify(first), false);
+    // 旧的登录 Cookie 也不能再领取代理会话，重新登录后的会话带有新的会话版本
+    assert.equal((await issue(cookie)).status, 401);
+    const relogin = cookieOf(await login({ username: 'dad', password: 'secret1' }));
+    const second = await (await issue(relogin)).json();
+    assert.equal(second.epoch, 1);
+    assert.ok(await verify(second));
+
+    // 改密码后，凭旧密码登录的 Cookie 立即失效
+    await options.userStore.upsert({ username: 'dad', password: 'secret2', role: 'viewer' });
+    assert.equal(await verify(second), false);
+    assert.equal(await verifyLoginSession(options.config, new Request('https://tv.example.com/', {
+        headers: { 'Cookie': relogin }
+    }), options.userStore), null);
+    assert.equal((await issue(relogin)).status, 401);
+
+    const third = await (await issue(cookieOf(await login({ username: 'dad', password: 'secret2' })))).json();
+    assert.ok(await verify(third));
+    await options.userStore.remove('dad');
+    assert.equal(await verify(third), false);
+    // 没有账户存储的部署（Vercel、Netlify）只校验签名
+    assert.ok(await verify(third, null));
+});
+
+test('删除后重建同名账户，删除前的登录 Cookie、代理会话与退出记录仍然有效', async () => {
+    const { kv, options, login, request } = createAccounts();
+    const issue = cookie => request(handleProxyRequest, '/proxy/session')(cookie, { method: 'POST' });
+    const verify = async (session) => {
+        const expiresAt = Math.floor(Date.now() / 1000) + 600;
+        const sig = await signProxyTarget(session.key, SEARCH_SIGNATURE_SUBJECT, expiresAt);
+        const url = new URL(`https://tv.example.com/api/search?s=${session.token}&e=${expiresAt}&sig=${sig}`);
+        return (await verifySessionSignature(options.config, url, SEARCH_SIGNATURE_SUBJECT, undefined, options.userStore)) !== null;
+    };
+    const logout = cookie => request(handleLoginRequest, '/api/login')(cookie, { method: 'DELETE' });
+
+    await options.userStore.upsert({ username: 'dad', password: 'secret1', role: 'admin' });
+    const before = cookieOf(await login({ username: 'dad', password: 'secret1' }));
+    const loggedOut = cookieOf(await login({ username: 'dad', password: 'secret1' }));
+    const session = await (await issue(before)).json();
+    await logout(loggedOut);
+
+    assert.ok(await options.userStore.remove('dad'));
+    assert.equal(await options.userStore.remove('dad'), false);
+    assert.equal(await options.userStore.get('dad'), null);
+    assert.deepEqual(await options.userStore.list(), []);
+    // 只剩会话状态的条目不能登录，也不能再记录退出
+    assert.equal((await login({ username: 'dad', password: 'secret1' })).status, 401);
+    assert.deepEqual(Object.keys(JSON.parse(await kv.get('users')).dad).sort(), ['revokedSessions', 'sessionEpoch']);
+
+    // 用同样的密码重建账户：会话版本接着删除前的值，旧凭据都不能复活
+    const recreated = await options.userStore.upsert({ username: 'dad', password: 'secret1', role: 'admin' });
+    assert.equal(recreated.sessionEpoch, 1);
+    assert.equal((await issue(before)).status, 401);
+    assert.equal(await verify(session), false);
+    const loggedOutId = loggedOut.split('=')[1].split('.')[0];
+    assert.ok(Object.hasOwn(JSON.parse(await kv.get('users')).dad.revokedSessions, loggedOutId));
+
+    const after = cookieOf(await login({ username: 'dad', password: 'secret1' }));
+    const fresh = await (await issue(after)).json();
+    assert.equal(fresh.epoch, 1);
+    assert.ok(await verify(fresh));
+});
+
+test('退出登录后该登录的 Cookie 与领取的代理会话失效，其他设备不受影响', async () => {
+    const { options, login, request } = createAccounts();
+    await options.userStore.upsert({ username: 'mom', password: 'secret1', role: 'viewer' });
+    const issue = async cookie => (await request(handleProxyRequest, '/proxy/session')(cookie, { method: 'POST' })).json();
+    const verify = async (session) => {
+        const expiresAt = Math.floor(Date.now() / 1000) + 600;
+        const sig = await signProxyTarget(session.key, SEARCH_SIGNATURE_SUBJECT, expiresAt);
+        const url = new URL(`https://tv.example.com/api/search?s=${session.token}&e=${expiresAt}&sig=${sig}`);
+        return (await verifySessionSignature(options.config, url, SEARCH_SIGNATURE_SUBJECT, undefined, options.userStore)) !== null;
+    };
+    const logout = cookie => request(handleLoginRequest, '/api/login')(cookie, { method: 'DELETE' });
+    const withCookie = cookie => new Request('https://tv.example.com/api/login', { headers: { 'Cookie': cookie } });
+
+    // 共享密码的账户同样可以撤销，但不会出现在账户列表中
+    for (const credentials of [{ password: PASSWORD }, { username: 'mom', password: 'secret1' }]) {
+        const car = cookieOf(await login(credentials));
+        const phone = cookieOf(await login(credentials));
+        const carSession = await issue(car);
+        const phoneSession = await issue(phone);
+        assert.ok(await verify(carSession));
+
+        assert.equal((await logout(car)).status, 200);
+        assert.equal(await verifyLoginSession(options.config, withCookie(car), options.userStore), null);
+        assert.equal(await verify(carSession), false);
+        assert.ok(await verifyLoginSession(options.config, withCookie(phone), options.userStore));
+        assert.ok(await verify(phoneSession));
+    }
+    assert.deepEqual((await options.userStore.list()).map(user => user.username), ['mom']);
+    assert.equal(await options.userStore.get('default'), null);
+});
+
+test('儿童账户的聚合搜索结果按内容规则过滤', async () => {
+    const { options, login } = createAccounts();
+    await options.userStore.upsert({ username: 'kid', password: 'secret1', role: 'kid', contentRules: { blockedKeywords: ['僵尸'] } });
+    const searchOptions = {
+        ...options,
+        resolveHost: async () => ['93.184.216.34'],
+        fetch: async () => Response.json({
+            pagecount: 1,
+            list: [
+                { vod_id: 1, vod_name: '小猪佩奇', type_name: '动漫' },
+                { vod_id: 2, vod_name: '午夜凶铃', type_name: '恐怖片' },
+                { vod_id: 3, vod_name: '植物大战僵尸', type_name: '动漫' }
+            ]
+        })
+    };
+
+    const search = async (cookie) => {
+        const session = await (await handleProxyRequest(new Request('https://tv.example.com/proxy/session', {
+            method: 'POST',
+            headers: { 'Cookie': cookie }
+        }), searchOptions)).json();
+        const expiresAt = Math.floor(Date.now() / 1000) + 600;
+        const sig = await signProxyTarget(session.key, SEARCH_SIGNATURE_SUBJECT, expiresAt);
+        const response = await handleSearchRequest(new Request(`https://tv.example.com/api/search?s=${session.token}&e=${expiresAt}&sig=${sig}`, {
+            method: 'POST',
+            headers: { 'Cookie': cookie },
+            body: JSON.stringify({ query: 'test', sources: [{ code: 'a', name: 'A', api: 'https://a.example.com/api.php/provide/vod/' }] })
+        }), searchOptions);
+        const events = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+        return events.find(event => event.type === 'source').results.map(item => item.vod_id);
+    };
+
+    assert.deepEqual(await search(cookieOf(await login({ username: 'kid', password: 'secret1' }))), [1]);
+    assert.deepEqual(await search(cookieOf(await login({ password: PASSWORD }))), [1, 2, 3]);
+});
+
+test('JSON 文件后端：文件不存在时为空，写入后仅所有者可读', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'teslatv-users-'));
+    try {
+        const file = path.join(dir, 'nested', 'users.json');
+        const store = createUserStore(createJsonFileUserBackend(file));
+        assert.deepEqual(await store.list(), []);
+
+        await store.upsert({ username: 'alice', password: 'secret1', role: 'viewer' });
+        assert.equal((await createUserStore(createJsonFileUserBackend(file)).get('alice')).role, 'viewer');
+        assert.deepEqual(fs.readdirSync(path.dirname(file)), ['users.json']);
+        if (process.platform !== 'win32') {
+            assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
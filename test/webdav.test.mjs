@@ -0,0 +1,222 @@
+// WebDAV 备份与恢复（js/webdav.js）测试：页面脚本在 vm 中加载，WebDAV 服务由内存中的桩实现
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const JS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'js');
+const DAV_DIR = 'https://dav.example.com/teslatv/';
+const DAV_FILE = `${DAV_DIR}TeslaTV-Settings.json`;
+
+const sha256 = async message => createHash('sha256').update(message).digest('hex');
+
+// 只实现备份用到的 PROPFIND / GET / PUT / MKCOL，目录需要先创建
+function createDavServer() {
+    const dirs = new Set();
+    const files = new Map();
+    const requests = [];
+    const fetch = async (url, init = {}) => {
+        const method = init.method || 'GET';
+        requests.push({ method, url, headers: init.headers || {} });
+        const dir = url.slice(0, url.lastIndexOf('/') + 1);
+        if (method === 'PROPFIND') return new Response(null, { status: dirs.has(url) ? 207 : 404 });
+        if (method === 'MKCOL') {
+            if (dirs.has(url)) return new Response(null, { status: 405 });
+            dirs.add(url);
+            return new Response(null, { status: 201 });
+        }
+        if (method === 'PUT') {
+            if (!dirs.has(dir)) return new Response(null, { status: 409 });
+            files.set(url, init.body);
+            return new Response(null, { status: 201 });
+        }
+        if (method === 'GET') {
+            return files.has(url) ? new Response(files.get(url)) : new Response(null, { status: 404 });
+        }
+        return new Response(null, { status: 405 });
+    };
+    return { dirs, files, requests, fetch };
+}
+
+function createElement() {
+    const listeners = {};
+    return {
+        value: '',
+        textContent: '',
+        innerHTML: '',
+        children: [],
+        appendChild(child) {
+            this.children.push(child);
+        },
+        addEventListener(type, listener) {
+            listeners[type] = listener;
+        },
+        click() {
+            listeners.click?.({ target: this });
+        }
+    };
+}
+
+function loadWebDav({ server, confirmResult = true, storage = {} }) {
+    const items = new Map(Object.entries(storage));
+    const elements = new Map();
+    const toasts = [];
+    const context = vm.createContext({
+        crypto, TextEncoder, TextDecoder, JSON, atob, btoa, Uint8Array, console, Response, URL,
+        sha256,
+        fetch: server.fetch,
+        localStorage: {
+            getItem: key => items.has(key) ? items.get(key) : null,
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        },
+        document: {
+            body: { appendChild() {}, removeChild() {} },
+            addEventListener() {},
+            createElement,
+            getElementById(id) {
+                if (!elements.has(id)) elements.set(id, createElement());
+                return elements.get(id);
+            }
+        },
+        showToast: (message, type) => toasts.push({ message, type }),
+        showLoading() {},
+        hideLoading() {},
+        confirm: () => confirmResult,
+        setTimeout() {},
+        setInterval() {}
+    });
+    context.window = context;
+    context.window.location = { reload() {} };
+    for (const file of ['config.js', 'config-file.js', 'webdav.js']) {
+        vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file });
+    }
+    const call = name => vm.runInContext(name, context);
+    return { items, elements, toasts, call };
+}
+
+// 其他设备上传的备份
+async function remoteBackup(data, time = Date.now() + 60000) {
+    return JSON.stringify({ name: 'TeslaTV-Settings', time: String(time), cfgVer: '2.0.0', data, hash: await sha256(JSON.stringify(data)) });
+}
+
+const WEBDAV_CONFIG = JSON.stringify({ url: DAV_DIR, username: '张三', password: 'app-pass', schedule: 'daily' });
+
+test('只有云端文件在上次备份或恢复之后被其他设备更新时才算冲突', () => {
+    const { call } = loadWebDav({ server: createDavServer() });
+    const isRemoteChanged = call('isWebDavRemoteChanged');
+    const state = { time: '2000', hash: 'mine' };
+
+    assert.equal(isRemoteChanged(null, state), false);
+    assert.equal(isRemoteChanged({ time: '9000', hash: 'mine' }, state), false);
+    assert.equal(isRemoteChanged({ time: '3000', hash: 'other' }, state), true);
+    // 云端是更早的备份（例如本机恢复后又改回去），不是其他设备的新备份
+    assert.equal(isRemoteChanged({ time: '1000', hash: 'other' }, state), false);
+    // 本机从未备份或恢复过，云端已有的备份都需要确认
+    assert.equal(isRemoteChanged({ time: '1000', hash: 'other' }, {}), true);
+});
+
+test('首次备份时创建目录并上传，之后配置未变化时不重复上传', async () => {
+    const server = createDavServer();
+    const { items, toasts, call } = loadWebDav({
+        server,
+        storage: { webdavConfig: WEBDAV_CONFIG, doubanEnabled: 'true', selectedAPIs: '["bfzy"]' }
+    });
+
+    await call('uploadWebDavBackup')();
+    assert.deepEqual(server.requests.map(request => request.method), ['GET', 'PUT', 'MKCOL', 'PUT']);
+    // 用户名按 UTF-8 编码后放进 Basic 认证
+    assert.equal(server.requests[0].headers.Authorization, `Basic ${Buffer.from('张三:app-pass').toString('base64')}`);
+    const uploaded = JSON.parse(server.files.get(DAV_FILE));
+    assert.deepEqual(uploaded.data, { doubanEnabled: 'true', selectedAPIs: '["bfzy"]' });
+    const state = JSON.parse(items.get('webdavSyncState'));
+    assert.equal(state.hash, uploaded.hash);
+    assert.equal(state.time, uploaded.time);
+    assert.deepEqual(toasts.at(-1), { message: '已备份到 WebDAV', type: 'success' });
+
+    server.requests.length = 0;
+    await call('uploadWebDavBackup')();
+    assert.deepEqual(server.requests.map(request => request.method), ['GET']);
+    assert.deepEqual(toasts.at(-1), { message: '云端备份已是最新', type: 'success' });
+});
+
+test('云端备份被其他设备更新后，手动备份需要确认，定时备份跳过', async () => {
+    const server = createDavServer();
+    server.dirs.add(DAV_DIR);
+    const { items, toasts, call } = loadWebDav({
+        server,
+        confirmResult: false,
+        storage: { webdavConfig: WEBDAV_CONFIG, doubanEnabled: 'true' }
+    });
+    await call('uploadWebDavBackup')();
+    const other = await remoteBackup({ doubanEnabled: 'false' });
+    server.files.set(DAV_FILE, other);
+    items.set('doubanEnabled', 'mine');
+
+    // 取消确认：云端文件保持不变
+    await call('uploadWebDavBackup')();
+    assert.equal(server.files.get(DAV_FILE), other);
+
+    await call('uploadWebDavBackup')({ interactive: false });
+    assert.equal(server.files.get(DAV_FILE), other);
+    assert.equal(toasts.at(-1).type, 'warning');
+
+    // 确认后用本机配置覆盖
+    const { call: confirmingCall } = loadWebDav({ server, confirmResult: true, storage: Object.fromEntries(items) });
+    await confirmingCall('uploadWebDavBackup')();
+    assert.equal(JSON.parse(server.files.get(DAV_FILE)).data.doubanEnabled, 'mine');
+});
+
+test('从 WebDAV 恢复：预览差异，确认后写入本机并记录备份版本', async () => {
+    const server = createDavServer();
+    server.dirs.add(DAV_DIR);
+    const backup = await remoteBackup({ doubanEnabled: 'false', viewingHistory: '[{"title":"甲"},{"title":"乙"}]' });
+    server.files.set(DAV_FILE, backup);
+    const { items, elements, call } = loadWebDav({
+        server,
+        storage: { webdavConfig: WEBDAV_CONFIG, doubanEnabled: 'true', viewingHistory: '[]', yellowFilterEnabled: 'true' }
+    });
+
+    await call('previewWebDavRestore')();
+    const diff = elements.get('webdavRestoreDiff').children.map(item => item.children.map(line => line.textContent));
+    assert.deepEqual(diff, [['豆瓣热门推荐', 'true → false'], ['观看历史', '本机 0 项 → 备份 2 项']]);
+    // 确认前不修改本机配置
+    assert.equal(items.get('doubanEnabled'), 'true');
+
+    elements.get('confirmWebDavRestore').click();
+    assert.equal(items.get('doubanEnabled'), 'false');
+    assert.equal(items.get('viewingHistory'), '[{"title":"甲"},{"title":"乙"}]');
+    // 备份中没有的项保持不变
+    assert.equal(items.get('yellowFilterEnabled'), 'true');
+    const { time, hash } = JSON.parse(backup);
+    assert.deepEqual(JSON.parse(items.get('webdavSyncState')), { time, hash });
+
+    // 哈希不符的云端文件不会被恢复
+    server.files.set(DAV_FILE, JSON.stringify({ ...JSON.parse(backup), hash: 'tampered' }));
+    const { toasts, call: tamperedCall } = loadWebDav({ server, storage: { webdavConfig: WEBDAV_CONFIG } });
+    await tamperedCall('previewWebDavRestore')();
+    assert.deepEqual(toasts.at(-1), { message: '读取云端备份失败：配置文件哈希值不匹配', type: 'error' });
+});
+
+test('测试连接对目录发送 Depth: 0 的 PROPFIND', async () => {
+    const server = createDavServer();
+    const { elements, toasts, call } = loadWebDav({ server });
+    elements.set('webdavUrl', { value: DAV_DIR.slice(0, -1) });
+    elements.set('webdavUsername', { value: 'me' });
+    elements.set('webdavPassword', { value: 'app-pass' });
+    elements.set('webdavSchedule', { value: 'off' });
+
+    await call('testWebDavConnection')();
+    assert.deepEqual(toasts.at(-1), { message: '连接成功，目录不存在，首次备份时会自动创建', type: 'info' });
+    server.dirs.add(DAV_DIR);
+    await call('testWebDavConnection')();
+    assert.deepEqual(toasts.at(-1), { message: 'WebDAV 连接成功', type: 'success' });
+    assert.deepEqual(server.requests.map(({ method, url, headers }) => [method, url, headers.Depth]), [
+        ['PROPFIND', DAV_DIR, '0'],
+        ['PROPFIND', DAV_DIR, '0']
+    ]);
+});